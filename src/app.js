@@ -11,6 +11,10 @@ import routes from './routes/index.js';
 import logger from './utils/logger.js';
 import db from './utils/database.js';
 import { shapedClient, forceFlush } from './services/shaped/index.js';
+import { startCoVoteModelJob } from './jobs/buildCoVoteModel.js';
+import { startItemCatalogJob } from './jobs/refreshItemCatalog.js';
+import { startWeeklyDigestJob } from './jobs/weeklyDigest.js';
+import { loadRunningExperiments } from './services/shaped/experiments.js';
 
 const app = express();
 
@@ -88,6 +92,13 @@ const startServer = async () => {
     const shapedConnected = await shapedClient.healthCheck();
     logger.info({ connected: shapedConnected }, 'Shaped AI check');
 
+    if (dbConnected) {
+      startCoVoteModelJob();
+      startItemCatalogJob();
+      startWeeklyDigestJob();
+      loadRunningExperiments();
+    }
+
     app.listen(config.server.port, () => {
       logger.info({ port: config.server.port, env: config.server.env }, 'Server started');
       console.log(`
@@ -99,6 +110,7 @@ const startServer = async () => {
 ║   GET  /api/recommendations/elections                 ║
 ║   GET  /api/recommendations/similar/:id               ║
 ║   GET  /api/recommendations/trending                  ║
+║   GET  /api/recommendations/home                      ║
 ║   POST /api/events/vote                               ║
 ║   POST /api/sync/full                                 ║
 ╚═══════════════════════════════════════════════════════╝
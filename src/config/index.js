@@ -48,6 +48,9 @@ const config = {
       elections: process.env.SHAPED_DATASET_ELECTIONS || 'vottery_elections',
       events: process.env.SHAPED_DATASET_EVENTS || 'vottery_events',
     },
+
+    // Candidates retrieved per requested result when a filter runs after retrieval
+    retrievalMultiplier: parseInt(process.env.SHAPED_RETRIEVAL_MULTIPLIER) || 5,
   },
 
   sync: {
@@ -55,6 +58,206 @@ const config = {
     intervalMinutes: parseInt(process.env.SYNC_INTERVAL_MINUTES) || 15,
   },
 
+  feeds: {
+    snapshotSize: parseInt(process.env.FEED_SNAPSHOT_SIZE) || 100,
+    snapshotTtlMinutes: parseInt(process.env.FEED_SNAPSHOT_TTL_MINUTES) || 15,
+  },
+
+  // Default re-ranking per feed; overridable with ?diversity=&maxPerCategory=&maxPerCreator=
+  diversity: {
+    forYou: { diversity: 0.3, maxPerCategory: null, maxPerCreator: 3 },
+    trending: { diversity: 0.3, maxPerCategory: null, maxPerCreator: 2 },
+    popular: { diversity: 0.2, maxPerCategory: null, maxPerCreator: 3 },
+    lotterized: { diversity: 0.2, maxPerCategory: null, maxPerCreator: 3 },
+    byCategory: { diversity: 0.3, maxPerCategory: null, maxPerCreator: 2 },
+    endingSoon: { diversity: 0.2, maxPerCategory: null, maxPerCreator: 3 },
+    upcoming: { diversity: 0.3, maxPerCategory: null, maxPerCreator: 2 },
+  },
+
+  // Home feed blend: ratios share the free slots, everyNth pins a strategy to every Nth position
+  homeFeed: {
+    ratios: { personalized: 0.5, trending: 0.25, popular: 0.1, ending_soon: 0.15 },
+    everyNth: { lotterized: 5 },
+  },
+
+  // Demographic cohorts for users with no votes
+  coldStart: {
+    lookbackDays: parseInt(process.env.COLD_START_LOOKBACK_DAYS) || 90,
+    minCohortVoters: parseInt(process.env.COLD_START_MIN_COHORT_VOTERS) || 5,
+  },
+
+  eligibility: {
+    minVotingAge: parseInt(process.env.MIN_VOTING_AGE) || 18,
+  },
+
+  // Local copy of tracked events, used for history-based features
+  eventLog: {
+    retentionDays: parseInt(process.env.EVENT_LOG_RETENTION_DAYS) || 90,
+  },
+
+  // Trending from interaction velocity (votes, views, shares per hour) against each election's baseline
+  trendingVelocity: {
+    cacheMinutes: parseInt(process.env.TRENDING_CACHE_MINUTES) || 5,
+    // Longest ?timeWindow= accepted; longer windows are clamped
+    maxWindowDays: parseInt(process.env.TRENDING_MAX_WINDOW_DAYS) || 30,
+    halfLifeHours: 24,
+    baselineDays: 28,
+    weights: { vote: 1, share: 0.8, view: 0.2 },
+    // Weighted interactions per hour assumed when an election has no baseline yet
+    baselinePrior: 0.01,
+    maxLift: 10,
+    // Recent interactions a country or region needs before trending is scoped to it
+    minGeographyInteractions: parseInt(process.env.TRENDING_MIN_GEOGRAPHY_INTERACTIONS) || 30,
+  },
+
+  // Local item-to-item model from co-voters, used by the fallbacks while Shaped is down
+  coVote: {
+    rebuildCron: process.env.CO_VOTE_REBUILD_CRON || '0 */6 * * *',
+    lookbackDays: parseInt(process.env.CO_VOTE_LOOKBACK_DAYS) || 180,
+    maxVotesPerUser: 200,
+    minCoVoters: 2,
+    neighborsPerElection: 50,
+  },
+
+  // TF-IDF index over election text, for content-based similar elections
+  contentIndex: {
+    rebuildMinutes: parseInt(process.env.CONTENT_INDEX_REBUILD_MINUTES) || 60,
+    titleWeight: 2,
+    minScore: 0.05,
+  },
+
+  // In-process catalog of open elections, queried by the trending/popular/lottery/category feeds
+  catalog: {
+    refreshCron: process.env.CATALOG_REFRESH_CRON || '*/10 * * * *',
+    staleAfterMinutes: parseInt(process.env.CATALOG_STALE_AFTER_MINUTES) || 30,
+  },
+
+  // Scoring users who are likely to vote in an election (creator audience tools)
+  audienceMatching: {
+    lookbackDays: 365,
+    // Category votes at which category affinity reaches 0.5
+    categorySaturation: 2,
+    // Category affinity of a user who picked the category at onboarding but hasn't voted in it
+    interestAffinity: 0.5,
+    // Below this many voters, demographic fit is measured against the category's voters
+    minReferenceVoters: 5,
+    weights: { category: 0.45, coVote: 0.35, demographic: 0.2 },
+    minScore: 0.1,
+    maxLimit: 100,
+  },
+
+  // Reach estimates for draft elections; smaller counts are withheld
+  audienceEstimate: {
+    minGroupSize: parseInt(process.env.AUDIENCE_MIN_GROUP_SIZE) || 10,
+  },
+
+  // Ending-soon feed: urgency (share of the window already gone) blended with the user's affinity
+  endingSoon: {
+    defaultWithinHours: 72,
+    maxWithinHours: 168,
+    weights: { urgency: 0.6, affinity: 0.4 },
+    // Affinity parts: votes in the category relative to the user's top category,
+    // any past vote for the creator, onboarding interests
+    affinity: { category: 0.5, creator: 0.2, interest: 0.3 },
+  },
+
+  // Upcoming feed: affinity blended with how soon voting opens; saved elections are
+  // pinned to the personalized feed for pinHours after they open
+  upcoming: {
+    defaultWithinDays: 30,
+    maxWithinDays: 90,
+    weights: { affinity: 0.7, soon: 0.3 },
+    pinHours: 48,
+  },
+
+  // Hidden/reported elections and muted categories/creators, removed from every feed
+  feedback: {
+    // Default mute length per type, when the request gives no expiresInDays
+    muteDays: { category: 30, creator: 90 },
+    maxMuteDays: 365,
+    // Hidden/reported IDs sent to the engine per query; the rest are removed in JS
+    maxEngineExclusions: 200,
+  },
+
+  // Impression fatigue, from feed_impression events counted per surface (metadata.surface).
+  // Past demoteAfter impressions without a click or vote an election moves down
+  // demotePositions places per impression; at dropAfter it leaves the feed (null: never).
+  fatigue: {
+    surfaces: {
+      home: { demoteAfter: 3, dropAfter: 10 },
+      for_you: { demoteAfter: 3, dropAfter: 10 },
+      trending: { demoteAfter: 4, dropAfter: 12 },
+      popular: { demoteAfter: 4, dropAfter: 12 },
+      lotterized: { demoteAfter: 4, dropAfter: 12 },
+      by_category: { demoteAfter: 5, dropAfter: 15 },
+      // Closing elections stay reachable, only lower
+      ending_soon: { demoteAfter: 5, dropAfter: null },
+      upcoming: { demoteAfter: 5, dropAfter: 15 },
+    },
+    demotePositions: 3,
+    // Impressions older than this are forgotten
+    windowDays: 14,
+    // Changes since the first impression that clear an election's counters
+    resetWhen: { prizePoolIncrease: 0.2, endDateExtendedHours: 24 },
+  },
+
+  // POST /recommendations/batch: per-user feeds streamed as NDJSON
+  batch: {
+    maxUsers: parseInt(process.env.BATCH_MAX_USERS) || 50000,
+    maxLimit: 50,
+    concurrency: parseInt(process.env.BATCH_CONCURRENCY) || 8,
+    maxConcurrency: 32,
+    // Users read per segment query
+    segmentPageSize: 1000,
+    // Distinct engine queries kept for reuse within one batch
+    maxSharedLookups: 200,
+  },
+
+  // Weekly digests written to the notification outbox (src/jobs/weeklyDigest.js)
+  digest: {
+    cron: process.env.DIGEST_CRON || '0 9 * * 1',
+    timezone: process.env.DIGEST_TIMEZONE || 'UTC',
+    // Users with a vote or tracked event this recently get a digest
+    activeWithinDays: parseInt(process.env.DIGEST_ACTIVE_WITHIN_DAYS) || 30,
+    sections: { picks: 5, endingSoon: 3, lottery: 3, results: 5 },
+    pageSize: 200,
+    concurrency: 4,
+    // Interrupted runs are resumed on startup within this many hours, abandoned after
+    resumeWithinHours: 24,
+  },
+
+  // Keyword search: text relevance over title/slug/description, re-ranked by the user's affinity
+  search: {
+    maxQueryLength: 200,
+    maxTerms: 8,
+    fieldWeights: { title: 3, slug: 2, description: 1 },
+    // Credit for the last term matching only the start of a word (search-as-you-type)
+    prefixMatch: 0.5,
+    minPrefixLength: 3,
+    weights: { relevance: 0.7, affinity: 0.3 },
+    // Rows scored per database search, newest first
+    databaseLimit: 500,
+  },
+
+  // Versioned trending/popular formulas; how long an instance keeps a profile before re-reading it
+  scoringProfiles: {
+    cacheSeconds: parseInt(process.env.SCORING_PROFILE_CACHE_SECONDS) || 60,
+  },
+
+  // A/B experiments between feed strategies; starts and stops reach other instances within cacheSeconds
+  experiments: {
+    cacheSeconds: parseInt(process.env.EXPERIMENT_CACHE_SECONDS) || 30,
+  },
+
+  // Thresholds for the "why am I seeing this" reasons
+  explanations: {
+    historyDays: 90,
+    minCategoryVotes: 2,
+    bigPrizeThreshold: parseFloat(process.env.EXPLAIN_BIG_PRIZE_THRESHOLD) || 1000,
+    endingSoonHours: 24,
+    recentDays: 2,
+  },
+
   logging: {
     level: process.env.LOG_LEVEL || 'info',
   },
@@ -0,0 +1,235 @@
+/**
+ * Admin Controller
+ * Manages the scoring profiles behind the trending and popular feeds, and the
+ * experiments that compare feed strategies on live traffic
+ */
+
+import {
+  SCORING_FEEDS,
+  normalizeProfileDefinition,
+  isValidProfileName,
+  resolveScoringProfile,
+  saveScoringProfile,
+  listScoringProfiles,
+} from '../services/shaped/scoringProfiles.js';
+import {
+  EXPERIMENT_STATUS,
+  EXPERIMENT_NOT_FOUND,
+  normalizeExperiment,
+  isValidExperimentName,
+  createExperiment as createFeedExperiment,
+  setExperimentStatus as setFeedExperimentStatus,
+  getExperiment as getFeedExperiment,
+  listExperiments as listFeedExperiments,
+  getExperimentResults as getFeedExperimentResults,
+} from '../services/shaped/experiments.js';
+import logger from '../utils/logger.js';
+
+const invalidFeed = (res) =>
+  res.status(400).json({ success: false, error: `Invalid feed. Valid feeds: ${SCORING_FEEDS.join(', ')}` });
+
+/**
+ * GET /api/admin/scoring-profiles?feed=trending
+ * List every profile version, newest first
+ */
+export const listProfiles = async (req, res) => {
+  try {
+    const feed = req.query.feed || null;
+
+    if (feed && !SCORING_FEEDS.includes(feed)) return invalidFeed(res);
+
+    const profiles = await listScoringProfiles(feed);
+
+    res.json({ success: true, data: profiles });
+  } catch (error) {
+    logger.error({ error: error.message }, 'Controller error: listProfiles');
+    res.status(500).json({ success: false, error: 'Failed to list scoring profiles' });
+  }
+};
+
+/**
+ * GET /api/admin/scoring-profiles/:feed/:name?version=2
+ * Get the latest (or a given) version of a profile
+ */
+export const getProfile = async (req, res) => {
+  try {
+    const { feed, name } = req.params;
+    const version = req.query.version ? parseInt(req.query.version) : null;
+
+    if (!SCORING_FEEDS.includes(feed)) return invalidFeed(res);
+
+    const profile = await resolveScoringProfile(feed, version ? `${name}@${version}` : name);
+    if (!profile) {
+      return res.status(404).json({ success: false, error: 'Scoring profile not found' });
+    }
+
+    res.json({ success: true, data: profile });
+  } catch (error) {
+    logger.error({ error: error.message }, 'Controller error: getProfile');
+    res.status(500).json({ success: false, error: 'Failed to get scoring profile' });
+  }
+};
+
+/**
+ * POST /api/admin/scoring-profiles/:feed/:name
+ * Save a new version of a profile; feeds use it from the next request
+ * Body: { factors: { votes: { metric: "vote_count", weight: 2, cap: 20 } }, rankBy?, description?, createdBy? }
+ */
+export const saveProfile = async (req, res) => {
+  try {
+    const { feed, name } = req.params;
+    const body = req.body || {};
+
+    if (!SCORING_FEEDS.includes(feed)) return invalidFeed(res);
+
+    if (!isValidProfileName(name)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Profile name must be 1-40 lowercase letters, digits, "-" or "_"',
+      });
+    }
+
+    const { definition, error } = normalizeProfileDefinition(feed, body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    logger.info({ feed, name, factors: Object.keys(definition.factors) }, 'API: saveProfile');
+
+    const profile = await saveScoringProfile(feed, name, {
+      definition,
+      description: typeof body.description === 'string' ? body.description.slice(0, 500) : null,
+      createdBy: body.createdBy ? String(body.createdBy) : null,
+    });
+
+    res.status(201).json({ success: true, data: profile });
+  } catch (error) {
+    // Two saves of the same profile raced for the same version number
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, error: 'Profile was saved concurrently, retry' });
+    }
+    logger.error({ error: error.message }, 'Controller error: saveProfile');
+    res.status(500).json({ success: false, error: 'Failed to save scoring profile' });
+  }
+};
+
+/**
+ * GET /api/admin/experiments
+ * List every experiment, newest first
+ */
+export const listExperiments = async (req, res) => {
+  try {
+    const experiments = await listFeedExperiments();
+
+    res.json({ success: true, data: experiments });
+  } catch (error) {
+    logger.error({ error: error.message }, 'Controller error: listExperiments');
+    res.status(500).json({ success: false, error: 'Failed to list experiments' });
+  }
+};
+
+/**
+ * GET /api/admin/experiments/:name
+ */
+export const getExperiment = async (req, res) => {
+  try {
+    const experiment = await getFeedExperiment(req.params.name);
+    if (!experiment) {
+      return res.status(404).json({ success: false, error: 'Experiment not found' });
+    }
+
+    res.json({ success: true, data: experiment });
+  } catch (error) {
+    logger.error({ error: error.message }, 'Controller error: getExperiment');
+    res.status(500).json({ success: false, error: 'Failed to get experiment' });
+  }
+};
+
+/**
+ * POST /api/admin/experiments/:name
+ * Create an experiment as a draft; it assigns users once started
+ * Body: { feed: "for_you", variants: [{ name: "rank", weight: 50, strategy: "rank" }, { name: "query", weight: 50, strategy: "query" }] }
+ */
+export const createExperiment = async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (!isValidExperimentName(name)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Experiment name must be 1-40 lowercase letters, digits, "-" or "_"',
+      });
+    }
+
+    const { experiment: definition, error: invalid } = await normalizeExperiment(req.body || {});
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+
+    logger.info({ name, feed: definition.feed, variants: definition.variants.length }, 'API: createExperiment');
+
+    const { experiment, error } = await createFeedExperiment(name, definition);
+    if (error) {
+      return res.status(409).json({ success: false, code: error.code, error: error.message });
+    }
+
+    res.status(201).json({ success: true, data: experiment });
+  } catch (error) {
+    logger.error({ error: error.message }, 'Controller error: createExperiment');
+    res.status(500).json({ success: false, error: 'Failed to create experiment' });
+  }
+};
+
+/**
+ * PUT /api/admin/experiments/:name/status
+ * Start a draft experiment or stop one; stopped experiments can't restart
+ * Body: { status: "running" | "stopped" }
+ */
+export const setExperimentStatus = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const status = req.body?.status;
+
+    if (![EXPERIMENT_STATUS.RUNNING, EXPERIMENT_STATUS.STOPPED].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be ${EXPERIMENT_STATUS.RUNNING} or ${EXPERIMENT_STATUS.STOPPED}`,
+      });
+    }
+
+    logger.info({ name, status }, 'API: setExperimentStatus');
+
+    const { experiment, error } = await setFeedExperimentStatus(name, status);
+    if (error) {
+      return res.status(error.code === EXPERIMENT_NOT_FOUND ? 404 : 409).json({ success: false, code: error.code, error: error.message });
+    }
+
+    res.json({ success: true, data: experiment });
+  } catch (error) {
+    logger.error({ error: error.message }, 'Controller error: setExperimentStatus');
+    res.status(500).json({ success: false, error: 'Failed to update experiment' });
+  }
+};
+
+/**
+ * GET /api/admin/experiments/:name/results
+ * Per-variant users, impressions, clicks and votes, with rates and lift over the first variant
+ */
+export const getExperimentResults = async (req, res) => {
+  try {
+    const results = await getFeedExperimentResults(req.params.name);
+    if (!results) {
+      return res.status(404).json({ success: false, error: 'Experiment not found' });
+    }
+
+    res.json({ success: true, data: results });
+  } catch (error) {
+    logger.error({ error: error.message }, 'Controller error: getExperimentResults');
+    res.status(500).json({ success: false, error: 'Failed to get experiment results' });
+  }
+};
+
+export default {
+  listProfiles, getProfile, saveProfile,
+  listExperiments, getExperiment, createExperiment, setExperimentStatus, getExperimentResults,
+};
@@ -74,6 +74,29 @@ export const trackShare = async (req, res) => {
   }
 };
 
+/**
+ * A click on a search result, attributed to the search by the search_id
+ * and position it was returned with
+ */
+export const trackSearchClick = async (req, res) => {
+  try {
+    const { userId, electionId, searchId, query, position } = req.body;
+
+    if (!userId || !electionId || !searchId) {
+      return res.status(400).json({ success: false, error: 'userId, electionId and searchId are required' });
+    }
+    if (position !== undefined && (!Number.isInteger(position) || position < 1)) {
+      return res.status(400).json({ success: false, error: 'position must be a positive integer' });
+    }
+
+    const result = await shaped.trackSearchClick(userId, electionId, { search_id: searchId, query, position });
+    res.json(result);
+  } catch (error) {
+    logger.error({ error: error.message }, 'Controller error: trackSearchClick');
+    res.status(500).json({ success: false, error: 'Failed to track search click' });
+  }
+};
+
 export const trackLotteryWin = async (req, res) => {
   try {
     const { userId, electionId, prizeAmount, rank } = req.body;
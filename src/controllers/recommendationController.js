@@ -4,23 +4,71 @@
  */
 
 import * as recommendations from '../services/shaped/recommendations.js';
+import { INVALID_CURSOR } from '../services/shaped/feedCursor.js';
+import { parseStrategyWeights } from '../services/shaped/feedBlender.js';
+import { UNKNOWN_PROFILE } from '../services/shaped/scoringProfiles.js';
+import { ELECTION_NOT_FOUND } from '../services/shaped/audienceMatching.js';
+import { REGIONS, normalizeAudienceFilters } from '../services/shaped/audienceSql.js';
+import { normalizeDraftElection, estimateAudience as estimateDraftAudience } from '../services/shaped/audienceEstimate.js';
+import { parseSearchQuery } from '../services/shaped/electionSearch.js';
+import { normalizeBatchRequest, runBatch } from '../services/shaped/batchRecommendations.js';
+import { clampWindowDays } from '../services/shaped/trendingVelocity.js';
+import config from '../config/index.js';
 import logger from '../utils/logger.js';
 
+/**
+ * Resolve the requesting user from query params, x-user-id header or auth
+ */
+const getRequestUserId = (req) => req.query.userId || req.headers['x-user-id'] || req.user?.id || null;
+
+// ?includeVoted=true keeps elections the user already voted in ("your history" surfaces)
+const getIncludeVoted = (req) => req.query.includeVoted === 'true';
+
+// ?debug=true adds the raw per-factor scores behind each item's reasons
+const getDebug = (req) => req.query.debug === 'true';
+
+/**
+ * Diversity re-ranking overrides: ?diversity=0..1&maxPerCategory=&maxPerCreator=
+ * Absent parameters fall back to the feed's defaults
+ */
+const getRerankOptions = (req) => ({
+  diversity: req.query.diversity,
+  maxPerCategory: req.query.maxPerCategory,
+  maxPerCreator: req.query.maxPerCreator,
+});
+
+// ?profile=name or name@version picks the trending/popular scoring profile
+const getProfile = (req) => req.query.profile || null;
+
+/**
+ * Send a paginated feed result, rejecting unknown or expired cursors and unknown profiles
+ */
+const sendFeed = (res, result) => {
+  if (result.code === INVALID_CURSOR || result.code === UNKNOWN_PROFILE) {
+    return res.status(400).json(result);
+  }
+  return res.json(result);
+};
+
 /**
  * GET /api/recommendations/elections
  * Get personalized election recommendations for a user
  */
 export const getElectionsForYou = async (req, res) => {
   try {
-    const userId = req.query.userId || req.user?.id || 'anonymous';
+    const userId = getRequestUserId(req) || 'anonymous';
     const limit = parseInt(req.query.limit) || 10;
     const offset = parseInt(req.query.offset) || 0;
+    const includeVoted = getIncludeVoted(req);
+    const cursor = req.query.cursor || null;
 
-    logger.info({ userId, limit, offset }, 'API: getElectionsForYou');
+    logger.info({ userId, limit, offset, includeVoted, hasCursor: Boolean(cursor) }, 'API: getElectionsForYou');
 
-    const result = await recommendations.getElectionsForYou(userId, { limit, offset });
+    const result = await recommendations.getElectionsForYou(userId, {
+      limit, offset, includeVoted, cursor, rerank: getRerankOptions(req), debug: getDebug(req),
+    });
 
-    res.json(result);
+    sendFeed(res, result);
   } catch (error) {
     logger.error({ error: error.message }, 'Controller error: getElectionsForYou');
     res.status(500).json({ success: false, error: 'Failed to get recommendations' });
@@ -35,14 +83,23 @@ export const getSimilarElections = async (req, res) => {
   try {
     const { electionId } = req.params;
     const limit = parseInt(req.query.limit) || 5;
+    const userId = getRequestUserId(req);
+    const strategy = req.query.strategy || 'engine';
 
     if (!electionId) {
       return res.status(400).json({ success: false, error: 'electionId is required' });
     }
 
-    logger.info({ electionId, limit }, 'API: getSimilarElections');
+    if (!recommendations.SIMILAR_STRATEGIES.includes(strategy)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid strategy. Valid strategies: ${recommendations.SIMILAR_STRATEGIES.join(', ')}`,
+      });
+    }
+
+    logger.info({ electionId, limit, strategy }, 'API: getSimilarElections');
 
-    const result = await recommendations.getSimilarElections(electionId, { limit });
+    const result = await recommendations.getSimilarElections(electionId, { limit, userId, strategy, debug: getDebug(req) });
 
     res.json(result);
   } catch (error) {
@@ -53,18 +110,31 @@ export const getSimilarElections = async (req, res) => {
 
 /**
  * GET /api/recommendations/trending
- * Get trending elections
+ * Get trending elections, from interactions in ?country= or ?region= (default: the user's region)
  */
 export const getTrendingElections = async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 10;
-    const timeWindow = parseInt(req.query.timeWindow) || 7;
+    const timeWindow = clampWindowDays(req.query.timeWindow);
+    const userId = getRequestUserId(req);
+    const country = req.query.country ? String(req.query.country).toUpperCase() : null;
+    const region = req.query.region !== undefined ? Number(req.query.region) : null;
 
-    logger.info({ limit, timeWindow }, 'API: getTrendingElections');
+    if (country && !/^[A-Z]{2}$/.test(country)) {
+      return res.status(400).json({ success: false, error: 'country must be an ISO 3166-1 alpha-2 code' });
+    }
+    if (region !== null && !REGIONS.includes(region)) {
+      return res.status(400).json({ success: false, error: `region must be one of ${REGIONS.join(', ')}` });
+    }
 
-    const result = await recommendations.getTrendingElections({ limit, timeWindow });
+    logger.info({ limit, timeWindow, userId, country, region }, 'API: getTrendingElections');
 
-    res.json(result);
+    const result = await recommendations.getTrendingElections({
+      limit, timeWindow, userId, includeVoted: getIncludeVoted(req), cursor: req.query.cursor || null,
+      rerank: getRerankOptions(req), debug: getDebug(req), profile: getProfile(req), country, region,
+    });
+
+    sendFeed(res, result);
   } catch (error) {
     logger.error({ error: error.message }, 'Controller error: getTrendingElections');
     res.status(500).json({ success: false, error: 'Failed to get trending elections' });
@@ -78,12 +148,16 @@ export const getTrendingElections = async (req, res) => {
 export const getPopularElections = async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 10;
+    const userId = getRequestUserId(req);
 
-    logger.info({ limit }, 'API: getPopularElections');
+    logger.info({ limit, userId }, 'API: getPopularElections');
 
-    const result = await recommendations.getPopularElections({ limit });
+    const result = await recommendations.getPopularElections({
+      limit, userId, includeVoted: getIncludeVoted(req), cursor: req.query.cursor || null,
+      rerank: getRerankOptions(req), debug: getDebug(req), profile: getProfile(req),
+    });
 
-    res.json(result);
+    sendFeed(res, result);
   } catch (error) {
     logger.error({ error: error.message }, 'Controller error: getPopularElections');
     res.status(500).json({ success: false, error: 'Failed to get popular elections' });
@@ -98,12 +172,16 @@ export const getLotterizedPicks = async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 10;
     const minPrize = parseFloat(req.query.minPrize) || 0;
+    const userId = getRequestUserId(req);
 
-    logger.info({ limit, minPrize }, 'API: getLotterizedPicks');
+    logger.info({ limit, minPrize, userId }, 'API: getLotterizedPicks');
 
-    const result = await recommendations.getLotterizedPicks({ limit, minPrize });
+    const result = await recommendations.getLotterizedPicks({
+      limit, minPrize, userId, includeVoted: getIncludeVoted(req), cursor: req.query.cursor || null,
+      rerank: getRerankOptions(req), debug: getDebug(req),
+    });
 
-    res.json(result);
+    sendFeed(res, result);
   } catch (error) {
     logger.error({ error: error.message }, 'Controller error: getLotterizedPicks');
     res.status(500).json({ success: false, error: 'Failed to get lotterized elections' });
@@ -118,25 +196,201 @@ export const getElectionsByCategory = async (req, res) => {
   try {
     const categoryId = parseInt(req.query.categoryId);
     const limit = parseInt(req.query.limit) || 10;
+    const userId = getRequestUserId(req);
 
     if (!categoryId) {
       return res.status(400).json({ success: false, error: 'categoryId is required' });
     }
 
-    logger.info({ categoryId, limit }, 'API: getElectionsByCategory');
+    logger.info({ categoryId, limit, userId }, 'API: getElectionsByCategory');
 
-    const result = await recommendations.getElectionsByCategory(categoryId, { limit });
+    const result = await recommendations.getElectionsByCategory(categoryId, {
+      limit, userId, includeVoted: getIncludeVoted(req), cursor: req.query.cursor || null,
+      rerank: getRerankOptions(req), debug: getDebug(req),
+    });
 
-    res.json(result);
+    sendFeed(res, result);
   } catch (error) {
     logger.error({ error: error.message }, 'Controller error: getElectionsByCategory');
     res.status(500).json({ success: false, error: 'Failed to get elections by category' });
   }
 };
 
+/**
+ * GET /api/recommendations/ending-soon
+ * Get elections closing within ?withinHours=, by urgency and the user's affinity
+ */
+export const getEndingSoonElections = async (req, res) => {
+  try {
+    const { defaultWithinHours, maxWithinHours } = config.endingSoon;
+    const withinHours = req.query.withinHours === undefined ? defaultWithinHours : Number(req.query.withinHours);
+    const limit = parseInt(req.query.limit) || 10;
+    const userId = getRequestUserId(req);
+
+    if (!Number.isFinite(withinHours) || withinHours <= 0 || withinHours > maxWithinHours) {
+      return res.status(400).json({ success: false, error: `withinHours must be between 0 and ${maxWithinHours}` });
+    }
+
+    logger.info({ withinHours, limit, userId }, 'API: getEndingSoonElections');
+
+    const result = await recommendations.getEndingSoonElections({
+      withinHours, limit, userId, includeVoted: getIncludeVoted(req), cursor: req.query.cursor || null,
+      rerank: getRerankOptions(req), debug: getDebug(req),
+    });
+
+    sendFeed(res, result);
+  } catch (error) {
+    logger.error({ error: error.message }, 'Controller error: getEndingSoonElections');
+    res.status(500).json({ success: false, error: 'Failed to get ending soon elections' });
+  }
+};
+
+/**
+ * GET /api/recommendations/upcoming
+ * Get elections opening within ?withinDays=, ranked for the user, with their exact opening time
+ */
+export const getUpcomingElections = async (req, res) => {
+  try {
+    const { defaultWithinDays, maxWithinDays } = config.upcoming;
+    const withinDays = req.query.withinDays === undefined ? defaultWithinDays : Number(req.query.withinDays);
+    const limit = parseInt(req.query.limit) || 10;
+    const userId = getRequestUserId(req);
+
+    if (!Number.isFinite(withinDays) || withinDays <= 0 || withinDays > maxWithinDays) {
+      return res.status(400).json({ success: false, error: `withinDays must be between 0 and ${maxWithinDays}` });
+    }
+
+    logger.info({ withinDays, limit, userId }, 'API: getUpcomingElections');
+
+    const result = await recommendations.getUpcomingElections({
+      withinDays, limit, userId, includeVoted: getIncludeVoted(req), cursor: req.query.cursor || null,
+      rerank: getRerankOptions(req), debug: getDebug(req),
+    });
+
+    sendFeed(res, result);
+  } catch (error) {
+    logger.error({ error: error.message }, 'Controller error: getUpcomingElections');
+    res.status(500).json({ success: false, error: 'Failed to get upcoming elections' });
+  }
+};
+
+/**
+ * GET /api/recommendations/search?q=
+ * Keyword search over election title, description and slug, re-ranked for the user
+ * Filters: ?categoryId=2&lottery=true&active=false (active=false includes ended elections)
+ */
+export const searchElections = async (req, res) => {
+  try {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const limit = parseInt(req.query.limit) || 10;
+    const userId = getRequestUserId(req);
+
+    if (!query) {
+      return res.status(400).json({ success: false, error: 'q is required' });
+    }
+    if (query.length > config.search.maxQueryLength) {
+      return res.status(400).json({ success: false, error: `q must be at most ${config.search.maxQueryLength} characters` });
+    }
+
+    let categoryId = null;
+    if (req.query.categoryId !== undefined) {
+      categoryId = Number(req.query.categoryId);
+      if (!Number.isInteger(categoryId) || categoryId <= 0) {
+        return res.status(400).json({ success: false, error: 'categoryId must be a positive integer' });
+      }
+    }
+
+    const filters = {
+      activeOnly: req.query.active !== 'false',
+      categoryId,
+      lotteryOnly: req.query.lottery === 'true',
+    };
+
+    logger.info({ query, filters, limit, userId }, 'API: searchElections');
+
+    const result = await recommendations.searchElections({
+      query, terms: parseSearchQuery(query), filters, limit, userId, includeVoted: getIncludeVoted(req),
+      cursor: req.query.cursor || null, debug: getDebug(req),
+    });
+
+    sendFeed(res, result);
+  } catch (error) {
+    logger.error({ error: error.message }, 'Controller error: searchElections');
+    res.status(500).json({ success: false, error: 'Failed to search elections' });
+  }
+};
+
+/**
+ * NDJSON writer for a response. Writers wait for the client to catch up
+ * when the socket buffer is full, all on the same drain.
+ */
+const createLineWriter = (res) => {
+  let draining = null;
+
+  const waitForDrain = () => new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      draining = null;
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+
+  return async (line) => {
+    if (draining) await draining;
+    if (!res.write(`${JSON.stringify(line)}\n`)) {
+      draining = draining || waitForDrain();
+      await draining;
+    }
+  };
+};
+
+/**
+ * POST /api/recommendations/batch
+ * Feeds for many users, streamed as NDJSON: one { type: "result", user_id, success, ... }
+ * line per user as it completes, then a { type: "summary" } line.
+ * Body: { userIds: [1, 2] } or { segment: { country: ["US"], ageBand: "25-34", activeWithinDays: 30 } },
+ * plus strategy (default personalized), limit, concurrency
+ */
+export const batchRecommendations = async (req, res) => {
+  const { batch, error } = normalizeBatchRequest(req.body || {});
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  logger.info({ strategy: batch.strategy, limit: batch.limit, users: batch.userIds?.length, segment: batch.segment }, 'API: batchRecommendations');
+
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  res.status(200);
+  res.setHeader('Content-Type', 'application/x-ndjson');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.flushHeaders();
+  const writeLine = createLineWriter(res);
+
+  try {
+    const summary = await runBatch(batch, line => (closed ? undefined : writeLine({ type: 'result', ...line })), {
+      isCancelled: () => closed,
+    });
+    if (!closed) await writeLine({ type: 'summary', success: true, strategy: batch.strategy, ...summary });
+  } catch (error) {
+    // Headers are already sent: report on the stream itself
+    logger.error({ error: error.message }, 'Controller error: batchRecommendations');
+    if (!closed) await writeLine({ type: 'summary', success: false, error: 'Batch recommendations failed' });
+  }
+
+  res.end();
+};
+
 /**
  * GET /api/recommendations/audience/:electionId
  * Get target audience for an election
+ * Filters: ?country=US,GB&ageBand=18-24,25-34&region=1
  */
 export const getAudienceForElection = async (req, res) => {
   try {
@@ -147,9 +401,18 @@ export const getAudienceForElection = async (req, res) => {
       return res.status(400).json({ success: false, error: 'electionId is required' });
     }
 
-    logger.info({ electionId, limit }, 'API: getAudienceForElection');
+    const { filters, error } = normalizeAudienceFilters(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    logger.info({ electionId, limit, filters }, 'API: getAudienceForElection');
 
-    const result = await recommendations.getAudienceForElection(electionId, { limit });
+    const result = await recommendations.getAudienceForElection(electionId, { limit, filters });
+
+    if (result.code === ELECTION_NOT_FOUND) {
+      return res.status(404).json(result);
+    }
 
     res.json(result);
   } catch (error) {
@@ -158,6 +421,67 @@ export const getAudienceForElection = async (req, res) => {
   }
 };
 
+/**
+ * POST /api/recommendations/audience/estimate
+ * Estimate how many users a draft election could reach
+ * Body: { categoryId: 2, allowedCountries: ["US", "CA"], permissionType: "public", biometricRequired: false, participationFee: 0 }
+ */
+export const estimateAudience = async (req, res) => {
+  try {
+    const { draft, error } = normalizeDraftElection(req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    logger.info({ draft }, 'API: estimateAudience');
+
+    const estimate = await estimateDraftAudience(draft);
+
+    res.json({ success: true, data: estimate });
+  } catch (error) {
+    logger.error({ error: error.message }, 'Controller error: estimateAudience');
+    res.status(500).json({ success: false, error: 'Failed to estimate audience' });
+  }
+};
+
+/**
+ * GET /api/recommendations/home
+ * Get the blended home feed (personalized, trending, popular, lotterized, ending soon)
+ */
+export const getHomeFeed = async (req, res) => {
+  try {
+    const userId = getRequestUserId(req) || 'anonymous';
+    const limit = parseInt(req.query.limit) || 20;
+    const ratios = parseStrategyWeights(req.query.ratios);
+    const everyNth = parseStrategyWeights(req.query.everyNth);
+
+    const unknown = [...Object.keys(ratios || {}), ...Object.keys(everyNth || {})]
+      .filter(name => !recommendations.HOME_FEED_STRATEGIES.includes(name));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown strategies: ${unknown.join(', ')}. Valid strategies: ${recommendations.HOME_FEED_STRATEGIES.join(', ')}`,
+      });
+    }
+
+    logger.info({ userId, limit, ratios, everyNth }, 'API: getHomeFeed');
+
+    const result = await recommendations.getHomeFeed(userId, {
+      limit,
+      includeVoted: getIncludeVoted(req),
+      cursor: req.query.cursor || null,
+      debug: getDebug(req),
+      ...(ratios ? { ratios } : {}),
+      ...(everyNth ? { everyNth } : {}),
+    });
+
+    sendFeed(res, result);
+  } catch (error) {
+    logger.error({ error: error.message }, 'Controller error: getHomeFeed');
+    res.status(500).json({ success: false, error: 'Failed to get home feed' });
+  }
+};
+
 /**
  * GET /api/recommendations/health
  * Check recommendation engine health
@@ -181,7 +505,13 @@ export default {
   getPopularElections,
   getLotterizedPicks,
   getElectionsByCategory,
+  getEndingSoonElections,
+  getUpcomingElections,
+  searchElections,
+  batchRecommendations,
   getAudienceForElection,
+  estimateAudience,
+  getHomeFeed,
   checkHealth,
 };
 // /**
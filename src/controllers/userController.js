@@ -0,0 +1,277 @@
+/**
+ * User Controller
+ * Handles onboarding interests that seed recommendations before the first vote,
+ * the elections a user saved to vote in once they open, weekly digest opt-outs,
+ * and the negative feedback (hidden/reported elections, muted categories and
+ * creators) kept out of their feeds
+ */
+
+import { normalizeInterests, getUserInterests, setUserInterests } from '../services/shaped/userInterests.js';
+import {
+  getSavedElections as listSavedElections,
+  saveElection as saveUserElection,
+  unsaveElection as unsaveUserElection,
+} from '../services/shaped/savedElections.js';
+import { getDigestOptOut, setDigestOptOut } from '../services/shaped/weeklyDigest.js';
+import { normalizeMute, recordFeedback, listFeedback, removeFeedback } from '../services/shaped/negativeFeedback.js';
+import logger from '../utils/logger.js';
+
+/**
+ * GET /api/users/:userId/interests
+ * Get the categories and topics a user picked
+ */
+export const getInterests = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!/^\d+$/.test(String(userId))) {
+      return res.status(400).json({ success: false, error: 'userId must be numeric' });
+    }
+
+    const interests = await getUserInterests(userId);
+
+    res.json({
+      success: true,
+      data: interests || { userId: String(userId), categoryIds: [], topics: [] },
+    });
+  } catch (error) {
+    logger.error({ error: error.message }, 'Controller error: getInterests');
+    res.status(500).json({ success: false, error: 'Failed to get interests' });
+  }
+};
+
+/**
+ * POST /api/users/:userId/interests (also PUT)
+ * Save a user's interests, replacing what was stored
+ * Body: { categoryIds: [2, 5], topics: ["climate", "sports"] }
+ */
+export const setInterests = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!/^\d+$/.test(String(userId))) {
+      return res.status(400).json({ success: false, error: 'userId must be numeric' });
+    }
+
+    const { interests, error } = normalizeInterests(req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    logger.info({ userId, categories: interests.categoryIds.length, topics: interests.topics.length }, 'API: setInterests');
+
+    const result = await setUserInterests(userId, interests);
+
+    res.json({ success: true, data: result.interests, addedInterests: result.addedInterests });
+  } catch (error) {
+    logger.error({ error: error.message }, 'Controller error: setInterests');
+    res.status(500).json({ success: false, error: 'Failed to save interests' });
+  }
+};
+
+/**
+ * GET /api/users/:userId/saved-elections
+ * List the elections a user saved that haven't ended, with their state and opening time
+ */
+export const getSavedElections = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!/^\d+$/.test(String(userId))) {
+      return res.status(400).json({ success: false, error: 'userId must be numeric' });
+    }
+
+    const saved = await listSavedElections(userId);
+
+    res.json({ success: true, data: saved });
+  } catch (error) {
+    logger.error({ error: error.message }, 'Controller error: getSavedElections');
+    res.status(500).json({ success: false, error: 'Failed to get saved elections' });
+  }
+};
+
+/**
+ * POST /api/users/:userId/saved-elections
+ * Save an upcoming (or open) election; it is pinned to the user's feed once it opens
+ * Body: { electionId: 41 }
+ */
+export const saveElection = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const electionId = req.body?.electionId;
+
+    if (!/^\d+$/.test(String(userId))) {
+      return res.status(400).json({ success: false, error: 'userId must be numeric' });
+    }
+    if (!/^\d+$/.test(String(electionId ?? ''))) {
+      return res.status(400).json({ success: false, error: 'electionId is required' });
+    }
+
+    logger.info({ userId, electionId }, 'API: saveElection');
+
+    const { saved, error } = await saveUserElection(userId, electionId);
+    if (error) {
+      return res.status(404).json({ success: false, code: error.code, error: error.message });
+    }
+
+    res.json({ success: true, data: saved });
+  } catch (error) {
+    logger.error({ error: error.message }, 'Controller error: saveElection');
+    res.status(500).json({ success: false, error: 'Failed to save election' });
+  }
+};
+
+/**
+ * DELETE /api/users/:userId/saved-elections/:electionId
+ * Remove a saved election
+ */
+export const unsaveElection = async (req, res) => {
+  try {
+    const { userId, electionId } = req.params;
+
+    if (!/^\d+$/.test(String(userId))) {
+      return res.status(400).json({ success: false, error: 'userId must be numeric' });
+    }
+
+    const removed = await unsaveUserElection(userId, electionId);
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Election is not saved' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error({ error: error.message }, 'Controller error: unsaveElection');
+    res.status(500).json({ success: false, error: 'Failed to remove saved election' });
+  }
+};
+
+/**
+ * GET /api/users/:userId/digest
+ * Whether the user receives the weekly digest
+ */
+export const getDigestPreference = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!/^\d+$/.test(String(userId))) {
+      return res.status(400).json({ success: false, error: 'userId must be numeric' });
+    }
+
+    const optedOut = await getDigestOptOut(userId);
+
+    res.json({ success: true, data: { userId: String(userId), optedOut } });
+  } catch (error) {
+    logger.error({ error: error.message }, 'Controller error: getDigestPreference');
+    res.status(500).json({ success: false, error: 'Failed to get digest preference' });
+  }
+};
+
+/**
+ * PUT /api/users/:userId/digest
+ * Opt out of the weekly digest, or back in
+ * Body: { optedOut: true }
+ */
+export const setDigestPreference = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const optedOut = req.body?.optedOut;
+
+    if (!/^\d+$/.test(String(userId))) {
+      return res.status(400).json({ success: false, error: 'userId must be numeric' });
+    }
+    if (typeof optedOut !== 'boolean') {
+      return res.status(400).json({ success: false, error: 'optedOut must be true or false' });
+    }
+
+    logger.info({ userId, optedOut }, 'API: setDigestPreference');
+
+    await setDigestOptOut(userId, optedOut);
+
+    res.json({ success: true, data: { userId: String(userId), optedOut } });
+  } catch (error) {
+    logger.error({ error: error.message }, 'Controller error: setDigestPreference');
+    res.status(500).json({ success: false, error: 'Failed to save digest preference' });
+  }
+};
+
+/**
+ * GET /api/users/:userId/feedback
+ * List the user's hidden and reported elections and unexpired mutes
+ */
+export const getFeedback = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!/^\d+$/.test(String(userId))) {
+      return res.status(400).json({ success: false, error: 'userId must be numeric' });
+    }
+
+    const feedback = await listFeedback(userId);
+
+    res.json({ success: true, data: feedback });
+  } catch (error) {
+    logger.error({ error: error.message }, 'Controller error: getFeedback');
+    res.status(500).json({ success: false, error: 'Failed to get feedback' });
+  }
+};
+
+/**
+ * POST /api/users/:userId/feedback
+ * Mute a category ("not interested") or a creator until the mute expires.
+ * Elections are hidden or reported by tracking election_hidden / election_reported.
+ * Body: { type: "category", targetId: 2, expiresInDays: 30 }
+ */
+export const addFeedback = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!/^\d+$/.test(String(userId))) {
+      return res.status(400).json({ success: false, error: 'userId must be numeric' });
+    }
+
+    const { mute, error } = normalizeMute(req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    logger.info({ userId, type: mute.type, targetId: mute.targetId }, 'API: addFeedback');
+
+    const feedback = await recordFeedback(userId, mute);
+
+    res.json({ success: true, data: feedback });
+  } catch (error) {
+    logger.error({ error: error.message }, 'Controller error: addFeedback');
+    res.status(500).json({ success: false, error: 'Failed to save feedback' });
+  }
+};
+
+/**
+ * DELETE /api/users/:userId/feedback/:feedbackId
+ * Undo a hide, report or mute
+ */
+export const deleteFeedback = async (req, res) => {
+  try {
+    const { userId, feedbackId } = req.params;
+
+    if (!/^\d+$/.test(String(userId))) {
+      return res.status(400).json({ success: false, error: 'userId must be numeric' });
+    }
+
+    const removed = await removeFeedback(userId, feedbackId);
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Feedback not found' });
+    }
+
+    logger.info({ userId, feedbackId, type: removed.type }, 'API: deleteFeedback');
+
+    res.json({ success: true, data: removed });
+  } catch (error) {
+    logger.error({ error: error.message }, 'Controller error: deleteFeedback');
+    res.status(500).json({ success: false, error: 'Failed to remove feedback' });
+  }
+};
+
+export default {
+  getInterests, setInterests, getSavedElections, saveElection, unsaveElection, getDigestPreference, setDigestPreference,
+  getFeedback, addFeedback, deleteFeedback,
+};
@@ -0,0 +1,45 @@
+/**
+ * Co-Vote Model Job
+ * Rebuilds the local item-to-item similarity model on a schedule
+ * Run once: node src/jobs/buildCoVoteModel.js
+ */
+
+import 'dotenv/config';
+import { Cron } from 'croner';
+import { buildCoVoteModel } from '../services/shaped/coVoteModel.js';
+import db from '../utils/database.js';
+import logger from '../utils/logger.js';
+import config from '../config/index.js';
+
+export const runCoVoteModelBuild = async () => {
+  try {
+    return await buildCoVoteModel();
+  } catch (error) {
+    logger.error({ error: error.message }, 'Co-vote model job failed');
+    return null;
+  }
+};
+
+/**
+ * Schedule rebuilds and run one straight away, so the fallbacks have a model after a deploy
+ */
+export const startCoVoteModelJob = () => {
+  logger.info({ schedule: config.coVote.rebuildCron }, 'Starting co-vote model job');
+
+  // protect: a slow build is never overlapped by the next tick
+  const job = new Cron(config.coVote.rebuildCron, { protect: true }, runCoVoteModelBuild);
+  runCoVoteModelBuild();
+
+  return job;
+};
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runCoVoteModelBuild()
+    .then(result => {
+      console.log(result ? `Co-vote model built: ${JSON.stringify(result)}` : 'Co-vote model build failed');
+      return db.close();
+    })
+    .then(() => process.exit(0));
+}
+
+export default { runCoVoteModelBuild, startCoVoteModelJob };
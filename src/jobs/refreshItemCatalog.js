@@ -0,0 +1,45 @@
+/**
+ * Item Catalog Job
+ * Reloads the in-process catalog of open elections on a schedule
+ * Run once: node src/jobs/refreshItemCatalog.js
+ */
+
+import 'dotenv/config';
+import { Cron } from 'croner';
+import { refreshItemCatalog } from '../services/shaped/electionSync.js';
+import db from '../utils/database.js';
+import logger from '../utils/logger.js';
+import config from '../config/index.js';
+
+export const runItemCatalogRefresh = async () => {
+  try {
+    return await refreshItemCatalog();
+  } catch (error) {
+    // The previous catalog keeps answering; health reports it as stale
+    logger.error({ error: error.message }, 'Item catalog refresh failed');
+    return null;
+  }
+};
+
+/**
+ * Schedule refreshes and load the catalog straight away
+ */
+export const startItemCatalogJob = () => {
+  logger.info({ schedule: config.catalog.refreshCron }, 'Starting item catalog job');
+
+  const job = new Cron(config.catalog.refreshCron, { protect: true }, runItemCatalogRefresh);
+  runItemCatalogRefresh();
+
+  return job;
+};
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runItemCatalogRefresh()
+    .then(result => {
+      console.log(result ? `Item catalog loaded: ${JSON.stringify(result)}` : 'Item catalog refresh failed');
+      return db.close();
+    })
+    .then(() => process.exit(0));
+}
+
+export default { runItemCatalogRefresh, startItemCatalogJob };
@@ -0,0 +1,56 @@
+/**
+ * Weekly Digest Job
+ * Writes each active user's weekly digest to the notification outbox
+ * Run once: node src/jobs/weeklyDigest.js
+ */
+
+import 'dotenv/config';
+import { Cron } from 'croner';
+import { runWeeklyDigest, resumeInterruptedDigest } from '../services/shaped/weeklyDigest.js';
+import db from '../utils/database.js';
+import logger from '../utils/logger.js';
+import config from '../config/index.js';
+
+export const runDigest = async () => {
+  try {
+    return await runWeeklyDigest();
+  } catch (error) {
+    // The run stays 'running' and is picked up where it stopped
+    logger.error({ error: error.message }, 'Weekly digest job failed');
+    return null;
+  }
+};
+
+const resumeDigest = async () => {
+  try {
+    return await resumeInterruptedDigest();
+  } catch (error) {
+    logger.error({ error: error.message }, 'Resuming weekly digest failed');
+    return null;
+  }
+};
+
+/**
+ * Schedule weekly runs, and finish a run a crash or deploy interrupted
+ */
+export const startWeeklyDigestJob = () => {
+  const { cron, timezone } = config.digest;
+  logger.info({ schedule: cron, timezone }, 'Starting weekly digest job');
+
+  // protect: a long run is never overlapped by the next tick
+  const job = new Cron(cron, { protect: true, timezone }, runDigest);
+  resumeDigest();
+
+  return job;
+};
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runDigest()
+    .then(result => {
+      console.log(result ? `Weekly digest: ${JSON.stringify(result)}` : 'Weekly digest failed');
+      return db.close();
+    })
+    .then(() => process.exit(0));
+}
+
+export default { runDigest, startWeeklyDigestJob };
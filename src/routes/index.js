@@ -6,6 +6,8 @@ import { Router } from 'express';
 import * as recommendationController from '../controllers/recommendationController.js';
 import * as eventController from '../controllers/eventController.js';
 import * as syncController from '../controllers/syncController.js';
+import * as userController from '../controllers/userController.js';
+import * as adminController from '../controllers/adminController.js';
 
 const router = Router();
 
@@ -14,19 +16,19 @@ const router = Router();
 // ============================================
 
 // Get personalized elections for user
-// GET /api/recommendations/elections?userId=123&limit=10&offset=0
+// GET /api/recommendations/elections?userId=123&limit=10&includeVoted=false&cursor=<pagination.nextCursor>
 router.get('/recommendations/elections', recommendationController.getElectionsForYou);
 
 // Get similar elections
-// GET /api/recommendations/similar/41?limit=5
+// GET /api/recommendations/similar/41?limit=5&strategy=content
 router.get('/recommendations/similar/:electionId', recommendationController.getSimilarElections);
 
-// Get trending elections
-// GET /api/recommendations/trending?limit=10&timeWindow=7
+// Get trending elections, scoped to ?country= or ?region= (default: the user's region)
+// GET /api/recommendations/trending?limit=10&timeWindow=7&diversity=0.3&maxPerCreator=2&debug=true&profile=default&country=BR
 router.get('/recommendations/trending', recommendationController.getTrendingElections);
 
 // Get popular elections
-// GET /api/recommendations/popular?limit=10
+// GET /api/recommendations/popular?limit=10&profile=prize-heavy@3
 router.get('/recommendations/popular', recommendationController.getPopularElections);
 
 // Get lotterized elections (with lottery prizes)
@@ -37,10 +39,34 @@ router.get('/recommendations/lotterized', recommendationController.getLotterized
 // GET /api/recommendations/by-category?categoryId=2&limit=10
 router.get('/recommendations/by-category', recommendationController.getElectionsByCategory);
 
+// Get elections closing soon, by time left (in each election's timezone) and the user's affinity
+// GET /api/recommendations/ending-soon?withinHours=24&limit=10
+router.get('/recommendations/ending-soon', recommendationController.getEndingSoonElections);
+
+// Get elections that haven't opened yet, ranked for the user, with their exact opening time
+// GET /api/recommendations/upcoming?withinDays=14&limit=10
+router.get('/recommendations/upcoming', recommendationController.getUpcomingElections);
+
+// Get blended home feed (personalized + trending + popular + lotterized + ending soon)
+// GET /api/recommendations/home?limit=20&ratios=personalized:0.6,trending:0.4&everyNth=lotterized:5
+router.get('/recommendations/home', recommendationController.getHomeFeed);
+
+// Search elections by keyword, re-ranked for the user; send result clicks to /events/search-click
+// GET /api/recommendations/search?q=climate%20policy&categoryId=2&lottery=true&active=false
+router.get('/recommendations/search', recommendationController.searchElections);
+
+// Feeds for many users at once (digests, offline jobs), streamed as NDJSON
+// POST /api/recommendations/batch  { "userIds": [7, 8], "strategy": "personalized", "limit": 5 }
+router.post('/recommendations/batch', recommendationController.batchRecommendations);
+
 // Get target audience for an election
-// GET /api/recommendations/audience/41?limit=10
+// GET /api/recommendations/audience/41?limit=10&country=US,GB&ageBand=25-34&region=1
 router.get('/recommendations/audience/:electionId', recommendationController.getAudienceForElection);
 
+// Estimate the reach of a draft election before publishing
+// POST /api/recommendations/audience/estimate  { "categoryId": 2, "allowedCountries": ["US"], "participationFee": 5 }
+router.post('/recommendations/audience/estimate', recommendationController.estimateAudience);
+
 // Health check for recommendation engine
 // GET /api/recommendations/health
 router.get('/recommendations/health', recommendationController.checkHealth);
@@ -53,12 +79,62 @@ router.post('/events/track', eventController.trackEvent);
 router.post('/events/vote', eventController.trackVote);
 router.post('/events/view', eventController.trackView);
 router.post('/events/share', eventController.trackShare);
+// { "userId": 7, "electionId": 41, "searchId": "<search_id>", "query": "climate", "position": 3 }
+router.post('/events/search-click', eventController.trackSearchClick);
 router.post('/events/lottery-win', eventController.trackLotteryWin);
 router.post('/events/election-created', eventController.trackElectionCreated);
 router.post('/events/batch', eventController.batchTrackEvents);
 router.get('/events/buffer-status', eventController.getBufferStatus);
 router.post('/events/flush', eventController.flushBuffer);
 
+// ============================================
+// USER ROUTES
+// ============================================
+
+// Onboarding interests, used to order recommendations before the first vote
+// POST /api/users/123/interests  { "categoryIds": [2, 5], "topics": ["climate"] }
+router.get('/users/:userId/interests', userController.getInterests);
+router.post('/users/:userId/interests', userController.setInterests);
+router.put('/users/:userId/interests', userController.setInterests);
+
+// Saved elections: pinned to the user's personalized feed once voting opens
+// POST /api/users/123/saved-elections  { "electionId": 41 }
+router.get('/users/:userId/saved-elections', userController.getSavedElections);
+router.post('/users/:userId/saved-elections', userController.saveElection);
+router.delete('/users/:userId/saved-elections/:electionId', userController.unsaveElection);
+
+// Weekly digest opt-out
+// PUT /api/users/123/digest  { "optedOut": true }
+router.get('/users/:userId/digest', userController.getDigestPreference);
+router.put('/users/:userId/digest', userController.setDigestPreference);
+
+// Negative feedback, removed from every feed: hides/reports come from tracked
+// election_hidden / election_reported events, mutes from POST; DELETE undoes either
+// POST /api/users/123/feedback  { "type": "creator", "targetId": 88, "expiresInDays": 90 }
+router.get('/users/:userId/feedback', userController.getFeedback);
+router.post('/users/:userId/feedback', userController.addFeedback);
+router.delete('/users/:userId/feedback/:feedbackId', userController.deleteFeedback);
+
+// ============================================
+// ADMIN ROUTES
+// ============================================
+
+// Scoring profiles for trending/popular; each save creates a new version
+// POST /api/admin/scoring-profiles/trending/default  { "factors": { "votes": { "metric": "vote_count", "weight": 2, "cap": 20 } } }
+router.get('/admin/scoring-profiles', adminController.listProfiles);
+router.get('/admin/scoring-profiles/:feed/:name', adminController.getProfile);
+router.post('/admin/scoring-profiles/:feed/:name', adminController.saveProfile);
+
+// Experiments: users are split between variants by a hash of their ID once an experiment runs;
+// responses list the variants in `experiments` and tracked events in metadata.experiments
+// POST /api/admin/experiments/trending-prize  { "feed": "trending", "variants": [{ "name": "control", "weight": 50, "profile": "default" }, { "name": "prize", "weight": 50, "profile": "prize-heavy" }] }
+// PUT /api/admin/experiments/trending-prize/status  { "status": "running" }
+router.get('/admin/experiments', adminController.listExperiments);
+router.get('/admin/experiments/:name', adminController.getExperiment);
+router.post('/admin/experiments/:name', adminController.createExperiment);
+router.put('/admin/experiments/:name/status', adminController.setExperimentStatus);
+router.get('/admin/experiments/:name/results', adminController.getExperimentResults);
+
 // ============================================
 // SYNC ROUTES
 // ============================================
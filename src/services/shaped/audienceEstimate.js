@@ -0,0 +1,188 @@
+/**
+ * Audience Estimate
+ * How many people a draft election could reach, before it is published
+ * or synced. Counts come from the same user tables userSync reads.
+ *
+ * - eligible: users the draft's country, biometric and age rules let vote
+ * - interested: eligible users with a signal for it: votes in its category
+ *   or the category picked at onboarding (any recent vote when no category
+ *   is given), and for paid drafts, a past vote in a paid election
+ *
+ * Every count below config.audienceEstimate.minGroupSize is suppressed
+ * (returned as null) so small groups can't be singled out. Breakdowns also
+ * suppress their smallest other segments where needed, so the total minus
+ * the visible segments can't give a small group away either.
+ */
+
+import db from '../../utils/database.js';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+import { INVITE_ONLY_PERMISSION_TYPES, parseAllowedCountries } from './eligibility.js';
+import { createParams, audiencePeopleCtes, audienceEligibilitySql } from './audienceSql.js';
+import { ensureInterestsTable } from './userInterests.js';
+
+const BREAKDOWN_DIMENSIONS = ['region', 'age_band', 'gender'];
+
+/**
+ * Validate a draft election's targeting attributes
+ * Body: { categoryId?, allowedCountries?, permissionType?, biometricRequired?, participationFee? }
+ * @returns {{draft: Object|null, error: string|null}}
+ */
+export const normalizeDraftElection = (body = {}) => {
+  const fail = error => ({ draft: null, error });
+
+  let categoryId = null;
+  if (body.categoryId !== undefined && body.categoryId !== null && body.categoryId !== '') {
+    categoryId = Number(body.categoryId);
+    if (!Number.isInteger(categoryId) || categoryId <= 0) return fail('categoryId must be a positive integer');
+  }
+
+  const allowedCountries = parseAllowedCountries(body.allowedCountries);
+  const badCountry = allowedCountries.find(code => !/^[A-Z]{2}$/.test(code));
+  if (badCountry) return fail(`Invalid country "${badCountry}" in allowedCountries, expected ISO 3166-1 alpha-2 codes`);
+
+  const participationFee = body.participationFee === undefined || body.participationFee === null
+    ? 0
+    : Number(body.participationFee);
+  if (!Number.isFinite(participationFee) || participationFee < 0) return fail('participationFee must be a non-negative number');
+
+  return {
+    draft: {
+      categoryId,
+      allowedCountries,
+      permissionType: String(body.permissionType || 'public').toLowerCase(),
+      biometricRequired: body.biometricRequired === true || body.biometricRequired === 'true',
+      participationFee,
+    },
+    error: null,
+  };
+};
+
+const suppress = (count) => (count < config.audienceEstimate.minGroupSize ? null : count);
+
+/**
+ * Suppress a breakdown's counts: each one below minGroupSize, then the
+ * smallest visible ones until at least two are suppressed and together they
+ * reach minGroupSize
+ * @param {Array<number>} counts - One per segment, summing to the total
+ * @returns {Array<number|null>}
+ */
+const suppressSegments = (counts) => {
+  const { minGroupSize } = config.audienceEstimate;
+  const hidden = new Set(counts.flatMap((count, index) => (count < minGroupSize ? [index] : [])));
+  const visible = counts.map((count, index) => index).filter(index => !hidden.has(index))
+    .sort((a, b) => counts[a] - counts[b]);
+
+  const hiddenTotal = () => [...hidden].reduce((sum, index) => sum + counts[index], 0);
+  while (hidden.size > 0 && (hidden.size === 1 || hiddenTotal() < minGroupSize) && visible.length > 0) {
+    hidden.add(visible.shift());
+  }
+
+  return counts.map((count, index) => (hidden.has(index) ? null : count));
+};
+
+const emptyEstimate = () => ({
+  eligible_users: 0,
+  interested_users: 0,
+  breakdowns: Object.fromEntries(BREAKDOWN_DIMENSIONS.map(dimension => [dimension, []])),
+});
+
+/**
+ * Estimate the reach of a draft election
+ * @param {Object} draft - From normalizeDraftElection
+ * @returns {Promise<Object>} Totals and per-region/age band/gender breakdowns, small counts suppressed
+ */
+export const estimateAudience = async (draft) => {
+  const { minGroupSize } = config.audienceEstimate;
+  const suppression = { min_group_size: minGroupSize };
+
+  // Only invited users can vote, which a draft can't tell us
+  if (INVITE_ONLY_PERMISSION_TYPES.includes(draft.permissionType)) {
+    return { ...emptyEstimate(), invite_only: true, suppression };
+  }
+
+  await ensureInterestsTable();
+
+  const { values, param } = createParams();
+  const lookback = param(config.audienceMatching.lookbackDays);
+  const category = param(draft.categoryId);
+
+  const result = await db.query(`
+    WITH ${audiencePeopleCtes(param)},
+    votes AS (
+      SELECT v.user_id::text AS user_id, v.election_id::text AS election_id
+      FROM votteryy_votes v
+      WHERE v.status = 'valid' AND v.created_at >= NOW() - ${lookback} * INTERVAL '1 day'
+      UNION
+      SELECT vp.user_id::text, vp.election_id::text
+      FROM votteryyy_voter_participation vp
+      WHERE vp.has_voted = true AND COALESCE(vp.voted_at, vp.created_at) >= NOW() - ${lookback} * INTERVAL '1 day'
+    ),
+    signalled AS (
+      SELECT vo.user_id
+      FROM votes vo
+      JOIN votteryyy_elections e ON e.id::text = vo.election_id
+      WHERE ${category}::int IS NULL OR e.category_id = ${category}::int
+      UNION
+      SELECT user_id FROM recommendation_user_interests WHERE ${category}::int = ANY(category_ids)
+    ),
+    paying AS (
+      SELECT DISTINCT vo.user_id
+      FROM votes vo
+      JOIN votteryyy_elections e ON e.id::text = vo.election_id
+      WHERE e.is_free = false OR COALESCE(e.general_participation_fee, 0) > 0
+    ),
+    audience AS (
+      SELECT p.region, p.age_band, p.gender,
+        EXISTS (SELECT 1 FROM signalled s WHERE s.user_id = p.user_id)
+          AND (NOT ${param(draft.participationFee > 0)}::boolean OR EXISTS (SELECT 1 FROM paying pa WHERE pa.user_id = p.user_id))
+          AS interested
+      FROM people p
+      WHERE true ${audienceEligibilitySql(param, draft)}
+    )
+    SELECT
+      CASE
+        WHEN GROUPING(region) = 0 THEN 'region'
+        WHEN GROUPING(age_band) = 0 THEN 'age_band'
+        WHEN GROUPING(gender) = 0 THEN 'gender'
+        ELSE 'total'
+      END AS dimension,
+      COALESCE(region::text, age_band, gender) AS segment,
+      COUNT(*) AS eligible,
+      COUNT(*) FILTER (WHERE interested) AS interested
+    FROM audience
+    GROUP BY GROUPING SETS ((), (region), (age_band), (gender))
+  `, values);
+
+  const estimate = emptyEstimate();
+  const rows = Object.fromEntries(BREAKDOWN_DIMENSIONS.map(dimension => [dimension, []]));
+  for (const row of result.rows) {
+    if (row.dimension === 'total') {
+      estimate.eligible_users = suppress(parseInt(row.eligible));
+      estimate.interested_users = suppress(parseInt(row.interested));
+    } else {
+      rows[row.dimension].push(row);
+    }
+  }
+
+  for (const [dimension, segmentRows] of Object.entries(rows)) {
+    const eligible = suppressSegments(segmentRows.map(row => parseInt(row.eligible)));
+    const interested = suppressSegments(segmentRows.map(row => parseInt(row.interested)));
+    estimate.breakdowns[dimension] = segmentRows.map((row, index) => ({
+      segment: dimension === 'region' ? parseInt(row.segment) : row.segment,
+      eligible: eligible[index],
+      interested: interested[index],
+    }));
+  }
+
+  // Largest first; suppressed segments last, in label order so their position reveals nothing
+  for (const segments of Object.values(estimate.breakdowns)) {
+    segments.sort((a, b) => (b.eligible ?? -1) - (a.eligible ?? -1) || String(a.segment).localeCompare(String(b.segment)));
+  }
+
+  logger.debug({ draft, eligible: estimate.eligible_users, interested: estimate.interested_users }, 'Audience estimated');
+
+  return { ...estimate, suppression };
+};
+
+export default { normalizeDraftElection, estimateAudience };
@@ -0,0 +1,232 @@
+/**
+ * Audience Matching
+ * Finds the users most likely to vote in an election, for creators
+ * promoting it.
+ *
+ * Candidates are users with a signal for the election: votes in its
+ * category, onboarding interest in its category, or votes in its co-vote
+ * neighbours. Each is scored on:
+ * - category affinity: category votes / (category votes + saturation),
+ *   or interestAffinity for interested users without votes
+ * - co-vote affinity: summed cosine of the neighbours they voted in, squashed to 0..1
+ * - demographic fit: how common the user's region, age band and gender are
+ *   among the election's voters (or its category's, while it has few)
+ * Users who already voted, the creator, and users the election's country,
+ * biometric or age rules exclude are left out.
+ */
+
+import db from '../../utils/database.js';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+import { parseAllowedCountries } from './eligibility.js';
+import { ensureSimilarityTable } from './coVoteModel.js';
+import { ensureInterestsTable } from './userInterests.js';
+import { createParams, audiencePeopleCtes, audienceEligibilitySql, audienceFilterSql } from './audienceSql.js';
+
+export const ELECTION_NOT_FOUND = 'ELECTION_NOT_FOUND';
+
+const DIMENSIONS = ['region', 'age_band', 'gender'];
+
+const loadTargetElection = async (electionId) => {
+  const result = await db.query(`
+    SELECT id, category_id, creator_id, allowed_countries, biometric_required
+    FROM votteryyy_elections
+    WHERE id::text = $1
+  `, [String(electionId)]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Share of reference voters in each region, age band and gender, scaled so
+ * the most common segment of each dimension is 1
+ */
+const loadReferenceDistribution = async (electionId, categoryId) => {
+  const { minReferenceVoters } = config.audienceMatching;
+
+  const query = async (scope) => {
+    const { values, param } = createParams();
+    const condition = scope === 'election'
+      ? `v.election_id::text = ${param(String(electionId))}`
+      : `v.election_id::text IN (SELECT id::text FROM votteryyy_elections WHERE category_id = ${param(categoryId)})`;
+
+    const result = await db.query(`
+      WITH ${audiencePeopleCtes(param)},
+      voters AS (
+        SELECT v.user_id::text AS user_id FROM votteryy_votes v
+        WHERE v.status = 'valid' AND ${condition}
+        UNION
+        SELECT v.user_id::text FROM votteryyy_voter_participation v
+        WHERE v.has_voted = true AND ${condition}
+      )
+      SELECT p.region, p.age_band, p.gender, COUNT(*) AS users
+      FROM voters vo
+      JOIN people p ON p.user_id = vo.user_id
+      GROUP BY GROUPING SETS ((p.region), (p.age_band), (p.gender))
+    `, values);
+    return result.rows;
+  };
+
+  let scope = 'election';
+  let rows = await query(scope);
+  const voters = rows.filter(row => row.region !== null).reduce((sum, row) => sum + parseInt(row.users), 0);
+  if (voters < minReferenceVoters && categoryId !== null) {
+    scope = 'category';
+    rows = await query(scope);
+  }
+
+  const distribution = Object.fromEntries(DIMENSIONS.map(dimension => [dimension, {}]));
+  for (const row of rows) {
+    const dimension = DIMENSIONS.find(name => row[name] !== null);
+    if (dimension) distribution[dimension][String(row[dimension])] = parseInt(row.users);
+  }
+  for (const segments of Object.values(distribution)) {
+    const max = Math.max(0, ...Object.values(segments));
+    for (const segment of Object.keys(segments)) segments[segment] = max > 0 ? segments[segment] / max : 0;
+  }
+
+  const empty = DIMENSIONS.every(dimension => Object.keys(distribution[dimension]).length === 0);
+  return { scope: empty ? 'none' : `${scope}_voters`, distribution };
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Score users by predicted affinity for an election
+ * @param {string|number} electionId
+ * @param {Object} options
+ * @param {number} options.limit - Maximum users (default: 10)
+ * @param {Object} options.filters - From normalizeAudienceFilters
+ * @returns {Promise<Object|null>} { users, estimatedTotal, reference }, or null when the election doesn't exist
+ */
+export const matchAudience = async (electionId, options = {}) => {
+  const { limit = 10, filters = {} } = options;
+  const { lookbackDays, categorySaturation, interestAffinity, weights, minScore } = config.audienceMatching;
+
+  const election = await loadTargetElection(electionId);
+  if (!election) return null;
+
+  const categoryId = election.category_id !== null && election.category_id !== undefined ? parseInt(election.category_id) : null;
+  const [reference] = await Promise.all([
+    loadReferenceDistribution(electionId, categoryId),
+    ensureSimilarityTable(),
+    ensureInterestsTable(),
+  ]);
+
+  const { values, param } = createParams();
+  const target = param(String(electionId));
+  const category = param(categoryId);
+  const lookback = param(lookbackDays);
+  const ref = param(JSON.stringify(reference.distribution));
+
+  const result = await db.query(`
+    WITH ${audiencePeopleCtes(param)},
+    votes AS (
+      SELECT v.user_id::text AS user_id, v.election_id::text AS election_id
+      FROM votteryy_votes v
+      WHERE v.status = 'valid' AND v.created_at >= NOW() - ${lookback} * INTERVAL '1 day'
+      UNION
+      SELECT vp.user_id::text, vp.election_id::text
+      FROM votteryyy_voter_participation vp
+      WHERE vp.has_voted = true AND COALESCE(vp.voted_at, vp.created_at) >= NOW() - ${lookback} * INTERVAL '1 day'
+    ),
+    already_voted AS (
+      SELECT v.user_id::text AS user_id FROM votteryy_votes v
+      WHERE v.election_id::text = ${target} AND v.status = 'valid'
+      UNION
+      SELECT vp.user_id::text FROM votteryyy_voter_participation vp
+      WHERE vp.election_id::text = ${target} AND vp.has_voted = true
+    ),
+    category_votes AS (
+      SELECT vo.user_id, COUNT(*) AS category_votes
+      FROM votes vo
+      JOIN votteryyy_elections e ON e.id::text = vo.election_id
+      WHERE e.category_id = ${category}::int
+      GROUP BY vo.user_id
+    ),
+    co_votes AS (
+      SELECT vo.user_id, SUM(s.cosine) AS co_vote
+      FROM votes vo
+      JOIN recommendation_item_similarity s ON s.similar_election_id = vo.election_id
+      WHERE s.election_id = ${target}
+      GROUP BY vo.user_id
+    ),
+    interested AS (
+      SELECT user_id FROM recommendation_user_interests WHERE ${category}::int = ANY(category_ids)
+    ),
+    candidates AS (
+      SELECT user_id FROM category_votes
+      UNION SELECT user_id FROM co_votes
+      UNION SELECT user_id FROM interested
+    ),
+    scored AS (
+      SELECT p.user_id, p.user_name, p.country, p.region, p.age, p.age_band, p.gender,
+        COALESCE(cv.category_votes, 0)::int AS category_votes,
+        (i.user_id IS NOT NULL) AS interested,
+        COALESCE(co.co_vote, 0)::float AS co_vote,
+        GREATEST(
+          COALESCE(cv.category_votes, 0)::float / (COALESCE(cv.category_votes, 0) + ${param(categorySaturation)}::float),
+          CASE WHEN i.user_id IS NOT NULL THEN ${param(interestAffinity)}::float ELSE 0 END
+        ) AS category_affinity,
+        COALESCE(co.co_vote, 0)::float / (COALESCE(co.co_vote, 0) + 1) AS co_vote_affinity,
+        (COALESCE((${ref}::jsonb -> 'region' ->> p.region::text)::float, 0)
+          + COALESCE((${ref}::jsonb -> 'age_band' ->> p.age_band)::float, 0)
+          + COALESCE((${ref}::jsonb -> 'gender' ->> p.gender)::float, 0)) / 3 AS demographic_fit
+      FROM candidates c
+      JOIN people p ON p.user_id = c.user_id
+      LEFT JOIN category_votes cv ON cv.user_id = c.user_id
+      LEFT JOIN co_votes co ON co.user_id = c.user_id
+      LEFT JOIN interested i ON i.user_id = c.user_id
+      WHERE NOT EXISTS (SELECT 1 FROM already_voted av WHERE av.user_id = c.user_id)
+      AND c.user_id <> ${param(String(election.creator_id))}
+      ${audienceEligibilitySql(param, {
+        allowedCountries: parseAllowedCountries(election.allowed_countries),
+        biometricRequired: election.biometric_required === true || election.biometric_required === 'true',
+      })}
+      ${audienceFilterSql(param, filters)}
+    ),
+    ranked AS (
+      SELECT s.*,
+        ${param(weights.category)}::float * category_affinity
+          + ${param(weights.coVote)}::float * co_vote_affinity
+          + ${param(weights.demographic)}::float * demographic_fit AS score
+      FROM scored s
+    )
+    SELECT *, COUNT(*) OVER () AS estimated_total
+    FROM ranked
+    WHERE score >= ${param(minScore)}::float
+    ORDER BY score DESC, user_id
+    LIMIT ${param(limit)}
+  `, values);
+
+  const users = result.rows.map(row => ({
+    user_id: row.user_id,
+    user_name: row.user_name,
+    country: row.country,
+    region: row.region,
+    age: row.age,
+    age_band: row.age_band,
+    gender: row.gender,
+    score: round(row.score),
+    signals: {
+      category_votes: row.category_votes,
+      interested: row.interested,
+      co_vote: round(row.co_vote),
+      category_affinity: round(row.category_affinity),
+      co_vote_affinity: round(row.co_vote_affinity),
+      demographic_fit: round(row.demographic_fit),
+    },
+  }));
+
+  logger.debug({ electionId, matched: users.length, reference: reference.scope }, 'Audience matched');
+
+  return {
+    users,
+    estimatedTotal: result.rows[0] ? parseInt(result.rows[0].estimated_total) : 0,
+    reference: reference.scope,
+  };
+};
+
+export default {
+  ELECTION_NOT_FOUND,
+  matchAudience,
+};
@@ -0,0 +1,162 @@
+/**
+ * Audience SQL
+ * Shared SQL building blocks for the features that count or select users by
+ * demographics: audience matching and estimates, regional trending, segment
+ * batches and cold-start cohorts. Users are described the way userSync
+ * describes them to Shaped.
+ */
+
+import config from '../../config/index.js';
+import { REGION_MAP, getRegionFromCountry } from './userSync.js';
+
+export const AGE_BANDS = [
+  { label: '18-24', min: 18, max: 24 },
+  { label: '25-34', min: 25, max: 34 },
+  { label: '35-44', min: 35, max: 44 },
+  { label: '45-54', min: 45, max: 54 },
+  { label: '55-64', min: 55, max: 64 },
+  { label: '65+', min: 65, max: null },
+];
+
+export const REGIONS = [...new Set(Object.values(REGION_MAP))].sort((a, b) => a - b);
+
+// Countries missing from REGION_MAP fall in the same region userSync gives them
+const UNMAPPED_REGION = getRegionFromCountry(null);
+
+/**
+ * Age a user (aliases u for users, ud for votteryy_user_details) is synced
+ * with: their stated age, else current year minus birth year
+ */
+export const AGE_SQL = `COALESCE(NULLIF(ud.age, 0), (EXTRACT(YEAR FROM NOW()) - EXTRACT(YEAR FROM u.user_birthdate))::int)`;
+
+export const getAgeBand = (age) =>
+  AGE_BANDS.find(band => age >= band.min && (band.max === null || age <= band.max)) || null;
+
+const ageBandSql = (column) => `CASE
+      WHEN ${column} IS NULL THEN 'unknown'
+      WHEN ${column} < 18 THEN 'under_18'
+      ${AGE_BANDS.filter(band => band.max !== null).map(band => `WHEN ${column} <= ${band.max} THEN '${band.label}'`).join('\n      ')}
+      ELSE '${AGE_BANDS[AGE_BANDS.length - 1].label}'
+    END`;
+
+/**
+ * Parameter list builder: param(value) appends a value and returns its placeholder
+ */
+export const createParams = () => {
+  const values = [];
+  const param = (value) => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+  return { values, param };
+};
+
+/**
+ * SQL condition for AGE_SQL falling in an age band
+ * @param {Function} param - From createParams
+ * @param {Object} band - One of AGE_BANDS
+ */
+export const ageInBandSql = (param, band) => band.max === null
+  ? `${AGE_SQL} >= ${param(band.min)}`
+  : `${AGE_SQL} BETWEEN ${param(band.min)} AND ${param(band.max)}`;
+
+/**
+ * CTEs (region_map, people) describing every user the way userSync does:
+ * user_id, user_name, user_verified, country, region, age, age_band, gender
+ * @param {Function} param - From createParams
+ */
+export const audiencePeopleCtes = (param) => {
+  const countries = param(Object.keys(REGION_MAP));
+  const regions = param(Object.values(REGION_MAP));
+
+  return `
+    region_map AS (
+      SELECT * FROM unnest(${countries}::text[], ${regions}::int[]) AS rm(country, region)
+    ),
+    people AS (
+      SELECT p.*, COALESCE(rm.region, ${UNMAPPED_REGION}) AS region, ${ageBandSql('p.age')} AS age_band
+      FROM (
+        SELECT u.user_id::text AS user_id, u.user_name, COALESCE(u.user_verified, false) AS user_verified,
+          UPPER(COALESCE(NULLIF(ud.country, ''), NULLIF(u.user_country, ''), 'UNKNOWN')) AS country,
+          ${AGE_SQL} AS age,
+          LOWER(COALESCE(NULLIF(ud.gender, ''), CASE u.user_gender WHEN 1 THEN 'male' WHEN 2 THEN 'female' ELSE 'unknown' END)) AS gender
+        FROM users u
+        LEFT JOIN votteryy_user_details ud ON u.user_id = ud.user_id
+      ) p
+      LEFT JOIN region_map rm ON rm.country = p.country
+    )`;
+};
+
+/**
+ * SQL conditions restricting people (alias p) to users an election's rules let vote,
+ * mirroring checkEligibility (unknown ages are not penalised)
+ * @param {Function} param - From createParams
+ * @param {Object} rules
+ * @param {string[]} rules.allowedCountries - Empty for any country
+ * @param {boolean} rules.biometricRequired
+ */
+export const audienceEligibilitySql = (param, rules = {}) => {
+  const { allowedCountries = [], biometricRequired = false } = rules;
+  const conditions = [`(p.age IS NULL OR p.age >= ${param(config.eligibility.minVotingAge)}::int)`];
+  if (allowedCountries.length > 0) conditions.push(`p.country = ANY(${param(allowedCountries)}::text[])`);
+  if (biometricRequired) conditions.push('p.user_verified');
+  return `AND ${conditions.join(' AND ')}`;
+};
+
+/**
+ * SQL conditions restricting people (alias p) to the filters
+ * @param {Function} param - From createParams
+ * @param {Object} filters - From normalizeAudienceFilters
+ */
+export const audienceFilterSql = (param, filters = {}) => {
+  const { countries = [], ageBands = [], regions = [] } = filters;
+  const conditions = [];
+  if (countries.length > 0) conditions.push(`p.country = ANY(${param(countries)}::text[])`);
+  if (ageBands.length > 0) conditions.push(`p.age_band = ANY(${param(ageBands)}::text[])`);
+  if (regions.length > 0) conditions.push(`p.region = ANY(${param(regions)}::int[])`);
+  return conditions.length > 0 ? `AND ${conditions.join(' AND ')}` : '';
+};
+
+const splitList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+};
+
+/**
+ * Parse audience filters: country=US,GB&ageBand=18-24&region=1,2
+ * (arrays are accepted too, for JSON bodies)
+ * @returns {{filters: Object|null, error: string|null}}
+ */
+export const normalizeAudienceFilters = (query = {}) => {
+  const countries = splitList(query.country ?? query.countries).map(code => code.toUpperCase());
+  const ageBands = splitList(query.ageBand ?? query.ageBands);
+  const regions = splitList(query.region ?? query.regions).map(Number);
+
+  const badCountry = countries.find(code => !/^[A-Z]{2}$/.test(code));
+  if (badCountry) return { filters: null, error: `Invalid country "${badCountry}", expected ISO 3166-1 alpha-2 codes` };
+
+  const bandLabels = AGE_BANDS.map(band => band.label);
+  const badBand = ageBands.find(band => !bandLabels.includes(band));
+  if (badBand) return { filters: null, error: `Invalid ageBand "${badBand}". Valid bands: ${bandLabels.join(', ')}` };
+
+  if (regions.some(region => !REGIONS.includes(region))) {
+    return { filters: null, error: `Invalid region. Valid regions: ${REGIONS.join(', ')}` };
+  }
+
+  return { filters: { countries, ageBands, regions }, error: null };
+};
+
+export default {
+  AGE_BANDS,
+  REGIONS,
+  AGE_SQL,
+  getAgeBand,
+  createParams,
+  ageInBandSql,
+  audiencePeopleCtes,
+  audienceEligibilitySql,
+  audienceFilterSql,
+  normalizeAudienceFilters,
+};
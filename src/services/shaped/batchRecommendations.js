@@ -0,0 +1,190 @@
+/**
+ * Batch Recommendations
+ * Feeds for many users in one request, for digests and offline jobs. Users
+ * come from an explicit list or a segment (the audience filters plus recent
+ * activity), read in pages so large segments never sit in memory. They are
+ * processed with bounded concurrency, each result handed to the caller as
+ * soon as it is ready; one user's failure becomes that user's error result.
+ *
+ * Before the first user the item catalog is loaded if it hasn't been, so
+ * candidate feeds read it instead of querying the engine per user.
+ */
+
+import db from '../../utils/database.js';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+import { BATCH_STRATEGIES, createBatchLookups, getBatchRecommendations } from './recommendations.js';
+import { createParams, audiencePeopleCtes, audienceFilterSql, normalizeAudienceFilters } from './audienceSql.js';
+import { getCatalogStatus } from './itemCatalog.js';
+import { refreshItemCatalog } from './electionSync.js';
+
+const boundedInteger = (value, fallback, min, max) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min && number <= max ? number : null;
+};
+
+/**
+ * Validate a batch request
+ * Body: { userIds?: [..], segment?: { country?, region?, ageBand?, activeWithinDays? }, strategy?, limit?, concurrency? }
+ * Exactly one of userIds and segment is required.
+ * @returns {{batch: Object|null, error: string|null}}
+ */
+export const normalizeBatchRequest = (body = {}) => {
+  const fail = error => ({ batch: null, error });
+  const { maxUsers, maxLimit, maxConcurrency } = config.batch;
+
+  if ((body.userIds === undefined) === (body.segment === undefined)) return fail('Provide either userIds or segment');
+
+  const strategy = body.strategy || 'personalized';
+  if (!BATCH_STRATEGIES.includes(strategy)) return fail(`Invalid strategy. Valid strategies: ${BATCH_STRATEGIES.join(', ')}`);
+
+  const limit = boundedInteger(body.limit, 10, 1, maxLimit);
+  if (limit === null) return fail(`limit must be an integer between 1 and ${maxLimit}`);
+
+  const concurrency = boundedInteger(body.concurrency, config.batch.concurrency, 1, maxConcurrency);
+  if (concurrency === null) return fail(`concurrency must be an integer between 1 and ${maxConcurrency}`);
+
+  const batch = { strategy, limit, concurrency, userIds: null, segment: null };
+
+  if (body.userIds !== undefined) {
+    if (!Array.isArray(body.userIds) || body.userIds.length === 0) return fail('userIds must be a non-empty array');
+    const userIds = [...new Set(body.userIds.map(String))];
+    if (userIds.some(userId => !/^\d+$/.test(userId))) return fail('userIds must be numeric user IDs');
+    if (userIds.length > maxUsers) return fail(`At most ${maxUsers} userIds per batch`);
+    return { batch: { ...batch, userIds }, error: null };
+  }
+
+  if (!body.segment || typeof body.segment !== 'object' || Array.isArray(body.segment)) return fail('segment must be an object');
+
+  const { filters, error } = normalizeAudienceFilters(body.segment);
+  if (error) return fail(error);
+
+  const activeWithinDays = boundedInteger(body.segment.activeWithinDays, null, 1, 3650);
+  if (activeWithinDays === null && body.segment.activeWithinDays !== undefined) {
+    return fail('segment.activeWithinDays must be an integer between 1 and 3650');
+  }
+
+  return { batch: { ...batch, segment: { ...filters, activeWithinDays } }, error: null };
+};
+
+/**
+ * User IDs of a segment, in user ID order, a page at a time
+ */
+async function* segmentUserIds(segment) {
+  const { segmentPageSize, maxUsers } = config.batch;
+  let after = null;
+  let yielded = 0;
+
+  while (yielded < maxUsers) {
+    const { values, param } = createParams();
+    const activity = segment.activeWithinDays
+      ? `AND EXISTS (
+          SELECT 1 FROM votteryy_votes v
+          WHERE v.user_id::text = p.user_id AND v.created_at >= NOW() - ${param(segment.activeWithinDays)} * INTERVAL '1 day'
+        )`
+      : '';
+
+    const result = await db.query(`
+      WITH ${audiencePeopleCtes(param)}
+      SELECT p.user_id FROM people p
+      WHERE (${param(after)}::bigint IS NULL OR p.user_id::bigint > ${param(after)}::bigint)
+      ${audienceFilterSql(param, segment)}
+      ${activity}
+      ORDER BY p.user_id::bigint
+      LIMIT ${param(Math.min(segmentPageSize, maxUsers - yielded))}
+    `, values);
+
+    for (const row of result.rows) yield row.user_id;
+    yielded += result.rows.length;
+    if (result.rows.length < segmentPageSize) return;
+    after = result.rows[result.rows.length - 1].user_id;
+  }
+}
+
+async function* listedUserIds(userIds) {
+  yield* userIds;
+}
+
+const warmCatalog = async () => {
+  if (getCatalogStatus().loaded) return;
+  try {
+    await refreshItemCatalog();
+  } catch (error) {
+    logger.warn({ error: error.message }, 'Item catalog load failed, batch will query the engine per user');
+  }
+};
+
+/**
+ * Run a batch, handing each user's result to onResult as it completes
+ * (not in input order). Results are { user_id, success: true, ...feed } or
+ * { user_id, success: false, error }.
+ * @param {Object} batch - From normalizeBatchRequest
+ * @param {Function} onResult - Awaited before the worker takes its next user, so a slow consumer slows the batch
+ * @param {Object} options
+ * @param {Function} options.isCancelled - Checked before each user; true stops the batch
+ * @returns {Promise<Object>} Summary: users, succeeded, failed, cancelled, duration_ms
+ */
+export const runBatch = async (batch, onResult, options = {}) => {
+  const { isCancelled = () => false } = options;
+  const { strategy, limit, concurrency } = batch;
+  const startTime = Date.now();
+  const summary = { users: 0, succeeded: 0, failed: 0, cancelled: false };
+  // Set when reading users or onResult fails, so the other workers stop too
+  let aborted = false;
+
+  const abort = (error) => {
+    aborted = true;
+    throw error;
+  };
+
+  logger.info({ strategy, limit, concurrency, users: batch.userIds?.length, segment: batch.segment }, 'Batch recommendations started');
+
+  await warmCatalog();
+  const lookups = createBatchLookups();
+  const userIds = batch.userIds ? listedUserIds(batch.userIds) : segmentUserIds(batch.segment);
+
+  // Async generators queue concurrent next() calls, so workers can share one
+  const worker = async () => {
+    while (!aborted && !isCancelled()) {
+      const { value: userId, done } = await userIds.next().catch(abort);
+      if (done || aborted) return;
+      summary.users++;
+
+      let line;
+      try {
+        const result = await getBatchRecommendations(strategy, userId, { limit, lookups });
+        line = result.success === false
+          ? { user_id: userId, success: false, error: result.error || 'Recommendations unavailable' }
+          : { user_id: userId, ...result, success: true };
+      } catch (error) {
+        logger.error({ error: error.message, userId, strategy }, 'Batch recommendations failed for user');
+        line = { user_id: userId, success: false, error: error.message };
+      }
+
+      // Nothing more is written once another worker has failed
+      if (aborted) return;
+      if (line.success) summary.succeeded++;
+      else summary.failed++;
+
+      try {
+        await onResult(line);
+      } catch (error) {
+        abort(error);
+      }
+    }
+    summary.cancelled = !aborted;
+  };
+
+  // Every worker finishes before the batch settles, so nothing is written after a failure is reported
+  const outcomes = await Promise.allSettled(Array.from({ length: concurrency }, worker));
+  await userIds.return();
+  const failure = outcomes.find(outcome => outcome.status === 'rejected');
+  if (failure) throw failure.reason;
+
+  const result = { ...summary, duration_ms: Date.now() - startTime };
+  logger.info({ strategy, ...result }, 'Batch recommendations finished');
+  return result;
+};
+
+export default { normalizeBatchRequest, runBatch };
@@ -0,0 +1,190 @@
+/**
+ * Co-Vote Model
+ * Local item-to-item collaborative filtering, used by the database fallbacks
+ * so feeds stay personal while Shaped is unavailable.
+ *
+ * Two elections are similar when the same people voted in both. For each
+ * pair the model stores the co-voter count, cosine similarity
+ * (co / sqrt(votersA * votersB)) and Jaccard similarity
+ * (co / (votersA + votersB - co)), keeping the top neighbours per election.
+ * The whole model is computed inside Postgres and swapped in one transaction.
+ */
+
+import db from '../../utils/database.js';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+
+// Arbitrary key so only one instance rebuilds at a time
+const BUILD_LOCK_KEY = 420010;
+
+let lastBuild = null;
+
+export const ensureSimilarityTable = () => db.ensureSchema('item_similarity', `
+  CREATE TABLE IF NOT EXISTS recommendation_item_similarity (
+    election_id TEXT NOT NULL,
+    similar_election_id TEXT NOT NULL,
+    co_voters INTEGER NOT NULL,
+    cosine REAL NOT NULL,
+    jaccard REAL NOT NULL,
+    built_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (election_id, similar_election_id)
+  );
+  CREATE INDEX IF NOT EXISTS recommendation_item_similarity_cosine_idx
+    ON recommendation_item_similarity (election_id, cosine DESC)
+`);
+
+/**
+ * Rebuild the similarity table from votteryy_votes and votteryyy_voter_participation
+ * @returns {Promise<Object>} Build summary, or { skipped: true } when another instance holds the lock
+ */
+export const buildCoVoteModel = async () => {
+  const { lookbackDays, maxVotesPerUser, minCoVoters, neighborsPerElection } = config.coVote;
+  const startTime = Date.now();
+
+  await ensureSimilarityTable();
+  const client = await db.getPool().connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const lock = await client.query('SELECT pg_try_advisory_xact_lock($1) AS acquired', [BUILD_LOCK_KEY]);
+    if (!lock.rows[0].acquired) {
+      await client.query('ROLLBACK');
+      logger.info('Co-vote model build already running elsewhere, skipping');
+      return { skipped: true };
+    }
+
+    await client.query('DELETE FROM recommendation_item_similarity');
+
+    const result = await client.query(`
+      WITH votes AS (
+        SELECT user_id, election_id, MAX(voted_at) AS voted_at
+        FROM (
+          SELECT v.user_id::text AS user_id, v.election_id::text AS election_id, v.created_at AS voted_at
+          FROM votteryy_votes v
+          WHERE v.status = 'valid' AND v.created_at >= NOW() - $1 * INTERVAL '1 day'
+          UNION ALL
+          SELECT vp.user_id::text, vp.election_id::text, COALESCE(vp.voted_at, vp.created_at)
+          FROM votteryyy_voter_participation vp
+          WHERE vp.has_voted = true AND COALESCE(vp.voted_at, vp.created_at) >= NOW() - $1 * INTERVAL '1 day'
+        ) raw
+        GROUP BY user_id, election_id
+      ),
+      -- Heavy voters only contribute their most recent votes, which bounds the self-join
+      capped AS (
+        SELECT user_id, election_id FROM (
+          SELECT user_id, election_id, ROW_NUMBER() OVER (PARTITION BY user_id ORDER BY voted_at DESC NULLS LAST) AS recency
+          FROM votes
+        ) ranked
+        WHERE recency <= $2
+      ),
+      election_voters AS (
+        SELECT election_id, COUNT(*) AS voters FROM capped GROUP BY election_id
+      ),
+      pairs AS (
+        SELECT a.election_id, b.election_id AS similar_election_id, COUNT(*) AS co_voters
+        FROM capped a
+        JOIN capped b ON a.user_id = b.user_id AND a.election_id <> b.election_id
+        GROUP BY a.election_id, b.election_id
+        HAVING COUNT(*) >= $3
+      ),
+      scored AS (
+        SELECT p.election_id, p.similar_election_id, p.co_voters,
+          p.co_voters / SQRT(ea.voters::float * eb.voters) AS cosine,
+          p.co_voters::float / (ea.voters + eb.voters - p.co_voters) AS jaccard,
+          ROW_NUMBER() OVER (PARTITION BY p.election_id ORDER BY p.co_voters / SQRT(ea.voters::float * eb.voters) DESC) AS neighbor_rank
+        FROM pairs p
+        JOIN election_voters ea ON ea.election_id = p.election_id
+        JOIN election_voters eb ON eb.election_id = p.similar_election_id
+      )
+      INSERT INTO recommendation_item_similarity (election_id, similar_election_id, co_voters, cosine, jaccard)
+      SELECT election_id, similar_election_id, co_voters, cosine, jaccard
+      FROM scored
+      WHERE neighbor_rank <= $4
+    `, [lookbackDays, maxVotesPerUser, minCoVoters, neighborsPerElection]);
+
+    await client.query('COMMIT');
+
+    lastBuild = {
+      builtAt: new Date().toISOString(),
+      pairs: result.rowCount,
+      durationMs: Date.now() - startTime,
+    };
+    logger.info(lastBuild, 'Co-vote model built');
+    return lastBuild;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    logger.error({ error: error.message }, 'Co-vote model build failed');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Active elections most similar to one election
+ * @param {string|number} electionId
+ * @param {number} limit
+ * @returns {Promise<Array>} Election rows with co_voters, cosine and jaccard, best first
+ */
+export const getCoVoteNeighbors = async (electionId, limit) => {
+  await ensureSimilarityTable();
+
+  const result = await db.query(`
+    SELECT e.*, s.co_voters, s.cosine, s.jaccard
+    FROM recommendation_item_similarity s
+    JOIN votteryyy_elections e ON e.id = s.similar_election_id::bigint
+    WHERE s.election_id = $1::text
+    AND e.status IN ('published', 'active')
+    AND e.end_date > NOW()
+    ORDER BY s.cosine DESC
+    LIMIT $2
+  `, [String(electionId), limit]);
+
+  return result.rows;
+};
+
+/**
+ * Item-to-item recommendations for a user: active elections scored by their
+ * summed cosine similarity to the elections the user voted in
+ * @param {string|number} userId
+ * @param {Object} options
+ * @param {number} options.limit
+ * @param {string[]} options.excludeIds - Elections to leave out (e.g. already voted)
+ * @returns {Promise<Array>} Election rows with co_vote_score and seed_count, best first
+ */
+export const getCoVoteRecommendations = async (userId, options = {}) => {
+  const { limit = 10, excludeIds = [] } = options;
+
+  await ensureSimilarityTable();
+
+  const result = await db.query(`
+    WITH history AS (
+      SELECT v.election_id::text AS election_id FROM votteryy_votes v
+      WHERE v.user_id = $1 AND v.status = 'valid'
+      UNION
+      SELECT vp.election_id::text FROM votteryyy_voter_participation vp
+      WHERE vp.user_id = $4 AND vp.has_voted = true
+    ),
+    candidates AS (
+      SELECT s.similar_election_id AS election_id, SUM(s.cosine) AS co_vote_score, COUNT(*) AS seed_count
+      FROM recommendation_item_similarity s
+      JOIN history h ON h.election_id = s.election_id
+      WHERE s.similar_election_id <> ALL($2::text[])
+      GROUP BY s.similar_election_id
+    )
+    SELECT e.*, c.co_vote_score, c.seed_count
+    FROM candidates c
+    JOIN votteryyy_elections e ON e.id = c.election_id::bigint
+    WHERE e.status IN ('published', 'active')
+    AND e.end_date > NOW()
+    ORDER BY c.co_vote_score DESC, e.created_at DESC
+    LIMIT $3
+  `, [userId, excludeIds.map(String), limit, userId]);
+
+  return result.rows;
+};
+
+export const getCoVoteModelStatus = () => lastBuild;
+
+export default { ensureSimilarityTable, buildCoVoteModel, getCoVoteNeighbors, getCoVoteRecommendations, getCoVoteModelStatus };
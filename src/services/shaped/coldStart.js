@@ -0,0 +1,164 @@
+/**
+ * Cold-Start Recommendations
+ * Ranks elections for users with no votes by what demographically similar
+ * users voted in. Cohorts are tried from most to least specific; a cohort is
+ * used once it has enough distinct voters to be meaningful.
+ */
+
+import db from '../../utils/database.js';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+import { getUserProfile, REGION_MAP } from './userSync.js';
+import { getAgeBand, ageInBandSql } from './audienceSql.js';
+
+export const getRegionCountries = (region) =>
+  Object.keys(REGION_MAP).filter(country => REGION_MAP[country] === region);
+
+// SQL expressions for the demographic fields, mirroring transformUserForShaped (age: AGE_SQL)
+const COUNTRY_SQL = `UPPER(COALESCE(ud.country, u.user_country))`;
+const GENDER_SQL = `COALESCE(ud.gender, CASE u.user_gender WHEN 1 THEN 'male' WHEN 2 THEN 'female' ELSE 'unknown' END)`;
+
+/**
+ * Cohorts to try for a profile, most specific first
+ * @param {Object} profile - From getUserProfile
+ * @returns {Array<{level: string, describe: Object, conditions: Function}>}
+ */
+const buildCohortLadder = (profile) => {
+  const ageBand = profile.age > 0 ? getAgeBand(profile.age) : null;
+  const hasCountry = profile.country && profile.country !== 'UNKNOWN';
+  const hasGender = profile.gender && profile.gender !== 'unknown';
+  // getRegionFromCountry defaults unknown and unmapped countries to a real region
+  const regionCountries = hasCountry && REGION_MAP[profile.country.toUpperCase()]
+    ? getRegionCountries(profile.region)
+    : [];
+
+  const ladder = [];
+
+  if (hasCountry && hasGender && ageBand) {
+    ladder.push({
+      level: 'country_gender_age',
+      describe: { country: profile.country, gender: profile.gender, age_band: ageBand.label },
+      conditions: (param) => [
+        `${COUNTRY_SQL} = ${param(profile.country.toUpperCase())}`,
+        `${GENDER_SQL} = ${param(profile.gender)}`,
+        ageInBandSql(param, ageBand),
+      ],
+    });
+  }
+
+  if (hasCountry) {
+    ladder.push({
+      level: 'country',
+      describe: { country: profile.country },
+      conditions: (param) => [`${COUNTRY_SQL} = ${param(profile.country.toUpperCase())}`],
+    });
+  }
+
+  if (regionCountries.length > 0 && ageBand) {
+    ladder.push({
+      level: 'region_age',
+      describe: { region: profile.region, age_band: ageBand.label },
+      conditions: (param) => [
+        `${COUNTRY_SQL} = ANY(${param(regionCountries)}::text[])`,
+        ageInBandSql(param, ageBand),
+      ],
+    });
+  }
+
+  if (regionCountries.length > 0) {
+    ladder.push({
+      level: 'region',
+      describe: { region: profile.region },
+      conditions: (param) => [`${COUNTRY_SQL} = ANY(${param(regionCountries)}::text[])`],
+    });
+  }
+
+  return ladder;
+};
+
+/**
+ * Rank active elections by how many distinct cohort members voted in them
+ */
+const queryCohortElections = async (cohort, userId, limit) => {
+  const params = [config.coldStart.lookbackDays, String(userId), limit];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const conditions = cohort.conditions(param);
+
+  const result = await db.query(`
+    WITH cohort_votes AS (
+      SELECT v.election_id, v.user_id
+      FROM votteryy_votes v
+      JOIN users u ON u.user_id::text = v.user_id
+      LEFT JOIN votteryy_user_details ud ON u.user_id = ud.user_id
+      WHERE v.status = 'valid'
+      AND v.created_at >= NOW() - $1 * INTERVAL '1 day'
+      AND u.user_id::text <> $2
+      AND ${conditions.join('\n      AND ')}
+    )
+    SELECT e.*, cv.cohort_voters, cs.cohort_size
+    FROM (
+      SELECT election_id, COUNT(DISTINCT user_id) AS cohort_voters
+      FROM cohort_votes
+      GROUP BY election_id
+    ) cv
+    JOIN votteryyy_elections e ON e.id = cv.election_id
+    CROSS JOIN (SELECT COUNT(DISTINCT user_id) AS cohort_size FROM cohort_votes) cs
+    WHERE e.status IN ('published', 'active')
+    AND e.end_date > NOW()
+    ORDER BY cv.cohort_voters DESC, e.created_at DESC
+    LIMIT $3
+  `, params);
+
+  return result.rows;
+};
+
+/**
+ * Get cohort-ranked elections for a user without voting history
+ * @param {string|number} userId
+ * @param {Object} options
+ * @param {number} options.limit - Maximum elections to return
+ * @returns {Promise<{cohort: Object|null, elections: Array}>} cohort is null when no cohort qualified
+ */
+export const getColdStartElections = async (userId, options = {}) => {
+  const { limit = 10 } = options;
+
+  let profile = null;
+  try {
+    profile = await getUserProfile(userId);
+  } catch (error) {
+    logger.error({ error: error.message, userId }, 'Failed to load profile for cold start');
+  }
+
+  if (!profile) return { cohort: null, elections: [] };
+
+  for (const cohort of buildCohortLadder(profile)) {
+    try {
+      const rows = await queryCohortElections(cohort, userId, limit);
+      const cohortSize = parseInt(rows[0]?.cohort_size || 0);
+
+      if (rows.length === 0 || cohortSize < config.coldStart.minCohortVoters) {
+        logger.debug({ userId, level: cohort.level, cohortSize }, 'Cohort too small, widening');
+        continue;
+      }
+
+      logger.info({ userId, level: cohort.level, cohortSize, count: rows.length }, 'Cold-start cohort selected');
+
+      return {
+        cohort: { level: cohort.level, ...cohort.describe, size: cohortSize },
+        elections: rows.map(({ cohort_size, ...election }) => ({
+          ...election,
+          cohort_voters: parseInt(election.cohort_voters),
+        })),
+      };
+    } catch (error) {
+      logger.error({ error: error.message, userId, level: cohort.level }, 'Cohort query failed');
+    }
+  }
+
+  return { cohort: null, elections: [] };
+};
+
+export default { getRegionCountries, getColdStartElections };
@@ -0,0 +1,220 @@
+/**
+ * Content Index
+ * In-process TF-IDF index over election titles and descriptions, used to
+ * find elections about the same thing without relying on Shaped's
+ * content_embedding.
+ *
+ * Only open elections (published/active, not ended) are indexed as
+ * candidates; the source election of a lookup is vectorised on demand.
+ * Syncs update documents incrementally, and the whole index is rebuilt
+ * from the database every config.contentIndex.rebuildMinutes so that
+ * every instance converges and IDF weights stay current.
+ */
+
+import db from '../../utils/database.js';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+import { ACTIVE_STATUSES, ELECTION_TIME_SLACK_HOURS } from './filterExpressions.js';
+import { ELECTION_STATES, getElectionState } from './electionTiming.js';
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'do', 'does', 'for', 'from', 'has', 'have',
+  'how', 'in', 'is', 'it', 'its', 'of', 'on', 'or', 'our', 'should', 'that', 'the', 'this',
+  'to', 'was', 'we', 'what', 'when', 'which', 'who', 'why', 'will', 'with', 'you', 'your',
+  'vote', 'votes', 'voting', 'election', 'elections', 'poll',
+]);
+
+// electionId -> { terms: Map<term, tf>, norm }
+const documents = new Map();
+// term -> Set<electionId>
+const postings = new Map();
+
+let builtAt = null;
+let buildPromise = null;
+
+/**
+ * Split text into normalised terms: lower-cased, accents stripped,
+ * stopwords removed and plurals folded
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const tokenize = (text) => {
+  const words = String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .match(/[\p{L}\p{N}]+/gu) || [];
+
+  return words
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(word => {
+      if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+      if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+      return word;
+    });
+};
+
+/**
+ * Term frequencies for an election, with title terms counted titleWeight times
+ */
+const termFrequencies = (election) => {
+  const counts = new Map();
+  const add = (terms, weight) => {
+    for (const term of terms) counts.set(term, (counts.get(term) || 0) + weight);
+  };
+  add(tokenize(election.title), config.contentIndex.titleWeight);
+  add(tokenize(election.description), 1);
+
+  // Sub-linear tf so a repeated word doesn't dominate
+  return new Map([...counts].map(([term, count]) => [term, 1 + Math.log(count)]));
+};
+
+const idf = (term) => Math.log((documents.size + 1) / ((postings.get(term)?.size || 0) + 1)) + 1;
+
+const vectorNorm = (terms) => Math.sqrt([...terms].reduce((sum, [term, tf]) => sum + (tf * idf(term)) ** 2, 0));
+
+// Not ended at its end_time in its own timezone, as the feeds decide it
+const isOpen = (election, now = new Date()) =>
+  ACTIVE_STATUSES.includes(election.status) && getElectionState(election, now) !== ELECTION_STATES.ENDED;
+
+const removeDocument = (electionId) => {
+  const existing = documents.get(electionId);
+  if (!existing) return;
+
+  for (const term of existing.terms.keys()) {
+    const ids = postings.get(term);
+    ids?.delete(electionId);
+    if (ids?.size === 0) postings.delete(term);
+  }
+  documents.delete(electionId);
+};
+
+const addDocument = (electionId, election) => {
+  const terms = termFrequencies(election);
+  if (terms.size === 0) return;
+
+  for (const term of terms.keys()) {
+    if (!postings.has(term)) postings.set(term, new Set());
+    postings.get(term).add(electionId);
+  }
+  documents.set(electionId, { terms, norm: 0 });
+  documents.get(electionId).norm = vectorNorm(terms);
+};
+
+/**
+ * Add, update or remove elections after they were synced.
+ * Norms of other documents are left as they are until the next rebuild.
+ * @param {Array} elections - Rows with election_id (or id), title, description, status, end_date, end_time, timezone
+ */
+export const indexElections = (elections) => {
+  // Nothing to update before the first build; it will read the latest rows
+  if (!builtAt) return;
+
+  for (const election of elections) {
+    const electionId = String(election.election_id || election.id);
+    removeDocument(electionId);
+    if (isOpen(election)) addDocument(electionId, election);
+  }
+
+  logger.debug({ count: elections.length, documents: documents.size }, 'Content index updated');
+};
+
+/**
+ * Rebuild the index from all open elections
+ */
+export const refreshContentIndex = async () => {
+  const startTime = Date.now();
+  // end_date is widened by the election time slack; isOpen checks the exact closing time
+  const result = await db.query(`
+    SELECT id, title, description, status, end_date, end_time, timezone
+    FROM votteryyy_elections
+    WHERE status = ANY($1::text[])
+    AND end_date > NOW() - $2 * INTERVAL '1 hour'
+  `, [ACTIVE_STATUSES, ELECTION_TIME_SLACK_HOURS]);
+
+  const now = new Date();
+  documents.clear();
+  postings.clear();
+  for (const row of result.rows) {
+    if (isOpen(row, now)) addDocument(String(row.id), row);
+  }
+
+  // Norms depend on IDF, which is only final once every document is in
+  for (const doc of documents.values()) doc.norm = vectorNorm(doc.terms);
+
+  builtAt = new Date();
+  logger.info({ documents: documents.size, terms: postings.size, durationMs: Date.now() - startTime }, 'Content index built');
+  return getContentIndexStatus();
+};
+
+const ensureFresh = async () => {
+  const maxAgeMs = config.contentIndex.rebuildMinutes * 60 * 1000;
+  if (builtAt && Date.now() - builtAt.getTime() < maxAgeMs) return;
+
+  if (!buildPromise) {
+    buildPromise = refreshContentIndex().finally(() => {
+      buildPromise = null;
+    });
+  }
+
+  // A stale index still answers while it rebuilds; only the first build is awaited
+  if (!builtAt) await buildPromise;
+  else buildPromise.catch(error => logger.error({ error: error.message }, 'Content index rebuild failed'));
+};
+
+const loadSourceTerms = async (electionId) => {
+  const indexed = documents.get(electionId);
+  if (indexed) return indexed.terms;
+
+  const result = await db.query('SELECT title, description FROM votteryyy_elections WHERE id::text = $1', [electionId]);
+  return result.rows[0] ? termFrequencies(result.rows[0]) : new Map();
+};
+
+/**
+ * Open elections whose text is most similar to an election (cosine over TF-IDF)
+ * @param {string|number} electionId
+ * @param {Object} options
+ * @param {number} options.limit - Maximum results (default: 10)
+ * @returns {Promise<Array<{electionId: string, score: number, sharedTerms: string[]}>>} Best first
+ */
+export const getContentSimilarElections = async (electionId, options = {}) => {
+  const { limit = 10 } = options;
+  const sourceId = String(electionId);
+
+  await ensureFresh();
+
+  const sourceTerms = await loadSourceTerms(sourceId);
+  const sourceNorm = vectorNorm(sourceTerms);
+  if (sourceNorm === 0) return [];
+
+  const dots = new Map();
+  const shared = new Map();
+  for (const [term, tf] of sourceTerms) {
+    const weight = tf * idf(term);
+    for (const candidateId of postings.get(term) || []) {
+      if (candidateId === sourceId) continue;
+      const candidateTf = documents.get(candidateId).terms.get(term);
+      dots.set(candidateId, (dots.get(candidateId) || 0) + weight * candidateTf * idf(term));
+      if (!shared.has(candidateId)) shared.set(candidateId, []);
+      shared.get(candidateId).push(term);
+    }
+  }
+
+  return [...dots]
+    .map(([candidateId, dot]) => ({
+      electionId: candidateId,
+      score: dot / (sourceNorm * documents.get(candidateId).norm),
+      sharedTerms: shared.get(candidateId),
+    }))
+    .filter(match => match.score >= config.contentIndex.minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+export const getContentIndexStatus = () => ({
+  documents: documents.size,
+  terms: postings.size,
+  builtAt: builtAt ? builtAt.toISOString() : null,
+});
+
+export default { tokenize, indexElections, refreshContentIndex, getContentSimilarElections, getContentIndexStatus };
@@ -0,0 +1,116 @@
+/**
+ * Diversity Re-ranking
+ * Re-orders a scored feed so one creator or category can't dominate it.
+ *
+ * Uses Maximal Marginal Relevance: at each step the item with the best mix of
+ * relevance (its original position) and novelty (how different it is from the
+ * items already placed) is picked. Items past a per-category or per-creator
+ * cap are moved to the tail rather than dropped, so the feed keeps its length.
+ */
+
+// Share of the similarity between two items contributed by each attribute
+const SAME_CATEGORY_WEIGHT = 0.5;
+const SAME_CREATOR_WEIGHT = 0.5;
+
+const getCategory = (election) => (election.category_id ?? null) !== null ? String(election.category_id) : null;
+const getCreator = (election) => (election.creator_id ?? null) !== null ? String(election.creator_id) : null;
+
+const similarity = (a, b) => {
+  let score = 0;
+  if (getCategory(a) !== null && getCategory(a) === getCategory(b)) score += SAME_CATEGORY_WEIGHT;
+  if (getCreator(a) !== null && getCreator(a) === getCreator(b)) score += SAME_CREATOR_WEIGHT;
+  return score;
+};
+
+const parseCap = (value) => {
+  const cap = parseInt(value);
+  return cap > 0 ? cap : null;
+};
+
+/**
+ * Normalise re-ranking options, falling back to the given defaults
+ * @param {Object} options - maxPerCategory, maxPerCreator, diversity (0..1)
+ * @param {Object} defaults - Same shape
+ * @returns {{diversity: number, maxPerCategory: number|null, maxPerCreator: number|null}}
+ */
+export const resolveDiversityOptions = (options = {}, defaults = {}) => {
+  const pick = (key) => (options[key] !== undefined && options[key] !== null ? options[key] : defaults[key]);
+  const diversity = parseFloat(pick('diversity'));
+
+  return {
+    diversity: Number.isFinite(diversity) ? Math.min(1, Math.max(0, diversity)) : 0,
+    maxPerCategory: parseCap(pick('maxPerCategory')),
+    maxPerCreator: parseCap(pick('maxPerCreator')),
+  };
+};
+
+/**
+ * Re-rank elections for diversity across category and creator
+ * @param {Array} elections - Ordered by relevance, best first
+ * @param {Object} options - From resolveDiversityOptions
+ * @returns {Array} Elections annotated with original_rank and reranked_position (both 1-based)
+ */
+export const diversifyElections = (elections, options = {}) => {
+  const { diversity = 0, maxPerCategory = null, maxPerCreator = null } = options;
+  const total = elections.length;
+
+  const remaining = elections.map((election, index) => ({
+    election,
+    originalRank: index + 1,
+    relevance: total > 1 ? 1 - index / (total - 1) : 1,
+  }));
+
+  const selected = [];
+  const overflow = [];
+  const categoryCounts = new Map();
+  const creatorCounts = new Map();
+
+  const isOverCap = ({ election }) => {
+    const category = getCategory(election);
+    const creator = getCreator(election);
+    return (maxPerCategory && category !== null && (categoryCounts.get(category) || 0) >= maxPerCategory)
+      || (maxPerCreator && creator !== null && (creatorCounts.get(creator) || 0) >= maxPerCreator);
+  };
+
+  while (remaining.length > 0) {
+    let bestIndex = -1;
+    let bestScore = -Infinity;
+
+    for (let i = 0; i < remaining.length; i++) {
+      const candidate = remaining[i];
+      if (isOverCap(candidate)) continue;
+
+      const maxSimilarity = diversity > 0
+        ? selected.reduce((max, chosen) => Math.max(max, similarity(candidate.election, chosen.election)), 0)
+        : 0;
+      const score = (1 - diversity) * candidate.relevance - diversity * maxSimilarity;
+
+      if (score > bestScore) {
+        bestScore = score;
+        bestIndex = i;
+      }
+    }
+
+    // Everything left is over a cap
+    if (bestIndex === -1) {
+      overflow.push(...remaining);
+      break;
+    }
+
+    const [chosen] = remaining.splice(bestIndex, 1);
+    selected.push(chosen);
+
+    const category = getCategory(chosen.election);
+    const creator = getCreator(chosen.election);
+    if (category !== null) categoryCounts.set(category, (categoryCounts.get(category) || 0) + 1);
+    if (creator !== null) creatorCounts.set(creator, (creatorCounts.get(creator) || 0) + 1);
+  }
+
+  return [...selected, ...overflow].map(({ election, originalRank }, index) => ({
+    ...election,
+    original_rank: originalRank,
+    reranked_position: index + 1,
+  }));
+};
+
+export default { resolveDiversityOptions, diversifyElections };
@@ -0,0 +1,160 @@
+/**
+ * Election Search
+ * Keyword retrieval over election title, slug and description. Open
+ * elections are searched in the item catalog, so the same filters as the
+ * other feeds apply without a round trip; the database is searched when the
+ * catalog hasn't loaded or when ended elections are wanted too.
+ *
+ * Relevance is IDF-weighted term overlap, each term counted once in its
+ * best field (config.search.fieldWeights), normalised to 0..1 against a
+ * query whose every term matched a title. The last term also matches as a
+ * word prefix, for search-as-you-type.
+ */
+
+import db from '../../utils/database.js';
+import config from '../../config/index.js';
+import { tokenize } from './contentIndex.js';
+import { queryCatalog } from './itemCatalog.js';
+import { ACTIVE_STATUSES, ELECTION_TIME_SLACK_HOURS } from './filterExpressions.js';
+
+const SEARCH_FIELDS = ['title', 'slug', 'description'];
+
+// Accented letters and what tokenize folds them to, for the SQL pre-filter
+const ACCENTED = 'àáâãäåāăąçćčďèéêëēėęěìíîïīįñńňòóôõöōőŕřśšşťùúûüūůűųýÿźżž';
+const UNACCENTED = [...ACCENTED].map(letter => letter.normalize('NFKD').replace(/[\u0300-\u036f]/g, '')).join('');
+
+// Catalog metadata object -> { field: Set<term> }; entries go with the item when it is replaced
+const fieldTermsCache = new WeakMap();
+
+const getFieldTerms = (document) => {
+  let terms = fieldTermsCache.get(document);
+  if (!terms) {
+    terms = Object.fromEntries(SEARCH_FIELDS.map(field => [field, new Set(tokenize(document[field]))]));
+    fieldTermsCache.set(document, terms);
+  }
+  return terms;
+};
+
+/**
+ * Normalised, de-duplicated search terms of a query
+ * @param {string} query
+ * @returns {string[]}
+ */
+export const parseSearchQuery = (query) => [...new Set(tokenize(query))].slice(0, config.search.maxTerms);
+
+const matchStrength = (terms, term, allowPrefix) => {
+  if (terms.has(term)) return 1;
+  if (!allowPrefix) return 0;
+  for (const candidate of terms) {
+    if (candidate.startsWith(term)) return config.search.prefixMatch;
+  }
+  return 0;
+};
+
+/**
+ * Weight of the best field a term appears in, 0 when it appears in none
+ */
+const termScore = (fieldTerms, term, allowPrefix) => {
+  const { fieldWeights } = config.search;
+  return Math.max(...SEARCH_FIELDS.map(field => fieldWeights[field] * matchStrength(fieldTerms[field], term, allowPrefix)));
+};
+
+/**
+ * Score documents against search terms, keeping those matching at least one.
+ * IDF is taken over the documents passed in, i.e. the filtered candidate set.
+ * @param {Array<Object>} documents - Objects with title, slug and description
+ * @param {string[]} terms - From parseSearchQuery
+ * @returns {Array<{document: Object, relevance: number, matchedTerms: string[]}>} Most relevant first
+ */
+export const scoreTextMatches = (documents, terms) => {
+  if (terms.length === 0) return [];
+
+  const prefixTerm = terms[terms.length - 1].length >= config.search.minPrefixLength ? terms.length - 1 : -1;
+  const matches = [];
+  for (const document of documents) {
+    const fieldTerms = getFieldTerms(document);
+    const hits = terms.map((term, index) => termScore(fieldTerms, term, index === prefixTerm));
+    if (hits.some(hit => hit > 0)) matches.push({ document, hits });
+  }
+
+  const idf = terms.map((_, index) => {
+    const documentFrequency = matches.filter(match => match.hits[index] > 0).length;
+    return Math.log((documents.length + 1) / (documentFrequency + 1)) + 1;
+  });
+  const maxScore = idf.reduce((sum, weight) => sum + weight, 0) * Math.max(...Object.values(config.search.fieldWeights));
+
+  return matches
+    .map(({ document, hits }) => ({
+      document,
+      relevance: hits.reduce((sum, hit, index) => sum + hit * idf[index], 0) / maxScore,
+      matchedTerms: terms.filter((_, index) => hits[index] > 0),
+    }))
+    .sort((a, b) => b.relevance - a.relevance);
+};
+
+/**
+ * Search the item catalog
+ * @param {string[]} terms - From parseSearchQuery
+ * @param {Object} filterOptions - Same options as buildElectionFilter
+ * @returns {Array<{election: Object, relevance: number, matchedTerms: string[]}>|null} null until the catalog has loaded
+ */
+export const searchCatalog = (terms, filterOptions = {}) => {
+  const items = queryCatalog(filterOptions);
+  if (!items) return null;
+
+  const byMetadata = new Map(items.map(item => [item.metadata, item.id]));
+  return scoreTextMatches(items.map(item => item.metadata), terms).map(({ document, relevance, matchedTerms }) => ({
+    election: { id: byMetadata.get(document), ...document },
+    relevance,
+    matchedTerms,
+  }));
+};
+
+/**
+ * Search election rows, narrowed in SQL by term substrings and the category,
+ * lottery and active filters, then scored like the catalog
+ * @param {string[]} terms - From parseSearchQuery
+ * @param {Object} filters
+ * @param {boolean} filters.activeOnly - Only published/active elections that haven't ended (default: true)
+ * @param {number} filters.categoryId
+ * @param {boolean} filters.lotteryOnly
+ * @returns {Promise<Array<{election: Object, relevance: number, matchedTerms: string[]}>>}
+ */
+export const searchDatabase = async (terms, filters = {}) => {
+  const { activeOnly = true, categoryId = null, lotteryOnly = false } = filters;
+  if (terms.length === 0) return [];
+
+  // Terms are stemmed and accent-free, so match them against accent-folded text,
+  // and a stem from "-ies" (city) without its "y" so "cities" is still kept
+  const patterns = terms.map(term => `%${term.endsWith('y') ? term.slice(0, -1) : term}%`);
+  const values = [patterns, config.search.databaseLimit, ACCENTED, UNACCENTED];
+  const clauses = [`translate(LOWER(concat_ws(' ', title, slug, description)), $3, $4) LIKE ANY($1)`];
+
+  if (activeOnly) {
+    // end_date is widened by the election time slack; callers check the exact closing time
+    values.push(ACTIVE_STATUSES, ELECTION_TIME_SLACK_HOURS);
+    clauses.push(`status = ANY($${values.length - 1}::text[])`, `end_date > NOW() - $${values.length} * INTERVAL '1 hour'`);
+  } else {
+    clauses.push(`status NOT IN ('draft', 'cancelled')`);
+  }
+  if (categoryId) {
+    values.push(categoryId);
+    clauses.push(`category_id = $${values.length}`);
+  }
+  if (lotteryOnly) clauses.push('lottery_enabled = true');
+
+  const result = await db.query(`
+    SELECT * FROM votteryyy_elections
+    WHERE ${clauses.join(' AND ')}
+    ORDER BY created_at DESC
+    LIMIT $2
+  `, values);
+
+  return scoreTextMatches(result.rows, terms).map(({ document, relevance, matchedTerms }) => ({
+    election: document,
+    relevance,
+    matchedTerms,
+  }));
+};
+
+export default { parseSearchQuery, scoreTextMatches, searchCatalog, searchDatabase };
@@ -3,6 +3,9 @@
  */
 
 import { shapedClient } from './shapedClient.js';
+import { indexElections } from './contentIndex.js';
+import { replaceCatalog, upsertCatalogItems, getCatalogStatus } from './itemCatalog.js';
+import { ELECTION_TIME_SLACK_HOURS } from './filterExpressions.js';
 import db from '../../utils/database.js';
 import config from '../../config/index.js';
 import logger from '../../utils/logger.js';
@@ -73,6 +76,11 @@ const fetchElectionsFromDB = async (limit = 1000, offset = 0, filters = {}) => {
     paramIndex++;
   }
 
+  if (filters.openOnly) {
+    // Widened like the engine filters; the exact closing time is checked when serving
+    query += ` AND e.status IN ('published', 'active') AND e.end_date > NOW() - ${ELECTION_TIME_SLACK_HOURS} * INTERVAL '1 hour'`;
+  }
+
   query += ` ORDER BY e.id LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
   params.push(limit, offset);
 
@@ -141,6 +149,19 @@ const transformElectionForShaped = (election) => {
   };
 };
 
+/**
+ * Catalog entry for an election: the Shaped item plus allowed_countries,
+ * which lets eligibility checks skip their own lookup, and start_time and
+ * end_time, which give the exact opening and closing moments
+ */
+const toCatalogItem = (election) => {
+  const metadata = transformElectionForShaped(election);
+  if (election.allowed_countries !== undefined) metadata.allowed_countries = election.allowed_countries;
+  if (election.start_time) metadata.start_time = String(election.start_time);
+  if (election.end_time) metadata.end_time = String(election.end_time);
+  return { id: metadata.item_id, metadata };
+};
+
 export const syncElectionsToShaped = async (options = {}) => {
   const { fullSync = false, since = null, status = null } = options;
   const batchSize = config.sync.batchSize;
@@ -165,6 +186,8 @@ export const syncElectionsToShaped = async (options = {}) => {
 
       const transformedElections = elections.map(transformElectionForShaped);
       await shapedClient.insertDataset(config.shaped.datasets.elections, transformedElections);
+      indexElections(elections);
+      upsertCatalogItems(elections.map(toCatalogItem));
 
       totalSynced += elections.length;
       offset += batchSize;
@@ -186,9 +209,9 @@ export const syncSingleElection = async (electionId) => {
   const query = `
     SELECT 
       e.id as election_id, e.creator_id, e.creator_type, e.title, e.description,
-      e.slug, e.category_id, e.voting_type, e.permission_type, e.is_free,
+      e.slug, e.category_id, e.voting_type, e.permission_type, e.allowed_countries, e.is_free,
       e.pricing_type, e.general_participation_fee, e.biometric_required,
-      e.start_date, e.end_date, e.timezone, e.status, e.view_count, e.vote_count,
+      e.start_date, e.start_time, e.end_date, e.end_time, e.timezone, e.status, e.view_count, e.vote_count,
       e.lottery_enabled, e.lottery_reward_type, e.lottery_total_prize_pool,
       e.lottery_winner_count, e.video_watch_required, e.created_at, e.updated_at
     FROM votteryyy_elections e
@@ -204,11 +227,37 @@ export const syncSingleElection = async (electionId) => {
 
   const transformedElection = transformElectionForShaped(result.rows[0]);
   await shapedClient.insertDataset(config.shaped.datasets.elections, [transformedElection]);
+  indexElections(result.rows);
+  upsertCatalogItems(result.rows.map(toCatalogItem));
 
   logger.debug({ electionId }, 'Single election synced');
   return { success: true, election: transformedElection };
 };
 
+/**
+ * Reload the in-process item catalog with every open election,
+ * paging through the database in sync-sized batches
+ */
+export const refreshItemCatalog = async () => {
+  const batchSize = config.sync.batchSize;
+  const startTime = Date.now();
+  const catalogItems = [];
+  let offset = 0;
+
+  while (true) {
+    const elections = await fetchElectionsFromDB(batchSize, offset, { openOnly: true });
+    catalogItems.push(...elections.map(toCatalogItem));
+    if (elections.length < batchSize) break;
+    offset += batchSize;
+  }
+
+  replaceCatalog(catalogItems);
+
+  const status = getCatalogStatus();
+  logger.info({ size: status.size, durationMs: Date.now() - startTime }, 'Item catalog refreshed');
+  return status;
+};
+
 export const getActiveElectionsCount = async () => {
   const query = `
     SELECT COUNT(*) as count FROM votteryyy_elections
@@ -218,4 +267,4 @@ export const getActiveElectionsCount = async () => {
   return parseInt(result.rows[0].count, 10);
 };
 
-export default { syncElectionsToShaped, syncSingleElection, getActiveElectionsCount, ELECTION_STATUS, VOTING_TYPES };
\ No newline at end of file
+export default { syncElectionsToShaped, syncSingleElection, refreshItemCatalog, getActiveElectionsCount, ELECTION_STATUS, VOTING_TYPES };
\ No newline at end of file
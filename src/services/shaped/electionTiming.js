@@ -0,0 +1,147 @@
+/**
+ * Election Timing
+ * An election opens at start_time on its start_date's calendar day and
+ * closes at end_time on its end_date's, in the election's own timezone.
+ * Shaped items and plain date comparisons only see start_date/end_date (UTC
+ * instants), which can be off by more than a day either way; filters on them
+ * are widened by ELECTION_TIME_SLACK_HOURS and the exact moments are checked here.
+ */
+
+import { parseShapedDate } from './filterExpressions.js';
+import logger from '../../utils/logger.js';
+
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})(?::(\d{2}))?/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// timeZone -> Intl.DateTimeFormat, or null for names Intl rejects
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    try {
+      formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+      }));
+    } catch {
+      logger.warn({ timeZone }, 'Unknown election timezone, using UTC');
+      formatters.set(timeZone, null);
+    }
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Milliseconds timeZone is ahead of UTC at an instant
+ */
+const zoneOffset = (timestamp, formatter) => {
+  const parts = Object.fromEntries(formatter.formatToParts(new Date(timestamp)).map(part => [part.type, part.value]));
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(timestamp / 1000) * 1000;
+};
+
+/**
+ * Instant at which a wall clock reading happens in a timezone
+ * @param {string} calendarDate - YYYY-MM-DD
+ * @param {string} time - HH:MM or HH:MM:SS
+ * @param {string} timeZone - IANA name, UTC when missing or unknown
+ * @returns {Date|null}
+ */
+export const zonedTimeToDate = (calendarDate, time, timeZone = 'UTC') => {
+  const dateMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(calendarDate);
+  const timeMatch = TIME_PATTERN.exec(String(time));
+  if (!dateMatch || !timeMatch) return null;
+
+  const wallClock = Date.UTC(
+    dateMatch[1], dateMatch[2] - 1, dateMatch[3],
+    timeMatch[1], timeMatch[2], timeMatch[3] || 0,
+  );
+
+  const formatter = getFormatter(timeZone || 'UTC');
+  if (!formatter) return new Date(wallClock);
+
+  // Offsets a day either side cover any DST change around the answer. A wall
+  // clock repeated by a DST overlap resolves to its first occurrence; one
+  // skipped by a gap round-trips with neither offset and resolves to the later side.
+  const before = zoneOffset(wallClock - DAY_MS, formatter);
+  const after = zoneOffset(wallClock + DAY_MS, formatter);
+  const instants = [wallClock - before, wallClock - after]
+    .filter((instant, index) => zoneOffset(instant, formatter) === [before, after][index]);
+  return new Date(instants.length > 0 ? Math.min(...instants) : wallClock - before);
+};
+
+/**
+ * Calendar day of a start_date/end_date value as stored in Shaped (UTC)
+ */
+const calendarDate = (value) => {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+  const match = /^\d{4}-\d{2}-\d{2}/.exec(String(value));
+  return match ? match[0] : parseShapedDate(value)?.toISOString().slice(0, 10) || null;
+};
+
+/**
+ * A date column combined with its wall clock time column, in the election's timezone
+ */
+const resolveMoment = (dateValue, timeValue, timeZone) => {
+  if (!dateValue) return null;
+
+  if (timeValue) {
+    const day = calendarDate(dateValue);
+    const moment = day && zonedTimeToDate(day, timeValue, timeZone);
+    if (moment) return moment;
+  }
+
+  return parseShapedDate(dateValue);
+};
+
+/**
+ * True closing moment of an election
+ * @param {Object} election - Row or item with end_date, and optionally end_time and timezone
+ * @returns {Date|null} end_date itself when there is no end_time; null when end_date can't be parsed
+ */
+export const getClosingTime = (election) => resolveMoment(election?.end_date, election?.end_time, election?.timezone);
+
+/**
+ * True opening moment of an election
+ * @param {Object} election - Row or item with start_date, and optionally start_time and timezone
+ * @returns {Date|null} start_date itself when there is no start_time; null when start_date can't be parsed
+ */
+export const getOpeningTime = (election) => resolveMoment(election?.start_date, election?.start_time, election?.timezone);
+
+/**
+ * Hours until an election closes, negative once it has
+ * @returns {number|null}
+ */
+export const getHoursLeft = (election, now = new Date()) => {
+  const closesAt = getClosingTime(election);
+  return closesAt ? (closesAt.getTime() - now.getTime()) / (60 * 60 * 1000) : null;
+};
+
+export const ELECTION_STATES = {
+  UPCOMING: 'upcoming',
+  OPEN: 'open',
+  ENDED: 'ended',
+};
+
+/**
+ * Where an election is in its voting window. Missing or unparseable
+ * dates don't restrict it: no start counts as started, no end as not ended.
+ * @returns {string} One of ELECTION_STATES
+ */
+export const getElectionState = (election, now = new Date()) => {
+  const closesAt = getClosingTime(election);
+  if (closesAt && closesAt <= now) return ELECTION_STATES.ENDED;
+
+  const opensAt = getOpeningTime(election);
+  if (opensAt && opensAt > now) return ELECTION_STATES.UPCOMING;
+
+  return ELECTION_STATES.OPEN;
+};
+
+export default { ELECTION_STATES, zonedTimeToDate, getClosingTime, getOpeningTime, getHoursLeft, getElectionState };
@@ -0,0 +1,246 @@
+/**
+ * Eligibility Service
+ * Decides whether a user can actually vote in an election, based on the
+ * election's allowed_countries, permission_type and biometric_required
+ * settings and the user's country, verification status and age.
+ */
+
+import db from '../../utils/database.js';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+
+export const INELIGIBILITY_REASONS = {
+  INVITE_ONLY: 'invite_only',
+  COUNTRY_RESTRICTED: 'country_restricted',
+  VERIFICATION_REQUIRED: 'verification_required',
+  AGE_RESTRICTED: 'age_restricted',
+  ALREADY_VOTED: 'already_voted',
+};
+
+// Permission types that are never open to users discovering elections through a feed
+export const INVITE_ONLY_PERMISSION_TYPES = ['private', 'invite_only'];
+
+const UNRESTRICTED_COUNTRY_VALUES = ['ALL', 'WORLDWIDE', 'GLOBAL'];
+
+// Cap on voted election IDs sent to the engine; older ones are removed in JS
+const MAX_ENGINE_EXCLUSIONS = 200;
+
+/**
+ * Normalise allowed_countries, which may arrive as an array, a JSON string,
+ * a Postgres array literal ("{US,CA}") or a comma-separated list
+ * @param {*} value
+ * @returns {string[]} Upper-cased country codes, empty when unrestricted
+ */
+export const parseAllowedCountries = (value) => {
+  if (!value) return [];
+
+  let countries = value;
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (trimmed.startsWith('[')) {
+      try {
+        countries = JSON.parse(trimmed);
+      } catch (error) {
+        countries = [];
+      }
+    } else {
+      countries = trimmed.replace(/^\{|\}$/g, '').split(',');
+    }
+  }
+
+  if (!Array.isArray(countries)) return [];
+
+  const codes = countries
+    .map(code => String(code).replace(/"/g, '').trim().toUpperCase())
+    .filter(Boolean);
+
+  if (codes.some(code => UNRESTRICTED_COUNTRY_VALUES.includes(code))) return [];
+  return codes;
+};
+
+const calculateAge = (profileRow) => {
+  const age = parseInt(profileRow.age);
+  if (age > 0) return age;
+  if (!profileRow.user_birthdate) return null;
+
+  const birthDate = new Date(profileRow.user_birthdate);
+  if (isNaN(birthDate.getTime())) return null;
+
+  const now = new Date();
+  let years = now.getFullYear() - birthDate.getFullYear();
+  const beforeBirthday = now.getMonth() < birthDate.getMonth()
+    || (now.getMonth() === birthDate.getMonth() && now.getDate() < birthDate.getDate());
+  if (beforeBirthday) years--;
+  return years > 0 ? years : null;
+};
+
+/**
+ * Load the fields eligibility depends on for a user
+ * @param {string|number} userId
+ * @returns {Promise<Object|null>} Profile, or null for anonymous/unknown users
+ */
+export const loadUserProfile = async (userId) => {
+  if (!userId || !/^\d+$/.test(String(userId))) return null;
+
+  try {
+    const result = await db.query(`
+      SELECT u.user_id, u.user_country, u.user_verified, u.user_birthdate,
+        ud.country, ud.age
+      FROM users u
+      LEFT JOIN votteryy_user_details ud ON u.user_id = ud.user_id
+      WHERE u.user_id = $1
+    `, [userId]);
+
+    const row = result.rows[0];
+    if (!row) return null;
+
+    const country = (row.country || row.user_country || '').toUpperCase() || null;
+
+    return {
+      userId: String(row.user_id),
+      country,
+      isVerified: Boolean(row.user_verified),
+      age: calculateAge(row),
+    };
+  } catch (error) {
+    logger.error({ error: error.message, userId }, 'Failed to load user profile for eligibility');
+    return null;
+  }
+};
+
+/**
+ * Check a single election against a user profile
+ * @param {Object} election - Election with allowed_countries, permission_type, biometric_required
+ * @param {Object|null} profile - From loadUserProfile; null for anonymous users
+ * @returns {string|null} Ineligibility reason, or null when the user can vote
+ */
+export const checkEligibility = (election, profile) => {
+  const permissionType = String(election.permission_type || 'public').toLowerCase();
+  if (INVITE_ONLY_PERMISSION_TYPES.includes(permissionType)) {
+    return INELIGIBILITY_REASONS.INVITE_ONLY;
+  }
+
+  // Anonymous users are only screened on rules that don't depend on who they are
+  if (!profile) return null;
+
+  const allowedCountries = parseAllowedCountries(election.allowed_countries);
+  if (allowedCountries.length > 0 && !allowedCountries.includes(profile.country)) {
+    return INELIGIBILITY_REASONS.COUNTRY_RESTRICTED;
+  }
+
+  const biometricRequired = election.biometric_required === true || election.biometric_required === 'true';
+  if (biometricRequired && !profile.isVerified) {
+    return INELIGIBILITY_REASONS.VERIFICATION_REQUIRED;
+  }
+
+  // Unknown ages are not penalised
+  if (profile.age !== null && profile.age < config.eligibility.minVotingAge) {
+    return INELIGIBILITY_REASONS.AGE_RESTRICTED;
+  }
+
+  return null;
+};
+
+/**
+ * Fetch eligibility attributes for elections that don't carry them.
+ * Shaped items have no allowed_countries, so those are read from the database.
+ */
+const fetchEligibilityAttributes = async (electionIds) => {
+  // Bound as bigints so the primary key index applies; other IDs can't match
+  const numericIds = electionIds.filter(id => /^\d+$/.test(id));
+  if (numericIds.length === 0) return new Map();
+
+  const result = await db.query(`
+    SELECT id, allowed_countries, permission_type, biometric_required
+    FROM votteryyy_elections
+    WHERE id = ANY($1::bigint[])
+  `, [numericIds]);
+
+  return new Map(result.rows.map(row => [String(row.id), row]));
+};
+
+/**
+ * Remove elections the user is not eligible to vote in
+ * @param {Array} elections - Shaped items or database rows
+ * @param {Object|null} profile - From loadUserProfile
+ * @param {Object} options
+ * @param {string[]} options.votedElectionIds - Elections the user already voted in
+ * @returns {Promise<{eligible: Array, removed: {total: number, reasons: Object}}>}
+ */
+export const filterEligibleElections = async (elections, profile, options = {}) => {
+  const { votedElectionIds = [] } = options;
+  const removed = { total: 0, reasons: {} };
+  if (elections.length === 0) return { eligible: [], removed };
+
+  const countRemoval = (reason) => {
+    removed.total++;
+    removed.reasons[reason] = (removed.reasons[reason] || 0) + 1;
+  };
+
+  // Voted elections are dropped before the attribute lookup
+  const voted = new Set(votedElectionIds.map(String));
+  const notVoted = elections.filter(election => {
+    if (voted.has(String(election.id || election.election_id))) {
+      countRemoval(INELIGIBILITY_REASONS.ALREADY_VOTED);
+      return false;
+    }
+    return true;
+  });
+
+  const missingIds = notVoted
+    .filter(election => election.allowed_countries === undefined)
+    .map(election => String(election.id || election.election_id));
+
+  let attributes = new Map();
+  try {
+    attributes = await fetchEligibilityAttributes(missingIds);
+  } catch (error) {
+    // Fall back to the attributes Shaped returned rather than emptying the feed
+    logger.warn({ error: error.message }, 'Failed to load election eligibility attributes');
+  }
+
+  const eligible = notVoted.filter(election => {
+    const electionId = String(election.id || election.election_id);
+    const reason = checkEligibility({ ...election, ...attributes.get(electionId) }, profile);
+
+    if (reason) {
+      countRemoval(reason);
+      return false;
+    }
+    return true;
+  });
+
+  if (removed.total > 0) {
+    logger.debug({ userId: profile?.userId, removed }, 'Ineligible elections removed');
+  }
+
+  return { eligible, removed };
+};
+
+/**
+ * Engine-side filter options for the rules Shaped items can express
+ * (permission_type and biometric_required are synced; allowed_countries is not)
+ * @param {Object|null} profile
+ * @param {Object} options
+ * @param {string[]} options.votedElectionIds - Most recent first
+ * @returns {Object} Options for buildElectionFilter
+ */
+export const getEligibilityFilterOptions = (profile, options = {}) => {
+  const { votedElectionIds = [] } = options;
+
+  return {
+    excludePermissionTypes: INVITE_ONLY_PERMISSION_TYPES,
+    excludeBiometric: Boolean(profile) && !profile.isVerified,
+    excludeItemIds: votedElectionIds.slice(0, MAX_ENGINE_EXCLUSIONS),
+  };
+};
+
+export default {
+  INELIGIBILITY_REASONS,
+  INVITE_ONLY_PERMISSION_TYPES,
+  parseAllowedCountries,
+  loadUserProfile,
+  checkEligibility,
+  filterEligibleElections,
+  getEligibilityFilterOptions,
+};
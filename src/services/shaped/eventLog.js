@@ -0,0 +1,127 @@
+/**
+ * Event Log
+ * Local copy of the interaction events sent to Shaped, kept so the service
+ * can reason about a user's recent history (views, shares...) without
+ * querying the engine. Writes are buffered and best effort; Shaped stays
+ * the source of truth for training.
+ */
+
+import db from '../../utils/database.js';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+
+const BUFFER_FLUSH_SIZE = 200;
+const BUFFER_FLUSH_INTERVAL_MS = 5000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+let logBuffer = [];
+let lastPrunedAt = 0;
+
+export const ensureEventLogTable = () => db.ensureSchema('event_log', `
+  CREATE TABLE IF NOT EXISTS recommendation_event_log (
+    event_id UUID PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    election_id TEXT NOT NULL,
+    event_type TEXT NOT NULL,
+    label REAL,
+    metadata JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  );
+  CREATE INDEX IF NOT EXISTS recommendation_event_log_user_idx
+    ON recommendation_event_log (user_id, created_at DESC);
+  CREATE INDEX IF NOT EXISTS recommendation_event_log_election_idx
+    ON recommendation_event_log (election_id, created_at DESC)
+`);
+
+const pruneEventLog = async () => {
+  if (Date.now() - lastPrunedAt < PRUNE_INTERVAL_MS) return;
+  lastPrunedAt = Date.now();
+
+  const result = await db.query(
+    `DELETE FROM recommendation_event_log WHERE created_at < NOW() - $1 * INTERVAL '1 day'`,
+    [config.eventLog.retentionDays]
+  );
+  if (result.rowCount > 0) {
+    logger.info({ deleted: result.rowCount }, 'Event log pruned');
+  }
+};
+
+const flushLogBuffer = async () => {
+  if (logBuffer.length === 0) return;
+
+  const events = logBuffer;
+  logBuffer = [];
+
+  try {
+    await ensureEventLogTable();
+
+    const params = [];
+    const rows = events.map(event => {
+      params.push(event.event_id, event.user_id, event.item_id, event.event_type, event.label, event.metadata, event.created_at);
+      const base = params.length - 7;
+      return `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5}, $${base + 6}::jsonb, $${base + 7})`;
+    });
+
+    await db.query(`
+      INSERT INTO recommendation_event_log (event_id, user_id, election_id, event_type, label, metadata, created_at)
+      VALUES ${rows.join(', ')}
+      ON CONFLICT (event_id) DO NOTHING
+    `, params);
+
+    logger.debug({ count: events.length }, 'Event log flushed');
+    await pruneEventLog();
+  } catch (error) {
+    // Dropped rather than re-buffered: the log is an optimisation, not a record
+    logger.error({ error: error.message, dropped: events.length }, 'Failed to flush event log');
+  }
+};
+
+// Unref: pending events are flushed on shutdown, the timer alone keeps no process alive
+setInterval(flushLogBuffer, BUFFER_FLUSH_INTERVAL_MS).unref();
+
+/**
+ * Queue events for the local log
+ * @param {Array} events - Events in the shape built by eventTracker
+ */
+export const recordEvents = (events) => {
+  logBuffer.push(...events);
+
+  if (logBuffer.length >= BUFFER_FLUSH_SIZE) {
+    flushLogBuffer();
+  }
+};
+
+/**
+ * Get a user's recent events, newest first
+ * @param {string|number} userId
+ * @param {Object} options
+ * @param {string[]} options.eventTypes - Only these types (default: all)
+ * @param {number} options.days - How far back to look (default: 30)
+ * @param {number} options.limit - Maximum events (default: 100)
+ * @returns {Promise<Array<{election_id: string, event_type: string, created_at: Date}>>}
+ */
+export const getUserEvents = async (userId, options = {}) => {
+  const { eventTypes = null, days = 30, limit = 100 } = options;
+
+  await ensureEventLogTable();
+
+  const result = await db.query(`
+    SELECT election_id, event_type, created_at
+    FROM recommendation_event_log
+    WHERE user_id = $1
+    AND created_at >= NOW() - $2 * INTERVAL '1 day'
+    AND ($3::text[] IS NULL OR event_type = ANY($3::text[]))
+    ORDER BY created_at DESC
+    LIMIT $4
+  `, [String(userId), days, eventTypes, limit]);
+
+  return result.rows;
+};
+
+export const getLogBufferSize = () => logBuffer.length;
+
+export const flushEventLog = async () => {
+  await flushLogBuffer();
+};
+
+export default { ensureEventLogTable, recordEvents, getUserEvents, getLogBufferSize, flushEventLog };
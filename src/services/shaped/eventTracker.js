@@ -5,6 +5,10 @@
 import { v4 as uuidv4 } from 'uuid';
 import { shapedClient } from './shapedClient.js';
 import { EVENT_TYPES, getEventLabel } from './eventTypes.js';
+import { recordEvents, flushEventLog } from './eventLog.js';
+import { recordFeedbackEvents } from './negativeFeedback.js';
+import { recordImpressionEvents, flushImpressions } from './impressionFatigue.js';
+import { getUserExperiments } from './experiments.js';
 //import config from '../../config/config.js';
 import logger from '../../utils/logger.js';
 import config from '../../config/index.js';
@@ -28,7 +32,7 @@ const flushEventBuffer = async () => {
   }
 };
 
-setInterval(flushEventBuffer, BUFFER_FLUSH_INTERVAL_MS);
+setInterval(flushEventBuffer, BUFFER_FLUSH_INTERVAL_MS).unref();
 
 const createBaseEvent = ({ userId, electionId, eventType, metadata = {} }) => ({
   event_id: uuidv4(),
@@ -40,9 +44,21 @@ const createBaseEvent = ({ userId, electionId, eventType, metadata = {} }) => ({
   metadata: JSON.stringify(metadata),
 });
 
+// The user's experiment variants go on every event, for experiment results
+const withExperimentVariants = (params) => {
+  const experiments = getUserExperiments(params.userId);
+  if (Object.keys(experiments).length === 0) return params;
+  return { ...params, metadata: { ...params.metadata, experiments } };
+};
+
 export const trackEvent = async (params) => {
   const { immediate = false } = params;
-  const event = createBaseEvent(params);
+  const event = createBaseEvent(withExperimentVariants(params));
+  recordEvents([event]);
+  recordImpressionEvents([event]);
+  // Hides and reports are written before responding, so the user's next feed
+  // leaves the election out; other events need no write here
+  await recordFeedbackEvents([event]);
   
   if (immediate) {
     try {
@@ -89,11 +105,17 @@ export const trackVerificationDone = (userId, electionId) =>
 export const trackResultsView = (userId, electionId) => 
   trackEvent({ userId, electionId, eventType: EVENT_TYPES.VIEW_RESULTS, metadata: { action: 'view_results' } });
 
+export const trackSearchClick = (userId, electionId, metadata = {}) => 
+  trackEvent({ userId, electionId, eventType: EVENT_TYPES.SEARCH_CLICK, metadata: { ...metadata, action: 'search_click' } });
+
 export const trackElectionCreated = (creatorId, electionId, metadata = {}) => 
   trackEvent({ userId: creatorId, electionId, eventType: EVENT_TYPES.ELECTION_CREATED, metadata: { ...metadata, action: 'election_created', is_creator_event: true }, immediate: true });
 
 export const batchTrackEvents = async (events) => {
-  const transformedEvents = events.map(event => createBaseEvent(event));
+  const transformedEvents = events.map(event => createBaseEvent(withExperimentVariants(event)));
+  recordEvents(transformedEvents);
+  recordImpressionEvents(transformedEvents);
+  await recordFeedbackEvents(transformedEvents);
   const batchSize = 1000;
   let totalSent = 0;
   
@@ -111,10 +133,12 @@ export const getBufferSize = () => eventBuffer.length;
 
 export const forceFlush = async () => {
   await flushEventBuffer();
+  await flushEventLog();
+  await flushImpressions();
 };
 
 export default {
   trackEvent, trackVoteCast, trackElectionView, trackElectionShared, trackElectionSaved,
   trackElectionSkipped, trackLotteryWin, trackVerificationDone, trackResultsView,
-  trackElectionCreated, batchTrackEvents, getBufferSize, forceFlush,
+  trackElectionCreated, trackSearchClick, batchTrackEvents, getBufferSize, forceFlush,
 };
\ No newline at end of file
@@ -30,6 +30,9 @@ export const EVENT_TYPES = {
   // Neutral events (for tracking, not ranking)
   FEED_IMPRESSION: 'feed_impression',
   SEARCH_CLICK: 'search_click',
+
+  // Synthetic events (emitted by the service, not the client)
+  INTEREST_SELECTED: 'interest_selected',
 };
 
 /**
@@ -64,6 +67,9 @@ export const EVENT_LABELS = {
   // Neutral (for tracking only)
   [EVENT_TYPES.FEED_IMPRESSION]: 0.0,
   [EVENT_TYPES.SEARCH_CLICK]: 0.1,
+
+  // Weak positive seed from onboarding picks
+  [EVENT_TYPES.INTEREST_SELECTED]: 0.2,
 };
 
 /**
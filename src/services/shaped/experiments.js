@@ -0,0 +1,387 @@
+/**
+ * Experiments
+ * A/B tests between the strategies behind a feed: the engine's /rank path
+ * against the query fallback for the personalized feed, or scoring profiles
+ * for trending and popular.
+ *
+ * An experiment has variants, each with a share of users (weight, in
+ * percent; users outside the shares aren't enrolled). Users are assigned by
+ * hashing the experiment name with their user ID, so a user keeps their
+ * variant for the life of the experiment without anything being stored.
+ * At most one experiment runs per feed.
+ *
+ * Responses carry the variants that shaped them, and every tracked event
+ * carries the user's variants in metadata.experiments, which is what the
+ * results are computed from (recommendation_event_log).
+ */
+
+import { createHash } from 'crypto';
+import db from '../../utils/database.js';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+import { EVENT_TYPES } from './eventTypes.js';
+import { ensureEventLogTable } from './eventLog.js';
+import { isValidProfileName, resolveScoringProfile } from './scoringProfiles.js';
+
+export const EXPERIMENT_STATUS = {
+  DRAFT: 'draft',
+  RUNNING: 'running',
+  STOPPED: 'stopped',
+};
+
+// What a variant sets on each feed an experiment can run on
+export const EXPERIMENT_FEEDS = {
+  for_you: { setting: 'strategy', values: ['rank', 'query'] },
+  trending: { setting: 'profile' },
+  popular: { setting: 'profile' },
+};
+
+export const EXPERIMENT_NOT_FOUND = 'EXPERIMENT_NOT_FOUND';
+export const EXPERIMENT_CONFLICT = 'EXPERIMENT_CONFLICT';
+
+// Events counted as a click on a recommendation
+const CLICK_EVENT_TYPES = [EVENT_TYPES.VIEW_ELECTION, EVENT_TYPES.SEARCH_CLICK];
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const MAX_VARIANTS = 10;
+
+let runningCache = null;
+
+export const ensureExperimentsTable = () => db.ensureSchema('experiments', `
+  CREATE TABLE IF NOT EXISTS recommendation_experiments (
+    name TEXT PRIMARY KEY,
+    feed TEXT NOT NULL,
+    description TEXT,
+    variants JSONB NOT NULL,
+    status TEXT NOT NULL DEFAULT 'draft',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    started_at TIMESTAMPTZ,
+    stopped_at TIMESTAMPTZ
+  );
+  CREATE UNIQUE INDEX IF NOT EXISTS recommendation_experiments_running_feed_idx
+    ON recommendation_experiments (feed) WHERE status = 'running'
+`);
+
+const rowToExperiment = (row) => ({
+  name: row.name,
+  feed: row.feed,
+  description: row.description,
+  variants: row.variants,
+  status: row.status,
+  createdAt: row.created_at,
+  startedAt: row.started_at,
+  stoppedAt: row.stopped_at,
+});
+
+/**
+ * Validate an experiment definition. Scoring profiles are pinned to the
+ * version that is current now, so saving a profile later doesn't change a
+ * running experiment.
+ * Body: { feed, description?, variants: [{ name, weight, strategy | profile }] }
+ * @returns {Promise<{experiment: Object|null, error: string|null}>}
+ */
+export const normalizeExperiment = async (body = {}) => {
+  const fail = error => ({ experiment: null, error });
+
+  const feed = EXPERIMENT_FEEDS[body.feed];
+  if (!feed) return fail(`feed must be one of: ${Object.keys(EXPERIMENT_FEEDS).join(', ')}`);
+
+  if (!Array.isArray(body.variants) || body.variants.length < 2) return fail('At least two variants are required');
+  if (body.variants.length > MAX_VARIANTS) return fail(`At most ${MAX_VARIANTS} variants are allowed`);
+
+  const variants = [];
+  for (const variant of body.variants) {
+    if (!variant || !NAME_PATTERN.test(String(variant.name || ''))) {
+      return fail('Variant names must be 1-40 lowercase letters, digits, "-" or "_"');
+    }
+    if (variants.some(existing => existing.name === variant.name)) return fail(`Duplicate variant "${variant.name}"`);
+    if (typeof variant.weight !== 'number' || !(variant.weight > 0)) {
+      return fail(`Variant "${variant.name}" needs a positive weight`);
+    }
+
+    const value = variant[feed.setting];
+    if (feed.values && !feed.values.includes(value)) {
+      return fail(`Variant "${variant.name}" ${feed.setting} must be one of: ${feed.values.join(', ')}`);
+    }
+    if (feed.setting === 'profile') {
+      const profile = isValidProfileName(String(value || '').split('@')[0])
+        ? await resolveScoringProfile(body.feed, value)
+        : null;
+      if (!profile) return fail(`Variant "${variant.name}" uses unknown ${body.feed} scoring profile: ${value}`);
+      variants.push({ name: variant.name, weight: variant.weight, config: { profile: `${profile.name}@${profile.version}` } });
+    } else {
+      variants.push({ name: variant.name, weight: variant.weight, config: { [feed.setting]: value } });
+    }
+  }
+
+  if (variants.reduce((sum, variant) => sum + variant.weight, 0) > 100) return fail('Variant weights add up to more than 100');
+
+  return {
+    experiment: {
+      feed: body.feed,
+      description: typeof body.description === 'string' ? body.description.slice(0, 500) : null,
+      variants,
+    },
+    error: null,
+  };
+};
+
+export const isValidExperimentName = (name) => NAME_PATTERN.test(String(name || ''));
+
+/**
+ * Create an experiment, as a draft
+ * @returns {Promise<{experiment: Object|null, error: Object|null}>} error.code EXPERIMENT_CONFLICT when the name is taken
+ */
+export const createExperiment = async (name, { feed, description, variants }) => {
+  await ensureExperimentsTable();
+
+  const result = await db.query(`
+    INSERT INTO recommendation_experiments (name, feed, description, variants)
+    VALUES ($1, $2, $3, $4::jsonb)
+    ON CONFLICT (name) DO NOTHING
+    RETURNING *
+  `, [name, feed, description, JSON.stringify(variants)]);
+
+  if (result.rows.length === 0) {
+    return { experiment: null, error: { code: EXPERIMENT_CONFLICT, message: `Experiment ${name} already exists` } };
+  }
+
+  logger.info({ name, feed, variants: variants.map(variant => variant.name) }, 'Experiment created');
+  return { experiment: rowToExperiment(result.rows[0]), error: null };
+};
+
+/**
+ * Start or stop an experiment. A stopped experiment can't be restarted, so
+ * its results stay those of one continuous run.
+ * @param {string} name
+ * @param {string} status - EXPERIMENT_STATUS.RUNNING or STOPPED
+ * @returns {Promise<{experiment: Object|null, error: Object|null}>}
+ */
+export const setExperimentStatus = async (name, status) => {
+  await ensureExperimentsTable();
+
+  const current = await getExperiment(name);
+  if (!current) return { experiment: null, error: { code: EXPERIMENT_NOT_FOUND, message: `Experiment ${name} not found` } };
+  if (current.status === status) return { experiment: current, error: null };
+
+  const conflict = message => ({ experiment: null, error: { code: EXPERIMENT_CONFLICT, message } });
+  if (current.status === EXPERIMENT_STATUS.STOPPED) return conflict(`Experiment ${name} has stopped`);
+
+  let result;
+  if (status === EXPERIMENT_STATUS.RUNNING) {
+    // The unique index on running experiments per feed settles concurrent starts
+    try {
+      result = await db.query(`
+        UPDATE recommendation_experiments SET status = $2, started_at = NOW()
+        WHERE name = $1 AND status = $3
+        RETURNING *
+      `, [name, status, EXPERIMENT_STATUS.DRAFT]);
+    } catch (error) {
+      if (error.code === '23505') return conflict(`Another experiment is running on the ${current.feed} feed`);
+      throw error;
+    }
+  } else {
+    result = await db.query(`
+      UPDATE recommendation_experiments SET status = $2, stopped_at = NOW()
+      WHERE name = $1 AND status <> $2
+      RETURNING *
+    `, [name, status]);
+  }
+
+  if (result.rows.length === 0) return conflict(`Experiment ${name} changed concurrently, retry`);
+
+  // Reload rather than clear the cache: event tagging reads it without
+  // waiting, and should see the change from the next event on. A load
+  // already under way may have read the old status, so it goes first.
+  await runningLoad;
+  await loadRunningExperiments();
+  logger.info({ name, status }, 'Experiment status changed');
+  return { experiment: rowToExperiment(result.rows[0]), error: null };
+};
+
+/**
+ * @returns {Promise<Object|null>}
+ */
+export const getExperiment = async (name) => {
+  await ensureExperimentsTable();
+  const result = await db.query('SELECT * FROM recommendation_experiments WHERE name = $1', [name]);
+  return result.rows[0] ? rowToExperiment(result.rows[0]) : null;
+};
+
+/**
+ * Every experiment, newest first
+ */
+export const listExperiments = async () => {
+  await ensureExperimentsTable();
+  const result = await db.query('SELECT * FROM recommendation_experiments ORDER BY created_at DESC');
+  return result.rows.map(rowToExperiment);
+};
+
+let runningLoad = null;
+
+/**
+ * Load the running experiments into the cache; concurrent calls share one
+ * load. Called at startup, so events are tagged from the first request.
+ * A failed load keeps the previous list.
+ * @returns {Promise<Array>} The running experiments, empty when the load failed
+ */
+export const loadRunningExperiments = () => {
+  if (!runningLoad) {
+    runningLoad = (async () => {
+      try {
+        await ensureExperimentsTable();
+        const result = await db.query('SELECT * FROM recommendation_experiments WHERE status = $1', [EXPERIMENT_STATUS.RUNNING]);
+        runningCache = {
+          experiments: result.rows.map(rowToExperiment),
+          expiresAt: Date.now() + config.experiments.cacheSeconds * 1000,
+        };
+        return runningCache.experiments;
+      } catch (error) {
+        logger.error({ error: error.message }, 'Failed to load running experiments');
+        return [];
+      } finally {
+        runningLoad = null;
+      }
+    })();
+  }
+  return runningLoad;
+};
+
+/**
+ * Running experiments, cached for config.experiments.cacheSeconds. While
+ * they can't be loaded nobody is enrolled, so feeds use their defaults.
+ */
+const getRunningExperiments = async () => {
+  if (runningCache && runningCache.expiresAt > Date.now()) return runningCache.experiments;
+  return loadRunningExperiments();
+};
+
+/**
+ * A user's variant of an experiment: the user's position in [0, 100) from
+ * a hash of experiment name and user ID, matched against the cumulative weights
+ * @returns {Object|null} Variant, or null when the user isn't enrolled
+ */
+export const assignVariant = (experiment, userId) => {
+  const hash = createHash('sha256').update(`${experiment.name}:${userId}`).digest();
+  const position = (hash.readUInt32BE(0) / 0x100000000) * 100;
+
+  let upTo = 0;
+  for (const variant of experiment.variants) {
+    upTo += variant.weight;
+    if (position < upTo) return variant;
+  }
+  return null;
+};
+
+/**
+ * The user's variant of the experiment running on a feed
+ * @param {string} feed - Key of EXPERIMENT_FEEDS
+ * @param {string|number|null} userId
+ * @returns {Promise<{experiment: string, variant: string, config: Object}|null>} null for anonymous or unenrolled users
+ */
+export const getExperimentAssignment = async (feed, userId) => {
+  if (!userId || !/^\d+$/.test(String(userId))) return null;
+
+  const experiment = (await getRunningExperiments()).find(running => running.feed === feed);
+  const variant = experiment && assignVariant(experiment, String(userId));
+  return variant ? { experiment: experiment.name, variant: variant.name, config: variant.config } : null;
+};
+
+/**
+ * Every running experiment the user is enrolled in, as { experiment: variant }.
+ * Reads the cached list without waiting, so event tracking never blocks on
+ * the database; a stale or missing list is reloaded in the background.
+ * @returns {Object}
+ */
+export const getUserExperiments = (userId) => {
+  if (!userId || !/^\d+$/.test(String(userId))) return {};
+
+  if (!runningCache || runningCache.expiresAt <= Date.now()) loadRunningExperiments();
+
+  const assigned = {};
+  for (const experiment of runningCache?.experiments || []) {
+    const variant = assignVariant(experiment, String(userId));
+    if (variant) assigned[experiment.name] = variant.name;
+  }
+  return assigned;
+};
+
+const rate = (count, total) => (total > 0 ? count / total : null);
+const lift = (value, control) => (value !== null && control ? value / control - 1 : null);
+
+/**
+ * Per-variant engagement since the experiment started, from the events this
+ * service tracked for enrolled users. Rates are per impression (feed_impression
+ * events) and per user; lift is relative to the first variant.
+ * @returns {Promise<{experiment: Object, variants: Array<Object>}|null>} null when the experiment doesn't exist
+ */
+export const getExperimentResults = async (name) => {
+  const experiment = await getExperiment(name);
+  if (!experiment) return null;
+  if (!experiment.startedAt) return { experiment, variants: [] };
+
+  await ensureEventLogTable();
+  const result = await db.query(`
+    SELECT metadata->'experiments'->>$1 AS variant,
+      COUNT(DISTINCT user_id) AS users,
+      COUNT(*) FILTER (WHERE event_type = $2) AS impressions,
+      COUNT(*) FILTER (WHERE event_type = ANY($3::text[])) AS clicks,
+      COUNT(*) FILTER (WHERE event_type = $4) AS votes,
+      COUNT(DISTINCT user_id) FILTER (WHERE event_type = $4) AS voters
+    FROM recommendation_event_log
+    WHERE metadata->'experiments'->>$1 IS NOT NULL
+    AND created_at >= $5 AND ($6::timestamptz IS NULL OR created_at <= $6)
+    GROUP BY 1
+  `, [name, EVENT_TYPES.FEED_IMPRESSION, CLICK_EVENT_TYPES, EVENT_TYPES.VOTE_CAST, experiment.startedAt, experiment.stoppedAt]);
+
+  const byVariant = new Map(result.rows.map(row => [row.variant, row]));
+  const variants = experiment.variants.map(variant => {
+    const row = byVariant.get(variant.name) || {};
+    const counts = {
+      users: parseInt(row.users) || 0,
+      impressions: parseInt(row.impressions) || 0,
+      clicks: parseInt(row.clicks) || 0,
+      votes: parseInt(row.votes) || 0,
+      voters: parseInt(row.voters) || 0,
+    };
+    return {
+      name: variant.name,
+      weight: variant.weight,
+      config: variant.config,
+      ...counts,
+      click_rate: rate(counts.clicks, counts.impressions),
+      vote_rate: rate(counts.votes, counts.impressions),
+      voters_per_user: rate(counts.voters, counts.users),
+    };
+  });
+
+  const [control] = variants;
+  for (const variant of variants.slice(1)) {
+    variant.lift = {
+      click_rate: lift(variant.click_rate, control.click_rate),
+      vote_rate: lift(variant.vote_rate, control.vote_rate),
+      voters_per_user: lift(variant.voters_per_user, control.voters_per_user),
+    };
+  }
+
+  return { experiment, variants };
+};
+
+export default {
+  EXPERIMENT_STATUS,
+  EXPERIMENT_FEEDS,
+  EXPERIMENT_NOT_FOUND,
+  EXPERIMENT_CONFLICT,
+  ensureExperimentsTable,
+  normalizeExperiment,
+  isValidExperimentName,
+  createExperiment,
+  setExperimentStatus,
+  getExperiment,
+  listExperiments,
+  loadRunningExperiments,
+  assignVariant,
+  getExperimentAssignment,
+  getUserExperiments,
+  getExperimentResults,
+};
@@ -0,0 +1,355 @@
+/**
+ * Recommendation Explanations
+ * Attaches a structured reasons array ("why am I seeing this?") to each
+ * recommended election, built from the user's history and the scoring
+ * factors the feed already computed. Reasons are ordered most specific first.
+ */
+
+import db from '../../utils/database.js';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+import { EVENT_TYPES } from './eventTypes.js';
+import { getUserEvents } from './eventLog.js';
+import { getVoteHistorySummary } from './voteHistory.js';
+import { getUserInterests } from './userInterests.js';
+import { getHoursLeft } from './electionTiming.js';
+
+export const REASON_TYPES = {
+  CATEGORY_HISTORY: 'category_history',
+  CREATOR_HISTORY: 'creator_history',
+  SIMILAR_TO_INTERACTED: 'similar_to_interacted',
+  SIMILAR_TO_SOURCE: 'similar_to_source',
+  INTEREST: 'interest',
+  COHORT: 'cohort',
+  CO_VOTE: 'co_vote',
+  PERSONALIZED: 'personalized',
+  TRENDING: 'trending',
+  POPULAR: 'popular',
+  NEW: 'new',
+  LOTTERY_PRIZE: 'lottery_prize',
+  ENDING_SOON: 'ending_soon',
+  UPCOMING: 'upcoming',
+  SAVED: 'saved',
+  SEARCH_MATCH: 'search_match',
+  CATEGORY: 'category',
+  OPEN: 'open',
+};
+
+// Interactions that make "similar to election X you viewed" meaningful, with the verb shown
+const INTERACTION_VERBS = {
+  [EVENT_TYPES.VIEW_ELECTION]: 'viewed',
+  [EVENT_TYPES.VIEW_RESULTS]: 'viewed',
+  [EVENT_TYPES.ELECTION_SAVED]: 'saved',
+  [EVENT_TYPES.ELECTION_SHARED]: 'shared',
+};
+
+const COHORT_MESSAGES = {
+  country_gender_age: 'Popular with people like you',
+  country: 'Popular in your country',
+  region_age: 'Trending in your region',
+  region: 'Trending in your region',
+};
+
+// Internal score fields moved into score_factors (debug) or dropped
+const FACTOR_FIELDS = ['_trending_factors', '_popularity_factors', '_ending_soon_factors', '_upcoming_factors', '_search_factors', '_fatigue_factors'];
+
+const EMPTY_CONTEXT = { categories: new Map(), creators: new Map(), interactions: [], interests: null };
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const getElectionId = (election) => String(election.id || election.election_id);
+
+/**
+ * Elections the user recently interacted with, with their category and creator
+ */
+const loadInteractions = async (userId) => {
+  const events = await getUserEvents(userId, {
+    eventTypes: Object.keys(INTERACTION_VERBS),
+    days: 30,
+    limit: 50,
+  });
+  if (events.length === 0) return [];
+
+  // Bound as bigints so the primary key index applies
+  const electionIds = [...new Set(events.map(event => event.election_id))].filter(id => /^\d+$/.test(id));
+  if (electionIds.length === 0) return [];
+
+  const result = await db.query(`
+    SELECT id::text AS id, category_id::text AS category_id, creator_id::text AS creator_id
+    FROM votteryyy_elections
+    WHERE id = ANY($1::bigint[])
+  `, [electionIds]);
+  const attributes = new Map(result.rows.map(row => [row.id, row]));
+
+  // Newest interaction per election, so the freshest one is cited
+  const seen = new Set();
+  return events.filter(event => {
+    if (seen.has(event.election_id) || !attributes.has(event.election_id)) return false;
+    seen.add(event.election_id);
+    return true;
+  }).map(event => ({
+    electionId: event.election_id,
+    verb: INTERACTION_VERBS[event.event_type],
+    categoryId: attributes.get(event.election_id).category_id,
+    creatorId: attributes.get(event.election_id).creator_id,
+  }));
+};
+
+/**
+ * Load what reasons are derived from for a user.
+ * Every part is optional: a failed lookup only means fewer reasons.
+ * @param {string|number|null} userId
+ * @returns {Promise<Object>}
+ */
+export const loadExplanationContext = async (userId) => {
+  if (!userId || !/^\d+$/.test(String(userId))) return EMPTY_CONTEXT;
+
+  const settle = (promise, fallback, what) => promise.catch(error => {
+    logger.warn({ error: error.message, userId }, `Failed to load ${what} for explanations`);
+    return fallback;
+  });
+
+  const [summary, interactions, interests] = await Promise.all([
+    getVoteHistorySummary(userId, { days: config.explanations.historyDays }),
+    settle(loadInteractions(userId), [], 'interactions'),
+    settle(getUserInterests(userId), null, 'interests'),
+  ]);
+
+  return { ...summary, interactions, interests };
+};
+
+const getPrizePool = (election) => parseFloat(election.lottery_prize_pool ?? election.lottery_total_prize_pool ?? 0) || 0;
+
+/**
+ * Reasons derived from the scoring factors a feed computed
+ */
+const factorReasons = (election) => {
+  const reasons = [];
+  const trending = election._trending_factors;
+  const popularity = election._popularity_factors;
+  const voteCount = parseInt(election.vote_count || 0);
+  const viewCount = parseInt(election.view_count || 0);
+
+  const velocity = election.velocity;
+  if (velocity) {
+    if (velocity.score > 0) {
+      const days = Math.round(velocity.window_hours / 24);
+      const pace = velocity.baseline_rate > 0 && velocity.lift >= 1.5 ? `, ${velocity.lift}x its usual pace` : '';
+      reasons.push({
+        type: REASON_TYPES.TRENDING,
+        message: `Trending: ${plural(velocity.votes.recent, 'vote')} and ${plural(velocity.views.recent, 'view')} in the last ${plural(days, 'day')}${pace}`,
+        recent_votes: velocity.votes.recent,
+        recent_views: velocity.views.recent,
+        recent_shares: velocity.shares.recent,
+        lift: velocity.lift,
+      });
+    }
+  } else if (trending) {
+    // Factor names come from the scoring profile; anything but recency counts as activity
+    const { recency = 0, ...activity } = trending;
+    if (Object.values(activity).reduce((sum, value) => sum + value, 0) >= recency) {
+      reasons.push({
+        type: REASON_TYPES.TRENDING,
+        message: `Trending: ${plural(voteCount, 'vote')} and ${plural(viewCount, 'view')}`,
+        vote_count: voteCount,
+        view_count: viewCount,
+      });
+    } else {
+      reasons.push({ type: REASON_TYPES.NEW, message: 'Recently launched and picking up activity' });
+    }
+  }
+
+  if (popularity) {
+    reasons.push({
+      type: REASON_TYPES.POPULAR,
+      message: `Popular: ${plural(voteCount, 'vote')} so far`,
+      vote_count: voteCount,
+    });
+  }
+
+  return reasons;
+};
+
+/**
+ * Build the reasons for one election
+ * @param {Object} election - Feed item, optionally carrying scoring factors
+ * @param {Object} context - From loadExplanationContext
+ * @param {Object} options
+ * @param {string} options.sourceElectionId - Election a similar-elections list was built from
+ * @returns {Array<{type: string, message: string}>}
+ */
+export const buildReasons = (election, context = EMPTY_CONTEXT, options = {}) => {
+  const { sourceElectionId = null } = options;
+  const { explanations } = config;
+  const reasons = [];
+  const electionId = getElectionId(election);
+  const categoryId = election.category_id !== undefined && election.category_id !== null ? String(election.category_id) : null;
+  const creatorId = election.creator_id !== undefined && election.creator_id !== null ? String(election.creator_id) : null;
+
+  if (election.matched_terms?.length > 0) {
+    reasons.push({
+      type: REASON_TYPES.SEARCH_MATCH,
+      message: `Matches ${election.matched_terms.map(term => `"${term}"`).join(', ')}`,
+      terms: election.matched_terms,
+    });
+  }
+
+  if (election.saved) {
+    reasons.push(election.recommendation_type === 'saved'
+      ? { type: REASON_TYPES.SAVED, message: 'Voting is now open on an election you saved', opens_at: election.opens_at }
+      : { type: REASON_TYPES.SAVED, message: 'You saved this election' });
+  }
+
+  if (sourceElectionId) {
+    const sharedTerms = (election.shared_terms || []).slice(0, 3);
+    reasons.push({
+      type: REASON_TYPES.SIMILAR_TO_SOURCE,
+      message: sharedTerms.length > 0
+        ? `Similar to election ${sourceElectionId}: also about ${sharedTerms.map(term => `"${term}"`).join(', ')}`
+        : `Similar to election ${sourceElectionId}`,
+      election_id: String(sourceElectionId),
+      ...(sharedTerms.length > 0 ? { shared_terms: sharedTerms } : {}),
+    });
+  }
+
+  const categoryVotes = categoryId ? context.categories.get(categoryId) || 0 : 0;
+  if (categoryVotes >= explanations.minCategoryVotes) {
+    reasons.push({
+      type: REASON_TYPES.CATEGORY_HISTORY,
+      message: `Because you voted in ${plural(categoryVotes, 'election')} in category ${categoryId}`,
+      category_id: categoryId,
+      count: categoryVotes,
+    });
+  }
+
+  const creatorVotes = creatorId ? context.creators.get(creatorId) || 0 : 0;
+  if (creatorVotes > 0) {
+    reasons.push({
+      type: REASON_TYPES.CREATOR_HISTORY,
+      message: `You voted in ${plural(creatorVotes, 'election')} by this creator`,
+      creator_id: creatorId,
+      count: creatorVotes,
+    });
+  }
+
+  const interaction = context.interactions.find(item => item.electionId !== electionId
+    && ((categoryId && item.categoryId === categoryId) || (creatorId && item.creatorId === creatorId)));
+  if (interaction) {
+    reasons.push({
+      type: REASON_TYPES.SIMILAR_TO_INTERACTED,
+      message: `Similar to election ${interaction.electionId} you ${interaction.verb}`,
+      election_id: interaction.electionId,
+    });
+  }
+
+  if (context.interests) {
+    const text = `${election.title || ''} ${election.description || ''}`.toLowerCase();
+    const topics = context.interests.topics.filter(topic => text.includes(topic));
+    if (categoryId && context.interests.categoryIds.includes(parseInt(categoryId))) {
+      reasons.push({ type: REASON_TYPES.INTEREST, message: `Matches your interest in category ${categoryId}`, category_id: categoryId });
+    }
+    if (topics.length > 0) {
+      reasons.push({ type: REASON_TYPES.INTEREST, message: `Matches your interest in "${topics[0]}"`, topics });
+    }
+  }
+
+  if (election.cohort_voters !== undefined) {
+    const level = options.cohort?.level || null;
+    reasons.push({
+      type: REASON_TYPES.COHORT,
+      message: COHORT_MESSAGES[level] || 'Popular with people like you',
+      cohort_level: level,
+      cohort_voters: election.cohort_voters,
+    });
+  }
+
+  if (election.co_vote_score !== undefined) {
+    const seeds = parseInt(election.seed_count) || 1;
+    reasons.push({
+      type: REASON_TYPES.CO_VOTE,
+      message: `People who voted in ${plural(seeds, 'election')} you voted in also voted here`,
+      seed_count: seeds,
+    });
+  }
+
+  if (election.recommendation_type === 'personalized' && reasons.length === 0) {
+    reasons.push({ type: REASON_TYPES.PERSONALIZED, message: 'Recommended from your voting history' });
+  }
+
+  reasons.push(...factorReasons(election));
+
+  const prizePool = getPrizePool(election);
+  if (prizePool >= explanations.bigPrizeThreshold) {
+    reasons.push({ type: REASON_TYPES.LOTTERY_PRIZE, message: `Big lottery prize: ${prizePool.toLocaleString('en-US')}`, prize_pool: prizePool });
+  }
+
+  const hoursLeft = election.hours_left ?? getHoursLeft(election);
+  if (hoursLeft !== null && hoursLeft > 0 && hoursLeft <= explanations.endingSoonHours) {
+    const rounded = Math.max(1, Math.round(hoursLeft));
+    reasons.push({ type: REASON_TYPES.ENDING_SOON, message: `Closes in ${plural(rounded, 'hour')}`, hours_left: rounded });
+  }
+
+  if (election.hours_until_open !== undefined) {
+    const hours = Math.max(1, Math.round(election.hours_until_open));
+    reasons.push({
+      type: REASON_TYPES.UPCOMING,
+      message: hours < 48 ? `Opens in ${plural(hours, 'hour')}` : `Opens in ${plural(Math.round(hours / 24), 'day')}`,
+      opens_at: election.opens_at,
+    });
+  }
+
+  if (reasons.length === 0) {
+    reasons.push(categoryId
+      ? { type: REASON_TYPES.CATEGORY, message: `Open election in category ${categoryId}`, category_id: categoryId }
+      : { type: REASON_TYPES.OPEN, message: 'Open for voting now' });
+  }
+
+  return reasons;
+};
+
+/**
+ * Raw per-factor scores, for ?debug=true
+ */
+const buildScoreFactors = (election) => {
+  const factors = {};
+  if (election._trending_factors) factors.trending = { ...election._trending_factors, total: election._trending_score };
+  if (election._popularity_factors) factors.popularity = { ...election._popularity_factors, total: election._popularity_score };
+  if (election._ending_soon_factors) factors.ending_soon = { ...election._ending_soon_factors, total: election.ending_soon_score };
+  if (election._upcoming_factors) factors.upcoming = { ...election._upcoming_factors, total: election.upcoming_score };
+  if (election._search_factors) factors.search = { ...election._search_factors, total: election.search_score };
+  if (election._fatigue_factors) factors.fatigue = { ...election._fatigue_factors };
+  if (election.interest_score !== undefined) factors.interest = election.interest_score;
+  if (election.cohort_voters !== undefined) factors.cohort_voters = election.cohort_voters;
+  if (election.co_vote_score !== undefined) factors.co_vote = parseFloat(election.co_vote_score);
+  if (election.content_score !== undefined) factors.content = election.content_score;
+  if (election.cosine !== undefined) {
+    factors.co_vote = { co_voters: election.co_voters, cosine: election.cosine, jaccard: election.jaccard };
+  }
+  if (election.original_rank !== undefined) {
+    factors.diversity = { original_rank: election.original_rank, reranked_position: election.reranked_position };
+  }
+  return factors;
+};
+
+/**
+ * Attach reasons (and, in debug mode, raw score factors) to a list of elections
+ * @param {Array} elections
+ * @param {Object} context - From loadExplanationContext
+ * @param {Object} options
+ * @param {boolean} options.debug - Include score_factors on each item
+ * @param {string} options.sourceElectionId - For similar-elections lists
+ * @param {Object} options.cohort - Cohort the list was built from, if any
+ * @returns {Array}
+ */
+export const explainElections = (elections, context, options = {}) => {
+  const { debug = false } = options;
+
+  return elections.map(election => {
+    const explained = { ...election, reasons: buildReasons(election, context, options) };
+    if (debug) explained.score_factors = buildScoreFactors(election);
+    for (const field of FACTOR_FIELDS) delete explained[field];
+    return explained;
+  });
+};
+
+export default { REASON_TYPES, loadExplanationContext, buildReasons, explainElections };
@@ -0,0 +1,104 @@
+/**
+ * Feed Blender
+ * Interleaves several ranked strategy lists into one de-duplicated feed.
+ *
+ * Slots are assigned two ways:
+ * - everyNth: fixed positions, e.g. { lotterized: 5 } puts a lottery pick at 5, 10, 15...
+ * - ratios: the remaining slots are shared by smooth weighted round-robin,
+ *   e.g. { personalized: 0.6, trending: 0.4 }
+ * When the strategy owning a slot has run dry, the slot is backfilled from
+ * the other strategies in descending ratio order.
+ */
+
+const getElectionId = (election) => String(election.id || election.election_id);
+
+/**
+ * Parse "name:value,name:value" into { name: number }
+ * @param {string} value
+ * @returns {Object|null} Null when nothing valid was given
+ */
+export const parseStrategyWeights = (value) => {
+  if (!value) return null;
+
+  const weights = {};
+  for (const pair of String(value).split(',')) {
+    const [name, rawWeight] = pair.split(':').map(part => part.trim());
+    const weight = parseFloat(rawWeight);
+    if (name && Number.isFinite(weight) && weight > 0) weights[name] = weight;
+  }
+
+  return Object.keys(weights).length > 0 ? weights : null;
+};
+
+/**
+ * Blend strategy lists into a single feed
+ * @param {Object} lists - { strategyName: [elections in rank order] }
+ * @param {Object} options
+ * @param {Object} options.ratios - Share of the free slots per strategy
+ * @param {Object} options.everyNth - Fixed slot interval per strategy
+ * @param {number} options.size - Maximum feed length
+ * @returns {Array} Elections tagged with strategy, and backfilled_for when a slot was backfilled
+ */
+export const blendFeeds = (lists, options = {}) => {
+  const { ratios = {}, everyNth = {}, size = 100 } = options;
+
+  const cursors = Object.fromEntries(Object.keys(lists).map(name => [name, 0]));
+  const seen = new Set();
+  const credits = Object.fromEntries(Object.keys(ratios).map(name => [name, 0]));
+  const ratioTotal = Object.values(ratios).reduce((sum, ratio) => sum + ratio, 0);
+
+  const backfillOrder = Object.keys(lists).sort((a, b) => (ratios[b] || 0) - (ratios[a] || 0));
+
+  const takeNext = (strategy) => {
+    const list = lists[strategy] || [];
+    while (cursors[strategy] < list.length) {
+      const election = list[cursors[strategy]++];
+      const electionId = getElectionId(election);
+      if (!seen.has(electionId)) {
+        seen.add(electionId);
+        return election;
+      }
+    }
+    return null;
+  };
+
+  const pickRatioStrategy = () => {
+    if (ratioTotal === 0) return backfillOrder[0];
+
+    // Smooth weighted round-robin: every strategy earns its ratio, the richest spends the total
+    let best = null;
+    for (const name of Object.keys(ratios)) {
+      credits[name] += ratios[name];
+      if (best === null || credits[name] > credits[best]) best = name;
+    }
+    credits[best] -= ratioTotal;
+    return best;
+  };
+
+  const feed = [];
+  for (let position = 1; feed.length < size; position++) {
+    const fixed = Object.keys(everyNth).find(name => everyNth[name] > 0 && position % everyNth[name] === 0);
+    const slotStrategy = fixed || pickRatioStrategy();
+
+    let strategy = slotStrategy;
+    let election = takeNext(slotStrategy);
+
+    for (let i = 0; !election && i < backfillOrder.length; i++) {
+      strategy = backfillOrder[i];
+      election = takeNext(strategy);
+    }
+
+    // Every strategy is exhausted
+    if (!election) break;
+
+    feed.push({
+      ...election,
+      strategy,
+      ...(strategy !== slotStrategy ? { backfilled_for: slotStrategy } : {}),
+    });
+  }
+
+  return feed;
+};
+
+export default { parseStrategyWeights, blendFeeds };
@@ -0,0 +1,134 @@
+/**
+ * Feed Cursor Pagination
+ * Stores a snapshot of a ranked feed when its first page is requested and
+ * hands out opaque cursors into it, so later pages neither overlap nor skip
+ * items when the underlying ranking changes between requests.
+ *
+ * A snapshot holds at most config.feeds.snapshotSize items, so paging stops
+ * there even when more elections would match; pagination.truncated tells
+ * clients when a feed was cut at that size.
+ *
+ * Known limitation: snapshots live in process memory. Cursors expire after
+ * config.feeds.snapshotTtlMinutes and are only valid on the instance that
+ * issued them, so behind a load balancer without sticky sessions a later
+ * page can come back INVALID_CURSOR and the client starts from the first page.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+
+const MAX_SNAPSHOTS = 5000;
+
+const snapshots = new Map();
+
+export const INVALID_CURSOR = 'INVALID_CURSOR';
+
+const encodeCursor = (snapshotId, offset) =>
+  Buffer.from(JSON.stringify({ s: snapshotId, o: offset })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof decoded.s !== 'string' || !Number.isInteger(decoded.o) || decoded.o < 0) return null;
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+};
+
+const pruneSnapshots = () => {
+  const now = Date.now();
+  for (const [snapshotId, snapshot] of snapshots) {
+    if (snapshot.expiresAt <= now) snapshots.delete(snapshotId);
+  }
+
+  // Map keeps insertion order, so the oldest snapshots go first
+  while (snapshots.size >= MAX_SNAPSHOTS) {
+    snapshots.delete(snapshots.keys().next().value);
+  }
+};
+
+const buildPage = (snapshotId, snapshot, limit, offset) => {
+  const total = snapshot.items.length;
+  const hasMore = offset + limit < total;
+
+  return {
+    ...snapshot.meta,
+    data: snapshot.items.slice(offset, offset + limit),
+    pagination: {
+      limit,
+      offset,
+      total,
+      hasMore,
+      // The ranked list filled the snapshot: total is a lower bound
+      truncated: total >= config.feeds.snapshotSize,
+      nextCursor: hasMore ? encodeCursor(snapshotId, offset + limit) : null,
+    },
+  };
+};
+
+/**
+ * Identify a feed request, so a cursor can't be replayed against another feed or user
+ * @param {string} feed - Feed name
+ * @param {Object} params - Parameters that change the ranking
+ * @returns {string}
+ */
+export const getFeedKey = (feed, params = {}) => JSON.stringify([feed, params]);
+
+/**
+ * Snapshot a fully ranked feed result and return its first page
+ * @param {string} feedKey - From getFeedKey
+ * @param {Object} result - Feed result whose data holds the whole ranked list
+ * @param {Object} options
+ * @param {number} options.limit - Page size
+ * @param {number} options.offset - Starting position (default: 0)
+ * @returns {Object} Result with data sliced to the page and cursor pagination
+ */
+export const createFeedPage = (feedKey, result, { limit, offset = 0 }) => {
+  const { data = [], pagination, ...meta } = result;
+  const snapshot = {
+    feedKey,
+    items: data,
+    meta,
+    expiresAt: Date.now() + config.feeds.snapshotTtlMinutes * 60 * 1000,
+  };
+
+  // Single-page feeds need no snapshot
+  if (result.success === false || offset + limit >= data.length) {
+    return buildPage(null, snapshot, limit, offset);
+  }
+
+  pruneSnapshots();
+  const snapshotId = uuidv4();
+  snapshots.set(snapshotId, snapshot);
+
+  return buildPage(snapshotId, snapshot, limit, offset);
+};
+
+/**
+ * Return the page a cursor points at
+ * @param {string} cursor - From a previous page's pagination.nextCursor
+ * @param {string} feedKey - From getFeedKey; must match the snapshot's
+ * @param {number} limit - Page size
+ * @returns {Object} Page, or { success: false, code: INVALID_CURSOR } when unknown or expired
+ */
+export const readFeedPage = (cursor, feedKey, limit) => {
+  const decoded = decodeCursor(cursor);
+  const snapshot = decoded && snapshots.get(decoded.s);
+
+  if (!snapshot || snapshot.expiresAt <= Date.now() || snapshot.feedKey !== feedKey) {
+    logger.debug({ cursor }, 'Invalid or expired feed cursor');
+    return {
+      success: false,
+      code: INVALID_CURSOR,
+      error: 'Cursor is invalid or has expired. Request the first page again.',
+    };
+  }
+
+  return buildPage(decoded.s, snapshot, limit, decoded.o);
+};
+
+export const getSnapshotCount = () => snapshots.size;
+
+export default { INVALID_CURSOR, getFeedKey, createFeedPage, readFeedPage, getSnapshotCount };
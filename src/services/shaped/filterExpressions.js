@@ -0,0 +1,274 @@
+/**
+ * Shaped Filter Expressions
+ * Builds ShapedQL WHERE clauses so eligibility filtering runs inside the engine
+ * instead of over-fetching items and filtering them in JS.
+ */
+
+export const ACTIVE_STATUSES = ['published', 'active'];
+
+// start_date/end_date are UTC instants while elections really open and close at
+// start_time/end_time in their own timezone (see electionTiming.js). Date filters
+// are widened by this much so no election is cut; callers check the exact times.
+export const ELECTION_TIME_SLACK_HOURS = 48;
+
+/**
+ * Move a date bound outwards by the slack: direction -1 for lower bounds, 1 for upper
+ */
+const widen = (date, direction) => new Date(new Date(date).getTime() + direction * ELECTION_TIME_SLACK_HOURS * 60 * 60 * 1000);
+
+/**
+ * Format a value as a ShapedQL literal
+ * @param {*} value - String, number, boolean or Date
+ * @returns {string}
+ */
+const literal = (value) => {
+  if (value instanceof Date) return `'${toShapedDate(value)}'`;
+  if (typeof value === 'boolean') return value ? 'true' : 'false';
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) throw new Error(`Invalid numeric filter value: ${value}`);
+    return String(value);
+  }
+  return `'${String(value).replace(/'/g, "''")}'`;
+};
+
+/**
+ * Shaped returns dates without a timezone (e.g. "2026-01-31T03:57:00"),
+ * so comparisons are made against the same UTC representation.
+ * @param {Date} date
+ * @returns {string}
+ */
+export const toShapedDate = (date) => new Date(date).toISOString().slice(0, 19);
+
+/**
+ * Parse a date returned by Shaped, treating values without a timezone as UTC
+ * @param {string|Date} value
+ * @returns {Date|null} Null when the value can't be parsed
+ */
+export const parseShapedDate = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+
+  let dateStr = String(value);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) {
+    dateStr += 'T00:00:00Z';
+  } else if (!dateStr.endsWith('Z') && !dateStr.includes('+') && !dateStr.match(/-\d{2}:\d{2}$/)) {
+    dateStr += 'Z';
+  }
+
+  const date = new Date(dateStr);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+export const eq = (field, value) => `${field} = ${literal(value)}`;
+export const gt = (field, value) => `${field} > ${literal(value)}`;
+export const gte = (field, value) => `${field} >= ${literal(value)}`;
+export const lte = (field, value) => `${field} <= ${literal(value)}`;
+export const inList = (field, values) => `${field} IN (${values.map(literal).join(', ')})`;
+export const notInList = (field, values) => `${field} NOT IN (${values.map(literal).join(', ')})`;
+
+/**
+ * Join clauses with AND, skipping empty ones
+ * @param {...string} clauses
+ * @returns {string|null} Combined predicate, or null when nothing to filter
+ */
+export const and = (...clauses) => {
+  const parts = clauses.filter(Boolean);
+  if (parts.length === 0) return null;
+  if (parts.length === 1) return parts[0];
+  return parts.map(clause => `(${clause})`).join(' AND ');
+};
+
+/**
+ * Build the eligibility predicate for election items
+ * @param {Object} options
+ * @param {boolean} options.activeOnly - Only published/active elections that have started and not ended (default: true)
+ * @param {boolean} options.includeUpcoming - With activeOnly, keep elections that haven't started yet
+ * @param {Date} options.now - Reference time for the start and end date checks
+ * @param {Date} options.endsBefore - Only elections ending before this time
+ * @param {Date} options.startsAfter - Only elections starting after this time
+ * @param {Date} options.startsBefore - Only elections starting before this time
+ * Date checks are widened by ELECTION_TIME_SLACK_HOURS.
+ * @param {number} options.categoryId - Restrict to a category
+ * @param {boolean} options.lotteryOnly - Only lottery-enabled elections
+ * @param {number} options.minPrize - Minimum lottery prize pool
+ * @param {boolean} options.freeOnly - Only free elections
+ * @param {number} options.maxFee - Maximum participation fee
+ * @param {string[]} options.excludePermissionTypes - Permission types to leave out
+ * @param {boolean} options.excludeBiometric - Leave out elections requiring biometric verification
+ * @param {string[]} options.excludeItemIds - Item IDs to leave out
+ * @param {string[]} options.excludeCategoryIds - Category IDs to leave out
+ * @param {string[]} options.excludeCreatorIds - Creator IDs to leave out
+ * @returns {string|null}
+ */
+export const buildElectionFilter = (options = {}) => {
+  const {
+    activeOnly = true,
+    includeUpcoming = false,
+    now = new Date(),
+    endsBefore = null,
+    startsAfter = null,
+    startsBefore = null,
+    categoryId = null,
+    lotteryOnly = false,
+    minPrize = 0,
+    freeOnly = false,
+    maxFee = null,
+    excludePermissionTypes = [],
+    excludeBiometric = false,
+    excludeItemIds = [],
+    excludeCategoryIds = [],
+    excludeCreatorIds = [],
+  } = options;
+
+  const clauses = [];
+
+  if (activeOnly) {
+    clauses.push(inList('status', ACTIVE_STATUSES));
+    clauses.push(gt('end_date', widen(now, -1)));
+    if (!includeUpcoming) clauses.push(lte('start_date', widen(now, 1)));
+  }
+
+  if (endsBefore) {
+    clauses.push(lte('end_date', widen(endsBefore, 1)));
+  }
+
+  if (startsAfter) {
+    clauses.push(gt('start_date', widen(startsAfter, -1)));
+  }
+
+  if (startsBefore) {
+    clauses.push(lte('start_date', widen(startsBefore, 1)));
+  }
+
+  if (categoryId !== null && categoryId !== undefined && categoryId !== '') {
+    clauses.push(eq('category_id', parseInt(categoryId)));
+  }
+
+  if (lotteryOnly) {
+    clauses.push(eq('lottery_enabled', true));
+  }
+
+  if (minPrize > 0) {
+    clauses.push(gte('lottery_prize_pool', parseFloat(minPrize)));
+  }
+
+  if (freeOnly) {
+    clauses.push(eq('is_free', true));
+  }
+
+  if (maxFee !== null && maxFee !== undefined) {
+    clauses.push(lte('participation_fee', parseFloat(maxFee)));
+  }
+
+  if (excludePermissionTypes.length > 0) {
+    clauses.push(notInList('permission_type', excludePermissionTypes));
+  }
+
+  if (excludeBiometric) {
+    clauses.push(eq('biometric_required', false));
+  }
+
+  if (excludeItemIds.length > 0) {
+    clauses.push(notInList('item_id', excludeItemIds.map(String)));
+  }
+
+  if (excludeCategoryIds.length > 0) {
+    clauses.push(notInList('category_id', excludeCategoryIds.map(id => parseInt(id))));
+  }
+
+  if (excludeCreatorIds.length > 0) {
+    clauses.push(notInList('creator_id', excludeCreatorIds.map(String)));
+  }
+
+  return and(...clauses);
+};
+
+const isTrue = (value) => value === true || value === 'true';
+
+// Exclusion list -> Set of its IDs as strings, built once per filter options object
+const idSets = new WeakMap();
+
+const toIdSet = (ids) => {
+  let set = idSets.get(ids);
+  if (!set) {
+    set = new Set(ids.map(String));
+    idSets.set(ids, set);
+  }
+  return set;
+};
+
+/**
+ * In-memory equivalent of buildElectionFilter, for items held locally
+ * @param {Object} metadata - Item metadata in the Shaped items schema
+ * @param {Object} options - Same options as buildElectionFilter
+ * @returns {boolean}
+ */
+export const matchesElectionFilter = (metadata, options = {}) => {
+  const {
+    activeOnly = true,
+    includeUpcoming = false,
+    now = new Date(),
+    endsBefore = null,
+    startsAfter = null,
+    startsBefore = null,
+    categoryId = null,
+    lotteryOnly = false,
+    minPrize = 0,
+    freeOnly = false,
+    maxFee = null,
+    excludePermissionTypes = [],
+    excludeBiometric = false,
+    excludeItemIds = [],
+    excludeCategoryIds = [],
+    excludeCreatorIds = [],
+  } = options;
+
+  const endTime = parseShapedDate(metadata.end_date)?.getTime();
+  const startTime = parseShapedDate(metadata.start_date)?.getTime();
+
+  if (activeOnly && (!ACTIVE_STATUSES.includes(metadata.status) || !endTime || endTime <= widen(now, -1).getTime())) return false;
+  if (activeOnly && !includeUpcoming && startTime > widen(now, 1).getTime()) return false;
+  if (endsBefore && (!endTime || endTime > widen(endsBefore, 1).getTime())) return false;
+  if (startsAfter && (!startTime || startTime <= widen(startsAfter, -1).getTime())) return false;
+  if (startsBefore && (!startTime || startTime > widen(startsBefore, 1).getTime())) return false;
+  if (categoryId !== null && categoryId !== undefined && categoryId !== ''
+    && parseInt(metadata.category_id) !== parseInt(categoryId)) return false;
+  if (lotteryOnly && !isTrue(metadata.lottery_enabled)) return false;
+  if (minPrize > 0 && (parseFloat(metadata.lottery_prize_pool) || 0) < parseFloat(minPrize)) return false;
+  if (freeOnly && !isTrue(metadata.is_free)) return false;
+  if (maxFee !== null && maxFee !== undefined && (parseFloat(metadata.participation_fee) || 0) > parseFloat(maxFee)) return false;
+  if (excludePermissionTypes.includes(metadata.permission_type)) return false;
+  if (excludeBiometric && isTrue(metadata.biometric_required)) return false;
+  if (excludeItemIds.length > 0 && toIdSet(excludeItemIds).has(String(metadata.item_id))) return false;
+  if (excludeCategoryIds.length > 0 && toIdSet(excludeCategoryIds).has(String(parseInt(metadata.category_id)))) return false;
+  if (excludeCreatorIds.length > 0 && toIdSet(excludeCreatorIds).has(String(metadata.creator_id))) return false;
+
+  return true;
+};
+
+/**
+ * Build a ShapedQL query over the items table
+ * @param {Object} params
+ * @param {string|null} params.where - Predicate from buildElectionFilter
+ * @param {number} params.limit - Row limit
+ * @returns {string}
+ */
+export const buildItemsQuery = ({ where = null, limit }) =>
+  `SELECT * FROM items${where ? ` WHERE ${where}` : ''} LIMIT ${parseInt(limit)}`;
+
+export default {
+  ACTIVE_STATUSES,
+  ELECTION_TIME_SLACK_HOURS,
+  toShapedDate,
+  parseShapedDate,
+  eq,
+  gt,
+  gte,
+  lte,
+  inList,
+  notInList,
+  and,
+  buildElectionFilter,
+  matchesElectionFilter,
+  buildItemsQuery,
+};
@@ -0,0 +1,253 @@
+/**
+ * Impression Fatigue
+ * Counts feed_impression events per user, election and surface (the feed
+ * the client showed it in, sent as metadata.surface), so elections a user
+ * keeps scrolling past stop leading their feeds. Thresholds are per surface
+ * (config.fatigue.surfaces): past demoteAfter impressions an election moves
+ * down, and at dropAfter it leaves the feed.
+ *
+ * Any positive event on the election (a click, vote, share...) clears its
+ * counters, and so does a significant change to the election since it was
+ * first shown, such as a larger prize pool or a later closing date.
+ *
+ * Events are buffered and written in batches, like the event log, so
+ * impressions cost the tracking request no database round trip.
+ */
+
+import db from '../../utils/database.js';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+import { EVENT_TYPES, isPositiveEvent } from './eventTypes.js';
+import { parseShapedDate } from './filterExpressions.js';
+
+// Impressions from a surface without thresholds are kept under this name
+const OTHER_SURFACE = 'other';
+
+const HOUR_MS = 60 * 60 * 1000;
+const BUFFER_FLUSH_SIZE = 200;
+const BUFFER_FLUSH_INTERVAL_MS = 5000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+let impressionBuffer = [];
+let lastPrunedAt = 0;
+
+export const ensureImpressionsTable = () => db.ensureSchema('impressions', `
+  CREATE TABLE IF NOT EXISTS recommendation_impressions (
+    user_id TEXT NOT NULL,
+    election_id TEXT NOT NULL,
+    surface TEXT NOT NULL,
+    impressions INTEGER NOT NULL,
+    first_shown_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_shown_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    prize_pool NUMERIC,
+    end_date TIMESTAMPTZ,
+    PRIMARY KEY (user_id, election_id, surface)
+  );
+  CREATE INDEX IF NOT EXISTS recommendation_impressions_last_shown_idx
+    ON recommendation_impressions (last_shown_at)
+`);
+
+const normalizeSurface = (surface) => (config.fatigue.surfaces[surface] ? surface : OTHER_SURFACE);
+
+const pruneImpressions = async () => {
+  if (Date.now() - lastPrunedAt < PRUNE_INTERVAL_MS) return;
+  lastPrunedAt = Date.now();
+
+  const result = await db.query(
+    `DELETE FROM recommendation_impressions WHERE last_shown_at < NOW() - $1 * INTERVAL '1 day'`,
+    [config.fatigue.windowDays]
+  );
+  if (result.rowCount > 0) {
+    logger.info({ deleted: result.rowCount }, 'Impression counters pruned');
+  }
+};
+
+/**
+ * Add impressions. A counter last touched before the window starts over, and
+ * a new counter records the election's prize pool and closing date to detect
+ * later changes.
+ */
+const countImpressions = async (events) => {
+  const counts = new Map();
+  for (const event of events) {
+    let surface = null;
+    try {
+      surface = JSON.parse(event.metadata || '{}').surface;
+    } catch (error) {
+      // Unparseable metadata counts as an unknown surface
+    }
+    const key = JSON.stringify([event.user_id, event.item_id, normalizeSurface(surface)]);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  const columns = [[], [], [], []];
+  for (const [key, count] of counts) {
+    JSON.parse(key).forEach((value, index) => columns[index].push(value));
+    columns[3].push(count);
+  }
+
+  const expired = `recommendation_impressions.last_shown_at < NOW() - $5 * INTERVAL '1 day'`;
+  await db.query(`
+    INSERT INTO recommendation_impressions (user_id, election_id, surface, impressions, prize_pool, end_date)
+    SELECT i.user_id, i.election_id, i.surface, i.impressions, e.lottery_total_prize_pool, e.end_date
+    FROM unnest($1::text[], $2::text[], $3::text[], $4::int[]) AS i(user_id, election_id, surface, impressions)
+    LEFT JOIN votteryyy_elections e ON e.id = i.election_id::bigint
+    ON CONFLICT (user_id, election_id, surface) DO UPDATE SET
+      impressions = CASE WHEN ${expired} THEN EXCLUDED.impressions
+        ELSE recommendation_impressions.impressions + EXCLUDED.impressions END,
+      first_shown_at = CASE WHEN ${expired} THEN NOW() ELSE recommendation_impressions.first_shown_at END,
+      prize_pool = CASE WHEN ${expired} THEN EXCLUDED.prize_pool ELSE recommendation_impressions.prize_pool END,
+      end_date = CASE WHEN ${expired} THEN EXCLUDED.end_date ELSE recommendation_impressions.end_date END,
+      last_shown_at = NOW()
+  `, [...columns, config.fatigue.windowDays]);
+};
+
+/**
+ * Clear a user's counters for elections on every surface
+ * @param {Array<[string, string]>} pairs - [userId, electionId]
+ */
+const clearImpressions = (pairs) => db.query(`
+  DELETE FROM recommendation_impressions r
+  USING unnest($1::text[], $2::text[]) AS c(user_id, election_id)
+  WHERE r.user_id = c.user_id AND r.election_id = c.election_id
+`, [pairs.map(([userId]) => userId), pairs.map(([, electionId]) => electionId)]);
+
+const flushImpressionBuffer = async () => {
+  if (impressionBuffer.length === 0) return;
+
+  const events = impressionBuffer;
+  impressionBuffer = [];
+
+  const impressions = events.filter(event => event.event_type === EVENT_TYPES.FEED_IMPRESSION);
+  const engaged = events.filter(event => event.event_type !== EVENT_TYPES.FEED_IMPRESSION);
+
+  try {
+    await ensureImpressionsTable();
+    // Impressions first, so an impression and the click on it flushed together leave no counter
+    if (impressions.length > 0) await countImpressions(impressions);
+    if (engaged.length > 0) await clearImpressions(engaged.map(event => [event.user_id, event.item_id]));
+    logger.debug({ impressions: impressions.length, engaged: engaged.length }, 'Impression buffer flushed');
+    await pruneImpressions();
+  } catch (error) {
+    // Dropped rather than re-buffered: counters only tune feed order
+    logger.error({ error: error.message, impressions: impressions.length, engaged: engaged.length }, 'Failed to record impressions');
+  }
+};
+
+setInterval(flushImpressionBuffer, BUFFER_FLUSH_INTERVAL_MS).unref();
+
+/**
+ * Queue feed_impression events to be counted and positive events to clear
+ * counters; other events are ignored. Election IDs must be numeric, as
+ * counters are joined to elections by primary key.
+ * @param {Array<Object>} events - Events as sent to Shaped (user_id, item_id, event_type, metadata)
+ */
+export const recordImpressionEvents = (events) => {
+  impressionBuffer.push(...events.filter(event => /^\d+$/.test(event.user_id) && /^\d+$/.test(event.item_id)
+    && (event.event_type === EVENT_TYPES.FEED_IMPRESSION || isPositiveEvent(event.event_type))));
+
+  if (impressionBuffer.length >= BUFFER_FLUSH_SIZE) {
+    flushImpressionBuffer();
+  }
+};
+
+export const flushImpressions = async () => {
+  await flushImpressionBuffer();
+};
+
+/**
+ * Whether an election changed enough since it was first shown to be shown afresh
+ * @param {Object} counter - Row with the prize_pool and end_date recorded at the first impression
+ * @param {Object} election - Current election (Shaped item metadata or database row)
+ */
+const hasChangedSignificantly = (counter, election) => {
+  const { prizePoolIncrease, endDateExtendedHours } = config.fatigue.resetWhen;
+
+  const shownPrize = parseFloat(counter.prize_pool) || 0;
+  const prize = parseFloat(election.lottery_prize_pool ?? election.lottery_total_prize_pool ?? 0) || 0;
+  if (prize > shownPrize && prize >= shownPrize * (1 + prizePoolIncrease)) return true;
+
+  const shownEnd = counter.end_date ? new Date(counter.end_date).getTime() : null;
+  const end = parseShapedDate(election.end_date)?.getTime();
+  return Boolean(shownEnd && end && end - shownEnd >= endDateExtendedHours * HOUR_MS);
+};
+
+/**
+ * Demote and drop elections a user has been shown too often on a surface
+ * without engaging. Elections that changed significantly since their first
+ * impression keep their place and have their counters cleared.
+ * @param {Array} elections - Ranked, best first
+ * @param {string|number|null} userId
+ * @param {string} surface - Key of config.fatigue.surfaces
+ * @returns {Promise<{elections: Array, fatigue: Object|null}>} fatigue summarises what changed;
+ *   null when the surface has no thresholds or the user is anonymous
+ */
+export const applyImpressionFatigue = async (elections, userId, surface) => {
+  const thresholds = config.fatigue.surfaces[surface];
+  if (!thresholds || !userId || !/^\d+$/.test(String(userId)) || elections.length === 0) {
+    return { elections, fatigue: null };
+  }
+
+  const electionId = election => String(election.id || election.election_id);
+  let counters;
+  try {
+    await ensureImpressionsTable();
+    const result = await db.query(`
+      SELECT election_id, impressions, prize_pool, end_date FROM recommendation_impressions
+      WHERE user_id = $1 AND surface = $2 AND election_id = ANY($3::text[])
+      AND last_shown_at >= NOW() - $4 * INTERVAL '1 day'
+    `, [String(userId), surface, elections.map(electionId), config.fatigue.windowDays]);
+    counters = new Map(result.rows.map(row => [row.election_id, row]));
+  } catch (error) {
+    logger.error({ error: error.message, userId, surface }, 'Failed to load impression counters');
+    return { elections, fatigue: null };
+  }
+
+  const { demoteAfter, dropAfter } = thresholds;
+  const fatigue = { surface, demoted: 0, dropped: 0, reset: 0 };
+  const changed = [];
+
+  // Each election's place in the list after demotion; ties keep the original order
+  const placed = [];
+  for (const [index, election] of elections.entries()) {
+    const counter = counters.get(electionId(election));
+    const impressions = counter ? parseInt(counter.impressions) : 0;
+
+    if (counter && hasChangedSignificantly(counter, election)) {
+      changed.push([String(userId), electionId(election)]);
+      placed.push({ election, index, position: index });
+    } else if (dropAfter && impressions >= dropAfter) {
+      fatigue.dropped++;
+    } else if (impressions >= demoteAfter) {
+      const demotedBy = (impressions - demoteAfter + 1) * config.fatigue.demotePositions;
+      fatigue.demoted++;
+      placed.push({
+        election: { ...election, _fatigue_factors: { impressions, demoted_by: demotedBy } },
+        index,
+        position: index + demotedBy,
+      });
+    } else {
+      placed.push({ election, index, position: index });
+    }
+  }
+
+  if (changed.length > 0) {
+    fatigue.reset = changed.length;
+    try {
+      await clearImpressions(changed);
+    } catch (error) {
+      logger.error({ error: error.message, userId }, 'Failed to reset impression counters');
+    }
+  }
+
+  if (fatigue.demoted + fatigue.dropped > 0) {
+    logger.debug({ userId, ...fatigue }, 'Impression fatigue applied');
+  }
+
+  return {
+    elections: placed.sort((a, b) => a.position - b.position || a.index - b.index).map(entry => entry.election),
+    fatigue,
+  };
+};
+
+export default { ensureImpressionsTable, recordImpressionEvents, flushImpressions, applyImpressionFatigue };
@@ -17,7 +17,7 @@ import {
 import {
   trackEvent, trackVoteCast, trackElectionView, trackElectionShared, trackElectionSaved,
   trackElectionSkipped, trackLotteryWin, trackVerificationDone, trackResultsView,
-  trackElectionCreated, batchTrackEvents, getBufferSize, forceFlush
+  trackElectionCreated, trackSearchClick, batchTrackEvents, getBufferSize, forceFlush
 } from './eventTracker.js';
 import {
   getElectionsForYou, getSimilarElections, getTrendingElections,
@@ -68,6 +68,7 @@ export {
   trackVerificationDone, 
   trackResultsView,
   trackElectionCreated, 
+  trackSearchClick,
   batchTrackEvents, 
   getBufferSize, 
   forceFlush,
@@ -128,6 +129,7 @@ export default {
   trackVerificationDone, 
   trackResultsView,
   trackElectionCreated, 
+  trackSearchClick,
   batchTrackEvents, 
   getBufferSize, 
   forceFlush,
@@ -0,0 +1,174 @@
+/**
+ * Item Catalog
+ * In-process copy of every open or upcoming election in the Shaped items
+ * schema, so the feeds that score candidates themselves (trending, popular,
+ * lotterized, by-category, ending-soon, upcoming) see the whole catalog
+ * instead of the first page of a `SELECT * FROM items` query.
+ *
+ * Items are indexed by category, lottery flag, status and end date. The
+ * catalog is loaded by electionSync (refreshItemCatalog, on a schedule) and
+ * updated whenever elections are synced. Until the first load, queries
+ * return null and callers fall back to the engine.
+ */
+
+import config from '../../config/index.js';
+import { ACTIVE_STATUSES, ELECTION_TIME_SLACK_HOURS, matchesElectionFilter, parseShapedDate } from './filterExpressions.js';
+
+// itemId -> { id, metadata }
+const items = new Map();
+// categoryId -> Set<itemId>
+const byCategory = new Map();
+// status -> Set<itemId>
+const byStatus = new Map();
+const lotteryIds = new Set();
+// [{ id, endTime }] sorted by endTime, rebuilt lazily after updates
+let byEndDate = [];
+let byEndDateDirty = false;
+
+let refreshedAt = null;
+
+const addToIndex = (index, key, id) => {
+  if (!index.has(key)) index.set(key, new Set());
+  index.get(key).add(id);
+};
+
+const removeFromIndex = (index, key, id) => {
+  const ids = index.get(key);
+  ids?.delete(id);
+  if (ids?.size === 0) index.delete(key);
+};
+
+const addItem = (item) => {
+  const { id, metadata } = item;
+  items.set(id, item);
+  addToIndex(byCategory, parseInt(metadata.category_id) || 0, id);
+  addToIndex(byStatus, metadata.status, id);
+  if (metadata.lottery_enabled === true || metadata.lottery_enabled === 'true') lotteryIds.add(id);
+  byEndDateDirty = true;
+};
+
+const removeItem = (id) => {
+  const existing = items.get(id);
+  if (!existing) return;
+
+  removeFromIndex(byCategory, parseInt(existing.metadata.category_id) || 0, id);
+  removeFromIndex(byStatus, existing.metadata.status, id);
+  lotteryIds.delete(id);
+  items.delete(id);
+  byEndDateDirty = true;
+};
+
+const endDateOrder = () => {
+  if (byEndDateDirty) {
+    byEndDate = [...items.values()]
+      .map(({ id, metadata }) => ({ id, endTime: parseShapedDate(metadata.end_date)?.getTime() ?? Infinity }))
+      .sort((a, b) => a.endTime - b.endTime);
+    byEndDateDirty = false;
+  }
+  return byEndDate;
+};
+
+/**
+ * Smallest indexed set that can hold every match, before the full filter runs
+ */
+const candidateIds = (options) => {
+  const { activeOnly = true, categoryId = null, lotteryOnly = false, endsBefore = null } = options;
+
+  if (categoryId !== null && categoryId !== undefined && categoryId !== '') {
+    return byCategory.get(parseInt(categoryId)) || [];
+  }
+  if (lotteryOnly) return lotteryIds;
+  if (endsBefore) {
+    const order = endDateOrder();
+    const cutoff = endsBefore.getTime() + ELECTION_TIME_SLACK_HOURS * 60 * 60 * 1000;
+    let low = 0;
+    let high = order.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (order[mid].endTime <= cutoff) low = mid + 1;
+      else high = mid;
+    }
+    return order.slice(0, low).map(entry => entry.id);
+  }
+  if (activeOnly) {
+    return ACTIVE_STATUSES.flatMap(status => [...(byStatus.get(status) || [])]);
+  }
+  return items.keys();
+};
+
+// Upcoming elections are kept for the upcoming feed; the other feeds filter them out
+const isOpen = (metadata) => matchesElectionFilter(metadata, { activeOnly: true, includeUpcoming: true });
+
+/**
+ * Replace the whole catalog
+ * @param {Array<{id: string, metadata: Object}>} catalogItems
+ */
+export const replaceCatalog = (catalogItems) => {
+  items.clear();
+  byCategory.clear();
+  byStatus.clear();
+  lotteryIds.clear();
+
+  for (const item of catalogItems) {
+    if (isOpen(item.metadata)) addItem(item);
+  }
+
+  refreshedAt = new Date();
+};
+
+/**
+ * Add, update or remove items after their elections were synced.
+ * A no-op before the first load, which will read the latest rows anyway.
+ * @param {Array<{id: string, metadata: Object}>} catalogItems
+ */
+export const upsertCatalogItems = (catalogItems) => {
+  if (!refreshedAt) return;
+
+  for (const item of catalogItems) {
+    removeItem(item.id);
+    if (isOpen(item.metadata)) addItem(item);
+  }
+};
+
+/**
+ * Items matching a filter, newest first
+ * @param {Object} filterOptions - Same options as buildElectionFilter
+ * @param {Object} options
+ * @param {number} options.limit - Maximum items (default: all matches)
+ * @returns {Array<{id: string, metadata: Object}>|null} null until the catalog has loaded
+ */
+export const queryCatalog = (filterOptions = {}, options = {}) => {
+  if (!refreshedAt) return null;
+
+  const { limit = Infinity } = options;
+  const matches = [];
+  for (const id of candidateIds(filterOptions)) {
+    const item = items.get(id);
+    if (item && matchesElectionFilter(item.metadata, filterOptions)) matches.push(item);
+  }
+
+  return matches
+    .sort((a, b) => (parseShapedDate(b.metadata.created_at)?.getTime() || 0) - (parseShapedDate(a.metadata.created_at)?.getTime() || 0))
+    .slice(0, limit);
+};
+
+/**
+ * A single item by id
+ * @returns {{id: string, metadata: Object}|null}
+ */
+export const getCatalogItem = (id) => items.get(String(id)) || null;
+
+export const getCatalogStatus = () => {
+  const ageSeconds = refreshedAt ? Math.round((Date.now() - refreshedAt.getTime()) / 1000) : null;
+  return {
+    loaded: Boolean(refreshedAt),
+    size: items.size,
+    categories: byCategory.size,
+    lotteryItems: lotteryIds.size,
+    refreshedAt: refreshedAt ? refreshedAt.toISOString() : null,
+    ageSeconds,
+    stale: ageSeconds === null || ageSeconds > config.catalog.staleAfterMinutes * 60,
+  };
+};
+
+export default { replaceCatalog, upsertCatalogItems, queryCatalog, getCatalogItem, getCatalogStatus };
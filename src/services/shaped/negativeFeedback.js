@@ -0,0 +1,280 @@
+/**
+ * Negative Feedback
+ * Per-user record of what a user doesn't want to see: elections they hid or
+ * reported (written as those events are tracked), and categories or
+ * creators they muted, which expire after config.feedback.muteDays unless
+ * given another expiry. Every feed removes these for the user straight
+ * away, rather than waiting for the engine to learn from the events.
+ *
+ * Undoing feedback only lifts the filter; the event already sent to Shaped
+ * stays in its training data.
+ */
+
+import db from '../../utils/database.js';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+import { EVENT_TYPES } from './eventTypes.js';
+
+export const FEEDBACK_TYPES = {
+  HIDDEN: 'hidden',
+  REPORTED: 'reported',
+  CATEGORY: 'category',
+  CREATOR: 'creator',
+};
+
+// Feedback that targets an election rather than a category or creator
+const ELECTION_FEEDBACK_TYPES = [FEEDBACK_TYPES.HIDDEN, FEEDBACK_TYPES.REPORTED];
+
+// Set by the user through the feedback API, each with an expiry
+export const MUTE_FEEDBACK_TYPES = [FEEDBACK_TYPES.CATEGORY, FEEDBACK_TYPES.CREATOR];
+
+const EVENT_FEEDBACK_TYPES = {
+  [EVENT_TYPES.ELECTION_HIDDEN]: FEEDBACK_TYPES.HIDDEN,
+  [EVENT_TYPES.ELECTION_REPORTED]: FEEDBACK_TYPES.REPORTED,
+};
+
+// Reasons counted in a feed's eligibility summary when feedback removes an election
+const REMOVAL_REASONS = {
+  [FEEDBACK_TYPES.HIDDEN]: 'hidden',
+  [FEEDBACK_TYPES.REPORTED]: 'reported',
+  [FEEDBACK_TYPES.CATEGORY]: 'muted_category',
+  [FEEDBACK_TYPES.CREATOR]: 'muted_creator',
+};
+
+export const EMPTY_FEEDBACK = Object.freeze({
+  elections: new Map(),
+  categoryIds: new Set(),
+  creatorIds: new Set(),
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const ensureNegativeFeedbackTable = () => db.ensureSchema('negative_feedback', `
+  CREATE TABLE IF NOT EXISTS recommendation_negative_feedback (
+    id BIGSERIAL PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    feedback_type TEXT NOT NULL,
+    target_id TEXT NOT NULL,
+    reason TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ,
+    UNIQUE (user_id, feedback_type, target_id)
+  )
+`);
+
+const formatFeedback = (row) => ({
+  id: String(row.id),
+  type: row.feedback_type,
+  target_id: row.target_id,
+  election_title: row.election_title || undefined,
+  reason: row.reason || null,
+  created_at: row.created_at,
+  expires_at: row.expires_at || null,
+});
+
+/**
+ * Store a piece of feedback, replacing the user's earlier feedback of the
+ * same type on the same target
+ * @param {string|number} userId
+ * @param {Object} feedback
+ * @param {string} feedback.type - A FEEDBACK_TYPES value
+ * @param {string|number} feedback.targetId - Election, category or creator ID
+ * @param {string} feedback.reason - Free text, e.g. the report reason
+ * @param {Date|null} feedback.expiresAt - Null to keep it until undone
+ * @returns {Promise<Object>}
+ */
+export const recordFeedback = async (userId, { type, targetId, reason = null, expiresAt = null }) => {
+  await ensureNegativeFeedbackTable();
+
+  const result = await db.query(`
+    INSERT INTO recommendation_negative_feedback (user_id, feedback_type, target_id, reason, expires_at)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (user_id, feedback_type, target_id)
+    DO UPDATE SET reason = EXCLUDED.reason, expires_at = EXCLUDED.expires_at, created_at = NOW()
+    RETURNING *
+  `, [String(userId), type, String(targetId), reason, expiresAt]);
+
+  logger.info({ userId, type, targetId, expiresAt }, 'Negative feedback recorded');
+  return formatFeedback(result.rows[0]);
+};
+
+/**
+ * Record hidden/reported elections from tracked events; other events are ignored.
+ * Only numeric user and election IDs are kept, so listFeedback can join
+ * targets to elections by primary key.
+ * Failures are logged, not thrown, so they never fail the event itself.
+ * @param {Array<Object>} events - Events as sent to Shaped (user_id, item_id, event_type, metadata)
+ */
+export const recordFeedbackEvents = async (events) => {
+  const feedbackEvents = events.filter(event => EVENT_FEEDBACK_TYPES[event.event_type]
+    && /^\d+$/.test(event.user_id) && /^\d+$/.test(event.item_id));
+
+  for (const event of feedbackEvents) {
+    let reason = null;
+    try {
+      reason = JSON.parse(event.metadata || '{}').reason || null;
+    } catch (error) {
+      // Metadata is only read for the report reason
+    }
+
+    try {
+      await recordFeedback(event.user_id, {
+        type: EVENT_FEEDBACK_TYPES[event.event_type],
+        targetId: event.item_id,
+        reason: reason === null ? null : String(reason).slice(0, 500),
+      });
+    } catch (error) {
+      logger.error({ error: error.message, userId: event.user_id, electionId: event.item_id }, 'Failed to record negative feedback');
+    }
+  }
+};
+
+/**
+ * Validate a mute from the feedback API
+ * Body: { type: "category"|"creator", targetId, expiresInDays? }
+ * @returns {{mute: Object|null, error: string|null}}
+ */
+export const normalizeMute = (body = {}) => {
+  const { muteDays, maxMuteDays } = config.feedback;
+  const fail = error => ({ mute: null, error });
+
+  if (!MUTE_FEEDBACK_TYPES.includes(body.type)) return fail(`type must be one of: ${MUTE_FEEDBACK_TYPES.join(', ')}`);
+  if (!/^\d+$/.test(String(body.targetId ?? ''))) return fail('targetId must be a numeric category or creator ID');
+
+  const expiresInDays = body.expiresInDays ?? muteDays[body.type];
+  if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > maxMuteDays) {
+    return fail(`expiresInDays must be an integer between 1 and ${maxMuteDays}`);
+  }
+
+  return {
+    mute: { type: body.type, targetId: String(body.targetId), expiresAt: new Date(Date.now() + expiresInDays * DAY_MS) },
+    error: null,
+  };
+};
+
+/**
+ * A user's feedback that hasn't expired, newest first, with election titles
+ * @returns {Promise<Array<Object>>}
+ */
+export const listFeedback = async (userId) => {
+  await ensureNegativeFeedbackTable();
+
+  const result = await db.query(`
+    SELECT f.*, e.title AS election_title
+    FROM recommendation_negative_feedback f
+    LEFT JOIN votteryyy_elections e ON f.feedback_type = ANY($2::text[]) AND e.id = f.target_id::bigint
+    WHERE f.user_id = $1 AND (f.expires_at IS NULL OR f.expires_at > NOW())
+    ORDER BY f.created_at DESC
+  `, [String(userId), ELECTION_FEEDBACK_TYPES]);
+
+  return result.rows.map(formatFeedback);
+};
+
+/**
+ * Undo a piece of feedback
+ * @returns {Promise<Object|null>} The removed feedback, null when the user has none with that ID
+ */
+export const removeFeedback = async (userId, feedbackId) => {
+  if (!/^\d+$/.test(String(feedbackId))) return null;
+  await ensureNegativeFeedbackTable();
+
+  const result = await db.query(
+    'DELETE FROM recommendation_negative_feedback WHERE user_id = $1 AND id = $2 RETURNING *',
+    [String(userId), String(feedbackId)]
+  );
+  if (result.rows.length === 0) return null;
+
+  logger.info({ userId, feedbackId }, 'Negative feedback removed');
+  return formatFeedback(result.rows[0]);
+};
+
+/**
+ * Everything a user currently wants kept out of their feeds.
+ * On a lookup failure feeds go unfiltered rather than failing.
+ * @returns {Promise<{elections: Map<string, string>, categoryIds: Set<string>, creatorIds: Set<string>}>}
+ *   elections maps election ID to its feedback type
+ */
+export const getNegativeFeedback = async (userId) => {
+  if (!userId || !/^\d+$/.test(String(userId))) return EMPTY_FEEDBACK;
+
+  try {
+    await ensureNegativeFeedbackTable();
+    const result = await db.query(`
+      SELECT feedback_type, target_id FROM recommendation_negative_feedback
+      WHERE user_id = $1 AND (expires_at IS NULL OR expires_at > NOW())
+    `, [String(userId)]);
+
+    if (result.rows.length === 0) return EMPTY_FEEDBACK;
+
+    const feedback = { elections: new Map(), categoryIds: new Set(), creatorIds: new Set() };
+    for (const { feedback_type: type, target_id: targetId } of result.rows) {
+      if (type === FEEDBACK_TYPES.CATEGORY) feedback.categoryIds.add(targetId);
+      else if (type === FEEDBACK_TYPES.CREATOR) feedback.creatorIds.add(targetId);
+      // A report outranks a hide of the same election
+      else if (feedback.elections.get(targetId) !== FEEDBACK_TYPES.REPORTED) feedback.elections.set(targetId, type);
+    }
+    return feedback;
+  } catch (error) {
+    logger.error({ error: error.message, userId }, 'Failed to load negative feedback');
+    return EMPTY_FEEDBACK;
+  }
+};
+
+/**
+ * Add a user's feedback to engine/catalog filter options
+ * @param {Object} filterOptions - Options for buildElectionFilter
+ * @param {Object} feedback - From getNegativeFeedback
+ * @returns {Object}
+ */
+export const withFeedbackFilters = (filterOptions, feedback) => {
+  if (feedback === EMPTY_FEEDBACK) return filterOptions;
+
+  return {
+    ...filterOptions,
+    excludeItemIds: [
+      ...(filterOptions.excludeItemIds || []),
+      ...[...feedback.elections.keys()].slice(0, config.feedback.maxEngineExclusions),
+    ],
+    excludeCategoryIds: [...feedback.categoryIds],
+    excludeCreatorIds: [...feedback.creatorIds],
+  };
+};
+
+/**
+ * Remove elections the user hid, reported or muted the category or creator of
+ * @param {Array} elections - Shaped items or database rows
+ * @param {Object} feedback - From getNegativeFeedback
+ * @returns {{elections: Array, removed: {total: number, reasons: Object}}}
+ */
+export const filterNegativeFeedback = (elections, feedback) => {
+  const removed = { total: 0, reasons: {} };
+  if (feedback === EMPTY_FEEDBACK || elections.length === 0) return { elections, removed };
+
+  const kept = elections.filter(election => {
+    const type = feedback.elections.get(String(election.id || election.election_id))
+      || (feedback.categoryIds.has(String(election.category_id)) && FEEDBACK_TYPES.CATEGORY)
+      || (feedback.creatorIds.has(String(election.creator_id)) && FEEDBACK_TYPES.CREATOR);
+    if (!type) return true;
+
+    removed.total++;
+    removed.reasons[REMOVAL_REASONS[type]] = (removed.reasons[REMOVAL_REASONS[type]] || 0) + 1;
+    return false;
+  });
+
+  return { elections: kept, removed };
+};
+
+export default {
+  FEEDBACK_TYPES,
+  MUTE_FEEDBACK_TYPES,
+  EMPTY_FEEDBACK,
+  ensureNegativeFeedbackTable,
+  recordFeedback,
+  recordFeedbackEvents,
+  normalizeMute,
+  listFeedback,
+  removeFeedback,
+  getNegativeFeedback,
+  withFeedbackFilters,
+  filterNegativeFeedback,
+};
@@ -9,7 +9,31 @@
  * ✅ FIXED: Date filtering now handles Shaped AI date format correctly
  */
 
+import { v4 as uuidv4 } from 'uuid';
 import { shapedClient } from './shapedClient.js';
+import { ELECTION_TIME_SLACK_HOURS, buildElectionFilter, buildItemsQuery } from './filterExpressions.js';
+import { loadUserProfile, filterEligibleElections, getEligibilityFilterOptions } from './eligibility.js';
+import { getVotedElectionIds, getVoteHistorySummary } from './voteHistory.js';
+import { getFeedKey, createFeedPage, readFeedPage } from './feedCursor.js';
+import { resolveDiversityOptions, diversifyElections } from './diversity.js';
+import { blendFeeds } from './feedBlender.js';
+import { getColdStartElections } from './coldStart.js';
+import { getUserInterests, scoreInterestMatch } from './userInterests.js';
+import { loadExplanationContext, explainElections } from './explanations.js';
+import { getCoVoteNeighbors, getCoVoteRecommendations, getCoVoteModelStatus } from './coVoteModel.js';
+import { getContentSimilarElections, getContentIndexStatus } from './contentIndex.js';
+import { getTrendingVelocities, emptyVelocity } from './trendingVelocity.js';
+import { queryCatalog, getCatalogItem, getCatalogStatus } from './itemCatalog.js';
+import { ELECTION_STATES, getClosingTime, getOpeningTime, getElectionState } from './electionTiming.js';
+import { UNKNOWN_PROFILE, resolveScoringProfile, scoreWithProfile, describeProfile } from './scoringProfiles.js';
+import { ELECTION_NOT_FOUND, matchAudience } from './audienceMatching.js';
+import { getRegionFromCountry } from './userSync.js';
+import { getSavedElectionIds, getRecentlyOpenedSavedElections } from './savedElections.js';
+import { searchCatalog, searchDatabase } from './electionSearch.js';
+import { EMPTY_FEEDBACK, getNegativeFeedback, withFeedbackFilters, filterNegativeFeedback } from './negativeFeedback.js';
+import { applyImpressionFatigue } from './impressionFatigue.js';
+import { getExperimentAssignment } from './experiments.js';
+import { EVENT_TYPES } from './eventTypes.js';
 import db from '../../utils/database.js';
 import config from '../../config/index.js';
 import logger from '../../utils/logger.js';
@@ -17,6 +41,174 @@ import logger from '../../utils/logger.js';
 // Engine name - must match what's in Shaped console
 const ENGINE_NAME = 'vottery_elections_for_you';
 
+// Candidate pool for feeds that are re-scored in JS (trending, popular, lotterized),
+// used only while the item catalog hasn't loaded and candidates come from the engine.
+const CANDIDATE_POOL_SIZE = 100;
+
+/**
+ * Run a lookup once per batch of users (see getBatchRecommendations), or
+ * every time when there is no batch. Failed lookups aren't kept, and past
+ * config.batch.maxSharedLookups distinct keys new ones run unshared.
+ * @param {Map|null} lookups - From createBatchLookups
+ * @param {Array} key - JSON-serialisable identity of the lookup
+ * @param {Function} lookup - Returns a promise
+ */
+const sharedLookup = (lookups, key, lookup) => {
+  if (!lookups) return lookup();
+
+  const cacheKey = JSON.stringify(key);
+  if (!lookups.has(cacheKey)) {
+    if (lookups.size >= config.batch.maxSharedLookups) return lookup();
+    lookups.set(cacheKey, lookup().catch(error => {
+      lookups.delete(cacheKey);
+      throw error;
+    }));
+  }
+  return lookups.get(cacheKey);
+};
+
+/**
+ * Query eligible items from the engine, with filtering pushed into ShapedQL
+ */
+const queryEligibleItems = (limit, filterOptions = {}, lookups = null) =>
+  sharedLookup(lookups, ['items', limit, filterOptions], async () => {
+    const response = await shapedClient.client.post(`/engines/${ENGINE_NAME}/query`, {
+      query: buildItemsQuery({ where: buildElectionFilter(filterOptions), limit }),
+    });
+    return response.data.results || [];
+  });
+
+/**
+ * Candidates for the feeds scored in JS: every match in the local item
+ * catalog, or the engine's first `limit` matches until the catalog has loaded
+ * @returns {Promise<{results: Array, source: string}>}
+ */
+const queryCandidateItems = async (limit, filterOptions = {}, lookups = null) => {
+  const results = queryCatalog(filterOptions);
+  if (results) return { results, source: 'catalog' };
+  return { results: await queryEligibleItems(limit, filterOptions, lookups), source: 'shaped_ai' };
+};
+
+const ANONYMOUS_VIEWER = { userId: null, profile: null, votedElectionIds: [], feedback: EMPTY_FEEDBACK };
+
+/**
+ * Load who is asking: eligibility profile, vote history and negative feedback.
+ * Already-voted elections are excluded unless includeVoted is set; hidden,
+ * reported and muted ones always are.
+ */
+const loadViewer = async (userId, { includeVoted = false } = {}) => {
+  const [profile, votedElectionIds, feedback] = await Promise.all([
+    loadUserProfile(userId),
+    includeVoted ? [] : getVotedElectionIds(userId),
+    getNegativeFeedback(userId),
+  ]);
+  return { userId, profile, votedElectionIds, feedback };
+};
+
+const viewerFilterOptions = (viewer) => withFeedbackFilters(
+  getEligibilityFilterOptions(viewer.profile, { votedElectionIds: viewer.votedElectionIds }),
+  viewer.feedback
+);
+
+/**
+ * Re-rank a scored feed for category/creator diversity
+ * @param {Object} result - Feed result with the full ranked list in data
+ * @param {Object} rerank - Settings from resolveDiversityOptions
+ */
+const applyDiversity = (result, rerank) => {
+  if (!Array.isArray(result.data) || result.data.length === 0) return { ...result, diversity: rerank };
+  return { ...result, data: diversifyElections(result.data, rerank), diversity: rerank };
+};
+
+/**
+ * Demote or drop what the user keeps being shown on a surface without engaging
+ * @param {Object} result - Feed result with the full ranked list in data
+ * @param {string|number|null} userId
+ * @param {string} surface - Key of config.fatigue.surfaces
+ */
+const applyFatigue = async (result, userId, surface) => {
+  if (!Array.isArray(result.data) || result.data.length === 0) return result;
+
+  const { elections, fatigue } = await applyImpressionFatigue(result.data, userId, surface);
+  return fatigue ? { ...result, data: elections, fatigue } : result;
+};
+
+const NO_EXPERIMENT = { options: {}, experiment: null };
+
+/**
+ * Builder options from the user's variant of the experiment running on a
+ * feed (see experiments.js): the personalized strategy, or the scoring
+ * profile for trending/popular. A variant whose profile can't be loaded
+ * leaves the user on the default.
+ * @param {string} feed - Key of EXPERIMENT_FEEDS
+ * @returns {Promise<{options: Object, experiment: {name: string, variant: string}|null}>}
+ */
+const loadExperimentOptions = async (feed, userId) => {
+  const assignment = await getExperimentAssignment(feed, userId);
+  if (!assignment) return NO_EXPERIMENT;
+
+  const experiment = { name: assignment.experiment, variant: assignment.variant };
+  if (assignment.config.strategy) return { options: { strategy: assignment.config.strategy }, experiment };
+
+  try {
+    const scoringProfile = await resolveScoringProfile(feed, assignment.config.profile);
+    if (scoringProfile) return { options: { scoringProfile }, experiment };
+  } catch (error) {
+    logger.error({ error: error.message, feed, ...experiment }, 'Failed to load experiment scoring profile');
+  }
+  logger.warn({ feed, ...experiment, profile: assignment.config.profile }, 'Experiment scoring profile unavailable, using default');
+  return NO_EXPERIMENT;
+};
+
+/**
+ * Record the experiment variants a feed result was built with
+ */
+const withExperiments = (result, experiments) => {
+  const assigned = experiments.filter(Boolean);
+  return assigned.length > 0 ? { ...result, experiments: assigned } : result;
+};
+
+/**
+ * Attach "why am I seeing this" reasons to every item of a feed result
+ * @param {Object} result - Feed result with the full list in data
+ * @param {string|number|null} userId
+ * @param {Object} options - debug, sourceElectionId (see explainElections)
+ */
+const applyExplanations = async (result, userId, options = {}) => {
+  if (!Array.isArray(result.data) || result.data.length === 0) return result;
+
+  const context = await loadExplanationContext(userId);
+  return { ...result, data: explainElections(result.data, context, { ...options, cohort: result.cohort }) };
+};
+
+/**
+ * Remove elections the user can't vote in or gave negative feedback on,
+ * keeping a summary of what was removed
+ */
+const applyEligibility = async (elections, viewer) => {
+  const wanted = filterNegativeFeedback(elections, viewer.feedback);
+  const { eligible, removed } = await filterEligibleElections(wanted.elections, viewer.profile, {
+    votedElectionIds: viewer.votedElectionIds,
+  });
+
+  for (const [reason, count] of Object.entries(wanted.removed.reasons)) {
+    removed.reasons[reason] = (removed.reasons[reason] || 0) + count;
+  }
+  return { elections: eligible, eligibility: { ...removed, total: removed.total + wanted.removed.total } };
+};
+
+/**
+ * A later page of a feed snapshot, less anything the user hid, reported or
+ * muted since the first page was built
+ */
+const readViewerFeedPage = async (cursor, feedKey, limit, userId) => {
+  const page = readFeedPage(cursor, feedKey, limit);
+  if (page.success === false || !Array.isArray(page.data)) return page;
+
+  const { elections } = filterNegativeFeedback(page.data, await getNegativeFeedback(userId));
+  return { ...page, data: elections };
+};
+
 /**
  * ✅ Check if user has any voting history
  */
@@ -36,13 +228,9 @@ const getUserVoteCount = async (userId) => {
 /**
  * ✅ Get trending elections for new users
  */
-const getTrendingForNewUsers = async (limit) => {
+const getTrendingForNewUsers = async (limit, viewer = ANONYMOUS_VIEWER, lookups = null) => {
   try {
-    const response = await shapedClient.client.post(`/engines/${ENGINE_NAME}/query`, {
-      query: `SELECT * FROM items LIMIT ${limit * 3}`,
-    });
-
-    const results = response.data.results || [];
+    const results = await queryEligibleItems(limit, viewerFilterOptions(viewer), lookups);
 
     return results.map(item => ({
       id: item.id,
@@ -57,12 +245,111 @@ const getTrendingForNewUsers = async (limit) => {
   }
 };
 
+// Interest categories queried for candidates in a cold-start feed
+const MAX_INTEREST_CATEGORIES = 5;
+
+const loadInterests = async (userId) => {
+  try {
+    return await getUserInterests(userId);
+  } catch (error) {
+    logger.error({ error: error.message, userId }, 'Failed to load user interests');
+    return null;
+  }
+};
+
+const loadSavedElectionIds = async (userId) => {
+  try {
+    return await getSavedElectionIds(userId);
+  } catch (error) {
+    logger.error({ error: error.message, userId }, 'Failed to load saved elections');
+    return new Set();
+  }
+};
+
+/**
+ * Candidates from the categories a user picked during onboarding
+ */
+const getInterestCandidates = async (interests, limit, viewer, lookups = null) => {
+  const categoryIds = interests.categoryIds.slice(0, MAX_INTEREST_CATEGORIES);
+
+  const batches = await Promise.all(categoryIds.map(categoryId =>
+    queryEligibleItems(limit, { ...viewerFilterOptions(viewer), categoryId }, lookups).catch(error => {
+      logger.warn({ error: error.message, categoryId }, 'Interest category query failed');
+      return [];
+    })
+  ));
+
+  return batches.flat().map(item => ({
+    id: item.id,
+    ...item.metadata,
+    recommendation_source: 'shaped_ai',
+    recommendation_type: 'interests',
+    personalized_for_user: true,
+  }));
+};
+
+/**
+ * Cold-start feed for users with no votes: elections popular with their
+ * demographic cohort first, topped up with global trending. When the user
+ * picked interests during onboarding, matching elections are moved up front.
+ */
+const buildColdStartFeed = async (userId, viewer, limit, lookups = null) => {
+  const [{ cohort, elections: cohortElections }, interests] = await Promise.all([
+    getColdStartElections(userId, { limit }),
+    loadInterests(userId),
+  ]);
+
+  const cohortPicks = cohortElections.map(election => ({
+    ...election,
+    recommendation_source: 'cohort',
+    recommendation_type: 'cold_start',
+    personalized_for_user: true,
+  }));
+
+  const interestPicks = interests ? await getInterestCandidates(interests, limit, viewer, lookups) : [];
+  const trending = cohortPicks.length + interestPicks.length < limit ? await getTrendingForNewUsers(limit, viewer, lookups) : [];
+
+  const seen = new Set();
+  let combined = [...cohortPicks, ...interestPicks, ...trending].filter(election => {
+    const electionId = String(election.id);
+    if (seen.has(electionId)) return false;
+    seen.add(electionId);
+    return true;
+  });
+
+  if (interests) {
+    // Stable sort: within the same match score the cohort/trending order is kept
+    combined = combined
+      .map(election => ({ ...election, interest_score: scoreInterestMatch(election, interests) }))
+      .sort((a, b) => b.interest_score - a.interest_score);
+  }
+
+  const { elections, eligibility } = await applyEligibility(filterActiveElections(combined), viewer);
+  return { cohort, interests, elections: elections.slice(0, limit), eligibility };
+};
+
+/**
+ * Shaped items carry no start_time/end_time; take them from the catalog entry when there is one
+ */
+const withClockTimes = (election) => {
+  if (election.start_time !== undefined && election.end_time !== undefined) return election;
+  const metadata = getCatalogItem(election.id || election.election_id)?.metadata;
+  if (!metadata) return election;
+  return { ...election, start_time: election.start_time ?? metadata.start_time, end_time: election.end_time ?? metadata.end_time };
+};
+
 /**
- * ✅ FIXED: Filter to only return active elections (not ended, not draft)
- * Now properly handles Shaped AI date format (no timezone = treat as UTC)
+ * ✅ FIXED: Filter to only return active elections (not ended, not started yet, not draft)
+ * Compares against each election's exact opening and closing time (see electionTiming.js)
+ * Safety net only - eligibility is pushed into the ShapedQL WHERE clause
+ * @param {Array} elections
+ * @param {Object} options
+ * @param {boolean} options.includeUpcoming - Keep elections that haven't opened yet
  */
-const filterActiveElections = (elections) => {
+const filterActiveElections = (elections, options = {}) => {
+  const { includeUpcoming = false } = options;
   const now = new Date();
+  let upcoming = 0;
   
   logger.info({ 
     inputCount: elections.length, 
@@ -79,32 +366,31 @@ const filterActiveElections = (elections) => {
       return false;
     }
     
-    // Parse end_date
-    if (election.end_date) {
-      let dateStr = String(election.end_date);
-      
-      // ✅ FIX: Shaped AI returns dates like "2026-01-31T03:57:00" without timezone
-      // Append 'Z' to treat as UTC if no timezone specified
-      if (!dateStr.endsWith('Z') && !dateStr.includes('+') && !dateStr.match(/-\d{2}:\d{2}$/)) {
-        dateStr = dateStr + 'Z';
-      }
-      
-      const endDate = new Date(dateStr);
-      
-      // Check if date parsing succeeded
-      if (isNaN(endDate.getTime())) {
-        logger.warn({ id: electionId, end_date: election.end_date }, 'Invalid date, including election');
-        return true; // Include if can't parse
-      }
-      
-      // Filter out if ended
-      if (endDate < now) {
-        logger.debug({ 
-          id: electionId, 
-          endDate: endDate.toISOString(),
-          now: now.toISOString(),
-          title: (election.title || '').substring(0, 25)
-        }, 'Filtered: ended');
+    // Voting window: start/end date's day at start/end time in the election's timezone
+    if (election.end_date && !getClosingTime(election)) {
+      logger.warn({ id: electionId, end_date: election.end_date }, 'Invalid date, including election');
+      return true; // Include if can't parse
+    }
+    
+    const timed = withClockTimes(election);
+    const state = getElectionState(timed, now);
+    
+    // Filter out if ended
+    if (state === ELECTION_STATES.ENDED) {
+      logger.debug({ 
+        id: electionId, 
+        closesAt: getClosingTime(timed).toISOString(),
+        now: now.toISOString(),
+        title: (election.title || '').substring(0, 25)
+      }, 'Filtered: ended');
+      return false;
+    }
+    
+    // Not open yet: a separate state, shown only by the upcoming feed
+    if (state === ELECTION_STATES.UPCOMING) {
+      upcoming++;
+      if (!includeUpcoming) {
+        logger.debug({ id: electionId, opensAt: getOpeningTime(timed).toISOString() }, 'Filtered: not started');
         return false;
       }
     }
@@ -115,20 +401,24 @@ const filterActiveElections = (elections) => {
   logger.info({ 
     inputCount: elections.length,
     outputCount: filtered.length, 
-    filteredOut: elections.length - filtered.length 
+    filteredOut: elections.length - filtered.length,
+    upcoming,
   }, 'filterActiveElections: Complete');
   
   return filtered;
 };
 
 /**
- * Get elections for a user (personalized feed)
+ * Build the full personalized feed for a user (unpaginated)
  * ✅ FIXED: Now checks user voting history and uses Shaped /rank endpoint
  * ✅ NEW: Returns trending elections for new users instead of empty
  * ✅ NEW: Filters out ended elections
+ * options.strategy 'query' skips /rank and uses the query fallback directly (experiments)
  */
-export const getElectionsForYou = async (userId, options = {}) => {
-  const { limit = 10, offset = 0, filters = {} } = options;
+const buildElectionsForYou = async (userId, options = {}) => {
+  const { limit = 10, offset = 0, filters = {}, lookups = null, strategy = 'rank' } = options;
+  const { includeVoted = false } = options;
+  let viewer = ANONYMOUS_VIEWER;
 
   try {
     logger.info({ userId, limit }, 'Getting elections for user');
@@ -137,11 +427,12 @@ export const getElectionsForYou = async (userId, options = {}) => {
     if (!userId || userId === 'undefined' || userId === 'null') {
       logger.warn('No valid userId provided');
       const trendingElections = await getTrendingForNewUsers(limit);
-      const activeElections = filterActiveElections(trendingElections);
+      const { elections: activeElections, eligibility } = await applyEligibility(filterActiveElections(trendingElections), ANONYMOUS_VIEWER);
       return {
         success: true,
         data: activeElections.slice(0, limit),
         pagination: { limit, offset, total: activeElections.length },
+        eligibility,
         message: 'Please login to get personalized recommendations. Showing trending elections.',
         is_new_user: true,
         user_vote_count: 0,
@@ -149,109 +440,125 @@ export const getElectionsForYou = async (userId, options = {}) => {
       };
     }
 
+    viewer = options.viewer || await loadViewer(userId, { includeVoted });
+
     // ✅ Step 1: Check if user has voting history
     const userVoteCount = await getUserVoteCount(userId);
     logger.info({ userId, userVoteCount }, 'User vote count');
 
-    // ✅ Step 2: If new user with no votes, return TRENDING elections with clear message
+    // ✅ Step 2: If new user with no votes, rank by what similar users voted in (trending as last resort)
     if (userVoteCount === 0) {
-      logger.info({ userId }, 'New user with no voting history - returning trending');
-      const trendingElections = await getTrendingForNewUsers(limit);
-      const activeElections = filterActiveElections(trendingElections);
+      logger.info({ userId }, 'New user with no voting history - returning cold-start picks');
+      const coldStart = await buildColdStartFeed(userId, viewer, limit, lookups);
       return {
         success: true,
-        data: activeElections.slice(0, limit),
-        pagination: { limit, offset, total: activeElections.length },
-        message: 'You have not voted yet. Showing trending elections to get you started!',
+        data: coldStart.elections,
+        pagination: { limit, offset, total: coldStart.elections.length },
+        eligibility: coldStart.eligibility,
+        message: coldStart.interests
+          ? 'You have not voted yet. Showing elections matching your interests!'
+          : coldStart.cohort
+            ? 'You have not voted yet. Showing elections popular with people like you!'
+            : 'You have not voted yet. Showing trending elections to get you started!',
         is_new_user: true,
         user_vote_count: 0,
-        recommendation_type: 'trending',
+        recommendation_type: coldStart.interests ? 'interests' : coldStart.cohort ? 'cold_start' : 'trending',
+        cohort: coldStart.cohort || { level: 'global' },
+        interests_applied: Boolean(coldStart.interests),
       };
     }
 
-    // ✅ Step 3: User has history - get PERSONALIZED recommendations from Shaped AI
-    try {
-      const response = await shapedClient.client.post(`/engines/${ENGINE_NAME}/rank`, {
-        user_id: String(userId),
-        limit: (limit + offset) * 3,
-      });
-
-      let results = response.data.results || response.data.items || [];
+    // Engine query without the user: the fallback when /rank fails, or a strategy of its own
+    const buildQueryFeed = async () => {
+      let results = await queryEligibleItems(limit + offset, viewerFilterOptions(viewer), lookups);
 
       if (offset > 0) {
         results = results.slice(offset);
       }
 
       let elections = results.map(item => ({
-        id: item.id || item.item_id,
+        id: item.id,
         ...item.metadata,
         recommendation_source: 'shaped_ai',
-        recommendation_type: 'personalized',
-        personalized_for_user: true,
+        recommendation_type: 'general',
+        personalized_for_user: false,
       }));
 
-      // ✅ Filter to only show active elections
-      elections = filterActiveElections(elections);
-      elections = elections.slice(0, limit);
-
-      logger.info({ userId, count: elections.length }, 'Personalized elections retrieved via /rank');
+      // ✅ Filter to only show active elections the user can vote in
+      const filtered = await applyEligibility(filterActiveElections(elections), viewer);
+      elections = filtered.elections.slice(0, limit);
 
       return {
         success: true,
         data: elections,
         pagination: { limit, offset, total: elections.length },
-        message: `Based on your ${userVoteCount} vote${userVoteCount > 1 ? 's' : ''}, here are elections recommended for you.`,
-        is_personalized: true,
+        eligibility: filtered.eligibility,
+        message: `Based on your ${userVoteCount} vote${userVoteCount > 1 ? 's' : ''}, here are elections you might like.`,
+        is_personalized: false,
         is_new_user: false,
         user_vote_count: userVoteCount,
-        recommendation_type: 'personalized',
+        recommendation_type: 'general',
       };
-    } catch (rankError) {
-      logger.warn({ error: rankError.message }, 'Rank endpoint failed, using query fallback');
-      
-      const response = await shapedClient.client.post(`/engines/${ENGINE_NAME}/query`, {
-        query: `SELECT * FROM items LIMIT ${(limit + offset) * 3}`,
+    };
+
+    if (strategy === 'query') return await buildQueryFeed();
+
+    // ✅ Step 3: User has history - get PERSONALIZED recommendations from Shaped AI
+    try {
+      // The predicate runs on the retrieved candidates, so retrieve a larger
+      // pool for it and the local checks below to still fill the page
+      const response = await shapedClient.client.post(`/engines/${ENGINE_NAME}/rank`, {
+        user_id: String(userId),
+        limit: (limit + offset) * config.shaped.retrievalMultiplier,
+        filter_predicate: buildElectionFilter(viewerFilterOptions(viewer)),
       });
 
-      let results = response.data.results || [];
+      let results = response.data.results || response.data.items || [];
 
       if (offset > 0) {
         results = results.slice(offset);
       }
 
       let elections = results.map(item => ({
-        id: item.id,
+        id: item.id || item.item_id,
         ...item.metadata,
         recommendation_source: 'shaped_ai',
-        recommendation_type: 'general',
-        personalized_for_user: false,
+        recommendation_type: 'personalized',
+        personalized_for_user: true,
       }));
 
-      // ✅ Filter to only show active elections
-      elections = filterActiveElections(elections);
-      elections = elections.slice(0, limit);
+      // ✅ Filter to only show active elections the user can vote in
+      const filtered = await applyEligibility(filterActiveElections(elections), viewer);
+      elections = filtered.elections.slice(0, limit);
+
+      logger.info({ userId, count: elections.length }, 'Personalized elections retrieved via /rank');
 
       return {
         success: true,
         data: elections,
         pagination: { limit, offset, total: elections.length },
-        message: `Based on your ${userVoteCount} vote${userVoteCount > 1 ? 's' : ''}, here are elections you might like.`,
-        is_personalized: false,
+        eligibility: filtered.eligibility,
+        message: `Based on your ${userVoteCount} vote${userVoteCount > 1 ? 's' : ''}, here are elections recommended for you.`,
+        is_personalized: true,
         is_new_user: false,
         user_vote_count: userVoteCount,
-        recommendation_type: 'general',
+        recommendation_type: 'personalized',
       };
+    } catch (rankError) {
+      logger.warn({ error: rankError.message }, 'Rank endpoint failed, using query fallback');
+      return await buildQueryFeed();
     }
   } catch (error) {
     logger.error({ error: error.message, userId }, 'Failed to get elections from Shaped');
     
     if (error.response?.status === 404 || error.message?.includes('user')) {
-      const trendingElections = await getTrendingForNewUsers(limit);
-      const activeElections = filterActiveElections(trendingElections);
+      const trendingElections = await getTrendingForNewUsers(limit, viewer, lookups);
+      const { elections: activeElections, eligibility } = await applyEligibility(filterActiveElections(trendingElections), viewer);
       return {
         success: true,
         data: activeElections.slice(0, limit),
         pagination: { limit, offset, total: activeElections.length },
+        eligibility,
         message: 'Showing trending elections. Vote to get personalized recommendations!',
         is_new_user: true,
         user_vote_count: 0,
@@ -259,15 +566,147 @@ export const getElectionsForYou = async (userId, options = {}) => {
       };
     }
     
-    return await getFallbackElections(limit, offset, filters);
+    return await getFallbackElections(limit, offset, filters, viewer);
+  }
+};
+
+/**
+ * Get elections for a user (personalized feed), diversity re-ranked and paginated with cursors
+ * The first request ranks a snapshot of the feed; pagination.nextCursor pages through it
+ */
+export const getElectionsForYou = async (userId, options = {}) => {
+  const { limit = 10, offset = 0, cursor = null, includeVoted = false, debug = false } = options;
+  const rerank = resolveDiversityOptions(options.rerank, config.diversity.forYou);
+  const feedKey = getFeedKey('for_you', { userId: String(userId), includeVoted, rerank, debug });
+
+  if (cursor) return readViewerFeedPage(cursor, feedKey, limit, userId);
+
+  const variant = await loadExperimentOptions('for_you', userId);
+  const viewer = await loadViewer(userId, { includeVoted });
+  const built = await buildElectionsForYou(userId, { ...options, ...variant.options, viewer, limit: config.feeds.snapshotSize, offset: 0 });
+  const ranked = applyDiversity(await applyFatigue(built, userId, 'for_you'), rerank);
+  const result = withExperiments(await pinOpenedSavedElections(ranked, viewer), [variant.experiment]);
+  return createFeedPage(feedKey, await applyExplanations(result, userId, { debug }), { limit, offset });
+};
+
+/**
+ * Move the user's saved elections that opened recently to the top of their feed
+ * @param {Object} result - Feed result with the ranked list in data
+ * @param {Object} viewer - From loadViewer, as the feed was built for
+ */
+const pinOpenedSavedElections = async (result, viewer) => {
+  const { userId } = viewer;
+  if (!Array.isArray(result.data)) return result;
+
+  let opened;
+  try {
+    opened = await getRecentlyOpenedSavedElections(userId);
+  } catch (error) {
+    logger.error({ error: error.message, userId }, 'Failed to load opened saved elections');
+    return result;
   }
+  if (opened.length === 0) return result;
+
+  const { elections } = await applyEligibility(opened, viewer);
+  if (elections.length === 0) return result;
+
+  const pinned = elections.map(election => ({
+    ...election,
+    id: String(election.id),
+    saved: true,
+    recommendation_source: 'saved_elections',
+    recommendation_type: 'saved',
+  }));
+  const pinnedIds = new Set(pinned.map(election => election.id));
+  const rest = result.data.filter(election => !pinnedIds.has(String(election.id || election.election_id)));
+
+  logger.info({ userId, pinned: pinned.length }, 'Pinned opened saved elections');
+
+  return {
+    ...result,
+    data: renumberPositions([...pinned, ...rest], result.data),
+    saved_opened: pinned.length,
+  };
+};
+
+/**
+ * Re-annotate a list reordered after diversity re-ranking: reranked_position
+ * follows the new order, original_rank is kept for items that were ranked
+ * and null for ones that weren't
+ * @param {Array} elections - The reordered list
+ * @param {Array} ranked - The list diversifyElections annotated
+ */
+const renumberPositions = (elections, ranked) => {
+  const originalRanks = new Map(ranked.map(election => [String(election.id || election.election_id), election.original_rank]));
+  return elections.map((election, index) => ({
+    ...election,
+    original_rank: originalRanks.get(String(election.id || election.election_id)) ?? null,
+    reranked_position: index + 1,
+  }));
+};
+
+// engine: Shaped content_embedding; content: local TF-IDF over title/description
+export const SIMILAR_STRATEGIES = ['engine', 'content'];
+
+/**
+ * Open elections with similar title/description text, as election rows
+ */
+const getContentSimilarCandidates = async (electionId, limit) => {
+  const matches = await getContentSimilarElections(electionId, { limit });
+  if (matches.length === 0) return [];
+
+  const result = await db.query(`
+    SELECT * FROM votteryyy_elections
+    WHERE id = ANY($1)
+    AND status IN ('published', 'active')
+    AND end_date > NOW() - $2 * INTERVAL '1 hour'
+  `, [matches.map(match => match.electionId), ELECTION_TIME_SLACK_HOURS]);
+  const now = new Date();
+  const rows = new Map(result.rows
+    .filter(row => getElectionState(row, now) !== ELECTION_STATES.ENDED)
+    .map(row => [String(row.id), row]));
+
+  return matches
+    .filter(match => rows.has(match.electionId))
+    .map(match => ({
+      ...rows.get(match.electionId),
+      similarity_source: 'content',
+      content_score: match.score,
+      shared_terms: match.sharedTerms,
+    }));
 };
 
 /**
  * Get elections similar to a given election
+ * @param {Object} options
+ * @param {string} options.strategy - One of SIMILAR_STRATEGIES (default: engine)
  */
 export const getSimilarElections = async (electionId, options = {}) => {
-  const { limit = 5, excludeSelf = true } = options;
+  const { limit = 5, excludeSelf = true, userId = null, debug = false, strategy = 'engine' } = options;
+  // Similar items are shown next to an election the user may have voted in, so history is kept
+  const viewer = await loadViewer(userId, { includeVoted: true });
+
+  if (strategy === 'content') {
+    try {
+      logger.info({ electionId, limit }, 'Getting content-similar elections');
+
+      // Over-fetch so eligibility filtering doesn't leave the list short
+      const candidates = await getContentSimilarCandidates(electionId, limit * 2);
+      const { elections, eligibility } = await applyEligibility(candidates, viewer);
+
+      return await applyExplanations({
+        success: true,
+        data: elections.slice(0, limit),
+        source_election_id: electionId,
+        strategy,
+        eligibility,
+      }, userId, { debug, sourceElectionId: electionId });
+    } catch (error) {
+      logger.error({ error: error.message, electionId }, 'Failed to get content-similar elections');
+      const fallback = await getFallbackSimilarElections(electionId, limit, viewer);
+      return await applyExplanations(fallback, userId, { debug, sourceElectionId: electionId });
+    }
+  }
 
   try {
     logger.info({ electionId, limit }, 'Getting similar elections');
@@ -286,113 +725,146 @@ export const getSimilarElections = async (electionId, options = {}) => {
       results = results.filter(item => item.id !== String(electionId));
     }
 
-    // Limit results
-    results = results.slice(0, limit);
-
-    const elections = results.map(item => ({
+    const { elections: eligibleElections, eligibility } = await applyEligibility(results.map(item => ({
       id: item.id,
       ...item.metadata,
       similarity_source: 'shaped_ai',
-    }));
+    })), viewer);
+
+    // Limit results
+    const elections = eligibleElections.slice(0, limit);
 
     logger.info({ electionId, count: elections.length }, 'Similar elections retrieved');
 
-    return {
+    return await applyExplanations({
       success: true,
       data: elections,
       source_election_id: electionId,
-    };
+      strategy,
+      eligibility,
+    }, userId, { debug, sourceElectionId: electionId });
   } catch (error) {
     logger.error({ error: error.message, electionId }, 'Failed to get similar elections');
     
-    // Fallback to category-based similarity
-    return await getFallbackSimilarElections(electionId, limit);
+    // Fallback to co-vote, text and category similarity
+    const fallback = await getFallbackSimilarElections(electionId, limit, viewer);
+    return await applyExplanations(fallback, userId, { debug, sourceElectionId: electionId });
   }
 };
 
-// ============================================
-// MINIMAL PATCH - Only replace these 2 functions
-// Keep EVERYTHING else in your file unchanged
-// ============================================
+/**
+ * Interaction velocities for the window, or null when they can't be computed
+ * (trending then falls back to the static metadata score)
+ */
+const loadTrendingVelocities = async (timeWindow, scope = {}) => {
+  try {
+    return await getTrendingVelocities(timeWindow, scope);
+  } catch (error) {
+    logger.warn({ error: error.message, timeWindow, scope }, 'Trending velocities unavailable, using static scores');
+    return null;
+  }
+};
 
 /**
- * ✅ FIXED: Get trending elections (based on recency + engagement score + activity)
- * REPLACE your existing getTrendingElections function with this one
+ * Geography trending is scoped to: ?country= or ?region=, else the viewer's region
  */
-export const getTrendingElections = async (options = {}) => {
-  const { limit = 10, timeWindow = 7 } = options;
+const resolveTrendingScope = (options, viewer) => {
+  const { country = null, region = null } = options;
+  if (country || region) return { country, region };
+  if (viewer.profile?.country) return { region: getRegionFromCountry(viewer.profile.country) };
+  return {};
+};
 
-  try {
-    logger.info({ limit, timeWindow }, 'Getting trending elections');
+const GLOBAL_GEOGRAPHY = { level: 'global', fallback: false };
 
-    // Query Shaped to get all items
-    const response = await shapedClient.client.post(`/engines/${ENGINE_NAME}/query`, {
-      query: `SELECT * FROM items LIMIT 100`,
-    });
+/**
+ * Resolve ?profile= for a feed, or an UNKNOWN_PROFILE result to send back
+ */
+const loadScoringProfile = async (feed, profile) => {
+  const scoringProfile = await resolveScoringProfile(feed, profile);
+  if (scoringProfile) return { scoringProfile };
+  return {
+    error: { success: false, code: UNKNOWN_PROFILE, error: `Unknown ${feed} scoring profile: ${profile}` },
+  };
+};
 
-    let results = response.data.results || [];
+/**
+ * Order elections by velocity score, then by the static score for elections
+ * with equal velocity (typically none in the window)
+ */
+const compareTrending = (a, b) =>
+  (b._trending_score || 0) - (a._trending_score || 0)
+  || (b._trending_factors?.tiebreak || 0) - (a._trending_factors?.tiebreak || 0);
+
+/**
+ * ✅ FIXED: Get trending elections ranked by interaction velocity
+ * (votes, views, shares per hour against each election's own baseline),
+ * with the scoring profile's factors as tie-break
+ */
+const buildTrendingElections = async (options = {}) => {
+  const { limit = 10, timeWindow = 7, userId = null, includeVoted = false } = options;
+  const viewer = options.viewer || await loadViewer(userId, { includeVoted });
+  const scoringProfile = options.scoringProfile || await resolveScoringProfile('trending');
+  const rankByVelocity = scoringProfile.definition.rankBy !== 'factors';
+  const scope = resolveTrendingScope(options, viewer);
+
+  try {
+    logger.info({ limit, timeWindow, scope, profile: scoringProfile.name, version: scoringProfile.version }, 'Getting trending elections');
+
+    // Eligible candidates only
+    const [{ results, source }, velocityIndex] = await Promise.all([
+      queryCandidateItems(Math.max(limit, CANDIDATE_POOL_SIZE), viewerFilterOptions(viewer), options.lookups),
+      rankByVelocity ? loadTrendingVelocities(timeWindow, scope) : null,
+    ]);
     
-    logger.info({ rawCount: results.length }, 'Raw results from Shaped for trending');
+    logger.info({ rawCount: results.length, source }, 'Raw candidates for trending');
 
     // If no results from Shaped, try fallback immediately
     if (results.length === 0) {
       logger.warn('No results from Shaped, using fallback');
-      return await getFallbackTrendingElections(limit);
+      return await getFallbackTrendingElections(limit, viewer, timeWindow, scope);
     }
 
     // ✅ Calculate trending score for each election
     const now = new Date();
-    const timeWindowMs = timeWindow * 24 * 60 * 60 * 1000;
 
     let elections = results.map(item => {
       const metadata = item.metadata || {};
       const electionData = {
         id: item.id,
         ...metadata,
-        trending_source: 'shaped_ai',
+        trending_source: source,
       };
 
-      // Calculate trending score
-      let trendingScore = 0;
+      // Profile factors, kept for explanations
+      const { score: staticScore, factors } = scoreWithProfile(scoringProfile.definition, metadata, { now, timeWindow });
 
-      // Factor 1: Recency (max 40 points)
-      const createdAt = new Date(metadata.created_at || metadata.start_date || now);
-      const ageMs = Math.max(0, now - createdAt);
-      if (ageMs < timeWindowMs) {
-        trendingScore += Math.max(0, 40 * (1 - ageMs / timeWindowMs));
+      if (velocityIndex) {
+        const velocity = velocityIndex.velocities.get(String(item.id)) || emptyVelocity(timeWindow);
+        electionData.velocity = velocity;
+        electionData._trending_score = velocity.score;
+        electionData._trending_factors = { velocity: velocity.score, lift: velocity.lift, tiebreak: staticScore };
       } else {
-        trendingScore += 5; // Small base score for older elections
+        electionData._trending_score = staticScore;
+        electionData._trending_factors = factors;
       }
-
-      // Factor 2: Engagement score (max 30 points)
-      const engagementScore = parseFloat(metadata.engagement_score || 0.1);
-      trendingScore += engagementScore * 30;
-
-      // Factor 3: Vote count (max 20 points)
-      const voteCount = parseInt(metadata.vote_count || 0);
-      trendingScore += Math.min(20, voteCount * 2);
-
-      // Factor 4: View count (max 10 points)
-      const viewCount = parseInt(metadata.view_count || 0);
-      trendingScore += Math.min(10, viewCount * 0.5);
-
-      electionData._trending_score = trendingScore;
       return electionData;
     });
 
-    // ✅ Filter active elections
-    elections = filterActiveElections(elections);
+    // ✅ Filter active elections the user can vote in
+    const filtered = await applyEligibility(filterActiveElections(elections), viewer);
+    elections = filtered.elections;
     
     logger.info({ afterFilterCount: elections.length }, 'After filtering for trending');
 
     // If all filtered out, return from fallback
     if (elections.length === 0) {
       logger.warn('All elections filtered out, using fallback');
-      return await getFallbackTrendingElections(limit);
+      return await getFallbackTrendingElections(limit, viewer, timeWindow, scope);
     }
 
     // ✅ Sort by trending score (highest first)
-    elections.sort((a, b) => (b._trending_score || 0) - (a._trending_score || 0));
+    elections.sort(compareTrending);
 
     // Take top results
     elections = elections.slice(0, limit);
@@ -402,13 +874,38 @@ export const getTrendingElections = async (options = {}) => {
     return {
       success: true,
       data: elections,
+      eligibility: filtered.eligibility,
+      scoring: velocityIndex ? 'velocity' : 'static',
+      scoring_profile: describeProfile(scoringProfile),
+      geography: velocityIndex ? velocityIndex.geography : GLOBAL_GEOGRAPHY,
+      ...(velocityIndex ? { velocity_computed_at: velocityIndex.computedAt } : {}),
     };
   } catch (error) {
     logger.error({ error: error.message }, 'Failed to get trending elections');
-    return await getFallbackTrendingElections(limit);
+    return await getFallbackTrendingElections(limit, viewer, timeWindow, scope);
   }
 };
 
+/**
+ * Get trending elections, diversity re-ranked and paginated with cursors
+ */
+export const getTrendingElections = async (options = {}) => {
+  const { limit = 10, timeWindow = 7, userId = null, includeVoted = false, cursor = null, debug = false, profile = null, country = null, region = null } = options;
+  const rerank = resolveDiversityOptions(options.rerank, config.diversity.trending);
+  const feedKey = getFeedKey('trending', { userId, includeVoted, timeWindow, rerank, debug, profile, country, region });
+
+  if (cursor) return readViewerFeedPage(cursor, feedKey, limit, userId);
+
+  // An explicit ?profile= takes the request out of any experiment
+  const variant = profile ? NO_EXPERIMENT : await loadExperimentOptions('trending', userId);
+  const { scoringProfile, error } = variant.options.scoringProfile ? variant.options : await loadScoringProfile('trending', profile);
+  if (error) return error;
+
+  const built = await buildTrendingElections({ ...options, scoringProfile, limit: config.feeds.snapshotSize });
+  const result = withExperiments(applyDiversity(await applyFatigue(built, userId, 'trending'), rerank), [variant.experiment]);
+  return createFeedPage(feedKey, await applyExplanations(result, userId, { debug }), { limit });
+};
+
 
 
 
@@ -416,72 +913,51 @@ export const getTrendingElections = async (options = {}) => {
  * ✅ FIXED: Get popular elections (most votes/views all-time)
  * REPLACE your existing getPopularElections function with this one
  */
-export const getPopularElections = async (options = {}) => {
-  const { limit = 10 } = options;
+const buildPopularElections = async (options = {}) => {
+  const { limit = 10, userId = null, includeVoted = false } = options;
+  const viewer = options.viewer || await loadViewer(userId, { includeVoted });
+  const scoringProfile = options.scoringProfile || await resolveScoringProfile('popular');
 
   try {
-    logger.info({ limit }, 'Getting popular elections');
+    logger.info({ limit, profile: scoringProfile.name, version: scoringProfile.version }, 'Getting popular elections');
 
-    const response = await shapedClient.client.post(`/engines/${ENGINE_NAME}/query`, {
-      query: `SELECT * FROM items LIMIT 100`,
-    });
-
-    let results = response.data.results || [];
+    const { results, source } = await queryCandidateItems(Math.max(limit, CANDIDATE_POOL_SIZE), viewerFilterOptions(viewer), options.lookups);
     
-    logger.info({ rawCount: results.length }, 'Raw results from Shaped for popular');
+    logger.info({ rawCount: results.length, source }, 'Raw candidates for popular');
 
     // If no results from Shaped, try fallback immediately
     if (results.length === 0) {
       logger.warn('No results from Shaped, using fallback');
-      return await getFallbackPopularElections(limit);
+      return await getFallbackPopularElections(limit, viewer);
     }
 
     // ✅ Calculate popularity score for each election
+    const now = new Date();
+
     let elections = results.map(item => {
       const metadata = item.metadata || {};
-      const electionData = {
+      const { score, factors } = scoreWithProfile(scoringProfile.definition, metadata, { now });
+
+      // Factors are kept for explanations
+      return {
         id: item.id,
         ...metadata,
-        popular_source: 'shaped_ai',
+        popular_source: source,
+        _popularity_score: score,
+        _popularity_factors: factors,
       };
-
-      // Calculate popularity score
-      let popularityScore = 0;
-
-      // Factor 1: Total votes (max 50 points)
-      const voteCount = parseInt(metadata.vote_count || 0);
-      popularityScore += Math.min(50, voteCount * 5);
-
-      // Factor 2: Total views (max 25 points)
-      const viewCount = parseInt(metadata.view_count || 0);
-      popularityScore += Math.min(25, viewCount * 0.5);
-
-      // Factor 3: Engagement score (max 15 points)
-      const engagementScore = parseFloat(metadata.engagement_score || 0.1);
-      popularityScore += engagementScore * 15;
-
-      // Factor 4: Prize pool bonus (max 10 points) - elections with prizes are more attractive
-      const prizePool = parseFloat(metadata.lottery_prize_pool || 0);
-      if (prizePool > 0) {
-        popularityScore += Math.min(10, prizePool / 1000);
-      }
-
-      // Base score so nothing is zero
-      popularityScore += 1;
-
-      electionData._popularity_score = popularityScore;
-      return electionData;
     });
 
-    // ✅ Filter active elections
-    elections = filterActiveElections(elections);
+    // ✅ Filter active elections the user can vote in
+    const filtered = await applyEligibility(filterActiveElections(elections), viewer);
+    elections = filtered.elections;
     
     logger.info({ afterFilterCount: elections.length }, 'After filtering for popular');
 
     // If all filtered out, return from fallback
     if (elections.length === 0) {
       logger.warn('All elections filtered out, using fallback');
-      return await getFallbackPopularElections(limit);
+      return await getFallbackPopularElections(limit, viewer);
     }
 
     // ✅ Sort by popularity score (highest first)
@@ -495,30 +971,54 @@ export const getPopularElections = async (options = {}) => {
     return {
       success: true,
       data: elections,
+      eligibility: filtered.eligibility,
+      scoring_profile: describeProfile(scoringProfile),
     };
   } catch (error) {
     logger.error({ error: error.message }, 'Failed to get popular elections');
-    return await getFallbackPopularElections(limit);
+    return await getFallbackPopularElections(limit, viewer);
   }
 };
 
+/**
+ * Get popular elections, diversity re-ranked and paginated with cursors
+ */
+export const getPopularElections = async (options = {}) => {
+  const { limit = 10, userId = null, includeVoted = false, cursor = null, debug = false, profile = null } = options;
+  const rerank = resolveDiversityOptions(options.rerank, config.diversity.popular);
+  const feedKey = getFeedKey('popular', { userId, includeVoted, rerank, debug, profile });
+
+  if (cursor) return readViewerFeedPage(cursor, feedKey, limit, userId);
+
+  // An explicit ?profile= takes the request out of any experiment
+  const variant = profile ? NO_EXPERIMENT : await loadExperimentOptions('popular', userId);
+  const { scoringProfile, error } = variant.options.scoringProfile ? variant.options : await loadScoringProfile('popular', profile);
+  if (error) return error;
+
+  const built = await buildPopularElections({ ...options, scoringProfile, limit: config.feeds.snapshotSize });
+  const result = withExperiments(applyDiversity(await applyFatigue(built, userId, 'popular'), rerank), [variant.experiment]);
+  return createFeedPage(feedKey, await applyExplanations(result, userId, { debug }), { limit });
+};
+
 /**
  * Get lotterized elections (elections with lottery prizes)
  */
-export const getLotterizedPicks = async (options = {}) => {
-  const { limit = 10, minPrize = 0 } = options;
+const buildLotterizedPicks = async (options = {}) => {
+  const { limit = 10, minPrize = 0, userId = null, includeVoted = false } = options;
+  const viewer = options.viewer || await loadViewer(userId, { includeVoted });
 
   try {
     logger.info({ limit, minPrize }, 'Getting lotterized elections');
 
-    // Get all items and filter for lottery enabled
-    const response = await shapedClient.client.post(`/engines/${ENGINE_NAME}/query`, {
-      query: `SELECT * FROM items LIMIT 100`,
-    });
-
-    let results = response.data.results || [];
+    // Lottery and prize conditions are applied by the catalog or engine query
+    const candidates = await queryCandidateItems(Math.max(limit, CANDIDATE_POOL_SIZE), {
+      ...viewerFilterOptions(viewer),
+      lotteryOnly: true,
+      minPrize,
+    }, options.lookups);
+    let results = candidates.results;
 
-    // Filter for lottery enabled elections
+    // Safety net: lottery enabled elections
     results = results.filter(item => 
       item.metadata?.lottery_enabled === 'true' || item.metadata?.lottery_enabled === true
     );
@@ -538,39 +1038,53 @@ export const getLotterizedPicks = async (options = {}) => {
     let elections = results.map(item => ({
       id: item.id,
       ...item.metadata,
-      lotterized_source: 'shaped_ai',
+      lotterized_source: candidates.source,
     }));
 
-    // Filter active elections
-    elections = filterActiveElections(elections);
-    elections = elections.slice(0, limit);
+    // Filter active elections the user can vote in
+    const filtered = await applyEligibility(filterActiveElections(elections), viewer);
+    elections = filtered.elections.slice(0, limit);
 
     return {
       success: true,
       data: elections,
+      eligibility: filtered.eligibility,
     };
   } catch (error) {
     logger.error({ error: error.message }, 'Failed to get lotterized elections');
-    return await getFallbackLotterizedElections(limit, minPrize);
+    return await getFallbackLotterizedElections(limit, minPrize, viewer);
   }
 };
 
+/**
+ * Get lotterized elections, diversity re-ranked and paginated with cursors
+ */
+export const getLotterizedPicks = async (options = {}) => {
+  const { limit = 10, minPrize = 0, userId = null, includeVoted = false, cursor = null, debug = false } = options;
+  const rerank = resolveDiversityOptions(options.rerank, config.diversity.lotterized);
+  const feedKey = getFeedKey('lotterized', { userId, includeVoted, minPrize, rerank, debug });
+
+  if (cursor) return readViewerFeedPage(cursor, feedKey, limit, userId);
+
+  const built = await buildLotterizedPicks({ ...options, limit: config.feeds.snapshotSize });
+  const result = applyDiversity(await applyFatigue(built, userId, 'lotterized'), rerank);
+  return createFeedPage(feedKey, await applyExplanations(result, userId, { debug }), { limit });
+};
+
 /**
  * Get elections by category
  */
-export const getElectionsByCategory = async (categoryId, options = {}) => {
-  const { limit = 10 } = options;
+const buildElectionsByCategory = async (categoryId, options = {}) => {
+  const { limit = 10, userId = null, includeVoted = false } = options;
+  const viewer = options.viewer || await loadViewer(userId, { includeVoted });
 
   try {
     logger.info({ categoryId, limit }, 'Getting elections by category');
 
-    const response = await shapedClient.client.post(`/engines/${ENGINE_NAME}/query`, {
-      query: `SELECT * FROM items LIMIT 100`,
-    });
-
-    let results = response.data.results || [];
+    const candidates = await queryCandidateItems(limit, { ...viewerFilterOptions(viewer), categoryId }, options.lookups);
+    let results = candidates.results;
 
-    // Filter by category
+    // Safety net: category match
     results = results.filter(item => 
       parseInt(item.metadata?.category_id) === parseInt(categoryId)
     );
@@ -578,35 +1092,477 @@ export const getElectionsByCategory = async (categoryId, options = {}) => {
     let elections = results.map(item => ({
       id: item.id,
       ...item.metadata,
-      category_source: 'shaped_ai',
+      category_source: candidates.source,
     }));
 
-    // Filter active elections
-    elections = filterActiveElections(elections);
-    elections = elections.slice(0, limit);
+    // Filter active elections the user can vote in
+    const filtered = await applyEligibility(filterActiveElections(elections), viewer);
+    elections = filtered.elections.slice(0, limit);
 
     return {
       success: true,
       data: elections,
       category_id: categoryId,
+      eligibility: filtered.eligibility,
     };
   } catch (error) {
     logger.error({ error: error.message, categoryId }, 'Failed to get elections by category');
-    return await getFallbackElectionsByCategory(categoryId, limit);
+    return await getFallbackElectionsByCategory(categoryId, limit, viewer);
+  }
+};
+
+/**
+ * Get elections by category, diversity re-ranked and paginated with cursors
+ */
+export const getElectionsByCategory = async (categoryId, options = {}) => {
+  const { limit = 10, userId = null, includeVoted = false, cursor = null, debug = false } = options;
+  const rerank = resolveDiversityOptions(options.rerank, config.diversity.byCategory);
+  const feedKey = getFeedKey('by_category', { userId, includeVoted, categoryId, rerank, debug });
+
+  if (cursor) return readViewerFeedPage(cursor, feedKey, limit, userId);
+
+  const built = await buildElectionsByCategory(categoryId, { ...options, limit: config.feeds.snapshotSize });
+  const result = applyDiversity(await applyFatigue(built, userId, 'by_category'), rerank);
+  return createFeedPage(feedKey, await applyExplanations(result, userId, { debug }), { limit });
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const round = (value, digits = 4) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const EMPTY_AFFINITY_CONTEXT = { categories: new Map(), creators: new Map(), topCategoryVotes: 0, interests: null };
+
+/**
+ * What ending-soon elections are matched against: recent vote history and onboarding interests
+ */
+const loadAffinityContext = async (userId) => {
+  if (!userId) return EMPTY_AFFINITY_CONTEXT;
+
+  const [summary, interests] = await Promise.all([
+    getVoteHistorySummary(userId, { days: config.explanations.historyDays }),
+    loadInterests(userId),
+  ]);
+  return { ...summary, topCategoryVotes: Math.max(0, ...summary.categories.values()), interests };
+};
+
+/**
+ * A user's affinity for an election, 0..1, with its parts
+ */
+const scoreAffinity = (election, context) => {
+  const weights = config.endingSoon.affinity;
+  const categoryVotes = context.categories.get(String(election.category_id)) || 0;
+  const parts = {
+    category: context.topCategoryVotes > 0 ? categoryVotes / context.topCategoryVotes : 0,
+    creator: context.creators.has(String(election.creator_id)) ? 1 : 0,
+    interest: Math.min(1, scoreInterestMatch(election, context.interests) / 2),
+  };
+  const total = weights.category * parts.category + weights.creator * parts.creator + weights.interest * parts.interest;
+  return { ...parts, total };
+};
+
+/**
+ * Keep elections whose exact closing time falls within the window, ranked by
+ * urgency (share of the window already gone) blended with affinity
+ */
+const rankEndingSoon = (elections, context, { withinHours, now = new Date() }) => {
+  const { weights } = config.endingSoon;
+
+  return elections
+    .map(election => ({ election, closesAt: getClosingTime(withClockTimes(election)) }))
+    .filter(({ closesAt }) => closesAt && closesAt > now && closesAt.getTime() <= now.getTime() + withinHours * HOUR_MS)
+    .map(({ election, closesAt }) => {
+      const hoursLeft = (closesAt.getTime() - now.getTime()) / HOUR_MS;
+      const urgency = 1 - hoursLeft / withinHours;
+      const affinity = scoreAffinity(election, context);
+      return {
+        ...election,
+        closes_at: closesAt.toISOString(),
+        hours_left: round(hoursLeft, 2),
+        ending_soon_score: round(weights.urgency * urgency + weights.affinity * affinity.total),
+        _ending_soon_factors: {
+          urgency: round(urgency),
+          affinity: round(affinity.total),
+          category_affinity: round(affinity.category),
+          creator_affinity: affinity.creator,
+          interest_affinity: round(affinity.interest),
+        },
+      };
+    })
+    .sort((a, b) => b.ending_soon_score - a.ending_soon_score || a.hours_left - b.hours_left);
+};
+
+/**
+ * Build elections closing within the next withinHours, by urgency and affinity
+ */
+const buildEndingSoonElections = async (options = {}) => {
+  const { limit = 10, withinHours = config.endingSoon.defaultWithinHours, userId = null, includeVoted = false } = options;
+  const viewer = options.viewer || await loadViewer(userId, { includeVoted });
+  const now = new Date();
+  const endsBefore = new Date(now.getTime() + withinHours * HOUR_MS);
+
+  try {
+    logger.info({ limit, withinHours }, 'Getting ending soon elections');
+
+    const [{ results, source }, affinityContext] = await Promise.all([
+      queryCandidateItems(Math.max(limit, CANDIDATE_POOL_SIZE), { ...viewerFilterOptions(viewer), now, endsBefore }, options.lookups),
+      loadAffinityContext(userId),
+    ]);
+
+    const filtered = await applyEligibility(filterActiveElections(results.map(item => ({
+      id: item.id,
+      ...item.metadata,
+      ending_soon_source: source,
+    }))), viewer);
+
+    const elections = rankEndingSoon(filtered.elections, affinityContext, { withinHours, now }).slice(0, limit);
+
+    return {
+      success: true,
+      data: elections,
+      within_hours: withinHours,
+      eligibility: filtered.eligibility,
+    };
+  } catch (error) {
+    logger.error({ error: error.message }, 'Failed to get ending soon elections');
+    return await getFallbackEndingSoonElections(limit, withinHours, viewer);
+  }
+};
+
+/**
+ * Get elections ending soon, diversity re-ranked and paginated with cursors
+ */
+export const getEndingSoonElections = async (options = {}) => {
+  const { limit = 10, withinHours = config.endingSoon.defaultWithinHours, userId = null, includeVoted = false, cursor = null, debug = false } = options;
+  const rerank = resolveDiversityOptions(options.rerank, config.diversity.endingSoon);
+  const feedKey = getFeedKey('ending_soon', { userId, includeVoted, withinHours, rerank, debug });
+
+  if (cursor) return readViewerFeedPage(cursor, feedKey, limit, userId);
+
+  const built = await buildEndingSoonElections({ ...options, withinHours, limit: config.feeds.snapshotSize });
+  const result = applyDiversity(await applyFatigue(built, userId, 'ending_soon'), rerank);
+  return createFeedPage(feedKey, await applyExplanations(result, userId, { debug }), { limit });
+};
+
+/**
+ * Keep elections opening within the window, ranked by affinity blended with
+ * how soon they open, flagging the ones the user saved
+ */
+const rankUpcoming = (elections, context, savedIds, { withinDays, now = new Date() }) => {
+  const { weights } = config.upcoming;
+  const windowHours = withinDays * 24;
+
+  return elections
+    .map(election => ({ election, opensAt: getOpeningTime(withClockTimes(election)) }))
+    .filter(({ opensAt }) => opensAt && opensAt > now && opensAt.getTime() <= now.getTime() + windowHours * HOUR_MS)
+    .map(({ election, opensAt }) => {
+      const hoursUntilOpen = (opensAt.getTime() - now.getTime()) / HOUR_MS;
+      const soon = 1 - hoursUntilOpen / windowHours;
+      const affinity = scoreAffinity(election, context);
+      return {
+        ...election,
+        opens_at: opensAt.toISOString(),
+        hours_until_open: round(hoursUntilOpen, 2),
+        saved: savedIds.has(String(election.id || election.election_id)),
+        upcoming_score: round(weights.affinity * affinity.total + weights.soon * soon),
+        _upcoming_factors: {
+          affinity: round(affinity.total),
+          soon: round(soon),
+          category_affinity: round(affinity.category),
+          creator_affinity: affinity.creator,
+          interest_affinity: round(affinity.interest),
+        },
+      };
+    })
+    .sort((a, b) => b.upcoming_score - a.upcoming_score || a.hours_until_open - b.hours_until_open);
+};
+
+/**
+ * Build elections that open within the next withinDays, personalized by affinity
+ */
+const buildUpcomingElections = async (options = {}) => {
+  const { limit = 10, withinDays = config.upcoming.defaultWithinDays, userId = null, includeVoted = false } = options;
+  const viewer = options.viewer || await loadViewer(userId, { includeVoted });
+  const now = new Date();
+  const startsBefore = new Date(now.getTime() + withinDays * 24 * HOUR_MS);
+
+  try {
+    logger.info({ limit, withinDays }, 'Getting upcoming elections');
+
+    const [{ results, source }, affinityContext, savedIds] = await Promise.all([
+      queryCandidateItems(Math.max(limit, CANDIDATE_POOL_SIZE), {
+        ...viewerFilterOptions(viewer), now, includeUpcoming: true, startsAfter: now, startsBefore,
+      }, options.lookups),
+      loadAffinityContext(userId),
+      loadSavedElectionIds(userId),
+    ]);
+
+    const filtered = await applyEligibility(filterActiveElections(results.map(item => ({
+      id: item.id,
+      ...item.metadata,
+      upcoming_source: source,
+    })), { includeUpcoming: true }), viewer);
+
+    const elections = rankUpcoming(filtered.elections, affinityContext, savedIds, { withinDays, now }).slice(0, limit);
+
+    return {
+      success: true,
+      data: elections,
+      within_days: withinDays,
+      eligibility: filtered.eligibility,
+    };
+  } catch (error) {
+    logger.error({ error: error.message }, 'Failed to get upcoming elections');
+    return await getFallbackUpcomingElections(limit, withinDays, viewer);
   }
 };
 
 /**
- * Get audience for an election (users who might be interested)
+ * Get elections that haven't opened yet, diversity re-ranked and paginated with cursors
+ */
+export const getUpcomingElections = async (options = {}) => {
+  const { limit = 10, withinDays = config.upcoming.defaultWithinDays, userId = null, includeVoted = false, cursor = null, debug = false } = options;
+  const rerank = resolveDiversityOptions(options.rerank, config.diversity.upcoming);
+  const feedKey = getFeedKey('upcoming', { userId, includeVoted, withinDays, rerank, debug });
+
+  if (cursor) return readViewerFeedPage(cursor, feedKey, limit, userId);
+
+  const built = await buildUpcomingElections({ ...options, withinDays, limit: config.feeds.snapshotSize });
+  const result = applyDiversity(await applyFatigue(built, userId, 'upcoming'), rerank);
+  return createFeedPage(feedKey, await applyExplanations(result, userId, { debug }), { limit });
+};
+
+/**
+ * Blend text relevance with the user's affinity, numbering results so a
+ * search_click can name the position it came from
+ */
+const rankSearchResults = (elections, context) => {
+  const { weights } = config.search;
+
+  return elections
+    .map(election => {
+      const affinity = scoreAffinity(election, context);
+      return {
+        ...election,
+        search_score: round(weights.relevance * election.search_relevance + weights.affinity * affinity.total),
+        _search_factors: {
+          relevance: round(election.search_relevance),
+          affinity: round(affinity.total),
+          category_affinity: round(affinity.category),
+          creator_affinity: affinity.creator,
+          interest_affinity: round(affinity.interest),
+        },
+      };
+    })
+    .sort((a, b) => b.search_score - a.search_score || b.search_relevance - a.search_relevance)
+    .map((election, index) => ({ ...election, search_position: index + 1 }));
+};
+
+const toSearchResults = (matches, source) => matches.map(({ election, relevance, matchedTerms }) => ({
+  ...election,
+  search_relevance: relevance,
+  matched_terms: matchedTerms,
+  search_source: source,
+}));
+
+/**
+ * Build keyword search results, personalized for the user
+ */
+const buildSearchResults = async (options = {}) => {
+  const { terms, limit = 10, userId = null, includeVoted = false, filters = {} } = options;
+  const { activeOnly = true, categoryId = null, lotteryOnly = false } = filters;
+  // Only stopwords or punctuation: nothing to match on
+  if (terms.length === 0) return { success: true, data: [], eligibility: { total: 0, reasons: {} } };
+
+  const viewer = options.viewer || await loadViewer(userId, { includeVoted });
+  // Kept for the fallback too, so results stay personal when the catalog search fails
+  let affinityContext = EMPTY_AFFINITY_CONTEXT;
+
+  try {
+    logger.info({ terms, limit, filters }, 'Searching elections');
+
+    affinityContext = await loadAffinityContext(userId);
+
+    // The catalog holds only open and upcoming elections
+    const matches = activeOnly
+      ? searchCatalog(terms, { ...viewerFilterOptions(viewer), now: new Date(), categoryId, lotteryOnly })
+      : null;
+    if (!matches) return await getFallbackSearchResults(terms, limit, filters, viewer, affinityContext);
+
+    const filtered = await applyEligibility(filterActiveElections(toSearchResults(matches, 'catalog')), viewer);
+
+    return {
+      success: true,
+      data: rankSearchResults(filtered.elections, affinityContext).slice(0, limit),
+      eligibility: filtered.eligibility,
+    };
+  } catch (error) {
+    logger.error({ error: error.message }, 'Failed to search elections');
+    return await getFallbackSearchResults(terms, limit, filters, viewer, affinityContext);
+  }
+};
+
+/**
+ * Search elections by keyword, re-ranked for the user and paginated with cursors.
+ * Results are not diversity re-ranked: the best match comes first.
+ * Every page carries the search_id to send with search_click events.
+ * @param {Object} options
+ * @param {string} options.query - Raw query, echoed back
+ * @param {string[]} options.terms - From parseSearchQuery
+ * @param {Object} options.filters - activeOnly (default: true), categoryId, lotteryOnly
+ */
+export const searchElections = async (options = {}) => {
+  const { query = '', terms = [], limit = 10, userId = null, includeVoted = false, filters = {}, cursor = null, debug = false } = options;
+  const feedKey = getFeedKey('search', { userId, includeVoted, terms, filters, debug });
+
+  if (cursor) return readViewerFeedPage(cursor, feedKey, limit, userId);
+
+  const searchId = uuidv4();
+  const result = await buildSearchResults({ ...options, limit: config.feeds.snapshotSize });
+
+  logger.info({ searchId, userId, terms, filters, results: result.data.length }, 'Election search');
+
+  return createFeedPage(feedKey, {
+    ...(await applyExplanations(result, userId, { debug })),
+    query,
+    terms,
+    filters,
+    search_id: searchId,
+    attribution: { event_type: EVENT_TYPES.SEARCH_CLICK, search_id: searchId },
+  }, { limit });
+};
+
+// Strategies the home feed can blend, by the tag each item carries
+export const HOME_FEED_STRATEGIES = ['personalized', 'trending', 'popular', 'lotterized', 'ending_soon'];
+
+/**
+ * Get the blended home feed: personalized, trending, popular, lotterized and
+ * ending-soon strategies composed server-side into one de-duplicated list
+ */
+export const getHomeFeed = async (userId, options = {}) => {
+  const { limit = 20, cursor = null, includeVoted = false, debug = false } = options;
+  const ratios = options.ratios || config.homeFeed.ratios;
+  const everyNth = options.everyNth || config.homeFeed.everyNth;
+  const feedKey = getFeedKey('home', { userId: String(userId), includeVoted, ratios, everyNth, debug });
+
+  if (cursor) return readViewerFeedPage(cursor, feedKey, limit, userId);
+
+  logger.info({ userId, limit, ratios, everyNth }, 'Getting home feed');
+
+  const [viewer, ...variantList] = await Promise.all([
+    loadViewer(userId, { includeVoted }),
+    loadExperimentOptions('for_you', userId),
+    loadExperimentOptions('trending', userId),
+    loadExperimentOptions('popular', userId),
+  ]);
+  const variants = { personalized: variantList[0], trending: variantList[1], popular: variantList[2] };
+  const shared = { userId, includeVoted, viewer, limit: config.feeds.snapshotSize };
+
+  const builders = {
+    personalized: () => buildElectionsForYou(userId, { ...shared, ...variants.personalized.options, offset: 0 }),
+    trending: () => buildTrendingElections({ ...shared, ...variants.trending.options }),
+    popular: () => buildPopularElections({ ...shared, ...variants.popular.options }),
+    lotterized: () => buildLotterizedPicks(shared),
+    ending_soon: () => buildEndingSoonElections(shared),
+  };
+
+  const strategyNames = [...new Set([...Object.keys(ratios), ...Object.keys(everyNth)])]
+    .filter(name => builders[name]);
+
+  const results = await Promise.all(strategyNames.map(name => builders[name]().catch(error => {
+    logger.error({ error: error.message, strategy: name }, 'Home feed strategy failed');
+    return { success: false, data: [], error: error.message };
+  })));
+
+  const lists = Object.fromEntries(strategyNames.map((name, i) => [name, results[i].data || []]));
+  const data = blendFeeds(lists, { ratios, everyNth, size: config.feeds.snapshotSize });
+
+  const strategies = Object.fromEntries(strategyNames.map((name, i) => [name, {
+    available: lists[name].length,
+    used: data.filter(election => election.strategy === name).length,
+    source: results[i].source || 'shaped_ai',
+    ...(results[i].recommendation_type ? { recommendation_type: results[i].recommendation_type } : {}),
+  }]));
+
+  const experiments = strategyNames.map(name => variants[name]?.experiment);
+  const blended = await applyFatigue(
+    withExperiments({ success: true, data, blend: { ratios, everyNth }, strategies }, experiments),
+    userId,
+    'home'
+  );
+  const result = await applyExplanations(blended, userId, { debug });
+
+  return createFeedPage(feedKey, result, { limit });
+};
+
+// Feeds a batch can compute per user, with the diversity defaults and experiment feed each one uses
+const BATCH_BUILDERS = {
+  personalized: { build: options => buildElectionsForYou(options.userId, { ...options, offset: 0 }), diversity: 'forYou', experiment: 'for_you' },
+  trending: { build: buildTrendingElections, diversity: 'trending', experiment: 'trending' },
+  popular: { build: buildPopularElections, diversity: 'popular', experiment: 'popular' },
+  lotterized: { build: buildLotterizedPicks, diversity: 'lotterized' },
+  ending_soon: { build: buildEndingSoonElections, diversity: 'endingSoon' },
+  upcoming: { build: buildUpcomingElections, diversity: 'upcoming' },
+};
+
+export const BATCH_STRATEGIES = Object.keys(BATCH_BUILDERS);
+
+/**
+ * Lookups shared by every user of one batch, passed to getBatchRecommendations
+ * @returns {Map}
+ */
+export const createBatchLookups = () => new Map();
+
+/**
+ * One user's feed for a batch job: the same ranking, diversity and reasons as
+ * the feed endpoint, without a cursor snapshot. Engine queries that don't
+ * depend on the user are made once per batch through lookups.
+ * @param {string} strategy - One of BATCH_STRATEGIES
+ * @param {string|number} userId
+ * @param {Object} options
+ * @param {number} options.limit
+ * @param {Map} options.lookups - From createBatchLookups
+ * @returns {Promise<Object>} Feed result with the first limit items in data
+ */
+export const getBatchRecommendations = async (strategy, userId, options = {}) => {
+  const { limit = 10, includeVoted = false, lookups = null } = options;
+  const { build, diversity, experiment } = BATCH_BUILDERS[strategy];
+  const rerank = resolveDiversityOptions(undefined, config.diversity[diversity]);
+  const variant = experiment ? await loadExperimentOptions(experiment, userId) : NO_EXPERIMENT;
+
+  const viewer = await loadViewer(userId, { includeVoted });
+
+  let result = applyDiversity(await build({ userId, includeVoted, lookups, viewer, ...variant.options, limit: config.feeds.snapshotSize }), rerank);
+  if (strategy === 'personalized') result = await pinOpenedSavedElections(result, viewer);
+  result = withExperiments(result, [variant.experiment]);
+
+  const { pagination, ...explained } = await applyExplanations(result, userId);
+  return { ...explained, data: (explained.data || []).slice(0, limit) };
+};
+
+/**
+ * Get audience for an election: users scored by predicted affinity
+ * (category history, co-vote neighbours, demographic fit), best first
  */
 export const getAudienceForElection = async (electionId, options = {}) => {
-  const { limit = 10 } = options;
+  const { filters = {} } = options;
+  const limit = Math.min(options.limit || 10, config.audienceMatching.maxLimit);
 
   try {
-    logger.info({ electionId, limit }, 'Getting audience for election');
+    logger.info({ electionId, limit, filters }, 'Getting audience for election');
 
-    // This requires user data in the engine - for now return from database
-    return await getFallbackAudienceForElection(electionId, limit);
+    const audience = await matchAudience(electionId, { limit, filters });
+    if (!audience) {
+      return { success: false, code: ELECTION_NOT_FOUND, data: [], error: 'Election not found' };
+    }
+
+    return {
+      success: true,
+      data: audience.users,
+      estimated_total: audience.estimatedTotal,
+      filters,
+      reference: audience.reference,
+      source: 'audience_matching',
+    };
   } catch (error) {
     logger.error({ error: error.message, electionId }, 'Failed to get audience');
     return await getFallbackAudienceForElection(electionId, limit);
@@ -617,25 +1573,59 @@ export const getAudienceForElection = async (electionId, options = {}) => {
 // FALLBACK FUNCTIONS (Database queries)
 // ============================================
 
+/**
+ * Local model lookups (co-vote, content index) are optional in the fallbacks:
+ * a missing or failing model only means fewer tailored candidates
+ */
+const safeModelLookup = async (lookup, context) => {
+  try {
+    return await lookup();
+  } catch (error) {
+    logger.warn({ error: error.message, ...context }, 'Local model lookup failed');
+    return [];
+  }
+};
+
 /**
  * Fallback: Get elections from database
+ * Elections co-voted with the user's history come first, newest elections fill the rest
  */
-const getFallbackElections = async (limit, offset, filters = {}) => {
+const getFallbackElections = async (limit, offset, filters = {}, viewer = ANONYMOUS_VIEWER) => {
   try {
+    const coVoted = viewer.userId
+      ? await safeModelLookup(() => getCoVoteRecommendations(viewer.userId, {
+        limit: limit + offset,
+        excludeIds: viewer.votedElectionIds,
+      }), { userId: viewer.userId })
+      : [];
+
+    // Dates are widened by the election time slack; filterActiveElections keeps the exact window
     let query = `
       SELECT * FROM votteryyy_elections
       WHERE status IN ('published', 'active')
-      AND end_date > NOW()
+      AND end_date > NOW() - $2 * INTERVAL '1 hour'
+      AND start_date <= NOW() + $2 * INTERVAL '1 hour'
       ORDER BY created_at DESC
-      LIMIT $1 OFFSET $2
+      LIMIT $1
     `;
 
-    const result = await db.query(query, [limit, offset]);
+    const result = await db.query(query, [limit + offset, ELECTION_TIME_SLACK_HOURS]);
+
+    const seen = new Set(coVoted.map(election => String(election.id)));
+    const combined = [
+      ...coVoted.map(election => ({ ...election, recommendation_source: 'co_vote', personalized_for_user: true })),
+      ...result.rows.filter(election => !seen.has(String(election.id))),
+    ];
+
+    const { elections: eligible, eligibility } = await applyEligibility(filterActiveElections(combined), viewer);
+    const elections = eligible.slice(offset, offset + limit);
 
     return {
       success: true,
-      data: result.rows,
+      data: elections,
       source: 'database_fallback',
+      eligibility,
+      is_personalized: coVoted.length > 0,
     };
   } catch (error) {
     logger.error({ error: error.message }, 'Fallback elections query failed');
@@ -644,10 +1634,15 @@ const getFallbackElections = async (limit, offset, filters = {}) => {
 };
 
 /**
- * Fallback: Get similar elections by category
+ * Fallback: Get similar elections by co-voters, then text similarity, topped up by category
  */
-const getFallbackSimilarElections = async (electionId, limit) => {
+const getFallbackSimilarElections = async (electionId, limit, viewer = ANONYMOUS_VIEWER) => {
   try {
+    const coVoted = await safeModelLookup(() => getCoVoteNeighbors(electionId, limit), { electionId });
+    const contentSimilar = coVoted.length < limit
+      ? await safeModelLookup(() => getContentSimilarCandidates(electionId, limit), { electionId })
+      : [];
+
     const query = `
       SELECT e2.* FROM votteryyy_elections e2
       WHERE e2.category_id = (
@@ -655,17 +1650,36 @@ const getFallbackSimilarElections = async (electionId, limit) => {
       )
       AND e2.id != $1
       AND e2.status IN ('published', 'active')
-      AND e2.end_date > NOW()
+      AND e2.end_date > NOW() - $3 * INTERVAL '1 hour'
+      AND e2.start_date <= NOW() + $3 * INTERVAL '1 hour'
       ORDER BY e2.created_at DESC
       LIMIT $2
     `;
 
-    const result = await db.query(query, [electionId, limit]);
+    const result = coVoted.length + contentSimilar.length < limit
+      ? await db.query(query, [electionId, limit, ELECTION_TIME_SLACK_HOURS])
+      : { rows: [] };
+
+    const seen = new Set();
+    const combined = [
+      ...coVoted.map(election => ({ ...election, similarity_source: 'co_vote' })),
+      ...contentSimilar,
+      ...result.rows.map(election => ({ ...election, similarity_source: 'category' })),
+    ].filter(election => {
+      const id = String(election.id);
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    });
+
+    const { elections: eligible, eligibility } = await applyEligibility(filterActiveElections(combined), viewer);
+    const elections = eligible.slice(0, limit);
 
     return {
       success: true,
-      data: result.rows,
+      data: elections,
       source: 'database_fallback',
+      eligibility,
     };
   } catch (error) {
     logger.error({ error: error.message }, 'Fallback similar elections query failed');
@@ -675,15 +1689,18 @@ const getFallbackSimilarElections = async (electionId, limit) => {
 
 /**
  * Fallback: Get trending elections from database
+ * Ranked by interaction velocity when available, newest first otherwise
  */
-const getFallbackTrendingElections = async (limit) => {
+const getFallbackTrendingElections = async (limit, viewer = ANONYMOUS_VIEWER, timeWindow = 7, scope = {}) => {
   try {
     // Changed: Removed the strict vote_count/view_count ordering
     // Now uses created_at as primary sort for new platforms with no votes yet
+    // Dates are widened by the election time slack; filterActiveElections keeps the exact window
     const query = `
       SELECT * FROM votteryyy_elections
       WHERE status IN ('published', 'active')
-      AND end_date > NOW()
+      AND end_date > NOW() - $2 * INTERVAL '1 hour'
+      AND start_date <= NOW() + $2 * INTERVAL '1 hour'
       ORDER BY 
         created_at DESC,
         vote_count DESC, 
@@ -691,14 +1708,37 @@ const getFallbackTrendingElections = async (limit) => {
       LIMIT $1
     `;
 
-    const result = await db.query(query, [limit]);
+    const [result, velocityIndex] = await Promise.all([
+      db.query(query, [Math.max(limit, CANDIDATE_POOL_SIZE), ELECTION_TIME_SLACK_HOURS]),
+      loadTrendingVelocities(timeWindow, scope),
+    ]);
+
+    let rows = result.rows;
+    if (velocityIndex) {
+      // The query order (newest first) is kept as the tie-break
+      rows = rows.map((row, index) => {
+        const velocity = velocityIndex.velocities.get(String(row.id)) || emptyVelocity(timeWindow);
+        return {
+          ...row,
+          velocity,
+          _trending_score: velocity.score,
+          _trending_factors: { velocity: velocity.score, lift: velocity.lift, tiebreak: rows.length - index },
+        };
+      }).sort(compareTrending);
+    }
 
-    logger.info({ count: result.rows.length }, 'Fallback trending elections from DB');
+    const { elections: eligible, eligibility } = await applyEligibility(filterActiveElections(rows), viewer);
+    const elections = eligible.slice(0, limit);
+
+    logger.info({ count: elections.length }, 'Fallback trending elections from DB');
 
     return {
       success: true,
-      data: result.rows,
+      data: elections,
       source: 'database_fallback',
+      eligibility,
+      scoring: velocityIndex ? 'velocity' : 'recency',
+      geography: velocityIndex ? velocityIndex.geography : GLOBAL_GEOGRAPHY,
     };
   } catch (error) {
     logger.error({ error: error.message }, 'Fallback trending query failed');
@@ -712,13 +1752,15 @@ const getFallbackTrendingElections = async (limit) => {
 /**
  * Fallback: Get popular elections from database
  */
-const getFallbackPopularElections = async (limit) => {
+const getFallbackPopularElections = async (limit, viewer = ANONYMOUS_VIEWER) => {
   try {
     // Changed: Added created_at as tiebreaker and lottery_prize_pool as factor
+    // Dates are widened by the election time slack; filterActiveElections keeps the exact window
     const query = `
       SELECT * FROM votteryyy_elections
       WHERE status IN ('published', 'active')
-      AND end_date > NOW()
+      AND end_date > NOW() - $2 * INTERVAL '1 hour'
+      AND start_date <= NOW() + $2 * INTERVAL '1 hour'
       ORDER BY 
         vote_count DESC, 
         view_count DESC,
@@ -727,14 +1769,16 @@ const getFallbackPopularElections = async (limit) => {
       LIMIT $1
     `;
 
-    const result = await db.query(query, [limit]);
+    const result = await db.query(query, [limit, ELECTION_TIME_SLACK_HOURS]);
+    const { elections, eligibility } = await applyEligibility(filterActiveElections(result.rows), viewer);
 
-    logger.info({ count: result.rows.length }, 'Fallback popular elections from DB');
+    logger.info({ count: elections.length }, 'Fallback popular elections from DB');
 
     return {
       success: true,
-      data: result.rows,
+      data: elections,
       source: 'database_fallback',
+      eligibility,
     };
   } catch (error) {
     logger.error({ error: error.message }, 'Fallback popular query failed');
@@ -745,24 +1789,27 @@ const getFallbackPopularElections = async (limit) => {
 /**
  * Fallback: Get lotterized elections
  */
-const getFallbackLotterizedElections = async (limit, minPrize = 0) => {
+const getFallbackLotterizedElections = async (limit, minPrize = 0, viewer = ANONYMOUS_VIEWER) => {
   try {
     const query = `
       SELECT * FROM votteryyy_elections
       WHERE status IN ('published', 'active')
-      AND end_date > NOW()
+      AND end_date > NOW() - $3 * INTERVAL '1 hour'
+      AND start_date <= NOW() + $3 * INTERVAL '1 hour'
       AND lottery_enabled = true
       AND lottery_total_prize_pool >= $2
       ORDER BY lottery_total_prize_pool DESC
       LIMIT $1
     `;
 
-    const result = await db.query(query, [limit, minPrize]);
+    const result = await db.query(query, [limit, minPrize, ELECTION_TIME_SLACK_HOURS]);
+    const { elections, eligibility } = await applyEligibility(filterActiveElections(result.rows), viewer);
 
     return {
       success: true,
-      data: result.rows,
+      data: elections,
       source: 'database_fallback',
+      eligibility,
     };
   } catch (error) {
     logger.error({ error: error.message }, 'Fallback lotterized query failed');
@@ -773,23 +1820,26 @@ const getFallbackLotterizedElections = async (limit, minPrize = 0) => {
 /**
  * Fallback: Get elections by category
  */
-const getFallbackElectionsByCategory = async (categoryId, limit) => {
+const getFallbackElectionsByCategory = async (categoryId, limit, viewer = ANONYMOUS_VIEWER) => {
   try {
     const query = `
       SELECT * FROM votteryyy_elections
       WHERE status IN ('published', 'active')
-      AND end_date > NOW()
+      AND end_date > NOW() - $3 * INTERVAL '1 hour'
+      AND start_date <= NOW() + $3 * INTERVAL '1 hour'
       AND category_id = $1
       ORDER BY created_at DESC
       LIMIT $2
     `;
 
-    const result = await db.query(query, [categoryId, limit]);
+    const result = await db.query(query, [categoryId, limit, ELECTION_TIME_SLACK_HOURS]);
+    const { elections, eligibility } = await applyEligibility(filterActiveElections(result.rows), viewer);
 
     return {
       success: true,
-      data: result.rows,
+      data: elections,
       source: 'database_fallback',
+      eligibility,
     };
   } catch (error) {
     logger.error({ error: error.message }, 'Fallback category query failed');
@@ -797,6 +1847,91 @@ const getFallbackElectionsByCategory = async (categoryId, limit) => {
   }
 };
 
+/**
+ * Fallback: Get elections ending soonest
+ */
+const getFallbackEndingSoonElections = async (limit, withinHours, viewer = ANONYMOUS_VIEWER) => {
+  try {
+    // end_date is widened by the closing time slack; rankEndingSoon keeps the exact window
+    const query = `
+      SELECT * FROM votteryyy_elections
+      WHERE status IN ('published', 'active')
+      AND end_date > NOW() - $3 * INTERVAL '1 hour'
+      AND end_date <= NOW() + ($2 + $3) * INTERVAL '1 hour'
+      ORDER BY end_date ASC
+      LIMIT $1
+    `;
+
+    const result = await db.query(query, [limit, withinHours, ELECTION_TIME_SLACK_HOURS]);
+    const { elections, eligibility } = await applyEligibility(filterActiveElections(result.rows), viewer);
+
+    return {
+      success: true,
+      data: rankEndingSoon(elections, EMPTY_AFFINITY_CONTEXT, { withinHours }),
+      within_hours: withinHours,
+      source: 'database_fallback',
+      eligibility,
+    };
+  } catch (error) {
+    logger.error({ error: error.message }, 'Fallback ending soon query failed');
+    return { success: false, data: [], error: error.message };
+  }
+};
+
+/**
+ * Fallback: Get elections opening soonest
+ */
+const getFallbackUpcomingElections = async (limit, withinDays, viewer = ANONYMOUS_VIEWER) => {
+  try {
+    // start_date is widened by the election time slack; rankUpcoming keeps the exact window
+    const query = `
+      SELECT * FROM votteryyy_elections
+      WHERE status IN ('published', 'active')
+      AND start_date > NOW() - $3 * INTERVAL '1 hour'
+      AND start_date <= NOW() + $2 * INTERVAL '1 day' + $3 * INTERVAL '1 hour'
+      ORDER BY start_date ASC
+      LIMIT $1
+    `;
+
+    const result = await db.query(query, [limit, withinDays, ELECTION_TIME_SLACK_HOURS]);
+    const { elections, eligibility } = await applyEligibility(result.rows, viewer);
+    const savedIds = await loadSavedElectionIds(viewer.userId);
+
+    return {
+      success: true,
+      data: rankUpcoming(elections, EMPTY_AFFINITY_CONTEXT, savedIds, { withinDays }),
+      within_days: withinDays,
+      source: 'database_fallback',
+      eligibility,
+    };
+  } catch (error) {
+    logger.error({ error: error.message }, 'Fallback upcoming query failed');
+    return { success: false, data: [], error: error.message };
+  }
+};
+
+/**
+ * Fallback: Search election rows directly. Also the only path for
+ * searches that include ended elections, which the catalog doesn't hold.
+ */
+const getFallbackSearchResults = async (terms, limit, filters = {}, viewer = ANONYMOUS_VIEWER, affinityContext = EMPTY_AFFINITY_CONTEXT) => {
+  try {
+    const { activeOnly = true } = filters;
+    const matches = toSearchResults(await searchDatabase(terms, filters), 'database');
+    const { elections, eligibility } = await applyEligibility(activeOnly ? filterActiveElections(matches) : matches, viewer);
+
+    return {
+      success: true,
+      data: rankSearchResults(elections, affinityContext).slice(0, limit),
+      source: 'database_fallback',
+      eligibility,
+    };
+  } catch (error) {
+    logger.error({ error: error.message }, 'Fallback search query failed');
+    return { success: false, data: [], error: error.message };
+  }
+};
+
 /**
  * Fallback: Get audience for election
  */
@@ -838,18 +1973,26 @@ const getFallbackAudienceForElection = async (electionId, limit) => {
  * Check if Shaped engine is available
  */
 export const checkEngineHealth = async () => {
+  // Models the database fallbacks rely on when the engine is down
+  const localModels = { co_vote: getCoVoteModelStatus(), content_index: getContentIndexStatus() };
+  const catalog = getCatalogStatus();
+
   try {
     const response = await shapedClient.client.get(`/engines/${ENGINE_NAME}`);
     return {
       healthy: response.data.status === 'ACTIVE',
       status: response.data.status,
       engine: ENGINE_NAME,
+      catalog,
+      local_models: localModels,
     };
   } catch (error) {
     return {
       healthy: false,
       status: 'ERROR',
       error: error.message,
+      catalog,
+      local_models: localModels,
     };
   }
 };
@@ -862,6 +2005,13 @@ export default {
   getPopularElections,
   getLotterizedPicks,
   getElectionsByCategory,
+  getEndingSoonElections,
+  getUpcomingElections,
+  searchElections,
+  getBatchRecommendations,
+  BATCH_STRATEGIES,
   getAudienceForElection,
+  getHomeFeed,
+  SIMILAR_STRATEGIES,
   checkEngineHealth,
 };
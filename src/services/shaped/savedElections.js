@@ -0,0 +1,178 @@
+/**
+ * Saved Elections
+ * Elections a user saved before they opened. Once one opens it is pinned to
+ * the top of the user's personalized feed for config.upcoming.pinHours, or
+ * until the user votes in it.
+ */
+
+import db from '../../utils/database.js';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+import { trackEvent } from './eventTracker.js';
+import { EVENT_TYPES } from './eventTypes.js';
+import { ACTIVE_STATUSES, ELECTION_TIME_SLACK_HOURS } from './filterExpressions.js';
+import { ELECTION_STATES, getElectionState, getOpeningTime } from './electionTiming.js';
+
+export const ELECTION_NOT_SAVABLE = 'ELECTION_NOT_SAVABLE';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const ensureSavedElectionsTable = () => db.ensureSchema('saved_elections', `
+  CREATE TABLE IF NOT EXISTS recommendation_saved_elections (
+    user_id TEXT NOT NULL,
+    election_id TEXT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (user_id, election_id)
+  )
+`);
+
+const TIMING_COLUMNS = 'e.id, e.title, e.status, e.start_date, e.start_time, e.end_date, e.end_time, e.timezone';
+
+const formatSaved = (row, now = new Date()) => ({
+  election_id: String(row.id),
+  title: row.title,
+  state: getElectionState(row, now),
+  opens_at: getOpeningTime(row)?.toISOString() || null,
+  saved_at: row.saved_at,
+});
+
+/**
+ * Save an election for a user. Only published elections that haven't ended can be saved.
+ * @param {string|number} userId
+ * @param {string|number} electionId
+ * @returns {Promise<{saved: Object|null, error: Object|null}>}
+ */
+export const saveElection = async (userId, electionId) => {
+  await ensureSavedElectionsTable();
+
+  const election = await db.query(`
+    SELECT ${TIMING_COLUMNS} FROM votteryyy_elections e WHERE e.id = $1
+  `, [electionId]);
+  const row = election.rows[0];
+
+  if (!row || !ACTIVE_STATUSES.includes(row.status) || getElectionState(row) === ELECTION_STATES.ENDED) {
+    return {
+      saved: null,
+      error: { code: ELECTION_NOT_SAVABLE, message: `Election ${electionId} is not open or upcoming` },
+    };
+  }
+
+  // No-op update so an existing save still returns its row; xmax = 0 only for a fresh insert
+  const result = await db.query(`
+    INSERT INTO recommendation_saved_elections (user_id, election_id)
+    VALUES ($1, $2)
+    ON CONFLICT (user_id, election_id) DO UPDATE SET user_id = EXCLUDED.user_id
+    RETURNING created_at AS saved_at, (xmax = 0) AS inserted
+  `, [String(userId), String(row.id)]);
+
+  const saved = formatSaved({ ...row, saved_at: result.rows[0].saved_at });
+
+  if (result.rows[0].inserted) {
+    try {
+      await trackEvent({
+        userId,
+        electionId: row.id,
+        eventType: EVENT_TYPES.ELECTION_SAVED,
+        metadata: { state: saved.state },
+      });
+    } catch (error) {
+      logger.error({ error: error.message, userId, electionId }, 'Failed to track election save');
+    }
+  }
+
+  logger.info({ userId, electionId, state: saved.state }, 'Election saved');
+  return { saved, error: null };
+};
+
+/**
+ * Remove a saved election
+ * @returns {Promise<boolean>} False when it wasn't saved
+ */
+export const unsaveElection = async (userId, electionId) => {
+  await ensureSavedElectionsTable();
+
+  const result = await db.query(
+    'DELETE FROM recommendation_saved_elections WHERE user_id = $1 AND election_id = $2',
+    [String(userId), String(electionId)]
+  );
+  return result.rowCount > 0;
+};
+
+/**
+ * A user's saved elections that haven't ended, soonest opening first
+ * @returns {Promise<Array<Object>>}
+ */
+export const getSavedElections = async (userId) => {
+  await ensureSavedElectionsTable();
+
+  // Saved ids are the elections' numeric keys stored as text; the join casts
+  // them back to bigint so the elections primary key index applies
+  const result = await db.query(`
+    SELECT ${TIMING_COLUMNS}, s.created_at AS saved_at
+    FROM recommendation_saved_elections s
+    JOIN votteryyy_elections e ON e.id = s.election_id::bigint
+    WHERE s.user_id = $1
+    AND e.end_date > NOW() - $2 * INTERVAL '1 hour'
+  `, [String(userId), ELECTION_TIME_SLACK_HOURS]);
+
+  const now = new Date();
+  return result.rows
+    .map(row => formatSaved(row, now))
+    .filter(saved => saved.state !== ELECTION_STATES.ENDED)
+    .sort((a, b) => String(a.opens_at).localeCompare(String(b.opens_at)));
+};
+
+/**
+ * Ids of everything a user saved
+ * @returns {Promise<Set<string>>}
+ */
+export const getSavedElectionIds = async (userId) => {
+  if (!userId || !/^\d+$/.test(String(userId))) return new Set();
+  await ensureSavedElectionsTable();
+
+  const result = await db.query(
+    'SELECT election_id FROM recommendation_saved_elections WHERE user_id = $1',
+    [String(userId)]
+  );
+  return new Set(result.rows.map(row => row.election_id));
+};
+
+/**
+ * Saved elections that opened within the last config.upcoming.pinHours, as
+ * election rows with saved_at and opens_at, most recently opened first
+ * @returns {Promise<Array<Object>>}
+ */
+export const getRecentlyOpenedSavedElections = async (userId) => {
+  if (!userId || !/^\d+$/.test(String(userId))) return [];
+  await ensureSavedElectionsTable();
+
+  const { pinHours } = config.upcoming;
+  // Joined on the bigint key, as in getSavedElections
+  const result = await db.query(`
+    SELECT e.*, s.created_at AS saved_at
+    FROM recommendation_saved_elections s
+    JOIN votteryyy_elections e ON e.id = s.election_id::bigint
+    WHERE s.user_id = $1
+    AND e.status = ANY($2::text[])
+    AND e.start_date > NOW() - ($3 + $4) * INTERVAL '1 hour'
+    AND e.start_date <= NOW() + $4 * INTERVAL '1 hour'
+  `, [String(userId), ACTIVE_STATUSES, pinHours, ELECTION_TIME_SLACK_HOURS]);
+
+  const now = new Date();
+  return result.rows
+    .map(row => ({ ...row, opens_at: getOpeningTime(row) }))
+    .filter(row => getElectionState(row, now) === ELECTION_STATES.OPEN
+      && row.opens_at && row.opens_at.getTime() >= now.getTime() - pinHours * HOUR_MS)
+    .sort((a, b) => b.opens_at - a.opens_at)
+    .map(row => ({ ...row, opens_at: row.opens_at.toISOString() }));
+};
+
+export default {
+  ELECTION_NOT_SAVABLE,
+  ensureSavedElectionsTable,
+  saveElection,
+  unsaveElection,
+  getSavedElections,
+  getSavedElectionIds,
+  getRecentlyOpenedSavedElections,
+};
@@ -0,0 +1,371 @@
+/**
+ * Scoring Profiles
+ * The formulas behind the trending and popular feeds, defined as data so
+ * weights can change without a deploy.
+ *
+ * A profile is a set of named factors. Each factor reads one metric of the
+ * election and is computed as weight * metric, multiplied by an optional
+ * age decay, then raised to its floor and limited to its cap. The feed
+ * score is the sum of the factors.
+ *
+ * Profiles are versioned: saving a profile inserts a new version in
+ * recommendation_scoring_profiles and requests use the latest version
+ * unless they ask for one (`name@version`). The built-in "default"
+ * profiles are version 1 and reproduce the original hard-coded formulas.
+ */
+
+import db from '../../utils/database.js';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+
+export const SCORING_FEEDS = ['trending', 'popular'];
+
+export const DEFAULT_PROFILE_NAME = 'default';
+
+export const UNKNOWN_PROFILE = 'UNKNOWN_PROFILE';
+
+// Inserts tried before a version conflict is reported
+const SAVE_ATTEMPTS = 3;
+
+// Metric readers over feed items (Shaped metadata or database rows)
+const METRICS = {
+  vote_count: election => parseInt(election.vote_count || 0) || 0,
+  view_count: election => parseInt(election.view_count || 0) || 0,
+  engagement_score: election => parseFloat(election.engagement_score || 0.1) || 0,
+  lottery_prize_pool: election => parseFloat(election.lottery_prize_pool ?? election.lottery_total_prize_pool ?? 0) || 0,
+  constant: () => 1,
+};
+
+const DECAY_TYPES = ['linear', 'exponential'];
+
+// Trending only: rank by interaction velocity (factors break ties) or by the factors alone
+const TRENDING_RANK_BY = ['velocity', 'factors'];
+
+const MAX_FACTORS = 20;
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const FACTOR_NAME_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+
+const BUILTIN_PROFILES = {
+  trending: {
+    rankBy: 'velocity',
+    factors: {
+      // Linear decay over the request's timeWindow
+      recency: { metric: 'constant', weight: 40, decay: { type: 'linear' }, floor: 5 },
+      engagement: { metric: 'engagement_score', weight: 30 },
+      votes: { metric: 'vote_count', weight: 2, cap: 20 },
+      views: { metric: 'view_count', weight: 0.5, cap: 10 },
+    },
+  },
+  popular: {
+    factors: {
+      votes: { metric: 'vote_count', weight: 5, cap: 50 },
+      views: { metric: 'view_count', weight: 0.5, cap: 25 },
+      engagement: { metric: 'engagement_score', weight: 15 },
+      prize: { metric: 'lottery_prize_pool', weight: 0.001, cap: 10 },
+      base: { metric: 'constant', weight: 1 },
+    },
+  },
+};
+
+const builtinProfile = (feed) => ({
+  feed,
+  name: DEFAULT_PROFILE_NAME,
+  version: 1,
+  description: 'Built-in formula',
+  definition: BUILTIN_PROFILES[feed],
+  source: 'builtin',
+  createdBy: null,
+  createdAt: null,
+});
+
+// `${feed}:${name}` -> { profile, expiresAt } for the latest version
+const latestCache = new Map();
+// `${feed}:${name}@${version}` -> profile; versions never change
+const versionCache = new Map();
+
+const ensureProfilesTable = () => db.ensureSchema('scoring_profiles', `
+  CREATE TABLE IF NOT EXISTS recommendation_scoring_profiles (
+    feed TEXT NOT NULL,
+    name TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    description TEXT,
+    definition JSONB NOT NULL,
+    created_by TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (feed, name, version)
+  )
+`);
+
+const rowToProfile = (row) => ({
+  feed: row.feed,
+  name: row.name,
+  version: row.version,
+  description: row.description,
+  definition: row.definition,
+  source: 'database',
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+});
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const normalizeFactor = (name, factor) => {
+  if (!FACTOR_NAME_PATTERN.test(name)) {
+    return { error: `Factor name "${name}" must be lowercase letters, digits and underscores` };
+  }
+  if (!factor || typeof factor !== 'object') return { error: `Factor "${name}" must be an object` };
+  if (!METRICS[factor.metric]) {
+    return { error: `Factor "${name}" has unknown metric. Valid metrics: ${Object.keys(METRICS).join(', ')}` };
+  }
+  if (!isFiniteNumber(factor.weight)) return { error: `Factor "${name}" needs a numeric weight` };
+
+  const normalized = { metric: factor.metric, weight: factor.weight };
+
+  for (const bound of ['cap', 'floor']) {
+    if (factor[bound] === undefined || factor[bound] === null) continue;
+    if (!isFiniteNumber(factor[bound])) return { error: `Factor "${name}" ${bound} must be a number` };
+    normalized[bound] = factor[bound];
+  }
+  if (normalized.cap !== undefined && normalized.floor !== undefined && normalized.floor > normalized.cap) {
+    return { error: `Factor "${name}" floor is above its cap` };
+  }
+
+  if (factor.decay !== undefined && factor.decay !== null) {
+    const { type, windowDays, halfLifeDays } = factor.decay;
+    if (!DECAY_TYPES.includes(type)) {
+      return { error: `Factor "${name}" decay type must be one of: ${DECAY_TYPES.join(', ')}` };
+    }
+    if (type === 'linear') {
+      if (windowDays !== undefined && !(isFiniteNumber(windowDays) && windowDays > 0)) {
+        return { error: `Factor "${name}" decay windowDays must be a positive number` };
+      }
+      normalized.decay = windowDays !== undefined ? { type, windowDays } : { type };
+    } else {
+      if (!(isFiniteNumber(halfLifeDays) && halfLifeDays > 0)) {
+        return { error: `Factor "${name}" exponential decay needs a positive halfLifeDays` };
+      }
+      normalized.decay = { type, halfLifeDays };
+    }
+  }
+
+  return { factor: normalized };
+};
+
+/**
+ * Validate a profile definition, keeping only known fields
+ * @param {string} feed - One of SCORING_FEEDS
+ * @param {Object} body - { factors: { name: { metric, weight, cap?, floor?, decay? } }, rankBy? }
+ * @returns {{definition: Object|null, error: string|null}}
+ */
+export const normalizeProfileDefinition = (feed, body) => {
+  const fail = error => ({ definition: null, error });
+
+  if (!SCORING_FEEDS.includes(feed)) return fail(`Invalid feed. Valid feeds: ${SCORING_FEEDS.join(', ')}`);
+  if (!body || typeof body !== 'object' || !body.factors || typeof body.factors !== 'object' || Array.isArray(body.factors)) {
+    return fail('factors must be an object of named factors');
+  }
+
+  const entries = Object.entries(body.factors);
+  if (entries.length === 0) return fail('At least one factor is required');
+  if (entries.length > MAX_FACTORS) return fail(`At most ${MAX_FACTORS} factors are allowed`);
+
+  const factors = {};
+  for (const [name, factor] of entries) {
+    const result = normalizeFactor(name, factor);
+    if (result.error) return fail(result.error);
+    factors[name] = result.factor;
+  }
+
+  const definition = { factors };
+
+  if (feed === 'trending') {
+    const rankBy = body.rankBy ?? 'velocity';
+    if (!TRENDING_RANK_BY.includes(rankBy)) return fail(`rankBy must be one of: ${TRENDING_RANK_BY.join(', ')}`);
+    definition.rankBy = rankBy;
+  } else if (body.rankBy !== undefined) {
+    return fail('rankBy only applies to trending profiles');
+  }
+
+  return { definition, error: null };
+};
+
+export const isValidProfileName = (name) => NAME_PATTERN.test(String(name || ''));
+
+const decayMultiplier = (decay, ageDays, timeWindow) => {
+  if (decay.type === 'exponential') return 0.5 ** (ageDays / decay.halfLifeDays);
+  const windowDays = decay.windowDays || timeWindow;
+  return Math.max(0, 1 - ageDays / windowDays);
+};
+
+/**
+ * Score one election with a profile definition
+ * @param {Object} definition - Profile definition
+ * @param {Object} election - Feed item
+ * @param {Object} options
+ * @param {Date} options.now
+ * @param {number} options.timeWindow - Days, for linear decay without its own windowDays (default: 7)
+ * @returns {{score: number, factors: Object}} Total and per-factor points
+ */
+export const scoreWithProfile = (definition, election, options = {}) => {
+  const { now = new Date(), timeWindow = 7 } = options;
+  const createdAt = new Date(election.created_at || election.start_date || now);
+  const ageDays = Math.max(0, now - createdAt) / (24 * 60 * 60 * 1000) || 0;
+
+  const factors = {};
+  let score = 0;
+  for (const [name, factor] of Object.entries(definition.factors)) {
+    let value = factor.weight * METRICS[factor.metric](election);
+    if (factor.decay) value *= decayMultiplier(factor.decay, ageDays, timeWindow);
+    if (factor.floor !== undefined) value = Math.max(factor.floor, value);
+    if (factor.cap !== undefined) value = Math.min(factor.cap, value);
+
+    factors[name] = value;
+    score += value;
+  }
+
+  return { score, factors };
+};
+
+const parseProfileRef = (ref) => {
+  const [name, version] = String(ref).split('@');
+  return { name, version: version === undefined ? null : parseInt(version) };
+};
+
+const loadLatestProfile = async (feed, name) => {
+  const key = `${feed}:${name}`;
+  const cached = latestCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.profile;
+
+  await ensureProfilesTable();
+  const result = await db.query(`
+    SELECT * FROM recommendation_scoring_profiles
+    WHERE feed = $1 AND name = $2
+    ORDER BY version DESC
+    LIMIT 1
+  `, [feed, name]);
+
+  const profile = result.rows[0]
+    ? rowToProfile(result.rows[0])
+    : (name === DEFAULT_PROFILE_NAME ? builtinProfile(feed) : null);
+
+  latestCache.set(key, { profile, expiresAt: Date.now() + config.scoringProfiles.cacheSeconds * 1000 });
+  return profile;
+};
+
+const loadProfileVersion = async (feed, name, version) => {
+  const key = `${feed}:${name}@${version}`;
+  if (versionCache.has(key)) return versionCache.get(key);
+
+  if (name === DEFAULT_PROFILE_NAME && version === 1) return builtinProfile(feed);
+
+  await ensureProfilesTable();
+  const result = await db.query(
+    'SELECT * FROM recommendation_scoring_profiles WHERE feed = $1 AND name = $2 AND version = $3',
+    [feed, name, version]
+  );
+  if (!result.rows[0]) return null;
+
+  const profile = rowToProfile(result.rows[0]);
+  versionCache.set(key, profile);
+  return profile;
+};
+
+/**
+ * Resolve the profile a request asked for
+ * @param {string} feed - One of SCORING_FEEDS
+ * @param {string|null} ref - "name" (latest version) or "name@version"; null for the default
+ * @returns {Promise<Object|null>} Profile, or null when it doesn't exist
+ */
+export const resolveScoringProfile = async (feed, ref = null) => {
+  const { name, version } = parseProfileRef(ref || DEFAULT_PROFILE_NAME);
+  if (!isValidProfileName(name) || (version !== null && !(version > 0))) return null;
+
+  try {
+    return version === null ? await loadLatestProfile(feed, name) : await loadProfileVersion(feed, name, version);
+  } catch (error) {
+    // The default must always resolve, so feeds keep working while the database is down
+    if (name === DEFAULT_PROFILE_NAME && version === null) {
+      logger.warn({ error: error.message, feed }, 'Scoring profiles unavailable, using built-in default');
+      return builtinProfile(feed);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Save a new version of a profile
+ * @param {string} feed
+ * @param {string} name
+ * @param {Object} options
+ * @param {Object} options.definition - From normalizeProfileDefinition
+ * @param {string} options.description
+ * @param {string} options.createdBy
+ * @returns {Promise<Object>} The saved profile
+ */
+export const saveScoringProfile = async (feed, name, options = {}) => {
+  const { definition, description = null, createdBy = null } = options;
+
+  await ensureProfilesTable();
+
+  // The built-in default is version 1, so the first saved default is version 2
+  const insert = () => db.query(`
+    INSERT INTO recommendation_scoring_profiles (feed, name, version, description, definition, created_by)
+    SELECT $1, $2, COALESCE(MAX(version), $3) + 1, $4, $5::jsonb, $6
+    FROM recommendation_scoring_profiles
+    WHERE feed = $1 AND name = $2
+    RETURNING *
+  `, [feed, name, name === DEFAULT_PROFILE_NAME ? 1 : 0, description, JSON.stringify(definition), createdBy]);
+
+  // A concurrent save can take the same next version (unique violation);
+  // retry against the new MAX, leaving the last conflict to the caller
+  let result;
+  for (let attempt = 1; !result; attempt++) {
+    try {
+      result = await insert();
+    } catch (error) {
+      if (error.code !== '23505' || attempt >= SAVE_ATTEMPTS) throw error;
+      logger.debug({ feed, name, attempt }, 'Scoring profile version taken, retrying');
+    }
+  }
+
+  const profile = rowToProfile(result.rows[0]);
+  latestCache.delete(`${feed}:${name}`);
+
+  logger.info({ feed, name, version: profile.version, createdBy }, 'Scoring profile saved');
+  return profile;
+};
+
+/**
+ * Every profile version, newest first, including the built-in defaults
+ * @param {string|null} feed - Only this feed (default: all)
+ */
+export const listScoringProfiles = async (feed = null) => {
+  await ensureProfilesTable();
+
+  const result = await db.query(`
+    SELECT * FROM recommendation_scoring_profiles
+    WHERE ($1::text IS NULL OR feed = $1)
+    ORDER BY feed, name, version DESC
+  `, [feed]);
+
+  const builtins = SCORING_FEEDS.filter(f => !feed || f === feed).map(builtinProfile);
+  return [...result.rows.map(rowToProfile), ...builtins];
+};
+
+/**
+ * Reference recorded on feed responses
+ */
+export const describeProfile = (profile) => ({ name: profile.name, version: profile.version, source: profile.source });
+
+export default {
+  SCORING_FEEDS,
+  DEFAULT_PROFILE_NAME,
+  UNKNOWN_PROFILE,
+  normalizeProfileDefinition,
+  isValidProfileName,
+  scoreWithProfile,
+  resolveScoringProfile,
+  saveScoringProfile,
+  listScoringProfiles,
+  describeProfile,
+};
@@ -0,0 +1,271 @@
+/**
+ * Trending Velocity
+ * Scores open elections by how fast they are gathering interactions now,
+ * compared with their own usual pace, so an old election that suddenly
+ * gets votes can trend.
+ *
+ * For each election, within the time window:
+ * - decayed rate: weighted interactions per hour, each halved in weight
+ *   every halfLifeHours of age
+ * - baseline rate: weighted interactions per hour over the baselineDays
+ *   before the window (only while the election existed)
+ * - lift: (decayed + prior) / (baseline + prior), capped at maxLift
+ * - score: decayed rate * lift
+ *
+ * Votes come from votteryy_votes and votteryyy_anonymous_votes; views and
+ * shares from the local event log. Trending can be scoped to a country or
+ * region, counting only interactions by users there. Results are cached per
+ * window and geography.
+ */
+
+import db from '../../utils/database.js';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+import { EVENT_TYPES } from './eventTypes.js';
+import { ensureEventLogTable } from './eventLog.js';
+import { createParams, audiencePeopleCtes } from './audienceSql.js';
+import { getRegionFromCountry } from './userSync.js';
+
+const KINDS = ['vote', 'view', 'share'];
+
+// "windowDays:geography" -> { expiresAt, computedAt, velocities } or { promise }
+const cache = new Map();
+
+const round = (value, digits = 4) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const GLOBAL = { level: 'global' };
+
+/**
+ * Window in days between 1 and config.trendingVelocity.maxWindowDays, 7 when missing
+ * @param {number|string} timeWindow
+ * @returns {number}
+ */
+export const clampWindowDays = (timeWindow) => (
+  Math.min(config.trendingVelocity.maxWindowDays, Math.max(1, parseInt(timeWindow) || 7))
+);
+
+// Drop computed entries past their expiry; pending computations stay
+const evictExpired = () => {
+  const now = Date.now();
+  for (const [key, entry] of cache) {
+    if (!entry.promise && entry.expiresAt <= now) cache.delete(key);
+  }
+};
+
+const geographyKey = (geography) => [geography.level, geography.country ?? geography.region ?? ''].join(':');
+
+const queryInteractionCounts = async (windowDays, geography = GLOBAL) => {
+  const { halfLifeHours, baselineDays } = config.trendingVelocity;
+  const scoped = geography.level !== 'global';
+
+  await ensureEventLogTable();
+
+  const { values, param } = createParams();
+  const windowParam = param(windowDays);
+  const baselineParam = param(baselineDays);
+  let geographyFilter = '';
+  if (geography.level === 'country') geographyFilter = `AND p.country = ${param(geography.country)}`;
+  if (geography.level === 'region') geographyFilter = `AND p.region = ${param(geography.region)}::int`;
+
+  // Scoped counts only see interactions by users in the geography; anonymous votes have no user
+  const result = await db.query(`
+    WITH bounds AS (
+      SELECT NOW() - ${windowParam} * INTERVAL '1 day' AS window_start,
+        NOW() - (${windowParam} + ${baselineParam}) * INTERVAL '1 day' AS baseline_start
+    ),
+    ${scoped ? `${audiencePeopleCtes(param)},` : ''}
+    interactions AS (
+      SELECT v.election_id::text AS election_id, 'vote' AS kind, v.created_at AS occurred_at, v.user_id::text AS user_id
+      FROM votteryy_votes v, bounds b
+      WHERE v.status = 'valid' AND v.created_at >= b.baseline_start
+      ${scoped ? '' : `UNION ALL
+      SELECT av.election_id::text, 'vote', av.voted_at, NULL
+      FROM votteryyy_anonymous_votes av, bounds b
+      WHERE av.voted_at >= b.baseline_start`}
+      UNION ALL
+      SELECT l.election_id, CASE WHEN l.event_type = ${param(EVENT_TYPES.ELECTION_SHARED)} THEN 'share' ELSE 'view' END, l.created_at, l.user_id
+      FROM recommendation_event_log l, bounds b
+      WHERE l.event_type = ANY(${param([EVENT_TYPES.VIEW_ELECTION, EVENT_TYPES.ELECTION_SHARED])}::text[])
+      AND l.created_at >= b.baseline_start
+    )
+    SELECT i.election_id, i.kind,
+      COUNT(*) FILTER (WHERE i.occurred_at >= b.window_start) AS recent_count,
+      COUNT(*) FILTER (WHERE i.occurred_at < b.window_start) AS baseline_count,
+      COALESCE(SUM(POWER(0.5, EXTRACT(EPOCH FROM NOW() - i.occurred_at) / 3600 / ${param(halfLifeHours)}))
+        FILTER (WHERE i.occurred_at >= b.window_start), 0) AS decayed,
+      GREATEST(0, EXTRACT(EPOCH FROM b.window_start - GREATEST(e.created_at, b.baseline_start)) / 3600) AS baseline_hours
+    FROM interactions i
+    CROSS JOIN bounds b
+    JOIN votteryyy_elections e ON e.id::text = i.election_id
+    ${scoped ? 'JOIN people p ON p.user_id = i.user_id' : ''}
+    WHERE e.status IN ('published', 'active')
+    AND e.end_date > NOW()
+    ${geographyFilter}
+    GROUP BY i.election_id, i.kind, b.window_start, b.baseline_start, e.created_at
+  `, values);
+
+  return result.rows;
+};
+
+/**
+ * Turn per-kind counts into each election's velocity numbers
+ */
+const computeVelocities = (rows, windowDays) => {
+  const { halfLifeHours, weights, baselinePrior, maxLift } = config.trendingVelocity;
+  const windowHours = windowDays * 24;
+  // Hours a constant stream of interactions would need to reach the same decayed weight
+  const effectiveHours = (halfLifeHours / Math.LN2) * (1 - 0.5 ** (windowHours / halfLifeHours));
+
+  const byElection = new Map();
+  for (const row of rows) {
+    if (!byElection.has(row.election_id)) {
+      byElection.set(row.election_id, { baselineHours: parseFloat(row.baseline_hours) || 0, kinds: {} });
+    }
+    byElection.get(row.election_id).kinds[row.kind] = {
+      recent: parseInt(row.recent_count) || 0,
+      baseline: parseInt(row.baseline_count) || 0,
+      decayed: parseFloat(row.decayed) || 0,
+    };
+  }
+
+  const velocities = new Map();
+  for (const [electionId, { baselineHours, kinds }] of byElection) {
+    let decayedWeighted = 0;
+    let baselineWeighted = 0;
+    const perKind = {};
+
+    for (const kind of KINDS) {
+      const counts = kinds[kind] || { recent: 0, baseline: 0, decayed: 0 };
+      decayedWeighted += weights[kind] * counts.decayed;
+      baselineWeighted += weights[kind] * counts.baseline;
+      perKind[`${kind}s`] = {
+        recent: counts.recent,
+        per_hour: round(counts.recent / windowHours),
+        baseline_per_hour: baselineHours > 0 ? round(counts.baseline / baselineHours) : null,
+      };
+    }
+
+    const decayedRate = decayedWeighted / effectiveHours;
+    const baselineRate = baselineHours > 0 ? baselineWeighted / baselineHours : 0;
+    const lift = Math.min(maxLift, (decayedRate + baselinePrior) / (baselineRate + baselinePrior));
+
+    velocities.set(electionId, {
+      window_hours: windowHours,
+      ...perKind,
+      decayed_rate: round(decayedRate),
+      baseline_rate: round(baselineRate),
+      lift: round(lift, 2),
+      score: round(decayedRate * lift),
+    });
+  }
+
+  return velocities;
+};
+
+/**
+ * Velocity numbers for one geography, cached per window and geography
+ */
+const getVelocityEntry = async (windowDays, geography) => {
+  const key = `${windowDays}:${geographyKey(geography)}`;
+  const cached = cache.get(key);
+
+  if (cached?.promise) return cached.promise;
+  if (cached && cached.expiresAt > Date.now()) return cached;
+
+  const promise = (async () => {
+    const startTime = Date.now();
+    const rows = await queryInteractionCounts(windowDays, geography);
+    const velocities = computeVelocities(rows, windowDays);
+    const entry = {
+      computedAt: new Date().toISOString(),
+      expiresAt: Date.now() + config.trendingVelocity.cacheMinutes * 60 * 1000,
+      velocities,
+      recentInteractions: rows.reduce((sum, row) => sum + (parseInt(row.recent_count) || 0), 0),
+    };
+    evictExpired();
+    cache.set(key, entry);
+    logger.info({
+      windowDays,
+      geography: geographyKey(geography),
+      elections: velocities.size,
+      recentInteractions: entry.recentInteractions,
+      durationMs: Date.now() - startTime,
+    }, 'Trending velocities computed');
+    return entry;
+  })();
+
+  cache.set(key, { promise });
+  try {
+    return await promise;
+  } catch (error) {
+    cache.delete(key);
+    throw error;
+  }
+};
+
+/**
+ * Geographies to try, narrowest first: the country, its region (or the
+ * region asked for), then global
+ * @param {Object} scope
+ * @param {string} scope.country - ISO 3166-1 alpha-2 code
+ * @param {number} scope.region - Region id from REGION_MAP
+ * @returns {Array<Object>}
+ */
+export const getGeographyLadder = ({ country = null, region = null } = {}) => {
+  const ladder = [];
+  if (country) ladder.push({ level: 'country', country: country.toUpperCase() });
+  const regionId = region ?? (country ? getRegionFromCountry(country) : null);
+  if (regionId) ladder.push({ level: 'region', region: parseInt(regionId) });
+  ladder.push(GLOBAL);
+  return ladder;
+};
+
+/**
+ * Velocity numbers for every open election with interactions in the window,
+ * counting only interactions by users in the requested geography. Widens to
+ * the region and then global while a geography has fewer than
+ * config.trendingVelocity.minGeographyInteractions recent interactions.
+ * @param {number} timeWindow - Window in days, clamped by clampWindowDays
+ * @param {Object} scope - { country, region }; empty for global
+ * @returns {Promise<{computedAt: string, velocities: Map<string, Object>, geography: Object}>}
+ */
+export const getTrendingVelocities = async (timeWindow = 7, scope = {}) => {
+  const windowDays = clampWindowDays(timeWindow);
+  const { minGeographyInteractions } = config.trendingVelocity;
+  const skipped = [];
+
+  for (const geography of getGeographyLadder(scope)) {
+    const entry = await getVelocityEntry(windowDays, geography);
+
+    if (geography.level === 'global' || entry.recentInteractions >= minGeographyInteractions) {
+      return {
+        computedAt: entry.computedAt,
+        velocities: entry.velocities,
+        geography: {
+          ...geography,
+          recent_interactions: entry.recentInteractions,
+          fallback: skipped.length > 0,
+          ...(skipped.length > 0 ? { skipped } : {}),
+        },
+      };
+    }
+
+    skipped.push({ ...geography, recent_interactions: entry.recentInteractions });
+  }
+};
+
+/**
+ * Velocity for an election without interactions in the window
+ */
+export const emptyVelocity = (timeWindow = 7) => ({
+  window_hours: clampWindowDays(timeWindow) * 24,
+  ...Object.fromEntries(KINDS.map(kind => [`${kind}s`, { recent: 0, per_hour: 0, baseline_per_hour: null }])),
+  decayed_rate: 0,
+  baseline_rate: 0,
+  lift: 1,
+  score: 0,
+});
+
+export const clearTrendingVelocityCache = () => cache.clear();
+
+export default { clampWindowDays, getGeographyLadder, getTrendingVelocities, emptyVelocity, clearTrendingVelocityCache };
@@ -0,0 +1,210 @@
+/**
+ * User Interests Service
+ * Stores the categories and topics a user picks during onboarding and turns
+ * them into weak positive signals, so recommendations have something to work
+ * with before the first vote.
+ */
+
+import db from '../../utils/database.js';
+import logger from '../../utils/logger.js';
+import { trackEvent } from './eventTracker.js';
+import { EVENT_TYPES } from './eventTypes.js';
+
+const MAX_CATEGORIES = 20;
+const MAX_TOPICS = 20;
+const MAX_TOPIC_LENGTH = 50;
+
+// Synthetic events emitted per newly picked category or topic
+const SEED_ELECTIONS_PER_INTEREST = 3;
+
+export const ensureInterestsTable = () => db.ensureSchema('user_interests', `
+  CREATE TABLE IF NOT EXISTS recommendation_user_interests (
+    user_id TEXT PRIMARY KEY,
+    category_ids INTEGER[] NOT NULL DEFAULT '{}',
+    topics TEXT[] NOT NULL DEFAULT '{}',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  )
+`);
+
+/**
+ * Validate and normalise an interests payload
+ * @param {Object} body - { categoryIds: number[], topics: string[] }
+ * @returns {{interests: Object|null, error: string|null}}
+ */
+export const normalizeInterests = (body = {}) => {
+  const { categoryIds = [], topics = [] } = body;
+
+  if (!Array.isArray(categoryIds) || !Array.isArray(topics)) {
+    return { interests: null, error: 'categoryIds and topics must be arrays' };
+  }
+
+  const parsedCategories = categoryIds.map(id => parseInt(id));
+  if (parsedCategories.some(id => !Number.isInteger(id) || id <= 0)) {
+    return { interests: null, error: 'categoryIds must be positive integers' };
+  }
+
+  if (topics.some(topic => typeof topic !== 'string')) {
+    return { interests: null, error: 'topics must be strings' };
+  }
+
+  const normalizedTopics = topics.map(topic => topic.trim().toLowerCase()).filter(Boolean);
+  if (normalizedTopics.some(topic => topic.length > MAX_TOPIC_LENGTH)) {
+    return { interests: null, error: `topics must be at most ${MAX_TOPIC_LENGTH} characters` };
+  }
+
+  const interests = {
+    categoryIds: [...new Set(parsedCategories)],
+    topics: [...new Set(normalizedTopics)],
+  };
+
+  if (interests.categoryIds.length > MAX_CATEGORIES || interests.topics.length > MAX_TOPICS) {
+    return { interests: null, error: `At most ${MAX_CATEGORIES} categories and ${MAX_TOPICS} topics are allowed` };
+  }
+
+  return { interests, error: null };
+};
+
+const formatInterests = (row) => ({
+  userId: row.user_id,
+  categoryIds: row.category_ids.map(Number),
+  topics: row.topics,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+/**
+ * Get a user's stored interests
+ * @param {string|number} userId
+ * @returns {Promise<Object|null>} Null when the user never picked any
+ */
+export const getUserInterests = async (userId) => {
+  await ensureInterestsTable();
+
+  const result = await db.query(
+    'SELECT * FROM recommendation_user_interests WHERE user_id = $1',
+    [String(userId)]
+  );
+
+  return result.rows[0] ? formatInterests(result.rows[0]) : null;
+};
+
+// Topics are matched literally, so LIKE wildcards in them are escaped
+const escapeLike = (value) => value.replace(/[\\%_]/g, match => `\\${match}`);
+
+/**
+ * Pick a few well-voted active elections to carry the synthetic signals
+ */
+const findSeedElections = async (categoryIds, topics) => {
+  const seeds = [];
+
+  if (categoryIds.length > 0) {
+    const result = await db.query(`
+      SELECT id, category_id FROM (
+        SELECT id, category_id,
+          ROW_NUMBER() OVER (PARTITION BY category_id ORDER BY vote_count DESC NULLS LAST, created_at DESC) AS category_rank
+        FROM votteryyy_elections
+        WHERE category_id = ANY($1::int[])
+        AND status IN ('published', 'active')
+        AND end_date > NOW()
+      ) ranked
+      WHERE category_rank <= $2
+    `, [categoryIds, SEED_ELECTIONS_PER_INTEREST]);
+
+    seeds.push(...result.rows.map(row => ({ electionId: row.id, interest: { category_id: row.category_id } })));
+  }
+
+  for (const topic of topics) {
+    const result = await db.query(`
+      SELECT id FROM votteryyy_elections
+      WHERE (title ILIKE $1 ESCAPE '\\' OR description ILIKE $1 ESCAPE '\\')
+      AND status IN ('published', 'active')
+      AND end_date > NOW()
+      ORDER BY vote_count DESC NULLS LAST, created_at DESC
+      LIMIT $2
+    `, [`%${escapeLike(topic)}%`, SEED_ELECTIONS_PER_INTEREST]);
+
+    seeds.push(...result.rows.map(row => ({ electionId: row.id, interest: { topic } })));
+  }
+
+  return seeds;
+};
+
+/**
+ * Emit low-weight synthetic events for newly added interests.
+ * Failures are logged only; the stored interests stay authoritative.
+ */
+const emitInterestSignals = async (userId, categoryIds, topics) => {
+  try {
+    const seeds = await findSeedElections(categoryIds, topics);
+
+    for (const seed of seeds) {
+      await trackEvent({
+        userId,
+        electionId: seed.electionId,
+        eventType: EVENT_TYPES.INTEREST_SELECTED,
+        metadata: { ...seed.interest, action: 'interest_selected', synthetic: true },
+      });
+    }
+
+    logger.info({ userId, signals: seeds.length }, 'Interest signals emitted');
+    return seeds.length;
+  } catch (error) {
+    logger.error({ error: error.message, userId }, 'Failed to emit interest signals');
+    return 0;
+  }
+};
+
+/**
+ * Replace a user's interests. Only picks that weren't stored before produce
+ * new synthetic events, so editing doesn't inflate the signal; those are
+ * emitted in the background once the interests are saved.
+ * @param {string|number} userId
+ * @param {Object} interests - From normalizeInterests
+ * @returns {Promise<{interests: Object, addedInterests: number}>}
+ */
+export const setUserInterests = async (userId, interests) => {
+  const previous = await getUserInterests(userId);
+
+  const result = await db.query(`
+    INSERT INTO recommendation_user_interests (user_id, category_ids, topics)
+    VALUES ($1, $2::int[], $3::text[])
+    ON CONFLICT (user_id) DO UPDATE
+    SET category_ids = EXCLUDED.category_ids, topics = EXCLUDED.topics, updated_at = NOW()
+    RETURNING *
+  `, [String(userId), interests.categoryIds, interests.topics]);
+
+  const addedCategories = interests.categoryIds.filter(id => !previous?.categoryIds.includes(id));
+  const addedTopics = interests.topics.filter(topic => !previous?.topics.includes(topic));
+  if (addedCategories.length > 0 || addedTopics.length > 0) {
+    emitInterestSignals(userId, addedCategories, addedTopics);
+  }
+
+  logger.info({
+    userId,
+    categories: interests.categoryIds.length,
+    topics: interests.topics.length,
+  }, 'User interests saved');
+
+  return { interests: formatInterests(result.rows[0]), addedInterests: addedCategories.length + addedTopics.length };
+};
+
+/**
+ * How well an election matches a user's interests: 2 for its category,
+ * plus 1 for each topic found in its title or description
+ * @param {Object} election
+ * @param {Object|null} interests - From getUserInterests
+ * @returns {number}
+ */
+export const scoreInterestMatch = (election, interests) => {
+  if (!interests) return 0;
+
+  let score = interests.categoryIds.includes(parseInt(election.category_id)) ? 2 : 0;
+  const text = `${election.title || ''} ${election.description || ''}`.toLowerCase();
+  for (const topic of interests.topics) {
+    if (text.includes(topic)) score += 1;
+  }
+  return score;
+};
+
+export default { ensureInterestsTable, normalizeInterests, getUserInterests, setUserInterests, scoreInterestMatch };
@@ -61,7 +61,7 @@ const fetchUsersFromDB = async (limit = 1000, offset = 0) => {
   return result.rows;
 };
 
-const transformUserForShaped = (user) => {
+export const transformUserForShaped = (user) => {
   const country = user.country || user.user_country || 'UNKNOWN';
   const gender = user.gender || (user.user_gender === 1 ? 'male' : user.user_gender === 2 ? 'female' : 'unknown');
   
@@ -125,7 +125,7 @@ export const syncUsersToShaped = async (options = {}) => {
   }
 };
 
-export const syncSingleUser = async (userId) => {
+const fetchSingleUserFromDB = async (userId) => {
   const query = `
     SELECT 
       u.user_id, u.user_name, u.user_email, u.user_gender, u.user_country,
@@ -147,17 +147,32 @@ export const syncSingleUser = async (userId) => {
   `;
 
   const result = await db.query(query, [userId]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Get a user's profile in the shape synced to Shaped (region, age, gender, country...)
+ * @param {string|number} userId
+ * @returns {Promise<Object|null>} Null when the user doesn't exist
+ */
+export const getUserProfile = async (userId) => {
+  const user = await fetchSingleUserFromDB(userId);
+  return user ? transformUserForShaped(user) : null;
+};
+
+export const syncSingleUser = async (userId) => {
+  const user = await fetchSingleUserFromDB(userId);
   
-  if (result.rows.length === 0) {
+  if (!user) {
     logger.warn({ userId }, 'User not found for sync');
     return { success: false, reason: 'User not found' };
   }
 
-  const transformedUser = transformUserForShaped(result.rows[0]);
+  const transformedUser = transformUserForShaped(user);
   await shapedClient.insertDataset(config.shaped.datasets.users, [transformedUser]);
 
   logger.debug({ userId }, 'Single user synced');
   return { success: true, user: transformedUser };
 };
 
-export default { syncUsersToShaped, syncSingleUser, getRegionFromCountry, REGION_MAP };
\ No newline at end of file
+export default { syncUsersToShaped, syncSingleUser, getUserProfile, transformUserForShaped, getRegionFromCountry, REGION_MAP };
\ No newline at end of file
@@ -0,0 +1,84 @@
+/**
+ * Vote History Service
+ * Looks up which elections a user has already voted in, combining regular
+ * votes (votteryy_votes) with participation records (votteryyy_voter_participation)
+ */
+
+import db from '../../utils/database.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Get the IDs of elections a user has voted in, most recent first
+ * @param {string|number} userId
+ * @returns {Promise<string[]>}
+ */
+export const getVotedElectionIds = async (userId) => {
+  if (!userId || userId === 'undefined' || userId === 'null' || userId === 'anonymous') return [];
+
+  try {
+    // Untyped parameters compared with the bare columns take each column's own
+    // type, so the user_id indexes apply; one per table in case the types differ
+    const result = await db.query(`
+      SELECT election_id, MAX(voted_at) AS last_voted_at
+      FROM (
+        SELECT v.election_id::text AS election_id, v.created_at AS voted_at
+        FROM votteryy_votes v
+        WHERE v.user_id = $1
+        UNION ALL
+        SELECT vp.election_id::text AS election_id, COALESCE(vp.voted_at, vp.created_at) AS voted_at
+        FROM votteryyy_voter_participation vp
+        WHERE vp.user_id = $2 AND vp.has_voted = true
+      ) history
+      GROUP BY election_id
+      ORDER BY last_voted_at DESC NULLS LAST
+    `, [userId, userId]);
+
+    return result.rows.map(row => row.election_id);
+  } catch (error) {
+    logger.error({ error: error.message, userId }, 'Failed to get voted election IDs');
+    return [];
+  }
+};
+
+/**
+ * Count a user's voted elections per category and per creator
+ * @param {string|number} userId
+ * @param {Object} options
+ * @param {number} options.days - How far back to look (default: 90)
+ * @returns {Promise<{categories: Map<string, number>, creators: Map<string, number>}>}
+ */
+export const getVoteHistorySummary = async (userId, options = {}) => {
+  const { days = 90 } = options;
+  const summary = { categories: new Map(), creators: new Map() };
+  if (!userId || userId === 'undefined' || userId === 'null' || userId === 'anonymous') return summary;
+
+  try {
+    const result = await db.query(`
+      SELECT e.category_id::text AS category_id, e.creator_id::text AS creator_id, COUNT(DISTINCT e.id) AS elections
+      FROM votteryyy_elections e
+      JOIN (
+        SELECT v.election_id::text AS election_id
+        FROM votteryy_votes v
+        WHERE v.user_id = $1 AND v.created_at >= NOW() - $3 * INTERVAL '1 day'
+        UNION
+        SELECT vp.election_id::text AS election_id
+        FROM votteryyy_voter_participation vp
+        WHERE vp.user_id = $2 AND vp.has_voted = true
+        AND COALESCE(vp.voted_at, vp.created_at) >= NOW() - $3 * INTERVAL '1 day'
+      ) history ON history.election_id = e.id::text
+      GROUP BY e.category_id, e.creator_id
+    `, [userId, userId, days]);
+
+    for (const row of result.rows) {
+      const count = parseInt(row.elections);
+      if (row.category_id) summary.categories.set(row.category_id, (summary.categories.get(row.category_id) || 0) + count);
+      if (row.creator_id) summary.creators.set(row.creator_id, (summary.creators.get(row.creator_id) || 0) + count);
+    }
+  } catch (error) {
+    logger.error({ error: error.message, userId }, 'Failed to summarise vote history');
+  }
+
+  return summary;
+};
+
+export default { getVotedElectionIds, getVoteHistorySummary };
@@ -0,0 +1,406 @@
+/**
+ * Weekly Digest
+ * Builds one digest per active user per ISO week and writes it to
+ * recommendation_digest_outbox, which the notification service consumes
+ * (it reads rows with status 'pending' and marks them itself).
+ *
+ * A digest holds top personalized picks, elections ending soon, lottery
+ * highlights and the elections the user voted in that closed since the last
+ * digest. Elections from the user's previous digest are left out, and users
+ * in recommendation_digest_opt_outs are skipped.
+ *
+ * Runs are resumable: users are processed in user ID order and the run
+ * records the last one done, while the outbox's (run_id, user_id) key keeps
+ * a user from getting two digests of one run. One instance runs at a time,
+ * under a session advisory lock that is released if the process dies.
+ */
+
+import db from '../../utils/database.js';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+import { createBatchLookups, getBatchRecommendations } from './recommendations.js';
+import { ensureEventLogTable } from './eventLog.js';
+import { getClosingTime } from './electionTiming.js';
+import { ELECTION_TIME_SLACK_HOURS } from './filterExpressions.js';
+
+const DIGEST_LOCK_KEY = 420011;
+const HOUR_MS = 60 * 60 * 1000;
+const PERIOD_DAYS = 7;
+
+export const DIGEST_RUN_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  ABANDONED: 'abandoned',
+};
+
+export const ensureDigestTables = () => db.ensureSchema('digest', `
+  CREATE TABLE IF NOT EXISTS recommendation_digest_runs (
+    run_id TEXT PRIMARY KEY,
+    status TEXT NOT NULL DEFAULT 'running',
+    started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    completed_at TIMESTAMPTZ,
+    last_user_id BIGINT,
+    users_processed INT NOT NULL DEFAULT 0,
+    digests_written INT NOT NULL DEFAULT 0,
+    users_failed INT NOT NULL DEFAULT 0
+  );
+  CREATE TABLE IF NOT EXISTS recommendation_digest_outbox (
+    id BIGSERIAL PRIMARY KEY,
+    run_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    payload JSONB NOT NULL,
+    election_ids TEXT[] NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    processed_at TIMESTAMPTZ,
+    UNIQUE (run_id, user_id)
+  );
+  CREATE INDEX IF NOT EXISTS recommendation_digest_outbox_pending_idx
+    ON recommendation_digest_outbox (id) WHERE status = 'pending';
+  CREATE INDEX IF NOT EXISTS recommendation_digest_outbox_user_idx
+    ON recommendation_digest_outbox (user_id, created_at DESC);
+  CREATE TABLE IF NOT EXISTS recommendation_digest_opt_outs (
+    user_id TEXT PRIMARY KEY,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  )
+`);
+
+/**
+ * Run ID of the ISO week a date falls in, e.g. 2026-W43
+ * @param {Date} date
+ * @returns {string}
+ */
+export const getDigestRunId = (date = new Date()) => {
+  // An ISO week belongs to the year its Thursday falls in
+  const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  thursday.setUTCDate(thursday.getUTCDate() + 4 - (thursday.getUTCDay() || 7));
+  const dayOfYear = (thursday - Date.UTC(thursday.getUTCFullYear(), 0, 1)) / (24 * HOUR_MS);
+  return `${thursday.getUTCFullYear()}-W${String(Math.floor(dayOfYear / 7) + 1).padStart(2, '0')}`;
+};
+
+/**
+ * Whether a user opted out of digests
+ * @returns {Promise<boolean>}
+ */
+export const getDigestOptOut = async (userId) => {
+  await ensureDigestTables();
+  const result = await db.query('SELECT 1 FROM recommendation_digest_opt_outs WHERE user_id = $1', [String(userId)]);
+  return result.rows.length > 0;
+};
+
+/**
+ * Opt a user out of digests, or back in
+ * @returns {Promise<boolean>} The new opt-out state
+ */
+export const setDigestOptOut = async (userId, optedOut) => {
+  await ensureDigestTables();
+  await db.query(optedOut
+    ? 'INSERT INTO recommendation_digest_opt_outs (user_id) VALUES ($1) ON CONFLICT (user_id) DO NOTHING'
+    : 'DELETE FROM recommendation_digest_opt_outs WHERE user_id = $1', [String(userId)]);
+  logger.info({ userId, optedOut }, 'Digest opt-out updated');
+  return optedOut;
+};
+
+/**
+ * Next page of users to build digests for: active in the activeWithinDays
+ * before the run started, not opted out, without a digest in this run
+ */
+const loadUserPage = async (run) => {
+  const { activeWithinDays, pageSize } = config.digest;
+
+  // Walk users in key order and probe each activity source by its own
+  // user_id. The vote tables key users by text, so the users side is cast
+  // and their user_id indexes still apply
+  const result = await db.query(`
+    SELECT u.user_id::text AS user_id FROM users u
+    WHERE ($3::bigint IS NULL OR u.user_id > $3)
+    AND (
+      EXISTS (
+        SELECT 1 FROM votteryy_votes v
+        WHERE v.user_id = u.user_id::text AND v.created_at >= $1::timestamptz - $2 * INTERVAL '1 day'
+      )
+      OR EXISTS (
+        SELECT 1 FROM votteryyy_voter_participation vp
+        WHERE vp.user_id = u.user_id::text AND vp.has_voted = true
+        AND COALESCE(vp.voted_at, vp.created_at) >= $1::timestamptz - $2 * INTERVAL '1 day'
+      )
+      OR EXISTS (
+        SELECT 1 FROM recommendation_event_log el
+        WHERE el.user_id = u.user_id::text AND el.created_at >= $1::timestamptz - $2 * INTERVAL '1 day'
+      )
+    )
+    AND NOT EXISTS (SELECT 1 FROM recommendation_digest_opt_outs o WHERE o.user_id = u.user_id::text)
+    AND NOT EXISTS (SELECT 1 FROM recommendation_digest_outbox d WHERE d.run_id = $4 AND d.user_id = u.user_id::text)
+    ORDER BY u.user_id
+    LIMIT $5
+  `, [run.started_at, activeWithinDays, run.last_user_id, run.run_id, pageSize]);
+
+  return result.rows.map(row => row.user_id);
+};
+
+/**
+ * Election IDs of each user's most recent digest before this run
+ * @returns {Promise<Map<string, Set<string>>>}
+ */
+const loadPreviousDigestIds = async (userIds, runId) => {
+  const result = await db.query(`
+    SELECT DISTINCT ON (user_id) user_id, election_ids
+    FROM recommendation_digest_outbox
+    WHERE user_id = ANY($1::text[]) AND run_id <> $2
+    ORDER BY user_id, created_at DESC
+  `, [userIds, runId]);
+
+  return new Map(result.rows.map(row => [row.user_id, new Set(row.election_ids)]));
+};
+
+/**
+ * Elections each user voted in that closed between periodStart and periodEnd
+ * @returns {Promise<Map<string, Array>>}
+ */
+const loadClosedVotedElections = async (userIds, periodStart, periodEnd) => {
+  const result = await db.query(`
+    WITH closed AS (
+      SELECT e.id, e.title, e.slug, e.category_id, e.status, e.vote_count,
+        e.end_date, e.end_time, e.timezone, e.lottery_enabled
+      FROM votteryyy_elections e
+      WHERE e.status <> 'cancelled'
+      AND e.end_date > $2::timestamptz - $4 * INTERVAL '1 hour'
+      AND e.end_date <= $3::timestamptz + $4 * INTERVAL '1 hour'
+    )
+    SELECT v.user_id::text AS user_id, closed.*
+    FROM votteryy_votes v
+    JOIN closed ON closed.id = v.election_id
+    WHERE v.user_id = ANY($1::text[]) AND v.status = 'valid'
+    UNION
+    SELECT vp.user_id::text, closed.*
+    FROM votteryyy_voter_participation vp
+    JOIN closed ON closed.id = vp.election_id
+    WHERE vp.user_id = ANY($1::text[]) AND vp.has_voted = true
+  `, [userIds, periodStart, periodEnd, ELECTION_TIME_SLACK_HOURS]);
+
+  const byUser = new Map();
+  for (const row of result.rows) {
+    const closedAt = getClosingTime(row);
+    if (!closedAt || closedAt <= periodStart || closedAt > periodEnd) continue;
+    if (!byUser.has(row.user_id)) byUser.set(row.user_id, []);
+    byUser.get(row.user_id).push({
+      election_id: String(row.id),
+      title: row.title,
+      slug: row.slug,
+      category_id: row.category_id,
+      closed_at: closedAt.toISOString(),
+      vote_count: parseInt(row.vote_count) || 0,
+      lottery_enabled: Boolean(row.lottery_enabled),
+    });
+  }
+  for (const elections of byUser.values()) elections.sort((a, b) => b.closed_at.localeCompare(a.closed_at));
+  return byUser;
+};
+
+const toDigestItem = (election) => ({
+  election_id: String(election.id || election.election_id),
+  title: election.title,
+  slug: election.slug,
+  category_id: election.category_id,
+  ...(election.closes_at ? { closes_at: election.closes_at } : {}),
+  ...(election.lottery_prize_pool ? { lottery_prize_pool: parseFloat(election.lottery_prize_pool) } : {}),
+  reason: election.reasons?.[0]?.message || null,
+});
+
+/**
+ * One user's digest, or null when there is nothing new to send
+ */
+const buildUserDigest = async (userId, context) => {
+  const { sections } = config.digest;
+  const exclude = new Set(context.previousIds.get(userId) || []);
+
+  // Ask for more than each section shows, so leaving out repeats doesn't empty it
+  const [picks, endingSoon, lottery] = await Promise.all([
+    ['personalized', sections.picks],
+    ['ending_soon', sections.endingSoon],
+    ['lotterized', sections.lottery],
+  ].map(([strategy, size]) => getBatchRecommendations(strategy, userId, { limit: size + exclude.size, lookups: context.lookups })));
+
+  const pick = (result, size) => {
+    const items = (result.data || []).filter(election => !exclude.has(String(election.id || election.election_id))).slice(0, size);
+    for (const election of items) exclude.add(String(election.id || election.election_id));
+    return items.map(toDigestItem);
+  };
+
+  const digest = {
+    top_picks: pick(picks, sections.picks),
+    ending_soon: pick(endingSoon, sections.endingSoon),
+    lottery_highlights: pick(lottery, sections.lottery),
+    results: (context.closed.get(userId) || []).slice(0, sections.results),
+  };
+
+  const electionIds = [...digest.top_picks, ...digest.ending_soon, ...digest.lottery_highlights, ...digest.results]
+    .map(item => item.election_id);
+  return electionIds.length > 0 ? { digest, electionIds } : null;
+};
+
+/**
+ * Build and write digests for a page of users, a few at a time
+ * @returns {Promise<{written: number, failed: number}>}
+ */
+const processPage = async (run, userIds, periodStart) => {
+  const periodEnd = new Date(run.started_at);
+  const lookups = createBatchLookups();
+  const [previousIds, closed] = await Promise.all([
+    loadPreviousDigestIds(userIds, run.run_id),
+    loadClosedVotedElections(userIds, periodStart, periodEnd),
+  ]);
+  const context = { lookups, previousIds, closed };
+  const counts = { written: 0, failed: 0 };
+
+  let next = 0;
+  const worker = async () => {
+    while (next < userIds.length) {
+      const userId = userIds[next++];
+      try {
+        const built = await buildUserDigest(userId, context);
+        if (!built) continue;
+
+        const payload = {
+          run_id: run.run_id,
+          user_id: userId,
+          period: { from: periodStart.toISOString(), to: periodEnd.toISOString() },
+          ...built.digest,
+        };
+        const result = await db.query(`
+          INSERT INTO recommendation_digest_outbox (run_id, user_id, payload, election_ids)
+          VALUES ($1, $2, $3, $4)
+          ON CONFLICT (run_id, user_id) DO NOTHING
+        `, [run.run_id, userId, JSON.stringify(payload), built.electionIds]);
+        counts.written += result.rowCount;
+      } catch (error) {
+        counts.failed++;
+        logger.error({ error: error.message, userId, runId: run.run_id }, 'Digest failed for user');
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: config.digest.concurrency }, worker));
+  return counts;
+};
+
+/**
+ * Start of the period a run covers: the previous completed run, or a week back
+ */
+const getPeriodStart = async (run) => {
+  const result = await db.query(`
+    SELECT MAX(started_at) AS started_at FROM recommendation_digest_runs
+    WHERE status = $1 AND started_at < $2
+  `, [DIGEST_RUN_STATUS.COMPLETED, run.started_at]);
+
+  const previous = result.rows[0]?.started_at;
+  return previous ? new Date(previous) : new Date(new Date(run.started_at).getTime() - PERIOD_DAYS * 24 * HOUR_MS);
+};
+
+/**
+ * Build the digests of a run, starting it or continuing where it stopped
+ * @param {Object} options
+ * @param {string} options.runId - Default: the current ISO week
+ * @returns {Promise<Object>} Run summary, or { skipped: true, reason }
+ */
+export const runWeeklyDigest = async (options = {}) => {
+  const { runId = getDigestRunId() } = options;
+
+  await Promise.all([ensureDigestTables(), ensureEventLogTable()]);
+  const client = await db.getPool().connect();
+
+  try {
+    const lock = await client.query('SELECT pg_try_advisory_lock($1) AS acquired', [DIGEST_LOCK_KEY]);
+    if (!lock.rows[0].acquired) {
+      logger.info({ runId }, 'Weekly digest already running elsewhere, skipping');
+      return { skipped: true, reason: 'locked' };
+    }
+
+    try {
+      await db.query('INSERT INTO recommendation_digest_runs (run_id) VALUES ($1) ON CONFLICT (run_id) DO NOTHING', [runId]);
+      let run = (await db.query('SELECT * FROM recommendation_digest_runs WHERE run_id = $1', [runId])).rows[0];
+
+      if (run.status !== DIGEST_RUN_STATUS.RUNNING) {
+        logger.info({ runId, status: run.status }, 'Weekly digest run already finished, skipping');
+        return { skipped: true, reason: run.status };
+      }
+
+      const startTime = Date.now();
+      const periodStart = await getPeriodStart(run);
+      logger.info({ runId, resumeAfter: run.last_user_id, periodStart: periodStart.toISOString() }, 'Weekly digest run started');
+
+      for (;;) {
+        const userIds = await loadUserPage(run);
+        if (userIds.length === 0) break;
+
+        const { written, failed } = await processPage(run, userIds, periodStart);
+        run = (await db.query(`
+          UPDATE recommendation_digest_runs
+          SET last_user_id = $2, users_processed = users_processed + $3,
+            digests_written = digests_written + $4, users_failed = users_failed + $5
+          WHERE run_id = $1
+          RETURNING *
+        `, [runId, userIds[userIds.length - 1], userIds.length, written, failed])).rows[0];
+
+        logger.debug({ runId, lastUserId: run.last_user_id, processed: run.users_processed }, 'Weekly digest page done');
+      }
+
+      run = (await db.query(`
+        UPDATE recommendation_digest_runs SET status = $2, completed_at = NOW()
+        WHERE run_id = $1
+        RETURNING *
+      `, [runId, DIGEST_RUN_STATUS.COMPLETED])).rows[0];
+
+      const summary = {
+        runId,
+        usersProcessed: run.users_processed,
+        digestsWritten: run.digests_written,
+        usersFailed: run.users_failed,
+        durationMs: Date.now() - startTime,
+      };
+      logger.info(summary, 'Weekly digest run completed');
+      return summary;
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [DIGEST_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Continue a run that stopped part-way (crash, deploy). Runs older than
+ * config.digest.resumeWithinHours are abandoned instead: their digests would be stale.
+ * @returns {Promise<Object|null>} Run summary, or null when there was nothing to resume
+ */
+export const resumeInterruptedDigest = async () => {
+  await ensureDigestTables();
+
+  const result = await db.query(`
+    UPDATE recommendation_digest_runs SET status = $1
+    WHERE status = $2 AND started_at < NOW() - $3 * INTERVAL '1 hour'
+    RETURNING run_id
+  `, [DIGEST_RUN_STATUS.ABANDONED, DIGEST_RUN_STATUS.RUNNING, config.digest.resumeWithinHours]);
+  if (result.rows.length > 0) {
+    logger.warn({ runIds: result.rows.map(row => row.run_id) }, 'Abandoned stale weekly digest runs');
+  }
+
+  const interrupted = await db.query(
+    'SELECT run_id FROM recommendation_digest_runs WHERE status = $1 ORDER BY started_at DESC LIMIT 1',
+    [DIGEST_RUN_STATUS.RUNNING]
+  );
+  if (interrupted.rows.length === 0) return null;
+
+  logger.info({ runId: interrupted.rows[0].run_id }, 'Resuming interrupted weekly digest run');
+  return runWeeklyDigest({ runId: interrupted.rows[0].run_id });
+};
+
+export default {
+  DIGEST_RUN_STATUS,
+  ensureDigestTables,
+  getDigestRunId,
+  getDigestOptOut,
+  setDigestOptOut,
+  runWeeklyDigest,
+  resumeInterruptedDigest,
+};
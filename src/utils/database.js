@@ -38,6 +38,9 @@ pool.on('connect', () => {
   logger.debug('New database connection established');
 });
 
+// Tables owned by this service are created on first use, once per process
+const schemaPromises = new Map();
+
 const db = {
   query: async (text, params) => {
     const start = Date.now();
@@ -67,6 +70,17 @@ const db = {
     logger.info('Database pool closed');
   },
 
+  ensureSchema: (key, ddl) => {
+    if (!schemaPromises.has(key)) {
+      const promise = db.query(ddl).catch((error) => {
+        schemaPromises.delete(key);
+        throw error;
+      });
+      schemaPromises.set(key, promise);
+    }
+    return schemaPromises.get(key);
+  },
+
   getPool: () => pool,
 };
 
@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeDraftElection, estimateAudience } from '../src/services/shaped/audienceEstimate.js';
+import { mockQueries } from './fixtures.js';
+
+const row = (dimension, segment, eligible, interested = eligible) => ({
+  dimension,
+  segment,
+  eligible: String(eligible),
+  interested: String(interested),
+});
+
+const mockEstimate = (t, rows) => mockQueries(t, () => ({ rows }));
+
+const draft = (body = {}) => normalizeDraftElection(body).draft;
+
+describe('normalizeDraftElection', () => {
+  it('defaults to a free public draft open everywhere', () => {
+    assert.deepEqual(normalizeDraftElection({}), {
+      draft: { categoryId: null, allowedCountries: [], permissionType: 'public', biometricRequired: false, participationFee: 0 },
+      error: null,
+    });
+  });
+
+  it('rejects bad categories, countries and fees', () => {
+    assert.match(normalizeDraftElection({ categoryId: '2.5' }).error, /categoryId/);
+    assert.match(normalizeDraftElection({ allowedCountries: ['US', 'USA'] }).error, /Invalid country "USA"/);
+    assert.match(normalizeDraftElection({ participationFee: -1 }).error, /participationFee/);
+  });
+});
+
+describe('estimateAudience', () => {
+  it('suppresses small totals and segments, plus enough others to hide them', async (t) => {
+    mockEstimate(t, [
+      row('total', null, 167, 9),
+      row('region', '1', 100, 5),
+      row('region', '2', 50, 2),
+      row('region', '3', 12, 1),
+      row('region', '4', 5, 1),
+      row('age_band', '18-24', 3),
+      row('age_band', '25-34', 4),
+      row('age_band', '35-44', 60),
+      row('age_band', '45-54', 50),
+      row('gender', 'female', 90),
+      row('gender', 'male', 77),
+    ]);
+
+    const estimate = await estimateAudience(draft());
+
+    assert.equal(estimate.eligible_users, 167);
+    assert.equal(estimate.interested_users, null);
+    assert.deepEqual(estimate.suppression, { min_group_size: 10 });
+    // Region 4 alone could be worked out from the total, so region 3 goes too
+    assert.deepEqual(estimate.breakdowns.region, [
+      { segment: 1, eligible: 100, interested: null },
+      { segment: 2, eligible: 50, interested: null },
+      { segment: 3, eligible: null, interested: null },
+      { segment: 4, eligible: null, interested: null },
+    ]);
+    // Two suppressed bands under 10 together take the next smallest with them
+    assert.deepEqual(estimate.breakdowns.age_band.map(segment => [segment.segment, segment.eligible]), [
+      ['35-44', 60],
+      ['18-24', null],
+      ['25-34', null],
+      ['45-54', null],
+    ]);
+    assert.deepEqual(estimate.breakdowns.gender.map(segment => segment.eligible), [90, 77]);
+  });
+
+  it('passes the draft\'s targeting to the query', async (t) => {
+    const queries = mockEstimate(t, [row('total', null, 0)]);
+
+    const estimate = await estimateAudience(draft({ categoryId: 4, allowedCountries: 'us,ca', participationFee: 2 }));
+
+    assert.ok(queries[0].params.includes(4));
+    assert.ok(queries[0].params.includes(true));
+    assert.ok(queries[0].params.some(value => Array.isArray(value) && value.join() === 'US,CA'));
+    assert.deepEqual(estimate.breakdowns, { region: [], age_band: [], gender: [] });
+  });
+
+  it('estimates no reach for invite-only drafts without querying', async (t) => {
+    const queries = mockEstimate(t, []);
+
+    const estimate = await estimateAudience(draft({ permissionType: 'Invite_Only' }));
+
+    assert.equal(estimate.invite_only, true);
+    assert.equal(estimate.eligible_users, 0);
+    assert.equal(queries.length, 0);
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchAudience } from '../src/services/shaped/audienceMatching.js';
+import { mockQueries } from './fixtures.js';
+
+const ELECTION = { id: '10', category_id: 3, creator_id: 7, allowed_countries: 'US,CA', biometric_required: false };
+
+const reference = (dimension, segment, users) => ({
+  region: null,
+  age_band: null,
+  gender: null,
+  [dimension]: segment,
+  users: String(users),
+});
+
+/**
+ * Mock db.query for a match: the election lookup, then the election's and
+ * (when it has few voters) its category's voter mix, then the scoring query
+ */
+const mockMatch = (t, { election = ELECTION, electionVoters = [], categoryVoters = [], matched = [] } = {}) => (
+  mockQueries(t, (sql) => {
+    if (sql.includes('SELECT id, category_id, creator_id')) return { rows: election ? [election] : [] };
+    if (sql.includes('GROUPING SETS')) {
+      return { rows: sql.includes('WHERE category_id =') ? categoryVoters : electionVoters };
+    }
+    return { rows: matched };
+  })
+);
+
+describe('matchAudience', () => {
+  it('returns null for an unknown election', async (t) => {
+    const queries = mockMatch(t, { election: null });
+
+    assert.equal(await matchAudience('404'), null);
+    assert.equal(queries.length, 1);
+  });
+
+  it('measures demographic fit against the category while the election has few voters', async (t) => {
+    const queries = mockMatch(t, {
+      electionVoters: [reference('region', 1, 2)],
+      categoryVoters: [reference('region', 1, 40), reference('region', 2, 10), reference('gender', 'female', 30)],
+    });
+
+    const match = await matchAudience('10');
+
+    assert.equal(match.reference, 'category_voters');
+    const scoring = queries[queries.length - 1];
+    assert.ok(scoring.params.includes(JSON.stringify({
+      region: { 1: 1, 2: 0.25 },
+      age_band: {},
+      gender: { female: 1 },
+    })));
+  });
+
+  it('keeps the election\'s own voters once it has enough', async (t) => {
+    const queries = mockMatch(t, { electionVoters: [reference('region', 1, 5), reference('age_band', '25-34', 5)] });
+
+    const match = await matchAudience('10');
+
+    assert.equal(match.reference, 'election_voters');
+    assert.equal(queries.filter(query => query.sql.includes('GROUPING SETS')).length, 1);
+  });
+
+  it('leaves out the creator and users the election\'s countries exclude', async (t) => {
+    const queries = mockMatch(t);
+
+    const match = await matchAudience('10', { limit: 5 });
+
+    assert.equal(match.reference, 'none');
+    const scoring = queries[queries.length - 1];
+    assert.ok(scoring.params.includes('7'));
+    assert.ok(scoring.params.some(value => Array.isArray(value) && value.join() === 'US,CA'));
+    assert.equal(scoring.params[scoring.params.length - 1], 5);
+  });
+
+  it('rounds scores and signals and reads the estimated total', async (t) => {
+    mockMatch(t, {
+      matched: [{
+        user_id: '5',
+        user_name: 'ana',
+        country: 'US',
+        region: 1,
+        age: 30,
+        age_band: '25-34',
+        gender: 'female',
+        score: 0.61234,
+        category_votes: 3,
+        interested: true,
+        co_vote: 1.23456,
+        category_affinity: 0.6,
+        co_vote_affinity: 0.55234,
+        demographic_fit: 2 / 3,
+        estimated_total: '42',
+      }],
+    });
+
+    const match = await matchAudience('10');
+
+    assert.equal(match.estimatedTotal, 42);
+    assert.equal(match.users[0].score, 0.612);
+    assert.deepEqual(match.users[0].signals, {
+      category_votes: 3,
+      interested: true,
+      co_vote: 1.235,
+      category_affinity: 0.6,
+      co_vote_affinity: 0.552,
+      demographic_fit: 0.667,
+    });
+  });
+});
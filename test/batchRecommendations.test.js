@@ -0,0 +1,114 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeBatchRequest, runBatch } from '../src/services/shaped/batchRecommendations.js';
+import { mockQueries } from './fixtures.js';
+
+const SEGMENT_SQL = 'SELECT p.user_id FROM people p';
+
+/**
+ * Mock db.query: segment reads go to readSegment, every other query (the
+ * catalog, the viewer, feed lookups) returns no rows
+ * @returns {Function} The segment reads recorded so far
+ */
+const mockSegment = (t, readSegment = () => ({ rows: [] })) => {
+  const queries = mockQueries(t, (sql, params) => (sql.includes(SEGMENT_SQL) ? readSegment(sql, params) : { rows: [] }));
+  return () => queries.filter(query => query.sql.includes(SEGMENT_SQL));
+};
+
+const batch = (overrides = {}) => normalizeBatchRequest({ strategy: 'upcoming', limit: 5, ...overrides }).batch;
+
+describe('normalizeBatchRequest', () => {
+  it('takes either userIds or a segment', () => {
+    assert.match(normalizeBatchRequest({}).error, /either userIds or segment/);
+    assert.match(normalizeBatchRequest({ userIds: ['1'], segment: {} }).error, /either userIds or segment/);
+  });
+
+  it('dedupes user IDs and applies defaults', () => {
+    assert.deepEqual(normalizeBatchRequest({ userIds: [1, '1', '2'] }), {
+      batch: { strategy: 'personalized', limit: 10, concurrency: 8, userIds: ['1', '2'], segment: null },
+      error: null,
+    });
+  });
+
+  it('rejects bad strategies, bounds and IDs', () => {
+    assert.match(normalizeBatchRequest({ userIds: ['1'], strategy: 'random' }).error, /Invalid strategy/);
+    assert.match(normalizeBatchRequest({ userIds: ['1'], limit: 51 }).error, /limit/);
+    assert.match(normalizeBatchRequest({ userIds: ['1'], concurrency: 0 }).error, /concurrency/);
+    assert.match(normalizeBatchRequest({ userIds: ['abc'] }).error, /numeric/);
+    assert.match(normalizeBatchRequest({ segment: { country: 'USA' } }).error, /Invalid country/);
+    assert.match(normalizeBatchRequest({ segment: { activeWithinDays: 0 } }).error, /activeWithinDays/);
+  });
+
+  it('reads a segment\'s audience filters', () => {
+    const { segment } = normalizeBatchRequest({ segment: { country: 'us', activeWithinDays: 30 } }).batch;
+    assert.deepEqual(segment, { countries: ['US'], ageBands: [], regions: [], activeWithinDays: 30 });
+  });
+});
+
+describe('runBatch', () => {
+  it('hands each listed user\'s feed to onResult and summarises the batch', async (t) => {
+    mockSegment(t);
+    const lines = [];
+
+    const summary = await runBatch(batch({ userIds: ['1', '2', '3'], concurrency: 2 }), async line => lines.push(line));
+
+    assert.deepEqual(lines.map(line => [line.user_id, line.success]).sort(), [['1', true], ['2', true], ['3', true]]);
+    assert.deepEqual(lines[0].data, []);
+    assert.equal(summary.users, 3);
+    assert.equal(summary.succeeded, 3);
+    assert.equal(summary.failed, 0);
+    assert.equal(summary.cancelled, false);
+  });
+
+  it('reads a segment\'s users with its filters', async (t) => {
+    const segmentReads = mockSegment(t, () => ({ rows: [{ user_id: '4' }, { user_id: '7' }] }));
+    const lines = [];
+
+    const summary = await runBatch(batch({ segment: { country: 'GB', activeWithinDays: 14 } }), async line => lines.push(line));
+
+    const queries = segmentReads();
+    assert.equal(queries.length, 1);
+    assert.match(queries[0].sql, /votteryy_votes v/);
+    assert.ok(queries[0].params.some(value => Array.isArray(value) && value.join() === 'GB'));
+    assert.ok(queries[0].params.includes(14));
+    assert.deepEqual(lines.map(line => line.user_id).sort(), ['4', '7']);
+    assert.equal(summary.users, 2);
+  });
+
+  it('stops every worker and rethrows when onResult fails', async (t) => {
+    mockSegment(t);
+    const userIds = Array.from({ length: 20 }, (_, index) => String(index + 1));
+    let calls = 0;
+
+    await assert.rejects(runBatch(batch({ userIds, concurrency: 4 }), async () => {
+      calls++;
+      throw new Error('client went away');
+    }), /client went away/);
+
+    // Workers already building a feed finish it but write nothing more
+    assert.equal(calls, 1);
+  });
+
+  it('rethrows a segment read failure once the workers have settled', async (t) => {
+    mockSegment(t, () => {
+      throw new Error('connection refused');
+    });
+    const lines = [];
+
+    await assert.rejects(runBatch(batch({ segment: {}, concurrency: 3 }), async line => lines.push(line)), /connection refused/);
+    assert.equal(lines.length, 0);
+  });
+
+  it('stops taking users once cancelled', async (t) => {
+    mockSegment(t);
+    const lines = [];
+
+    const summary = await runBatch(batch({ userIds: ['1', '2', '3'], concurrency: 1 }), async line => lines.push(line), {
+      isCancelled: () => lines.length >= 1,
+    });
+
+    assert.equal(lines.length, 1);
+    assert.equal(summary.users, 1);
+    assert.equal(summary.cancelled, true);
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../src/utils/database.js';
+import {
+  buildCoVoteModel,
+  getCoVoteNeighbors,
+  getCoVoteRecommendations,
+  getCoVoteModelStatus,
+} from '../src/services/shaped/coVoteModel.js';
+import { mockQueries } from './fixtures.js';
+
+/**
+ * Mock the pooled client a build runs its transaction on
+ * @returns {Array<string>} The statements run so far
+ */
+const mockBuildClient = (t, { acquired = true, pairs = 0, fail = null } = {}) => {
+  const statements = [];
+  const client = {
+    query: async (sql, params) => {
+      statements.push(sql.trim().split(/\s+/)[0]);
+      if (sql.includes('pg_try_advisory_xact_lock')) return { rows: [{ acquired }] };
+      if (sql.includes('INSERT INTO recommendation_item_similarity')) {
+        if (fail) throw new Error(fail);
+        assert.deepEqual(params, [180, 200, 2, 50]);
+        return { rowCount: pairs };
+      }
+      return { rows: [] };
+    },
+    release: () => statements.push('release'),
+  };
+  mockQueries(t);
+  t.mock.method(db, 'getPool', () => ({ connect: async () => client }));
+  return statements;
+};
+
+// The last build is module state, so these run in order: unbuilt first
+describe('buildCoVoteModel', () => {
+  it('skips the build while another instance holds the lock', async (t) => {
+    const statements = mockBuildClient(t, { acquired: false });
+
+    assert.deepEqual(await buildCoVoteModel(), { skipped: true });
+    assert.deepEqual(statements, ['BEGIN', 'SELECT', 'ROLLBACK', 'release']);
+    assert.equal(getCoVoteModelStatus(), null);
+  });
+
+  it('replaces the similarity table in one transaction and records the build', async (t) => {
+    const statements = mockBuildClient(t, { pairs: 340 });
+
+    const build = await buildCoVoteModel();
+
+    assert.deepEqual(statements, ['BEGIN', 'SELECT', 'DELETE', 'WITH', 'COMMIT', 'release']);
+    assert.equal(build.pairs, 340);
+    assert.equal(getCoVoteModelStatus(), build);
+  });
+
+  it('rolls back and rethrows a failed build, keeping the previous one', async (t) => {
+    const previous = getCoVoteModelStatus();
+    const statements = mockBuildClient(t, { fail: 'statement timeout' });
+
+    await assert.rejects(buildCoVoteModel(), /statement timeout/);
+    assert.deepEqual(statements.slice(-2), ['ROLLBACK', 'release']);
+    assert.equal(getCoVoteModelStatus(), previous);
+  });
+});
+
+describe('getCoVoteNeighbors', () => {
+  it('joins neighbours to elections by bigint ID, best first', async (t) => {
+    const rows = [{ id: '21', co_voters: 5, cosine: 0.8 }, { id: '22', co_voters: 3, cosine: 0.4 }];
+    const queries = mockQueries(t, () => ({ rows }));
+
+    assert.deepEqual(await getCoVoteNeighbors(12, 5), rows);
+    assert.match(queries[0].sql, /JOIN votteryyy_elections e ON e\.id = s\.similar_election_id::bigint/);
+    assert.deepEqual(queries[0].params, ['12', 5]);
+  });
+});
+
+describe('getCoVoteRecommendations', () => {
+  it('scores candidates from the user\'s history, leaving out excluded elections', async (t) => {
+    const rows = [{ id: '30', co_vote_score: '1.3', seed_count: '2' }];
+    const queries = mockQueries(t, () => ({ rows }));
+
+    assert.deepEqual(await getCoVoteRecommendations('5', { limit: 4, excludeIds: [12, '13'] }), rows);
+    assert.match(queries[0].sql, /JOIN votteryyy_elections e ON e\.id = c\.election_id::bigint/);
+    assert.deepEqual(queries[0].params, ['5', ['12', '13'], 4, '5']);
+  });
+});
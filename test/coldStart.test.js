@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import shapedClient from '../src/services/shaped/shapedClient.js';
+import { getColdStartElections, getRegionCountries } from '../src/services/shaped/coldStart.js';
+import { getBatchRecommendations } from '../src/services/shaped/recommendations.js';
+import { daysFromNow, ids, mockQueries } from './fixtures.js';
+
+const profileRow = (overrides = {}) => ({ user_id: 5, country: 'US', gender: 'female', age: 30, ...overrides });
+
+const isProfileLookup = (sql) => sql.includes('vote_stats');
+
+/**
+ * Mock db.query: the profile lookup returns profile, cohort queries return
+ * the next entry of cohortResults
+ * @returns {Function} The cohort queries made so far
+ */
+const mockCohorts = (t, profile, cohortResults) => {
+  let cohortIndex = 0;
+  const queries = mockQueries(t, sql => (isProfileLookup(sql)
+    ? { rows: profile ? [profile] : [] }
+    : { rows: cohortResults[cohortIndex++] || [] }));
+  return () => queries.filter(query => !isProfileLookup(query.sql));
+};
+
+const electionRows = (cohortSize, ...ids) => ids.map((id, index) => ({
+  id, title: `Election ${id}`, cohort_voters: String(ids.length - index), cohort_size: String(cohortSize),
+}));
+
+describe('getColdStartElections', () => {
+  it('widens from the most specific cohort until one has enough voters', async (t) => {
+    const cohortQueries = mockCohorts(t, profileRow(), [electionRows(2, 1), electionRows(8, 2, 3)]);
+
+    const { cohort, elections } = await getColdStartElections('5', { limit: 5 });
+
+    assert.deepEqual(cohortQueries().map(query => query.params.slice(3)), [['US', 'female', 25, 34], ['US']]);
+    assert.deepEqual(cohort, { level: 'country', country: 'US', size: 8 });
+    assert.deepEqual(elections.map(election => [election.id, election.cohort_voters]), [[2, 2], [3, 1]]);
+    assert.equal(elections[0].cohort_size, undefined);
+  });
+
+  it('leaves the 65+ band open-ended', async (t) => {
+    const cohortQueries = mockCohorts(t, profileRow({ age: 70 }), [electionRows(9, 1)]);
+
+    const { cohort } = await getColdStartElections('5');
+
+    assert.equal(cohort.age_band, '65+');
+    assert.match(cohortQueries()[0].sql, /::int\) >= \$6/);
+    assert.deepEqual(cohortQueries()[0].params.slice(3), ['US', 'female', 65]);
+  });
+
+  it('falls back to the region, leaving out its own user', async (t) => {
+    const cohortQueries = mockCohorts(t, profileRow({ gender: null, user_gender: 0 }), [[], electionRows(6, 4)]);
+
+    const { cohort } = await getColdStartElections('5');
+
+    assert.equal(cohort.level, 'region_age');
+    assert.equal(cohortQueries()[0].params[1], '5');
+    assert.deepEqual(cohortQueries()[1].params[3], getRegionCountries(1));
+  });
+
+  it('has no cohort for unknown users and no region cohort for unmapped countries', async (t) => {
+    mockCohorts(t, null, []);
+    assert.deepEqual(await getColdStartElections('5'), { cohort: null, elections: [] });
+
+    t.mock.restoreAll();
+    const cohortQueries = mockCohorts(t, profileRow({ country: 'ZZ', gender: null, user_gender: 0, age: 0 }), []);
+    assert.deepEqual(await getColdStartElections('5'), { cohort: null, elections: [] });
+    assert.equal(cohortQueries().length, 1);
+  });
+});
+
+describe('cold-start feed', () => {
+  it('serves a new user their cohort\'s elections rather than the trending fallback', async (t) => {
+    t.mock.method(shapedClient.client, 'post', async () => {
+      throw new Error('engine offline');
+    });
+    const open = { status: 'active', start_date: daysFromNow(-2).toISOString(), end_date: daysFromNow(5).toISOString() };
+    const cohortRows = electionRows(12, '21', '22').map(row => ({ ...row, ...open }));
+    const queries = mockQueries(t, (sql) => {
+      if (isProfileLookup(sql)) return { rows: [profileRow()] };
+      if (sql.includes('cohort_votes')) return { rows: cohortRows };
+      return { rows: [] };
+    });
+
+    const feed = await getBatchRecommendations('personalized', '5', { limit: 5 });
+
+    assert.equal(feed.recommendation_type, 'cold_start');
+    assert.deepEqual(feed.cohort, { level: 'country_gender_age', country: 'US', gender: 'female', age_band: '25-34', size: 12 });
+    assert.deepEqual(ids(feed.data), ['21', '22']);
+    const [cohortQuery] = queries.filter(query => query.sql.includes('cohort_votes'));
+    assert.match(cohortQuery.sql, /JOIN users u ON u\.user_id::text = v\.user_id\n/);
+    assert.match(cohortQuery.sql, /u\.user_id::text <> \$2/);
+  });
+});
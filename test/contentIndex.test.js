@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  tokenize,
+  indexElections,
+  refreshContentIndex,
+  getContentSimilarElections,
+} from '../src/services/shaped/contentIndex.js';
+import { daysFromNow, mockQueries } from './fixtures.js';
+
+const utcDay = (offsetDays) => daysFromNow(offsetDays).toISOString().slice(0, 10);
+
+describe('tokenize', () => {
+  it('lower-cases, strips accents, drops stopwords and folds plurals', () => {
+    assert.deepEqual(tokenize('The Cities vote on Café budgets'), ['city', 'cafe', 'budget']);
+  });
+});
+
+describe('refreshContentIndex', () => {
+  it('indexes by each election\'s own closing time, widening the SQL by the slack', async (t) => {
+    const rows = [
+      // end_date is today, but 23:59 at UTC-12 is still to come
+      { id: 1, title: 'City park budget', description: '', status: 'active', end_date: utcDay(0), end_time: '23:59:59', timezone: 'Etc/GMT+12' },
+      { id: 2, title: 'City park renovation', description: '', status: 'published', end_date: utcDay(3), end_time: '12:00', timezone: 'UTC' },
+      { id: 3, title: 'City park closed', description: '', status: 'active', end_date: utcDay(-1), end_time: '00:00', timezone: 'UTC' },
+    ];
+    const queries = mockQueries(t, () => ({ rows }));
+
+    const status = await refreshContentIndex();
+    const [{ sql, params: values }] = queries;
+
+    assert.match(sql, /end_date > NOW\(\) - \$2 \* INTERVAL '1 hour'/);
+    assert.equal(values[1], 48);
+    assert.equal(status.documents, 2);
+
+    const similar = await getContentSimilarElections('2');
+    assert.deepEqual(similar.map(match => match.electionId), ['1']);
+  });
+
+  it('drops elections a sync reports as closed', async (t) => {
+    mockQueries(t);
+    indexElections([
+      { election_id: 1, title: 'City park budget', description: '', status: 'active', end_date: utcDay(-1), end_time: '00:00', timezone: 'UTC' },
+    ]);
+
+    assert.deepEqual(await getContentSimilarElections('2'), []);
+  });
+});
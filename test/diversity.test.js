@@ -0,0 +1,46 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveDiversityOptions, diversifyElections } from '../src/services/shaped/diversity.js';
+import { ids } from './fixtures.js';
+
+const elections = [
+  { id: '1', category_id: 1, creator_id: 'a' },
+  { id: '2', category_id: 1, creator_id: 'a' },
+  { id: '3', category_id: 1, creator_id: 'b' },
+  { id: '4', category_id: 2, creator_id: 'c' },
+  { id: '5', category_id: 3, creator_id: 'd' },
+];
+
+describe('resolveDiversityOptions', () => {
+  it('falls back to defaults and clamps diversity', () => {
+    assert.deepEqual(resolveDiversityOptions({ diversity: '2' }, { maxPerCategory: 3 }), {
+      diversity: 1,
+      maxPerCategory: 3,
+      maxPerCreator: null,
+    });
+    assert.deepEqual(resolveDiversityOptions({ maxPerCreator: '0' }), { diversity: 0, maxPerCategory: null, maxPerCreator: null });
+  });
+});
+
+describe('diversifyElections', () => {
+  it('keeps relevance order without diversity or caps', () => {
+    const ranked = diversifyElections(elections);
+    assert.deepEqual(ids(ranked), ['1', '2', '3', '4', '5']);
+    assert.deepEqual(ranked.map(election => election.original_rank), [1, 2, 3, 4, 5]);
+  });
+
+  it('moves items past a cap to the tail instead of dropping them', () => {
+    const ranked = diversifyElections(elections, { maxPerCategory: 1 });
+    assert.deepEqual(ids(ranked), ['1', '4', '5', '2', '3']);
+    assert.deepEqual(ranked.map(election => election.reranked_position), [1, 2, 3, 4, 5]);
+  });
+
+  it('caps per creator', () => {
+    assert.deepEqual(ids(diversifyElections(elections, { maxPerCreator: 1 })), ['1', '3', '4', '5', '2']);
+  });
+
+  it('trades relevance for novelty as diversity rises', () => {
+    assert.deepEqual(ids(diversifyElections(elections, { diversity: 0.5 })).slice(0, 2), ['1', '4']);
+    assert.deepEqual(ids(diversifyElections(elections, { diversity: 0.9 })).slice(0, 3), ['1', '4', '5']);
+  });
+});
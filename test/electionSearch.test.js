@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSearchQuery, scoreTextMatches, searchDatabase } from '../src/services/shaped/electionSearch.js';
+import { mockQueries } from './fixtures.js';
+
+const documents = [
+  { id: '1', title: 'City budget vote', slug: 'city-budget', description: 'How should the budget be spent?' },
+  { id: '2', title: 'Parks and recreation', slug: 'parks', description: 'New budget for parks' },
+  { id: '3', title: 'School board election', slug: 'school-board', description: 'Pick the next board' },
+];
+
+const ids = (matches) => matches.map(match => match.document.id);
+
+describe('scoreTextMatches', () => {
+  it('keeps only documents matching a term, best first', () => {
+    const matches = scoreTextMatches(documents, parseSearchQuery('budget'));
+    assert.deepEqual(ids(matches), ['1', '2']);
+    assert.ok(matches[0].relevance > matches[1].relevance);
+  });
+
+  it('ranks documents matching more terms first', () => {
+    const [best] = scoreTextMatches(documents, parseSearchQuery('budget parks'));
+    assert.equal(best.document.id, '2');
+    assert.deepEqual(best.matchedTerms, ['budget', 'park']);
+  });
+
+  it('matches the last term as a prefix', () => {
+    assert.deepEqual(ids(scoreTextMatches(documents, parseSearchQuery('scho'))), ['3']);
+    assert.deepEqual(ids(scoreTextMatches(documents, parseSearchQuery('scho board'))), ['3']);
+  });
+
+  it('scores relevance between 0 and 1', () => {
+    for (const match of scoreTextMatches(documents, parseSearchQuery('city budget vote'))) {
+      assert.ok(match.relevance > 0 && match.relevance <= 1);
+    }
+  });
+
+  it('returns nothing without terms', () => {
+    assert.deepEqual(scoreTextMatches(documents, []), []);
+  });
+});
+
+describe('searchDatabase', () => {
+  it('pre-filters on accent-folded stems so inflected and accented rows reach scoring', async (t) => {
+    const rows = [
+      { id: '1', title: 'Cities of tomorrow', slug: 'cities', description: '' },
+      { id: '2', title: 'Best café', slug: 'cafe', description: '' },
+    ];
+    const queries = mockQueries(t, () => ({ rows }));
+
+    const matches = await searchDatabase(parseSearchQuery('city café'));
+    const [{ sql, params: values }] = queries;
+
+    assert.deepEqual(values[0], ['%cit%', '%cafe%']);
+    assert.match(sql, /translate\(LOWER\(concat_ws\(' ', title, slug, description\)\), \$3, \$4\) LIKE ANY\(\$1\)/);
+    assert.equal(values[2].length, values[3].length);
+    assert.equal(values[3][values[2].indexOf('é')], 'e');
+    assert.deepEqual(matches.map(match => match.election.id).sort(), ['1', '2']);
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ELECTION_STATES,
+  zonedTimeToDate,
+  getClosingTime,
+  getOpeningTime,
+  getHoursLeft,
+  getElectionState,
+} from '../src/services/shaped/electionTiming.js';
+
+const iso = (date) => date?.toISOString() ?? null;
+
+describe('zonedTimeToDate', () => {
+  it('converts wall clock times on either side of DST', () => {
+    assert.equal(iso(zonedTimeToDate('2025-01-15', '12:00', 'America/New_York')), '2025-01-15T17:00:00.000Z');
+    assert.equal(iso(zonedTimeToDate('2025-07-15', '12:00', 'America/New_York')), '2025-07-15T16:00:00.000Z');
+    assert.equal(iso(zonedTimeToDate('2025-06-01', '23:59:30', 'Asia/Kolkata')), '2025-06-01T18:29:30.000Z');
+  });
+
+  it('resolves a time skipped by a DST gap to the later side', () => {
+    // 02:30 doesn't exist; it reads as 03:30 after the clocks go forward
+    assert.equal(iso(zonedTimeToDate('2025-03-09', '02:30', 'America/New_York')), '2025-03-09T07:30:00.000Z');
+    assert.equal(iso(zonedTimeToDate('2025-03-30', '02:30', 'Europe/Berlin')), '2025-03-30T01:30:00.000Z');
+    assert.equal(iso(zonedTimeToDate('2025-10-05', '02:30', 'Australia/Sydney')), '2025-10-04T16:30:00.000Z');
+  });
+
+  it('resolves a time repeated by a DST overlap to its first occurrence', () => {
+    assert.equal(iso(zonedTimeToDate('2025-11-02', '01:30', 'America/New_York')), '2025-11-02T05:30:00.000Z');
+    assert.equal(iso(zonedTimeToDate('2025-10-26', '02:30', 'Europe/Berlin')), '2025-10-26T00:30:00.000Z');
+    assert.equal(iso(zonedTimeToDate('2025-04-06', '02:30', 'Australia/Sydney')), '2025-04-05T15:30:00.000Z');
+  });
+
+  it('falls back to UTC for a missing or unknown timezone', () => {
+    assert.equal(iso(zonedTimeToDate('2025-06-01', '10:00')), '2025-06-01T10:00:00.000Z');
+    assert.equal(iso(zonedTimeToDate('2025-06-01', '10:00', null)), '2025-06-01T10:00:00.000Z');
+    assert.equal(iso(zonedTimeToDate('2025-06-01', '10:00', 'Mars/Olympus_Mons')), '2025-06-01T10:00:00.000Z');
+  });
+
+  it('rejects malformed dates and times', () => {
+    assert.equal(zonedTimeToDate('2025-6-1', '10:00', 'UTC'), null);
+    assert.equal(zonedTimeToDate('2025-06-01', 'noon', 'UTC'), null);
+  });
+});
+
+describe('election moments', () => {
+  const election = {
+    start_date: '2025-06-01T00:00:00.000Z',
+    start_time: '09:00',
+    end_date: '2025-06-03T00:00:00.000Z',
+    end_time: '23:59',
+    timezone: 'Pacific/Honolulu',
+  };
+
+  it('combines the date columns with their times in the election timezone', () => {
+    assert.equal(iso(getOpeningTime(election)), '2025-06-01T19:00:00.000Z');
+    assert.equal(iso(getClosingTime(election)), '2025-06-04T09:59:00.000Z');
+  });
+
+  it('uses the date columns alone when there is no time', () => {
+    const { end_time, start_time, ...untimed } = election;
+    assert.equal(iso(getOpeningTime(untimed)), '2025-06-01T00:00:00.000Z');
+    assert.equal(iso(getClosingTime(untimed)), '2025-06-03T00:00:00.000Z');
+  });
+
+  it('keeps an election open until its closing moment, not its end_date', () => {
+    assert.equal(getElectionState(election, new Date('2025-06-01T18:00:00Z')), ELECTION_STATES.UPCOMING);
+    assert.equal(getElectionState(election, new Date('2025-06-03T12:00:00Z')), ELECTION_STATES.OPEN);
+    assert.equal(getElectionState(election, new Date('2025-06-04T10:00:00Z')), ELECTION_STATES.ENDED);
+    assert.equal(getHoursLeft(election, new Date('2025-06-04T07:59:00Z')), 2);
+  });
+
+  it('treats missing dates as unrestricted', () => {
+    assert.equal(getElectionState({}), ELECTION_STATES.OPEN);
+    assert.equal(getHoursLeft({}), null);
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  INELIGIBILITY_REASONS,
+  parseAllowedCountries,
+  checkEligibility,
+  filterEligibleElections,
+  getEligibilityFilterOptions,
+} from '../src/services/shaped/eligibility.js';
+import { mockQueries } from './fixtures.js';
+
+const adult = { userId: '5', country: 'US', isVerified: true, age: 30 };
+
+describe('parseAllowedCountries', () => {
+  it('reads arrays, JSON, Postgres array literals and comma lists', () => {
+    assert.deepEqual(parseAllowedCountries(['us', 'ca']), ['US', 'CA']);
+    assert.deepEqual(parseAllowedCountries('["us","gb"]'), ['US', 'GB']);
+    assert.deepEqual(parseAllowedCountries('{US,"CA"}'), ['US', 'CA']);
+    assert.deepEqual(parseAllowedCountries('de, fr'), ['DE', 'FR']);
+  });
+
+  it('treats empty, malformed and worldwide values as unrestricted', () => {
+    assert.deepEqual(parseAllowedCountries(null), []);
+    assert.deepEqual(parseAllowedCountries('[broken'), []);
+    assert.deepEqual(parseAllowedCountries(['US', 'worldwide']), []);
+  });
+});
+
+describe('checkEligibility', () => {
+  it('excludes invite-only elections for everyone', () => {
+    assert.equal(checkEligibility({ permission_type: 'Private' }, null), INELIGIBILITY_REASONS.INVITE_ONLY);
+    assert.equal(checkEligibility({ permission_type: 'invite_only' }, adult), INELIGIBILITY_REASONS.INVITE_ONLY);
+  });
+
+  it('only screens anonymous users on rules that do not depend on them', () => {
+    assert.equal(checkEligibility({ allowed_countries: ['GB'], biometric_required: true }, null), null);
+  });
+
+  it('checks country, verification and age in turn', () => {
+    assert.equal(checkEligibility({ allowed_countries: '{GB}' }, adult), INELIGIBILITY_REASONS.COUNTRY_RESTRICTED);
+    assert.equal(checkEligibility({ biometric_required: 'true' }, { ...adult, isVerified: false }), INELIGIBILITY_REASONS.VERIFICATION_REQUIRED);
+    assert.equal(checkEligibility({}, { ...adult, age: 16 }), INELIGIBILITY_REASONS.AGE_RESTRICTED);
+    assert.equal(checkEligibility({}, { ...adult, age: null }), null);
+    assert.equal(checkEligibility({ allowed_countries: ['US'], biometric_required: true }, adult), null);
+  });
+});
+
+describe('filterEligibleElections', () => {
+  it('drops voted elections first and counts every removal by reason', async (t) => {
+    const queries = mockQueries(t, () => ({
+      rows: [{ id: 3, allowed_countries: '{GB}', permission_type: 'public', biometric_required: false }],
+    }));
+
+    const { eligible, removed } = await filterEligibleElections([
+      { id: '1', allowed_countries: null },
+      { id: '2', allowed_countries: null, permission_type: 'private' },
+      { id: '3' },
+      { id: '4', allowed_countries: null },
+    ], adult, { votedElectionIds: [4] });
+
+    assert.deepEqual(eligible.map(election => election.id), ['1']);
+    assert.deepEqual(removed, {
+      total: 3,
+      reasons: { already_voted: 1, invite_only: 1, country_restricted: 1 },
+    });
+    // Only the item without eligibility attributes is looked up, by primary key
+    assert.deepEqual(queries[0].params, [['3']]);
+    assert.match(queries[0].sql, /WHERE id = ANY\(\$1::bigint\[\]\)/);
+  });
+
+  it('keeps elections when the attribute lookup fails', async (t) => {
+    mockQueries(t, () => {
+      throw new Error('connection refused');
+    });
+
+    const { eligible } = await filterEligibleElections([{ id: '1' }], adult);
+    assert.equal(eligible.length, 1);
+  });
+});
+
+describe('getEligibilityFilterOptions', () => {
+  it('pushes the rules Shaped items can express into engine filters', () => {
+    const voted = Array.from({ length: 250 }, (_, index) => String(index));
+    const options = getEligibilityFilterOptions({ ...adult, isVerified: false }, { votedElectionIds: voted });
+
+    assert.deepEqual(options.excludePermissionTypes, ['private', 'invite_only']);
+    assert.equal(options.excludeBiometric, true);
+    assert.equal(options.excludeItemIds.length, 200);
+    assert.equal(getEligibilityFilterOptions(null).excludeBiometric, false);
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EVENT_TYPES } from '../src/services/shaped/eventTypes.js';
+import { trackEvent } from '../src/services/shaped/eventTracker.js';
+import { assignVariant, getUserExperiments, setExperimentStatus } from '../src/services/shaped/experiments.js';
+import { mockQueries } from './fixtures.js';
+
+const experiment = (name, weights) => ({
+  name,
+  variants: weights.map((weight, index) => ({ name: `v${index}`, weight, config: {} })),
+});
+
+const split = (exp, users = 4000) => {
+  const counts = {};
+  for (let userId = 1; userId <= users; userId++) {
+    const name = assignVariant(exp, String(userId))?.name ?? 'none';
+    counts[name] = (counts[name] || 0) + 1;
+  }
+  return counts;
+};
+
+describe('assignVariant', () => {
+  it('assigns a user the same variant every time', () => {
+    const exp = experiment('stable', [50, 50]);
+    for (const userId of ['1', '42', '90210']) {
+      assert.equal(assignVariant(exp, userId), assignVariant(exp, userId));
+    }
+  });
+
+  it('splits users by variant weight', () => {
+    const counts = split(experiment('weighted', [20, 80]));
+    assert.ok(Math.abs(counts.v0 / 4000 - 0.2) < 0.03, `v0 got ${counts.v0}`);
+    assert.ok(Math.abs(counts.v1 / 4000 - 0.8) < 0.03, `v1 got ${counts.v1}`);
+  });
+
+  it('leaves users outside the weights unenrolled', () => {
+    const counts = split(experiment('partial', [25, 25]));
+    assert.ok(Math.abs(counts.none / 4000 - 0.5) < 0.03, `none got ${counts.none}`);
+  });
+
+  it('assigns users independently per experiment', () => {
+    const a = experiment('first', [50, 50]);
+    const b = experiment('second', [50, 50]);
+    let same = 0;
+    for (let userId = 1; userId <= 4000; userId++) {
+      if (assignVariant(a, String(userId)).name === assignVariant(b, String(userId)).name) same++;
+    }
+    assert.ok(Math.abs(same / 4000 - 0.5) < 0.03, `${same} users share a variant`);
+  });
+});
+
+describe('getUserExperiments', () => {
+  it('tags from the cached list without waiting for the database', async (t) => {
+    let release;
+    const rows = new Promise(resolve => { release = resolve; });
+    const queries = mockQueries(t, () => rows);
+
+    assert.deepEqual(getUserExperiments('42'), {});
+    release({
+      rows: [{ name: 'home_mix', feed: 'home', status: 'running', variants: [{ name: 'all', weight: 100, config: {} }] }],
+    });
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepEqual(getUserExperiments('42'), { home_mix: 'all' });
+    assert.equal(queries.length, 1);
+  });
+
+  it('skips anonymous users', () => {
+    assert.deepEqual(getUserExperiments('anonymous'), {});
+  });
+
+  it('tags events tracked straight after a status change with the new variants', async (t) => {
+    const row = { name: 'home_rank', feed: 'home', variants: [{ name: 'all', weight: 100, config: {} }] };
+    let status = 'draft';
+    mockQueries(t, (sql, params) => {
+      if (sql.includes('UPDATE recommendation_experiments')) {
+        status = params[1];
+        return { rows: [{ ...row, status }] };
+      }
+      if (sql.includes('WHERE status = $1')) return { rows: params[0] === status ? [{ ...row, status }] : [] };
+      return { rows: [{ ...row, status }] };
+    });
+
+    await setExperimentStatus('home_rank', 'running');
+    const started = await trackEvent({ userId: '42', electionId: '10', eventType: EVENT_TYPES.VIEW_ELECTION });
+    await setExperimentStatus('home_rank', 'stopped');
+    const stopped = await trackEvent({ userId: '42', electionId: '10', eventType: EVENT_TYPES.VIEW_ELECTION });
+
+    assert.deepEqual(JSON.parse(started.event.metadata).experiments, { home_rank: 'all' });
+    assert.equal(JSON.parse(stopped.event.metadata).experiments, undefined);
+  });
+});
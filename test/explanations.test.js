@@ -0,0 +1,141 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { REASON_TYPES, loadExplanationContext, buildReasons, explainElections } from '../src/services/shaped/explanations.js';
+import { mockQueries } from './fixtures.js';
+
+const context = (overrides = {}) => ({
+  categories: new Map(),
+  creators: new Map(),
+  interactions: [],
+  interests: null,
+  ...overrides,
+});
+
+const types = (reasons) => reasons.map(reason => reason.type);
+
+describe('loadExplanationContext', () => {
+  it('reads vote history, interactions and interests for signed-in users only', async (t) => {
+    const queries = mockQueries(t, (sql) => {
+      if (sql.includes('history ON')) return { rows: [{ category_id: '3', creator_id: '9', elections: '2' }] };
+      if (sql.includes('FROM recommendation_event_log')) {
+        return {
+          rows: [
+            { election_id: '12', event_type: 'view_election' },
+            { election_id: 'draft-1', event_type: 'view_election' },
+            { election_id: '12', event_type: 'election_saved' },
+            { election_id: '13', event_type: 'election_shared' },
+          ],
+        };
+      }
+      if (sql.includes('FROM votteryyy_elections')) return { rows: [{ id: '12', category_id: '3', creator_id: '9' }] };
+      if (sql.includes('recommendation_user_interests')) return { rows: [{ user_id: '5', category_ids: [4], topics: ['parks'] }] };
+      return { rows: [] };
+    });
+
+    const loaded = await loadExplanationContext('5');
+
+    assert.deepEqual([...loaded.categories], [['3', 2]]);
+    assert.deepEqual([...loaded.creators], [['9', 2]]);
+    // Newest interaction per election; elections without attributes are dropped
+    assert.deepEqual(loaded.interactions, [{ electionId: '12', verb: 'viewed', categoryId: '3', creatorId: '9' }]);
+    assert.deepEqual(loaded.interests.categoryIds, [4]);
+
+    const attributes = queries.find(query => query.sql.includes('FROM votteryyy_elections\n'));
+    assert.match(attributes.sql, /WHERE id = ANY\(\$1::bigint\[\]\)/);
+    assert.deepEqual(attributes.params, [['12', '13']]);
+
+    t.mock.restoreAll();
+    const anonymous = mockQueries(t);
+    assert.equal((await loadExplanationContext('anon-1')).interactions.length, 0);
+    assert.equal(anonymous.length, 0);
+  });
+
+  it('keeps the other parts when one lookup fails', async (t) => {
+    mockQueries(t, (sql) => {
+      if (sql.includes('FROM recommendation_event_log')) throw new Error('connection refused');
+      if (sql.includes('history ON')) return { rows: [{ category_id: '3', creator_id: null, elections: '4' }] };
+      return { rows: [] };
+    });
+
+    const loaded = await loadExplanationContext('5');
+
+    assert.deepEqual(loaded.interactions, []);
+    assert.equal(loaded.categories.get('3'), 4);
+    assert.equal(loaded.interests, null);
+  });
+});
+
+describe('buildReasons', () => {
+  it('cites the user\'s history, most specific first', () => {
+    const reasons = buildReasons({ id: '20', category_id: 3, creator_id: 9, title: 'New parks budget', recommendation_type: 'personalized' }, context({
+      categories: new Map([['3', 4]]),
+      creators: new Map([['9', 1]]),
+      interactions: [{ electionId: '12', verb: 'saved', categoryId: '3', creatorId: '8' }],
+      interests: { categoryIds: [3], topics: ['parks', 'schools'] },
+    }));
+
+    assert.deepEqual(types(reasons), [
+      REASON_TYPES.CATEGORY_HISTORY,
+      REASON_TYPES.CREATOR_HISTORY,
+      REASON_TYPES.SIMILAR_TO_INTERACTED,
+      REASON_TYPES.INTEREST,
+      REASON_TYPES.INTEREST,
+    ]);
+    assert.equal(reasons[0].message, 'Because you voted in 4 elections in category 3');
+    assert.equal(reasons[1].message, 'You voted in 1 election by this creator');
+    assert.equal(reasons[2].message, 'Similar to election 12 you saved');
+    assert.deepEqual(reasons[4].topics, ['parks']);
+  });
+
+  it('skips category history below the minimum and interactions with the election itself', () => {
+    const reasons = buildReasons({ id: '12', category_id: 3, recommendation_type: 'personalized' }, context({
+      categories: new Map([['3', 1]]),
+      interactions: [{ electionId: '12', verb: 'viewed', categoryId: '3', creatorId: null }],
+    }));
+
+    assert.deepEqual(reasons, [{ type: REASON_TYPES.PERSONALIZED, message: 'Recommended from your voting history' }]);
+  });
+
+  it('explains cohort, velocity, prize and closing-time signals', () => {
+    const reasons = buildReasons({
+      id: '20',
+      cohort_voters: '7',
+      velocity: { score: 1.2, window_hours: 48, lift: 2.5, baseline_rate: 0.4, votes: { recent: 1 }, views: { recent: 30 }, shares: { recent: 2 } },
+      lottery_prize_pool: '2500',
+      hours_left: 3.4,
+    }, context(), { cohort: { level: 'country' } });
+
+    assert.deepEqual(reasons.map(reason => reason.message), [
+      'Popular in your country',
+      'Trending: 1 vote and 30 views in the last 2 days, 2.5x its usual pace',
+      'Big lottery prize: 2,500',
+      'Closes in 3 hours',
+    ]);
+  });
+
+  it('tells a similar-elections list what the source shares with each item', () => {
+    const [reason] = buildReasons({ id: '20', shared_terms: ['budget', 'parks', 'city', 'tax'] }, context(), { sourceElectionId: 12 });
+
+    assert.equal(reason.message, 'Similar to election 12: also about "budget", "parks", "city"');
+    assert.equal(reason.election_id, '12');
+  });
+
+  it('falls back to the category, or to the election being open', () => {
+    assert.deepEqual(types(buildReasons({ id: '20', category_id: 5 })), [REASON_TYPES.CATEGORY]);
+    assert.deepEqual(types(buildReasons({ id: '20' })), [REASON_TYPES.OPEN]);
+  });
+});
+
+describe('explainElections', () => {
+  it('moves scoring factors into score_factors only in debug mode', () => {
+    const election = { id: '20', vote_count: 40, _popularity_factors: { votes: 0.8 }, _popularity_score: 0.8 };
+
+    const [plain] = explainElections([election], context());
+    const [debug] = explainElections([election], context(), { debug: true });
+
+    assert.equal(plain._popularity_factors, undefined);
+    assert.equal(plain.score_factors, undefined);
+    assert.deepEqual(types(plain.reasons), [REASON_TYPES.POPULAR]);
+    assert.deepEqual(debug.score_factors, { popularity: { votes: 0.8, total: 0.8 } });
+  });
+});
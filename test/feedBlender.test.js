@@ -0,0 +1,38 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseStrategyWeights, blendFeeds } from '../src/services/shaped/feedBlender.js';
+import { ids } from './fixtures.js';
+
+const list = (prefix, count) => Array.from({ length: count }, (_, index) => ({ id: `${prefix}${index + 1}` }));
+
+describe('parseStrategyWeights', () => {
+  it('parses name:value pairs and skips invalid ones', () => {
+    assert.deepEqual(parseStrategyWeights('personalized:0.6, trending:0.4,bad:x,zero:0'), { personalized: 0.6, trending: 0.4 });
+    assert.equal(parseStrategyWeights('bad:x'), null);
+    assert.equal(parseStrategyWeights(''), null);
+  });
+});
+
+describe('blendFeeds', () => {
+  it('shares slots by ratio', () => {
+    const feed = blendFeeds({ a: list('a', 10), b: list('b', 10) }, { ratios: { a: 0.75, b: 0.25 }, size: 8 });
+    assert.equal(feed.filter(election => election.strategy === 'a').length, 6);
+    assert.equal(feed.filter(election => election.strategy === 'b').length, 2);
+  });
+
+  it('puts everyNth strategies at fixed positions', () => {
+    const feed = blendFeeds({ a: list('a', 10), l: list('l', 10) }, { ratios: { a: 1 }, everyNth: { l: 3 }, size: 7 });
+    assert.deepEqual(ids(feed), ['a1', 'a2', 'l1', 'a3', 'a4', 'l2', 'a5']);
+  });
+
+  it('removes duplicates across strategies', () => {
+    const feed = blendFeeds({ a: [{ id: '1' }, { id: '2' }], b: [{ id: '1' }, { id: '3' }] }, { ratios: { a: 1, b: 1 } });
+    assert.deepEqual(ids(feed).sort(), ['1', '2', '3']);
+  });
+
+  it('backfills slots of an exhausted strategy and stops when all are', () => {
+    const feed = blendFeeds({ a: list('a', 5), b: list('b', 1) }, { ratios: { a: 0.5, b: 0.5 }, size: 10 });
+    assert.equal(feed.length, 6);
+    assert.ok(feed.some(election => election.backfilled_for === 'b'));
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import config from '../src/config/index.js';
+import { INVALID_CURSOR, getFeedKey, createFeedPage, readFeedPage } from '../src/services/shaped/feedCursor.js';
+import { ids } from './fixtures.js';
+
+const items = (count) => Array.from({ length: count }, (_, index) => ({ id: String(index + 1) }));
+
+describe('createFeedPage', () => {
+  it('returns a single-page feed without a cursor', () => {
+    const page = createFeedPage(getFeedKey('trending'), { success: true, data: items(3) }, { limit: 5 });
+    assert.deepEqual(ids(page.data), ['1', '2', '3']);
+    assert.deepEqual(page.pagination, { limit: 5, offset: 0, total: 3, hasMore: false, truncated: false, nextCursor: null });
+  });
+
+  it('reports a feed cut at the snapshot size as truncated', () => {
+    const feedKey = getFeedKey('trending');
+    const first = createFeedPage(feedKey, { success: true, data: items(config.feeds.snapshotSize) }, { limit: 60 });
+    const last = readFeedPage(first.pagination.nextCursor, feedKey, 60);
+
+    assert.equal(first.pagination.truncated, true);
+    assert.equal(last.data.length, config.feeds.snapshotSize - 60);
+    assert.deepEqual([last.pagination.hasMore, last.pagination.truncated], [false, true]);
+  });
+
+  it('keeps the result metadata and drops its own pagination', () => {
+    const page = createFeedPage(getFeedKey('trending'), {
+      success: true,
+      data: items(1),
+      pagination: { stale: true },
+      recommendation_type: 'trending',
+    }, { limit: 5 });
+    assert.equal(page.recommendation_type, 'trending');
+    assert.equal(page.pagination.stale, undefined);
+  });
+});
+
+describe('readFeedPage', () => {
+  it('pages through the snapshot without overlap or gaps', () => {
+    const feedKey = getFeedKey('for_you', { userId: '1' });
+    const first = createFeedPage(feedKey, { success: true, data: items(5) }, { limit: 2 });
+    const second = readFeedPage(first.pagination.nextCursor, feedKey, 2);
+    const third = readFeedPage(second.pagination.nextCursor, feedKey, 2);
+
+    assert.deepEqual([ids(first.data), ids(second.data), ids(third.data)], [['1', '2'], ['3', '4'], ['5']]);
+    assert.equal(third.pagination.hasMore, false);
+    assert.equal(third.pagination.nextCursor, null);
+  });
+
+  it('rejects a cursor replayed against another feed or user', () => {
+    const first = createFeedPage(getFeedKey('for_you', { userId: '1' }), { success: true, data: items(4) }, { limit: 2 });
+    const page = readFeedPage(first.pagination.nextCursor, getFeedKey('for_you', { userId: '2' }), 2);
+    assert.equal(page.success, false);
+    assert.equal(page.code, INVALID_CURSOR);
+  });
+
+  it('rejects malformed and expired cursors', (t) => {
+    const feedKey = getFeedKey('popular');
+    assert.equal(readFeedPage('not-a-cursor', feedKey, 2).code, INVALID_CURSOR);
+
+    const first = createFeedPage(feedKey, { success: true, data: items(4) }, { limit: 2 });
+    const expiresAt = Date.now() + config.feeds.snapshotTtlMinutes * 60 * 1000;
+    t.mock.method(Date, 'now', () => expiresAt + 1);
+    assert.equal(readFeedPage(first.pagination.nextCursor, feedKey, 2).code, INVALID_CURSOR);
+  });
+});
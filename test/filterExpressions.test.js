@@ -0,0 +1,111 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  toShapedDate,
+  parseShapedDate,
+  and,
+  buildElectionFilter,
+  matchesElectionFilter,
+  buildItemsQuery,
+} from '../src/services/shaped/filterExpressions.js';
+
+const now = new Date('2026-03-10T12:00:00Z');
+
+const item = (overrides = {}) => ({
+  item_id: '7',
+  status: 'active',
+  start_date: '2026-03-01T00:00:00',
+  end_date: '2026-03-20T00:00:00',
+  category_id: 3,
+  creator_id: '11',
+  lottery_enabled: 'false',
+  lottery_prize_pool: 0,
+  is_free: true,
+  participation_fee: 0,
+  permission_type: 'public',
+  biometric_required: false,
+  ...overrides,
+});
+
+describe('dates', () => {
+  it('formats and parses Shaped dates as UTC without a zone suffix', () => {
+    assert.equal(toShapedDate(now), '2026-03-10T12:00:00');
+    assert.equal(parseShapedDate('2026-03-10T12:00:00').toISOString(), '2026-03-10T12:00:00.000Z');
+    assert.equal(parseShapedDate('2026-03-10').toISOString(), '2026-03-10T00:00:00.000Z');
+    assert.equal(parseShapedDate('not a date'), null);
+  });
+});
+
+describe('and', () => {
+  it('skips empty clauses and parenthesises the rest', () => {
+    assert.equal(and(null, ''), null);
+    assert.equal(and('a = 1', null), 'a = 1');
+    assert.equal(and('a = 1', 'b = 2'), '(a = 1) AND (b = 2)');
+  });
+});
+
+describe('buildElectionFilter', () => {
+  it('filters to active elections with date bounds widened by the slack', () => {
+    assert.equal(
+      buildElectionFilter({ now }),
+      "(status IN ('published', 'active')) AND (end_date > '2026-03-08T12:00:00') AND (start_date <= '2026-03-12T12:00:00')",
+    );
+  });
+
+  it('returns null with nothing to filter', () => {
+    assert.equal(buildElectionFilter({ activeOnly: false }), null);
+  });
+
+  it('escapes quotes and rejects non-finite numbers', () => {
+    assert.equal(
+      buildElectionFilter({ activeOnly: false, excludePermissionTypes: ["it's"] }),
+      "permission_type NOT IN ('it''s')",
+    );
+    assert.throws(() => buildElectionFilter({ activeOnly: false, maxFee: 'abc' }), /Invalid numeric filter value/);
+  });
+
+  it('renders exclusions and eligibility options', () => {
+    const filter = buildElectionFilter({
+      activeOnly: false,
+      categoryId: '3',
+      excludeBiometric: true,
+      excludeItemIds: [1, 2],
+      excludeCreatorIds: [9],
+    });
+    assert.equal(filter, "(category_id = 3) AND (biometric_required = false) AND (item_id NOT IN ('1', '2')) AND (creator_id NOT IN ('9'))");
+  });
+});
+
+describe('matchesElectionFilter', () => {
+  it('agrees with the active and slack rules', () => {
+    assert.ok(matchesElectionFilter(item(), { now }));
+    assert.ok(!matchesElectionFilter(item({ status: 'draft' }), { now }));
+    // Within the slack either side still matches; callers check the exact times
+    assert.ok(matchesElectionFilter(item({ end_date: '2026-03-09T00:00:00' }), { now }));
+    assert.ok(!matchesElectionFilter(item({ end_date: '2026-03-08T00:00:00' }), { now }));
+    assert.ok(matchesElectionFilter(item({ start_date: '2026-03-12T00:00:00' }), { now }));
+    assert.ok(!matchesElectionFilter(item({ start_date: '2026-03-13T00:00:00' }), { now }));
+    assert.ok(matchesElectionFilter(item({ start_date: '2026-03-13T00:00:00' }), { now, includeUpcoming: true }));
+  });
+
+  it('applies exclusions whatever the ID type', () => {
+    assert.ok(!matchesElectionFilter(item(), { now, excludeItemIds: [7] }));
+    assert.ok(!matchesElectionFilter(item(), { now, excludeCategoryIds: ['3'] }));
+    assert.ok(!matchesElectionFilter(item(), { now, excludeCreatorIds: [11] }));
+    assert.ok(matchesElectionFilter(item(), { now, excludeCreatorIds: [12] }));
+  });
+
+  it('reads string booleans and numbers from metadata', () => {
+    assert.ok(!matchesElectionFilter(item(), { now, lotteryOnly: true }));
+    assert.ok(matchesElectionFilter(item({ lottery_enabled: 'true', lottery_prize_pool: '50' }), { now, lotteryOnly: true, minPrize: 20 }));
+    assert.ok(!matchesElectionFilter(item({ participation_fee: '5' }), { now, maxFee: 2 }));
+    assert.ok(!matchesElectionFilter(item({ biometric_required: 'true' }), { now, excludeBiometric: true }));
+  });
+});
+
+describe('buildItemsQuery', () => {
+  it('adds the predicate as a WHERE clause', () => {
+    assert.equal(buildItemsQuery({ where: "status = 'active'", limit: '20' }), "SELECT * FROM items WHERE status = 'active' LIMIT 20");
+    assert.equal(buildItemsQuery({ limit: 5 }), 'SELECT * FROM items LIMIT 5');
+  });
+});
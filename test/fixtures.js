@@ -0,0 +1,36 @@
+/**
+ * Fixtures shared by the test files: a recording db.query mock and date helpers
+ */
+
+import db from '../src/utils/database.js';
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const daysFromNow = (offsetDays) => new Date(Date.now() + offsetDays * DAY_MS);
+
+export const ids = (list) => list.map(item => item.id);
+
+/**
+ * Mock db.query for one test. Schema DDL succeeds without being recorded;
+ * every other query is recorded and answered by respond, which gets the
+ * query's index among the recorded ones and defaults to no rows.
+ * @param {Object} t - Test context
+ * @param {Function} respond - (sql, params, index) => result, may throw
+ * @returns {Array<{sql: string, params: Array}>} The recorded queries
+ */
+export const mockQueries = (t, respond = () => ({ rows: [], rowCount: 0 })) => {
+  const queries = [];
+  t.mock.method(db, 'query', async (sql, params) => {
+    if (sql.trimStart().startsWith('CREATE ')) return { rows: [] };
+    queries.push({ sql, params });
+    return respond(sql, params, queries.length - 1);
+  });
+  return queries;
+};
+
+/**
+ * A respond function for mockQueries answering the recorded queries in turn,
+ * with no rows once the list runs out
+ * @param {Array<Array>} results - Rows for each query
+ */
+export const inTurn = (results) => (sql, params, index) => ({ rows: results[index] || [] });
@@ -0,0 +1,120 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EVENT_TYPES } from '../src/services/shaped/eventTypes.js';
+import {
+  recordImpressionEvents,
+  flushImpressions,
+  applyImpressionFatigue,
+} from '../src/services/shaped/impressionFatigue.js';
+import { ids, mockQueries } from './fixtures.js';
+
+const isCounterLookup = (sql) => sql.includes('SELECT election_id');
+
+/**
+ * Mock db.query: counter lookups return counters, other queries no rows
+ * @returns {Function} The counter writes made so far
+ */
+const mockCounters = (t, counters = []) => {
+  const queries = mockQueries(t, sql => ({ rows: isCounterLookup(sql) ? counters : [], rowCount: 0 }));
+  return () => queries.filter(query => !isCounterLookup(query.sql));
+};
+
+const impression = (userId, itemId, surface) => ({
+  user_id: userId,
+  item_id: itemId,
+  event_type: EVENT_TYPES.FEED_IMPRESSION,
+  metadata: surface === undefined ? undefined : JSON.stringify({ surface }),
+});
+
+const elections = (...electionIds) => electionIds.map(id => ({ id }));
+
+describe('recordImpressionEvents', () => {
+  it('counts impressions per user, election and surface, then clears engaged elections', async (t) => {
+    const writes = mockCounters(t);
+
+    recordImpressionEvents([
+      impression('5', '10', 'home'),
+      impression('5', '10', 'home'),
+      impression('5', '10', 'no_such_feed'),
+      { ...impression('5', '11'), metadata: '{broken' },
+      impression('anon-1', '10', 'home'),
+      impression('5', 'draft-10', 'home'),
+      { user_id: '5', item_id: '12', event_type: EVENT_TYPES.ELECTION_HIDDEN },
+      { user_id: '5', item_id: '10', event_type: EVENT_TYPES.ELECTION_SHARED },
+    ]);
+    await flushImpressions();
+
+    const [insert, clear] = writes();
+    assert.match(insert.sql, /INSERT INTO recommendation_impressions/);
+    assert.match(insert.sql, /e\.id = i\.election_id::bigint/);
+    assert.deepEqual(insert.params.slice(0, 4), [
+      ['5', '5', '5'],
+      ['10', '10', '11'],
+      ['home', 'other', 'other'],
+      [2, 1, 1],
+    ]);
+    assert.match(clear.sql, /DELETE FROM recommendation_impressions r/);
+    assert.deepEqual(clear.params, [['5'], ['10']]);
+  });
+
+  it('writes nothing when the buffer is empty', async (t) => {
+    const writes = mockCounters(t);
+    await flushImpressions();
+    assert.equal(writes().length, 0);
+  });
+});
+
+describe('applyImpressionFatigue', () => {
+  it('demotes elections past demoteAfter and drops them at dropAfter', async (t) => {
+    mockCounters(t, [
+      { election_id: '1', impressions: '4' },
+      { election_id: '2', impressions: '10' },
+    ]);
+
+    const result = await applyImpressionFatigue(elections('1', '2', '3', '4', '5', '6', '7', '8'), '5', 'home');
+
+    // 4 impressions on home (demoteAfter 3) moves the election 2 * 3 places down,
+    // ahead of the election already there
+    assert.deepEqual(ids(result.elections), ['3', '4', '5', '6', '1', '7', '8']);
+    assert.deepEqual(result.elections[4]._fatigue_factors, { impressions: 4, demoted_by: 6 });
+    assert.deepEqual(result.fatigue, { surface: 'home', demoted: 1, dropped: 1, reset: 0 });
+  });
+
+  it('never drops on surfaces without dropAfter', async (t) => {
+    mockCounters(t, [{ election_id: '1', impressions: '50' }]);
+
+    const result = await applyImpressionFatigue(elections('1', '2'), '5', 'ending_soon');
+
+    assert.deepEqual(ids(result.elections), ['2', '1']);
+    assert.equal(result.fatigue.dropped, 0);
+  });
+
+  it('keeps and resets elections whose prize pool or closing date grew', async (t) => {
+    const writes = mockCounters(t, [
+      { election_id: '1', impressions: '10', prize_pool: '100', end_date: null },
+      { election_id: '2', impressions: '10', prize_pool: null, end_date: '2026-03-01T00:00:00Z' },
+      { election_id: '3', impressions: '10', prize_pool: '100', end_date: null },
+    ]);
+
+    const result = await applyImpressionFatigue([
+      { id: '1', lottery_prize_pool: 120 },
+      { id: '2', end_date: '2026-03-02T00:00:00' },
+      { id: '3', lottery_prize_pool: 110 },
+    ], '5', 'home');
+
+    assert.deepEqual(ids(result.elections), ['1', '2']);
+    assert.deepEqual(result.fatigue, { surface: 'home', demoted: 0, dropped: 1, reset: 2 });
+    assert.deepEqual(writes()[0].params, [['5', '5'], ['1', '2']]);
+  });
+
+  it('leaves the feed alone for anonymous users, unknown surfaces and lookup failures', async (t) => {
+    const list = elections('1', '2');
+    assert.deepEqual(await applyImpressionFatigue(list, null, 'home'), { elections: list, fatigue: null });
+    assert.deepEqual(await applyImpressionFatigue(list, '5', 'search'), { elections: list, fatigue: null });
+
+    mockQueries(t, () => {
+      throw new Error('connection refused');
+    });
+    assert.deepEqual(await applyImpressionFatigue(list, '5', 'home'), { elections: list, fatigue: null });
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { toShapedDate } from '../src/services/shaped/filterExpressions.js';
+import {
+  replaceCatalog,
+  upsertCatalogItems,
+  queryCatalog,
+  getCatalogItem,
+  getCatalogStatus,
+} from '../src/services/shaped/itemCatalog.js';
+import { daysFromNow, ids } from './fixtures.js';
+
+const shapedDay = (offsetDays) => toShapedDate(daysFromNow(offsetDays));
+
+const item = (id, overrides = {}) => ({
+  id,
+  metadata: {
+    item_id: id,
+    status: 'active',
+    start_date: shapedDay(-5),
+    end_date: shapedDay(10),
+    created_at: shapedDay(-Number(id)),
+    category_id: 1,
+    lottery_enabled: false,
+    ...overrides,
+  },
+});
+
+// The catalog is module state, so these run in order: unloaded first
+describe('item catalog', () => {
+  it('answers null until the first load and ignores updates before it', () => {
+    upsertCatalogItems([item('1')]);
+
+    assert.equal(queryCatalog(), null);
+    assert.equal(getCatalogItem('1'), null);
+    assert.deepEqual(
+      [getCatalogStatus().loaded, getCatalogStatus().size, getCatalogStatus().stale],
+      [false, 0, true],
+    );
+  });
+
+  it('keeps only open and upcoming elections on load', () => {
+    replaceCatalog([
+      item('1'),
+      item('2', { status: 'draft' }),
+      item('3', { end_date: shapedDay(-5) }),
+      item('4', { status: 'published', start_date: shapedDay(3) }),
+    ]);
+
+    const status = getCatalogStatus();
+    assert.deepEqual([status.loaded, status.size, status.stale], [true, 2, false]);
+    assert.equal(getCatalogItem(4).id, '4');
+    // Upcoming elections only match when asked for
+    assert.deepEqual(ids(queryCatalog()), ['1']);
+    assert.deepEqual(ids(queryCatalog({ includeUpcoming: true })), ['1', '4']);
+  });
+
+  it('narrows by category, lottery flag and end date, newest first', () => {
+    replaceCatalog([
+      item('1', { category_id: 2, end_date: shapedDay(20) }),
+      item('2', { category_id: '2', lottery_enabled: 'true' }),
+      item('3', { lottery_enabled: true, end_date: shapedDay(1) }),
+      item('4', { end_date: shapedDay(4) }),
+    ]);
+
+    assert.deepEqual(ids(queryCatalog({ categoryId: '2' })), ['1', '2']);
+    assert.deepEqual(ids(queryCatalog({ lotteryOnly: true })), ['2', '3']);
+    assert.deepEqual(ids(queryCatalog({ endsBefore: daysFromNow(5) })), ['3', '4']);
+    assert.deepEqual(ids(queryCatalog({}, { limit: 2 })), ['1', '2']);
+    assert.deepEqual(ids(queryCatalog({ excludeItemIds: [1, 3] })), ['2', '4']);
+  });
+
+  it('moves, adds and removes items as their elections are synced', () => {
+    replaceCatalog([item('1'), item('2', { lottery_enabled: true })]);
+
+    upsertCatalogItems([
+      item('1', { category_id: 5 }),
+      item('2', { status: 'completed' }),
+      item('3', { end_date: shapedDay(2) }),
+    ]);
+
+    assert.deepEqual(ids(queryCatalog({ categoryId: 1 })), ['3']);
+    assert.deepEqual(ids(queryCatalog({ categoryId: 5 })), ['1']);
+    assert.deepEqual(queryCatalog({ lotteryOnly: true }), []);
+    assert.equal(getCatalogItem('2'), null);
+    assert.deepEqual(ids(queryCatalog({ endsBefore: daysFromNow(3) })), ['3']);
+    assert.equal(getCatalogStatus().categories, 2);
+  });
+});
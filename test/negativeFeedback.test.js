@@ -0,0 +1,192 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import shapedClient from '../src/services/shaped/shapedClient.js';
+import { EVENT_TYPES } from '../src/services/shaped/eventTypes.js';
+import { trackEvent } from '../src/services/shaped/eventTracker.js';
+import { getBatchRecommendations } from '../src/services/shaped/recommendations.js';
+import {
+  FEEDBACK_TYPES,
+  EMPTY_FEEDBACK,
+  recordFeedbackEvents,
+  normalizeMute,
+  getNegativeFeedback,
+  listFeedback,
+  withFeedbackFilters,
+  filterNegativeFeedback,
+} from '../src/services/shaped/negativeFeedback.js';
+import { DAY_MS, daysFromNow, ids, mockQueries } from './fixtures.js';
+
+const feedback = ({ elections = [], categoryIds = [], creatorIds = [] } = {}) => ({
+  elections: new Map(elections),
+  categoryIds: new Set(categoryIds),
+  creatorIds: new Set(creatorIds),
+});
+
+describe('normalizeMute', () => {
+  it('defaults the expiry to the type\'s mute length', (t) => {
+    t.mock.method(Date, 'now', () => 0);
+    const { mute, error } = normalizeMute({ type: 'creator', targetId: 42 });
+
+    assert.equal(error, null);
+    assert.deepEqual(mute, { type: 'creator', targetId: '42', expiresAt: new Date(90 * DAY_MS) });
+  });
+
+  it('rejects unknown types, non-numeric targets and out-of-range expiries', () => {
+    assert.match(normalizeMute({ type: 'hidden', targetId: 1 }).error, /type must be one of: category, creator/);
+    assert.match(normalizeMute({ type: 'category', targetId: 'abc' }).error, /targetId/);
+    assert.match(normalizeMute({ type: 'category', targetId: 1, expiresInDays: 0 }).error, /between 1 and 365/);
+    assert.match(normalizeMute({ type: 'category', targetId: 1, expiresInDays: 1.5 }).error, /between 1 and 365/);
+    assert.equal(normalizeMute({ type: 'category', targetId: 1, expiresInDays: 365 }).error, null);
+  });
+});
+
+describe('recordFeedbackEvents', () => {
+  it('records hides and reports of elections from signed-in users only', async (t) => {
+    const queries = mockQueries(t, (sql, params) => ({ rows: [{ id: 1, feedback_type: params[1], target_id: params[2] }] }));
+
+    await recordFeedbackEvents([
+      { user_id: '5', item_id: '10', event_type: EVENT_TYPES.ELECTION_HIDDEN },
+      { user_id: '5', item_id: '11', event_type: EVENT_TYPES.ELECTION_REPORTED, metadata: JSON.stringify({ reason: 'x'.repeat(600) }) },
+      { user_id: 'anon-1', item_id: '12', event_type: EVENT_TYPES.ELECTION_HIDDEN },
+      { user_id: '5', item_id: 'draft-12', event_type: EVENT_TYPES.ELECTION_HIDDEN },
+      { user_id: '5', item_id: '13', event_type: EVENT_TYPES.VIEW_ELECTION },
+    ]);
+
+    assert.deepEqual(queries.map(query => query.params.slice(0, 3)), [['5', 'hidden', '10'], ['5', 'reported', '11']]);
+    assert.equal(queries[0].params[3], null);
+    assert.equal(queries[1].params[3].length, 500);
+  });
+
+  it('keeps going when metadata is malformed or a write fails', async (t) => {
+    const queries = mockQueries(t, (sql, params) => {
+      if (params[2] === '10') throw new Error('connection refused');
+      return { rows: [{ id: 2, feedback_type: params[1], target_id: params[2] }] };
+    });
+
+    await recordFeedbackEvents([
+      { user_id: '5', item_id: '10', event_type: EVENT_TYPES.ELECTION_HIDDEN },
+      { user_id: '5', item_id: '11', event_type: EVENT_TYPES.ELECTION_REPORTED, metadata: '{broken' },
+    ]);
+
+    assert.equal(queries.length, 2);
+    assert.equal(queries[1].params[3], null);
+  });
+});
+
+describe('getNegativeFeedback', () => {
+  it('groups feedback by type, a report outranking a hide', async (t) => {
+    mockQueries(t, () => ({
+      rows: [
+        { feedback_type: FEEDBACK_TYPES.REPORTED, target_id: '10' },
+        { feedback_type: FEEDBACK_TYPES.HIDDEN, target_id: '10' },
+        { feedback_type: FEEDBACK_TYPES.HIDDEN, target_id: '11' },
+        { feedback_type: FEEDBACK_TYPES.CATEGORY, target_id: '3' },
+        { feedback_type: FEEDBACK_TYPES.CREATOR, target_id: '9' },
+      ],
+    }));
+
+    assert.deepEqual(await getNegativeFeedback('5'), feedback({
+      elections: [['10', 'reported'], ['11', 'hidden']],
+      categoryIds: ['3'],
+      creatorIds: ['9'],
+    }));
+  });
+
+  it('skips the lookup for anonymous users and leaves feeds unfiltered on failure', async (t) => {
+    const queries = mockQueries(t, () => {
+      throw new Error('connection refused');
+    });
+
+    assert.equal(await getNegativeFeedback('anon-1'), EMPTY_FEEDBACK);
+    assert.equal(queries.length, 0);
+    assert.equal(await getNegativeFeedback('5'), EMPTY_FEEDBACK);
+  });
+});
+
+describe('listFeedback', () => {
+  it('joins hidden and reported elections to their titles by bigint ID', async (t) => {
+    const queries = mockQueries(t, () => ({
+      rows: [
+        { id: 2, feedback_type: FEEDBACK_TYPES.HIDDEN, target_id: '10', election_title: 'City budget vote' },
+        { id: 1, feedback_type: FEEDBACK_TYPES.CATEGORY, target_id: '3', election_title: null, expires_at: '2026-01-01' },
+      ],
+    }));
+
+    const list = await listFeedback(5);
+
+    assert.match(queries[0].sql, /e\.id = f\.target_id::bigint/);
+    assert.deepEqual(queries[0].params, ['5', [FEEDBACK_TYPES.HIDDEN, FEEDBACK_TYPES.REPORTED]]);
+    assert.deepEqual(list.map(item => [item.id, item.type, item.election_title]), [
+      ['2', 'hidden', 'City budget vote'],
+      ['1', 'category', undefined],
+    ]);
+  });
+});
+
+describe('withFeedbackFilters', () => {
+  it('adds exclusions after the caller\'s own, capping election IDs', () => {
+    const elections = Array.from({ length: 250 }, (_, index) => [String(index), 'hidden']);
+    const options = withFeedbackFilters(
+      { activeOnly: true, excludeItemIds: ['voted'] },
+      feedback({ elections, categoryIds: ['3'], creatorIds: ['9'] }),
+    );
+
+    assert.equal(options.activeOnly, true);
+    assert.equal(options.excludeItemIds.length, 201);
+    assert.equal(options.excludeItemIds[0], 'voted');
+    assert.deepEqual(options.excludeCategoryIds, ['3']);
+    assert.deepEqual(options.excludeCreatorIds, ['9']);
+  });
+
+  it('returns the options untouched without feedback', () => {
+    const options = { activeOnly: true };
+    assert.equal(withFeedbackFilters(options, EMPTY_FEEDBACK), options);
+  });
+});
+
+describe('filterNegativeFeedback', () => {
+  it('removes items and rows, counting each removal by reason', () => {
+    const { elections, removed } = filterNegativeFeedback([
+      { id: 10 },
+      { election_id: '11' },
+      { id: 12, category_id: 3 },
+      { id: 13, creator_id: 9 },
+      { id: 14, category_id: 4, creator_id: 8 },
+    ], feedback({ elections: [['10', 'reported'], ['11', 'hidden']], categoryIds: ['3'], creatorIds: ['9'] }));
+
+    assert.deepEqual(elections.map(election => election.id), [14]);
+    assert.deepEqual(removed, {
+      total: 4,
+      reasons: { reported: 1, hidden: 1, muted_category: 1, muted_creator: 1 },
+    });
+  });
+});
+
+describe('hiding an election', () => {
+  it('leaves it out of a feed requested straight after the hide is tracked', async (t) => {
+    t.mock.method(shapedClient.client, 'post', async () => {
+      throw new Error('engine offline');
+    });
+    const open = { status: 'active', start_date: daysFromNow(-2).toISOString(), end_date: daysFromNow(5).toISOString() };
+    const stored = [];
+    mockQueries(t, async (sql, params) => {
+      if (sql.includes('INSERT INTO recommendation_negative_feedback')) {
+        // A slow write: the feed below only sees it if the hide waited for it
+        await new Promise(resolve => setTimeout(resolve, 20));
+        stored.push({ feedback_type: params[1], target_id: params[2] });
+        return { rows: [{ id: stored.length, ...stored.at(-1) }] };
+      }
+      if (sql.includes('FROM recommendation_negative_feedback')) return { rows: stored };
+      if (sql.includes('vote_stats')) return { rows: [{ user_id: 5, country: 'US', gender: 'female', age: 30 }] };
+      if (sql.includes('cohort_votes')) {
+        return { rows: ['21', '22'].map(id => ({ id, ...open, cohort_voters: '3', cohort_size: '12' })) };
+      }
+      return { rows: [] };
+    });
+
+    await trackEvent({ userId: '5', electionId: '21', eventType: EVENT_TYPES.ELECTION_HIDDEN });
+    const feed = await getBatchRecommendations('personalized', '5', { limit: 5 });
+
+    assert.deepEqual(ids(feed.data), ['22']);
+  });
+});
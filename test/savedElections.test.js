@@ -0,0 +1,86 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import config from '../src/config/index.js';
+import shapedClient from '../src/services/shaped/shapedClient.js';
+import { getRecentlyOpenedSavedElections } from '../src/services/shaped/savedElections.js';
+import { getBatchRecommendations } from '../src/services/shaped/recommendations.js';
+import { DAY_MS, daysFromNow, ids, mockQueries } from './fixtures.js';
+
+const HOUR_MS = DAY_MS / 24;
+
+const openedHoursAgo = (id, hours) => ({
+  id,
+  title: `Election ${id}`,
+  status: 'active',
+  start_date: new Date(Date.now() - hours * HOUR_MS).toISOString(),
+  end_date: daysFromNow(5).toISOString(),
+  saved_at: daysFromNow(-7).toISOString(),
+});
+
+const isSavedLookup = (sql) => sql.includes('ON e.id = s.election_id::bigint');
+
+describe('getRecentlyOpenedSavedElections', () => {
+  it('keeps saved elections that opened within the pin window, most recent first', async (t) => {
+    const { pinHours } = config.upcoming;
+    const upcoming = { ...openedHoursAgo('4', 0), start_date: daysFromNow(1).toISOString() };
+    const queries = mockQueries(t, () => ({
+      rows: [openedHoursAgo('1', pinHours - 1), openedHoursAgo('2', 2), openedHoursAgo('3', pinHours + 1), upcoming],
+    }));
+
+    const opened = await getRecentlyOpenedSavedElections(5);
+
+    assert.deepEqual(ids(opened), ['2', '1']);
+    assert.ok(isSavedLookup(queries[0].sql));
+    assert.deepEqual(queries[0].params.slice(0, 3), ['5', ['published', 'active'], pinHours]);
+  });
+
+  it('asks nothing for users without a numeric ID', async (t) => {
+    const queries = mockQueries(t);
+
+    assert.deepEqual(await getRecentlyOpenedSavedElections('anon-1'), []);
+    assert.equal(queries.length, 0);
+  });
+});
+
+describe('pinned saved elections', () => {
+  const open = { status: 'active', start_date: daysFromNow(-2).toISOString(), end_date: daysFromNow(5).toISOString() };
+
+  /**
+   * Mock a cold-start personalized feed of elections 21 and 22 for user 5,
+   * who saved election 30, opened two hours ago, and voted in votedIds
+   */
+  const mockFeed = (t, votedIds = []) => {
+    t.mock.method(shapedClient.client, 'post', async () => {
+      throw new Error('engine offline');
+    });
+    mockQueries(t, (sql) => {
+      if (sql.includes('vote_stats')) return { rows: [{ user_id: 5, country: 'US', gender: 'female', age: 30 }] };
+      if (sql.includes('cohort_votes')) {
+        return { rows: ['21', '22'].map((id, index) => ({ id, ...open, cohort_voters: String(2 - index), cohort_size: '12' })) };
+      }
+      if (isSavedLookup(sql)) return { rows: [openedHoursAgo('30', 2)] };
+      if (sql.includes('FROM votteryy_votes')) return { rows: votedIds.map(id => ({ election_id: id })) };
+      return { rows: [] };
+    });
+  };
+
+  it('pins an opened saved election with the feed\'s position and reason metadata', async (t) => {
+    mockFeed(t);
+
+    const feed = await getBatchRecommendations('personalized', '5', { limit: 5 });
+
+    assert.deepEqual(ids(feed.data), ['30', '21', '22']);
+    assert.equal(feed.saved_opened, 1);
+    assert.deepEqual(feed.data.map(election => [election.original_rank, election.reranked_position]), [[null, 1], [1, 2], [2, 3]]);
+    assert.equal(feed.data[0].reasons[0].type, 'saved');
+  });
+
+  it('unpins a saved election once the user has voted in it', async (t) => {
+    mockFeed(t, ['30']);
+
+    const feed = await getBatchRecommendations('personalized', '5', { limit: 5 });
+
+    assert.ok(!ids(feed.data).includes('30'));
+    assert.equal(feed.saved_opened, undefined);
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { saveScoringProfile } from '../src/services/shaped/scoringProfiles.js';
+import { mockQueries } from './fixtures.js';
+
+const uniqueViolation = () => Object.assign(new Error('duplicate key value'), { code: '23505' });
+
+const savedRow = { feed: 'trending', name: 'fast', version: 3, description: null, definition: {}, created_by: null };
+
+describe('saveScoringProfile', () => {
+  it('retries the insert when a concurrent save took the version', async (t) => {
+    let inserts = 0;
+    mockQueries(t, (sql) => {
+      if (!sql.includes('INSERT INTO recommendation_scoring_profiles')) return { rows: [] };
+      inserts++;
+      if (inserts === 1) throw uniqueViolation();
+      return { rows: [savedRow] };
+    });
+
+    const profile = await saveScoringProfile('trending', 'fast', { definition: {} });
+    assert.equal(inserts, 2);
+    assert.equal(profile.version, 3);
+  });
+
+  it('gives up with the unique violation after repeated conflicts', async (t) => {
+    let inserts = 0;
+    mockQueries(t, (sql) => {
+      if (!sql.includes('INSERT INTO recommendation_scoring_profiles')) return { rows: [] };
+      inserts++;
+      throw uniqueViolation();
+    });
+
+    await assert.rejects(saveScoringProfile('trending', 'fast', { definition: {} }), { code: '23505' });
+    assert.equal(inserts, 3);
+  });
+
+  it('does not retry other errors', async (t) => {
+    let inserts = 0;
+    mockQueries(t, (sql) => {
+      if (!sql.includes('INSERT INTO recommendation_scoring_profiles')) return { rows: [] };
+      inserts++;
+      throw new Error('connection refused');
+    });
+
+    await assert.rejects(saveScoringProfile('trending', 'fast', { definition: {} }), /connection refused/);
+    assert.equal(inserts, 1);
+  });
+});
@@ -0,0 +1,130 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  clampWindowDays,
+  getGeographyLadder,
+  getTrendingVelocities,
+  emptyVelocity,
+  clearTrendingVelocityCache,
+} from '../src/services/shaped/trendingVelocity.js';
+import { inTurn, mockQueries } from './fixtures.js';
+
+// Hours of interactions a one-day window's decayed weight stands for at a 24h half-life
+const ONE_DAY_EFFECTIVE_HOURS = (24 / Math.LN2) * 0.5;
+
+const countRow = (electionId, kind, { recent = 0, baseline = 0, decayed = 0, baselineHours = 0 } = {}) => ({
+  election_id: electionId,
+  kind,
+  recent_count: String(recent),
+  baseline_count: String(baseline),
+  decayed: String(decayed),
+  baseline_hours: String(baselineHours),
+});
+
+beforeEach(() => clearTrendingVelocityCache());
+
+describe('clampWindowDays', () => {
+  it('keeps windows between 1 day and maxWindowDays, 7 when unreadable', () => {
+    assert.equal(clampWindowDays('3'), 3);
+    assert.equal(clampWindowDays(0), 7);
+    assert.equal(clampWindowDays(-4), 1);
+    assert.equal(clampWindowDays(365), 30);
+    assert.equal(clampWindowDays('soon'), 7);
+  });
+});
+
+describe('getGeographyLadder', () => {
+  it('runs from the country through its region to global', () => {
+    assert.deepEqual(getGeographyLadder({ country: 'us' }), [
+      { level: 'country', country: 'US' },
+      { level: 'region', region: 1 },
+      { level: 'global' },
+    ]);
+    assert.deepEqual(getGeographyLadder({ region: '3' }), [{ level: 'region', region: 3 }, { level: 'global' }]);
+    assert.deepEqual(getGeographyLadder(), [{ level: 'global' }]);
+  });
+});
+
+describe('getTrendingVelocities', () => {
+  it('scores each election\'s decayed rate against its own baseline', async (t) => {
+    mockQueries(t, inTurn([[
+      // Steady: as many weighted votes per hour now as over its baseline
+      countRow('1', 'vote', { recent: 30, baseline: 100, decayed: ONE_DAY_EFFECTIVE_HOURS, baselineHours: 100 }),
+      // New: no baseline yet, so the lift is capped
+      countRow('2', 'vote', { recent: 24, decayed: ONE_DAY_EFFECTIVE_HOURS }),
+      countRow('2', 'view', { recent: 48, decayed: 2 * ONE_DAY_EFFECTIVE_HOURS }),
+    ]]));
+
+    const { velocities, geography } = await getTrendingVelocities(1);
+    const steady = velocities.get('1');
+    const fresh = velocities.get('2');
+
+    assert.deepEqual(geography, { level: 'global', recent_interactions: 102, fallback: false });
+    assert.deepEqual([steady.decayed_rate, steady.baseline_rate, steady.lift, steady.score], [1, 1, 1, 1]);
+    assert.deepEqual(steady.votes, { recent: 30, per_hour: 1.25, baseline_per_hour: 1 });
+    assert.deepEqual(steady.shares, { recent: 0, per_hour: 0, baseline_per_hour: 0 });
+    // A vote and two views weighted 0.2 each per effective hour
+    assert.equal(fresh.decayed_rate, 1.4);
+    assert.equal(fresh.lift, 10);
+    assert.equal(fresh.score, 14);
+    assert.equal(fresh.views.baseline_per_hour, null);
+  });
+
+  it('widens to the region and then global while a geography is too quiet', async (t) => {
+    const queries = mockQueries(t, inTurn([
+      [countRow('1', 'vote', { recent: 5 })],
+      [countRow('1', 'vote', { recent: 10 })],
+      [countRow('1', 'vote', { recent: 200 })],
+    ]));
+
+    const { geography } = await getTrendingVelocities(7, { country: 'US' });
+
+    assert.match(queries[0].sql, /p\.country = \$\d+/);
+    assert.ok(queries[0].params.includes('US'));
+    assert.match(queries[1].sql, /p\.region = \$\d+::int/);
+    assert.doesNotMatch(queries[2].sql, /JOIN people/);
+    assert.match(queries[2].sql, /votteryyy_anonymous_votes/);
+    assert.deepEqual(geography, {
+      level: 'global',
+      recent_interactions: 200,
+      fallback: true,
+      skipped: [
+        { level: 'country', country: 'US', recent_interactions: 5 },
+        { level: 'region', region: 1, recent_interactions: 10 },
+      ],
+    });
+  });
+
+  it('serves repeat requests from the cache, sharing a computation in flight', async (t) => {
+    const queries = mockQueries(t, inTurn([[countRow('1', 'vote', { recent: 3 })]]));
+
+    const [first, second] = await Promise.all([getTrendingVelocities(7), getTrendingVelocities('7')]);
+    const third = await getTrendingVelocities(7);
+
+    assert.equal(queries.length, 1);
+    assert.equal(second.velocities, first.velocities);
+    assert.equal(third.computedAt, first.computedAt);
+  });
+
+  it('does not cache a failed computation', async (t) => {
+    let fail = true;
+    mockQueries(t, () => {
+      if (fail) throw new Error('connection refused');
+      return { rows: [] };
+    });
+
+    await assert.rejects(getTrendingVelocities(7), /connection refused/);
+    fail = false;
+    assert.equal((await getTrendingVelocities(7)).velocities.size, 0);
+  });
+});
+
+describe('emptyVelocity', () => {
+  it('is neutral over the clamped window', () => {
+    const velocity = emptyVelocity(90);
+    assert.equal(velocity.window_hours, 720);
+    assert.deepEqual(velocity.votes, { recent: 0, per_hour: 0, baseline_per_hour: null });
+    assert.equal(velocity.lift, 1);
+    assert.equal(velocity.score, 0);
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import userController from '../src/controllers/userController.js';
+import { mockQueries } from './fixtures.js';
+
+const mockResponse = () => {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status: (code) => { res.statusCode = code; return res; },
+    json: (body) => { res.body = body; return res; },
+  };
+  return res;
+};
+
+describe('user controller', () => {
+  it('rejects non-numeric user IDs on every route before touching the database', async (t) => {
+    const queries = mockQueries(t);
+
+    for (const [name, handler] of Object.entries(userController)) {
+      const res = mockResponse();
+      await handler({ params: { userId: 'anon-1', electionId: '12', feedbackId: '3' }, body: {} }, res);
+
+      assert.equal(res.statusCode, 400, name);
+      assert.equal(res.body.error, 'userId must be numeric', name);
+    }
+    assert.equal(queries.length, 0);
+  });
+
+  it('returns empty interests for a user who never picked any', async (t) => {
+    mockQueries(t);
+    const res = mockResponse();
+
+    await userController.getInterests({ params: { userId: '5' } }, res);
+
+    assert.deepEqual(res.body, { success: true, data: { userId: '5', categoryIds: [], topics: [] } });
+  });
+
+  it('validates the interests payload before saving', async (t) => {
+    const queries = mockQueries(t);
+    const res = mockResponse();
+
+    await userController.setInterests({ params: { userId: '5' }, body: { categoryIds: [-1] } }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(queries.length, 0);
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeInterests, setUserInterests, scoreInterestMatch } from '../src/services/shaped/userInterests.js';
+import { mockQueries } from './fixtures.js';
+
+describe('normalizeInterests', () => {
+  it('deduplicates picks and lower-cases topics', () => {
+    const { interests, error } = normalizeInterests({ categoryIds: ['2', 5, 2], topics: [' Climate ', 'climate', '', 'Sports'] });
+
+    assert.equal(error, null);
+    assert.deepEqual(interests, { categoryIds: [2, 5], topics: ['climate', 'sports'] });
+  });
+
+  it('rejects malformed payloads', () => {
+    assert.match(normalizeInterests({ categoryIds: 'sports' }).error, /must be arrays/);
+    assert.match(normalizeInterests({ categoryIds: [0] }).error, /positive integers/);
+    assert.match(normalizeInterests({ topics: [7] }).error, /must be strings/);
+    assert.match(normalizeInterests({ topics: ['x'.repeat(51)] }).error, /at most 50 characters/);
+  });
+});
+
+describe('setUserInterests', () => {
+  it('saves before the new picks\' signals are emitted, and only for new picks', async (t) => {
+    let seedsAnswered = 0;
+    const queries = mockQueries(t, async (sql, params) => {
+      if (sql.includes('SELECT * FROM recommendation_user_interests')) {
+        return { rows: [{ user_id: '5', category_ids: [2], topics: ['climate'] }] };
+      }
+      if (sql.includes('INSERT INTO recommendation_user_interests')) {
+        return { rows: [{ user_id: '5', category_ids: params[1], topics: params[2] }] };
+      }
+      await new Promise(resolve => setTimeout(resolve, 10));
+      seedsAnswered += 1;
+      return { rows: [] };
+    });
+
+    const result = await setUserInterests('5', { categoryIds: [2, 4], topics: ['climate', '50%_off'] });
+
+    assert.deepEqual(result.interests.categoryIds, [2, 4]);
+    assert.equal(result.addedInterests, 2);
+    assert.equal(seedsAnswered, 0);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const seeds = queries.filter(query => query.sql.includes('FROM votteryyy_elections'));
+    assert.deepEqual(seeds.map(query => query.params[0]), [[4], '%50\\%\\_off%']);
+  });
+
+  it('emits nothing when the picks are unchanged', async (t) => {
+    const queries = mockQueries(t, (sql, params) => ({
+      rows: [{ user_id: '5', category_ids: params[1] || [2], topics: params[2] || [] }],
+    }));
+
+    const result = await setUserInterests('5', { categoryIds: [2], topics: [] });
+
+    assert.equal(result.addedInterests, 0);
+    assert.equal(queries.length, 2);
+  });
+});
+
+describe('scoreInterestMatch', () => {
+  it('weights the category over each matching topic', () => {
+    const interests = { categoryIds: [3], topics: ['parks', 'tax'] };
+
+    assert.equal(scoreInterestMatch({ category_id: '3', title: 'Parks budget', description: 'No new tax' }, interests), 4);
+    assert.equal(scoreInterestMatch({ category_id: 4, title: 'School board' }, interests), 0);
+    assert.equal(scoreInterestMatch({ category_id: 3 }, null), 0);
+  });
+});
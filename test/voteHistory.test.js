@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import shapedClient from '../src/services/shaped/shapedClient.js';
+import { createBatchLookups, getElectionsByCategory } from '../src/services/shaped/recommendations.js';
+import { daysFromNow, ids, mockQueries } from './fixtures.js';
+
+const isVoteHistory = (sql) => sql.includes('last_voted_at');
+
+const engineItem = (id) => ({
+  id,
+  metadata: {
+    item_id: id,
+    title: `Election ${id}`,
+    category_id: 3,
+    status: 'active',
+    start_date: daysFromNow(-2).toISOString(),
+    end_date: daysFromNow(5).toISOString(),
+  },
+});
+
+/**
+ * Mock the engine returning elections 10 and 11 in category 3, and the
+ * database with user 5 having voted in 10 (a participation record) and 12
+ * @returns {{engineQueries: Array<string>, queries: Array}}
+ */
+const mockCategoryFeed = (t) => {
+  const engineQueries = [];
+  t.mock.method(shapedClient.client, 'post', async (path, body) => {
+    engineQueries.push(body.query);
+    return { data: { results: [engineItem('10'), engineItem('11')] } };
+  });
+  const queries = mockQueries(t, (sql) => ({
+    rows: isVoteHistory(sql) ? [{ election_id: '12' }, { election_id: '10' }] : [],
+  }));
+  return { engineQueries, queries };
+};
+
+describe('already-voted elections', () => {
+  it('are left out of feeds, in the engine query and after it', async (t) => {
+    const { engineQueries, queries } = mockCategoryFeed(t);
+
+    const feed = await getElectionsByCategory('3', { userId: '5', limit: 5 });
+
+    assert.deepEqual(ids(feed.data), ['11']);
+    assert.match(engineQueries[0], /item_id NOT IN \('12', '10'\)/);
+    const history = queries.find(query => isVoteHistory(query.sql));
+    assert.match(history.sql, /FROM votteryyy_voter_participation vp/);
+    assert.deepEqual(history.params, ['5', '5']);
+  });
+
+  it('come back with includeVoted, without reading the vote history', async (t) => {
+    const { engineQueries, queries } = mockCategoryFeed(t);
+
+    const feed = await getElectionsByCategory('3', { userId: '5', limit: 5, includeVoted: true });
+
+    assert.deepEqual(ids(feed.data), ['10', '11']);
+    assert.doesNotMatch(engineQueries[0], /item_id NOT IN/);
+    assert.ok(!queries.some(query => isVoteHistory(query.sql)));
+  });
+
+  it('share the category candidate lookup across a batch\'s users with the same history', async (t) => {
+    const { engineQueries } = mockCategoryFeed(t);
+    const lookups = createBatchLookups();
+
+    await getElectionsByCategory('3', { userId: '5', lookups });
+    await getElectionsByCategory('3', { userId: '6', lookups });
+
+    assert.equal(engineQueries.length, 1);
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../src/utils/database.js';
+import shapedClient from '../src/services/shaped/shapedClient.js';
+import { getDigestRunId, runWeeklyDigest } from '../src/services/shaped/weeklyDigest.js';
+import { mockQueries } from './fixtures.js';
+
+const runId = (day) => getDigestRunId(new Date(`${day}T12:00:00Z`));
+
+describe('getDigestRunId', () => {
+  it('numbers weeks from Monday', () => {
+    assert.equal(runId('2025-06-02'), '2025-W23');
+    assert.equal(runId('2025-06-08'), '2025-W23');
+    assert.equal(runId('2025-06-09'), '2025-W24');
+  });
+
+  it('gives early January days to the previous year when its Thursday falls there', () => {
+    assert.equal(runId('2021-01-03'), '2020-W53');
+    assert.equal(runId('2021-01-04'), '2021-W01');
+    assert.equal(runId('2027-01-01'), '2026-W53');
+    assert.equal(runId('2027-01-04'), '2027-W01');
+  });
+
+  it('gives late December days to the next year when its Thursday falls there', () => {
+    assert.equal(runId('2024-12-29'), '2024-W52');
+    assert.equal(runId('2024-12-30'), '2025-W01');
+    assert.equal(runId('2025-12-31'), '2026-W01');
+  });
+
+  it('uses the UTC date whatever the time of day', () => {
+    assert.equal(getDigestRunId(new Date('2025-06-08T23:59:59Z')), '2025-W23');
+    assert.equal(getDigestRunId(new Date('2025-06-09T00:00:00Z')), '2025-W24');
+  });
+});
+
+describe('runWeeklyDigest', () => {
+  it('compares the vote tables\' text user_id with typed bindings', async (t) => {
+    t.mock.method(db, 'getPool', () => ({
+      connect: async () => ({ query: async () => ({ rows: [{ acquired: true }] }), release: () => {} }),
+    }));
+    t.mock.method(shapedClient.client, 'post', async () => {
+      throw new Error('engine offline');
+    });
+    const run = { run_id: '2025-W23', status: 'running', started_at: '2025-06-02T06:00:00Z', last_user_id: null };
+    let pages = 0;
+    const queries = mockQueries(t, (sql) => {
+      if (sql.includes('FROM users u') && sql.includes('LIMIT $5')) return { rows: pages++ === 0 ? [{ user_id: '5' }] : [] };
+      if (sql.includes('recommendation_digest_runs')) return { rows: [run], rowCount: 1 };
+      return { rows: [], rowCount: 0 };
+    });
+
+    await runWeeklyDigest({ runId: run.run_id });
+
+    const userPage = queries.find(query => query.sql.includes('FROM users u') && query.sql.includes('LIMIT $5'));
+    assert.match(userPage.sql, /v\.user_id = u\.user_id::text/);
+    assert.match(userPage.sql, /vp\.user_id = u\.user_id::text/);
+    const closed = queries.find(query => query.sql.includes('WITH closed AS'));
+    assert.equal(closed.sql.match(/user_id = ANY\(\$1::text\[\]\)/g).length, 2);
+    assert.deepEqual(closed.params[0], ['5']);
+  });
+});